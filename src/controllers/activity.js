@@ -0,0 +1,147 @@
+import prisma from '../utils/prisma.js';
+import { ACTIVITY_ACTIONS } from '../utils/constants.js';
+
+/**
+ * Parses an optional ISO date query parameter
+ * @param {string|undefined} value
+ * @returns {Date|null|undefined} Date, undefined when absent, null when invalid
+ */
+const parseDateParam = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Get the activity history of a single task, newest first
+ * History remains available after the task itself is deleted; a task of the user's without
+ * any yet has an empty one
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Task ID
+ * @param {Object} res - Express response object
+ */
+export const getTaskActivity = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const entries = await prisma.taskActivity.findMany({
+            where: { taskId: id, userId: req.user.id },
+            orderBy: { createdAt: 'desc' }
+        });
+
+        // No entries only means a missing task when the user has no such task either
+        if (entries.length === 0) {
+            const task = await prisma.task.findFirst({
+                where: { id, userId: req.user.id },
+                select: { id: true }
+            });
+            if (!task) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Task not found'
+                });
+            }
+        }
+
+        res.json({
+            success: true,
+            data: entries
+        });
+    } catch (error) {
+        console.error('Error fetching task activity:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch task activity',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get the activity feed across all of the user's tasks
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.from] - Only entries at or after this ISO date
+ * @param {string} [req.query.to] - Only entries at or before this ISO date
+ * @param {string} [req.query.action] - CREATED, UPDATED or DELETED
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ * @param {Object} res - Express response object
+ */
+export const getActivityFeed = async (req, res) => {
+    const { action, page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+
+    if (isNaN(pageNum) || isNaN(limitNum) || pageNum < 1 || limitNum < 1) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid pagination parameters'
+        });
+    }
+
+    if (from === null || to === null) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid date range. Use ISO 8601 format (YYYY-MM-DDTHH:MM:SSZ)',
+            field: from === null ? 'from' : 'to'
+        });
+    }
+
+    if (from && to && from > to) {
+        return res.status(400).json({
+            success: false,
+            error: '"from" must be before "to"'
+        });
+    }
+
+    if (action && !ACTIVITY_ACTIONS._ALL.includes(action)) {
+        return res.status(400).json({
+            success: false,
+            error: `Invalid action. Valid options: ${ACTIVITY_ACTIONS._ALL.join(', ')}`,
+            validOptions: ACTIVITY_ACTIONS._ALL
+        });
+    }
+
+    const where = {
+        userId: req.user.id,
+        ...(action && { action }),
+        ...((from || to) && {
+            createdAt: {
+                ...(from && { gte: from }),
+                ...(to && { lte: to })
+            }
+        })
+    };
+
+    try {
+        const [entries, total] = await Promise.all([
+            prisma.taskActivity.findMany({
+                where,
+                orderBy: { createdAt: 'desc' },
+                skip: (pageNum - 1) * limitNum,
+                take: limitNum
+            }),
+            prisma.taskActivity.count({ where })
+        ]);
+
+        res.json({
+            success: true,
+            data: entries,
+            pagination: {
+                total,
+                page: pageNum,
+                limit: limitNum,
+                totalPages: Math.ceil(total / limitNum)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching activity feed:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch activity feed',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
@@ -0,0 +1,244 @@
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import prisma from '../utils/prisma.js';
+import { ATTACHMENTS } from '../utils/constants.js';
+import { getStorage, removeStoredFiles } from '../services/attachmentStorage.js';
+
+// storageKey is internal to the storage backend, so it is never returned
+const ATTACHMENT_SELECT = {
+    id: true,
+    taskId: true,
+    filename: true,
+    mimeType: true,
+    size: true,
+    createdAt: true
+};
+
+/**
+ * Checks the task exists, belongs to the current user and is not in the trash
+ * @param {string} taskId
+ * @param {string} userId
+ * @param {Object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<boolean>}
+ */
+const canAccessTask = async (taskId, userId, client = prisma) => {
+    const task = await client.task.findFirst({
+        where: { id: taskId, userId, deletedAt: null },
+        select: { id: true }
+    });
+    return Boolean(task);
+};
+
+/**
+ * Get a task's attachments, oldest first
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Task ID
+ * @param {Object} res - Express response object
+ */
+export const getAttachments = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        if (!(await canAccessTask(id, req.user.id))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+
+        const attachments = await prisma.attachment.findMany({
+            where: { taskId: id },
+            orderBy: { createdAt: 'asc' },
+            select: ATTACHMENT_SELECT
+        });
+
+        res.json({
+            success: true,
+            data: attachments,
+            total: attachments.length
+        });
+    } catch (error) {
+        console.error('Error fetching attachments:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch attachments',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Attach uploaded files to a task
+ * Files are stored first and recorded in one transaction, so either all of them are attached
+ * or, when the task is gone or would pass ATTACHMENTS.MAX_PER_TASK, none are kept
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Task ID
+ * @param {Object[]} req.validatedAttachmentData.files - From uploadAttachments
+ * @param {Object} res - Express response object
+ */
+export const createAttachments = async (req, res) => {
+    const { id } = req.params;
+    const { files } = req.validatedAttachmentData;
+    const userId = req.user.id;
+    const storageKeys = [];
+
+    try {
+        if (!(await canAccessTask(id, userId))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+
+        const storage = getStorage();
+        for (const file of files) {
+            const storageKey = `${userId}/${id}/${crypto.randomUUID()}`;
+            await storage.save(storageKey, file.buffer);
+            storageKeys.push(storageKey);
+        }
+
+        const attachments = await prisma.$transaction(async (tx) => {
+            if (!(await canAccessTask(id, userId, tx))) {
+                throw Object.assign(new Error('Task not found'), { status: 404 });
+            }
+            const count = await tx.attachment.count({ where: { taskId: id } });
+            if (count + files.length > ATTACHMENTS.MAX_PER_TASK) {
+                throw Object.assign(new Error(`A task can have at most ${ATTACHMENTS.MAX_PER_TASK} attachments; ` +
+                    `this one has ${count}`), { status: 400, field: ATTACHMENTS.FIELD_NAME });
+            }
+
+            const created = [];
+            for (const [index, file] of files.entries()) {
+                created.push(await tx.attachment.create({
+                    data: {
+                        taskId: id,
+                        uploadedById: userId,
+                        filename: file.filename,
+                        mimeType: file.mimeType,
+                        size: file.size,
+                        storageKey: storageKeys[index]
+                    },
+                    select: ATTACHMENT_SELECT
+                }));
+            }
+            return created;
+        });
+
+        res.status(201).json({
+            success: true,
+            data: attachments
+        });
+    } catch (error) {
+        await removeStoredFiles(storageKeys);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                field: error.field
+            });
+        }
+        console.error('Error uploading attachments:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to upload attachments',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Download an attachment with its original file name and type
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Task ID
+ * @param {string} req.params.attachmentId - Attachment ID
+ * @param {Object} res - Express response object
+ */
+export const downloadAttachment = async (req, res) => {
+    const { id, attachmentId } = req.params;
+
+    try {
+        const attachment = await prisma.attachment.findFirst({
+            where: { id: attachmentId, taskId: id, task: { userId: req.user.id, deletedAt: null } }
+        });
+        if (!attachment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Attachment not found'
+            });
+        }
+
+        let stream;
+        try {
+            stream = await getStorage().open(attachment.storageKey);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            console.error(`[Attachments] Stored file missing for ${attachment.id}`);
+            return res.status(404).json({
+                success: false,
+                error: 'Attachment file is missing'
+            });
+        }
+
+        // Always a download, so an uploaded HTML or SVG file is never rendered by the API's origin
+        res.attachment(attachment.filename);
+        res.set({
+            'Content-Type': attachment.mimeType,
+            'Content-Length': attachment.size,
+            'Cache-Control': 'private, no-cache'
+        });
+        await pipeline(stream, res);
+    } catch (error) {
+        console.error('Error downloading attachment:', error);
+        if (res.headersSent) {
+            res.destroy();
+            return;
+        }
+        res.status(500).json({
+            success: false,
+            error: 'Failed to download attachment',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Delete an attachment and its stored file
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Task ID
+ * @param {string} req.params.attachmentId - Attachment ID
+ * @param {Object} res - Express response object
+ */
+export const deleteAttachment = async (req, res) => {
+    const { id, attachmentId } = req.params;
+
+    try {
+        const attachment = await prisma.attachment.findFirst({
+            where: { id: attachmentId, taskId: id, task: { userId: req.user.id, deletedAt: null } },
+            select: { id: true, storageKey: true }
+        });
+        if (!attachment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Attachment not found'
+            });
+        }
+
+        await prisma.attachment.delete({ where: { id: attachment.id } });
+        await removeStoredFiles([attachment.storageKey]);
+
+        res.status(204).end();
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({
+                success: false,
+                error: 'Attachment not found'
+            });
+        }
+        console.error('Error deleting attachment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete attachment',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
@@ -0,0 +1,168 @@
+import prisma from '../utils/prisma.js';
+import {
+    hashPassword,
+    verifyPassword,
+    issueTokens,
+    verifyRefreshToken,
+    toPublicUser
+} from '../utils/auth.js';
+
+/**
+ * Register a new user account
+ * @param {Object} req - Express request object
+ * @param {string} req.body.email - Email address (unique)
+ * @param {string} req.body.password - Plain-text password
+ * @param {string} [req.body.name] - Display name
+ * @param {Object} res - Express response object
+ */
+export const register = async (req, res) => {
+    const { email, password, name } = req.validatedCredentials;
+
+    try {
+        const user = await prisma.user.create({
+            data: {
+                email,
+                name,
+                passwordHash: await hashPassword(password)
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                user: toPublicUser(user),
+                ...issueTokens(user)
+            }
+        });
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({
+                success: false,
+                error: 'An account with this email already exists',
+                field: 'email'
+            });
+        }
+        console.error('Error registering user:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to register user',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Log in with email and password
+ * @param {Object} req - Express request object
+ * @param {string} req.body.email - Email address
+ * @param {string} req.body.password - Plain-text password
+ * @param {Object} res - Express response object
+ */
+export const login = async (req, res) => {
+    const { email, password } = req.validatedCredentials;
+
+    try {
+        const user = await prisma.user.findUnique({ where: { email } });
+
+        if (!user || !(await verifyPassword(password, user.passwordHash))) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid email or password'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                user: toPublicUser(user),
+                ...issueTokens(user)
+            }
+        });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log in',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * @param {Object} req - Express request object
+ * @param {string} req.body.refreshToken - Refresh token from login/register
+ * @param {Object} res - Express response object
+ */
+export const refresh = async (req, res) => {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return res.status(400).json({
+            success: false,
+            error: 'Refresh token is required',
+            field: 'refreshToken'
+        });
+    }
+
+    let payload;
+    try {
+        payload = verifyRefreshToken(refreshToken);
+    } catch (error) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired refresh token'
+        });
+    }
+
+    try {
+        const user = await prisma.user.findUnique({ where: { id: payload.sub } });
+
+        if (!user || user.tokenVersion !== payload.ver) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid or expired refresh token'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: issueTokens(user)
+        });
+    } catch (error) {
+        console.error('Error refreshing token:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to refresh token',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+/**
+ * Log out everywhere by revoking every refresh token of the current user
+ * Access tokens are not stored, so those already issued stay valid until they expire
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const logout = async (req, res) => {
+    try {
+        await prisma.user.update({
+            where: { id: req.user.id },
+            data: { tokenVersion: { increment: 1 } }
+        });
+        res.status(204).end();
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(401).json({
+                success: false,
+                error: 'User no longer exists'
+            });
+        }
+        console.error('Error logging out:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log out',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
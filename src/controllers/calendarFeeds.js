@@ -0,0 +1,242 @@
+import crypto from 'crypto';
+import prisma from '../utils/prisma.js';
+import { API, CALENDAR, DATE_FILTERS } from '../utils/constants.js';
+import { TASK_TAGS_INCLUDE } from '../utils/tags.js';
+import { parseTaskFilters, buildTaskWhere } from '../utils/taskFilters.js';
+import { renderTaskCalendar } from '../utils/ical.js';
+
+/**
+ * Hashes a feed token for storage and lookup
+ * @param {string} token
+ * @returns {string}
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Hides the token hash
+ * @param {Object} feed
+ * @returns {Object}
+ */
+const toPublicFeed = ({ tokenHash, ...feed }) => feed;
+
+/**
+ * Issues a new feed token and the URLs that carry it
+ * @param {Object} req - Express request object, used for the host
+ * @returns {{token: string, tokenHash: string, urls: {url: string, webcalUrl: string}}}
+ */
+const issueToken = (req) => {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const url = `${req.protocol}://${req.get('host')}${API.BASE_PATH}/calendar/${token}.ics`;
+    return {
+        token,
+        tokenHash: hashToken(token),
+        urls: { url, webcalUrl: url.replace(/^https?:/, 'webcal:') }
+    };
+};
+
+/**
+ * List the current user's calendar feeds
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCalendarFeeds = async (req, res) => {
+    try {
+        const feeds = await prisma.calendarFeed.findMany({
+            where: { userId: req.user.id },
+            orderBy: { createdAt: 'asc' }
+        });
+        res.json({
+            success: true,
+            data: feeds.map(toPublicFeed)
+        });
+    } catch (error) {
+        console.error('Error fetching calendar feeds:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch calendar feeds',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Create a calendar feed
+ * @param {Object} req - Express request object
+ * @param {string} [req.body.name] - Calendar name shown by calendar apps
+ * @param {Object} res - Express response object
+ */
+export const createCalendarFeed = async (req, res) => {
+    try {
+        const count = await prisma.calendarFeed.count({ where: { userId: req.user.id } });
+        if (count >= CALENDAR.MAX_FEEDS_PER_USER) {
+            return res.status(400).json({
+                success: false,
+                error: `You can create at most ${CALENDAR.MAX_FEEDS_PER_USER} calendar feeds`
+            });
+        }
+
+        const { tokenHash, urls } = issueToken(req);
+        const feed = await prisma.calendarFeed.create({
+            data: {
+                ...req.validatedCalendarFeedData,
+                tokenHash,
+                userId: req.user.id
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            // The only time the feed URL is returned; the token cannot be recovered later
+            data: { ...toPublicFeed(feed), ...urls }
+        });
+    } catch (error) {
+        console.error('Error creating calendar feed:', error);
+        res.status(400).json({
+            success: false,
+            error: 'Failed to create calendar feed',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Replace a feed's token, invalidating the old URL
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Feed ID
+ * @param {Object} res - Express response object
+ */
+export const rotateCalendarFeedToken = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const { tokenHash, urls } = issueToken(req);
+        const feed = await prisma.calendarFeed.update({
+            where: { id, userId: req.user.id },
+            data: { tokenHash, lastUsedAt: null }
+        });
+
+        res.json({
+            success: true,
+            data: { ...toPublicFeed(feed), ...urls }
+        });
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({
+                success: false,
+                error: 'Calendar feed not found'
+            });
+        }
+        console.error('Error rotating calendar feed token:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to rotate calendar feed token',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Delete a calendar feed; calendar apps subscribed to it stop receiving updates
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Feed ID
+ * @param {Object} res - Express response object
+ */
+export const deleteCalendarFeed = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        await prisma.calendarFeed.delete({ where: { id, userId: req.user.id } });
+        res.status(204).end();
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({
+                success: false,
+                error: 'Calendar feed not found'
+            });
+        }
+        console.error('Error deleting calendar feed:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete calendar feed',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Serve a feed as an iCalendar document
+ * Authenticated by the token in the URL, since calendar apps cannot send a bearer header
+ * @param {Object} req - Express request object
+ * @param {string} req.params.token - Feed token
+ * @param {string} [req.query.priority] - Only tasks with this priority
+ * @param {string} [req.query.dateFilter] - Only tasks due in this range, as in getTasks
+ * @param {string} [req.query.tz] - Time zone for dateFilter, as in getTasks
+ * @param {string} [req.query.weekStart] - First day of the week for dateFilter
+ * @param {string} [req.query.type='event'] - 'event' (VEVENT) or 'todo' (VTODO)
+ * @param {Object} res - Express response object
+ */
+export const getCalendarFeedIcs = async (req, res) => {
+    const { token } = req.params;
+    const { priority, dateFilter, tz, weekStart, type = CALENDAR.COMPONENTS.EVENT } = req.query;
+
+    if (!CALENDAR.COMPONENTS._ALL.includes(type)) {
+        return res.status(400).json({
+            success: false,
+            error: `Invalid type. Valid options: ${CALENDAR.COMPONENTS._ALL.join(', ')}`,
+            field: 'type',
+            validOptions: CALENDAR.COMPONENTS._ALL
+        });
+    }
+
+    if (dateFilter === DATE_FILTERS.NO_DUE_DATE) {
+        return res.status(400).json({
+            success: false,
+            error: 'Calendar feeds only contain tasks with a due date',
+            field: 'dateFilter'
+        });
+    }
+
+    // Calendar apps cannot send headers, so the time zone comes from the URL
+    const { filters, error } = parseTaskFilters({ priority, dateFilter, tz, weekStart });
+    if (error) {
+        return res.status(400).json({ success: false, ...error });
+    }
+
+    try {
+        const feed = await prisma.calendarFeed.findUnique({ where: { tokenHash: hashToken(token) } });
+        if (!feed) {
+            return res.status(404).json({
+                success: false,
+                error: 'Calendar feed not found'
+            });
+        }
+
+        const where = buildTaskWhere(filters, feed.userId);
+        where.dueDate = { ...where.dueDate, not: null };
+        const tasks = await prisma.task.findMany({
+            where,
+            orderBy: { dueDate: 'desc' },
+            take: CALENDAR.MAX_ENTRIES,
+            include: TASK_TAGS_INCLUDE
+        });
+
+        await prisma.calendarFeed.update({
+            where: { id: feed.id },
+            data: { lastUsedAt: new Date() }
+        });
+
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="tasks.ics"',
+            'Cache-Control': 'private, max-age=300'
+        });
+        res.send(renderTaskCalendar(tasks, { name: feed.name, component: type }));
+    } catch (error) {
+        console.error('Error rendering calendar feed:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to render calendar feed',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
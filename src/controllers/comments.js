@@ -0,0 +1,215 @@
+import prisma from '../utils/prisma.js';
+import { bumpTaskVersions } from '../utils/etag.js';
+
+const AUTHOR_SELECT = { select: { id: true, name: true, email: true } };
+
+/**
+ * Nests a flat list of comments into reply threads
+ * @param {Object[]} comments - Comments ordered oldest first
+ * @returns {Object[]} Top-level comments, each with a `replies` array
+ */
+const buildThreads = (comments) => {
+    const byId = new Map(comments.map((comment) => [comment.id, { ...comment, replies: [] }]));
+    const roots = [];
+
+    for (const comment of byId.values()) {
+        const parent = comment.parentId && byId.get(comment.parentId);
+        if (parent) {
+            parent.replies.push(comment);
+        } else {
+            roots.push(comment);
+        }
+    }
+
+    return roots;
+};
+
+/**
+ * Checks the task exists and belongs to the current user
+ * @param {string} taskId
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+const canAccessTask = async (taskId, userId) => {
+    const task = await prisma.task.findFirst({
+        where: { id: taskId, userId, deletedAt: null },
+        select: { id: true }
+    });
+    return Boolean(task);
+};
+
+/**
+ * Get a task's comments as reply threads
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Task ID
+ * @param {Object} res - Express response object
+ */
+export const getComments = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        if (!(await canAccessTask(id, req.user.id))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+
+        const comments = await prisma.comment.findMany({
+            where: { taskId: id },
+            orderBy: { createdAt: 'asc' },
+            include: { author: AUTHOR_SELECT }
+        });
+
+        res.json({
+            success: true,
+            data: buildThreads(comments),
+            total: comments.length
+        });
+    } catch (error) {
+        console.error('Error fetching comments:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch comments',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Add a comment, optionally as a reply to another comment on the same task
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Task ID
+ * @param {string} req.body.body - Comment text
+ * @param {string} [req.body.parentId] - Comment being replied to
+ * @param {Object} res - Express response object
+ */
+export const createComment = async (req, res) => {
+    const { id } = req.params;
+    const { body, parentId } = req.validatedCommentData;
+
+    try {
+        if (!(await canAccessTask(id, req.user.id))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+
+        if (parentId) {
+            const parent = await prisma.comment.findFirst({
+                where: { id: parentId, taskId: id },
+                select: { id: true }
+            });
+            if (!parent) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Parent comment not found on this task',
+                    field: 'parentId'
+                });
+            }
+        }
+
+        // The task's comment count changes with it
+        const comment = await prisma.$transaction(async (tx) => {
+            const created = await tx.comment.create({
+                data: {
+                    body,
+                    taskId: id,
+                    authorId: req.user.id,
+                    parentId: parentId || null
+                },
+                include: { author: AUTHOR_SELECT }
+            });
+            await bumpTaskVersions(tx, { id });
+            return created;
+        });
+
+        res.status(201).json({
+            success: true,
+            data: comment
+        });
+    } catch (error) {
+        console.error('Error creating comment:', error);
+        res.status(400).json({
+            success: false,
+            error: 'Failed to create comment',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Edit a comment's text; only its author may do so
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Task ID
+ * @param {string} req.params.commentId - Comment ID
+ * @param {string} req.body.body - New comment text
+ * @param {Object} res - Express response object
+ */
+export const updateComment = async (req, res) => {
+    const { id, commentId } = req.params;
+
+    try {
+        const comment = await prisma.comment.update({
+            where: { id: commentId, taskId: id, authorId: req.user.id },
+            data: {
+                body: req.validatedCommentData.body,
+                editedAt: new Date()
+            },
+            include: { author: AUTHOR_SELECT }
+        });
+
+        res.json({
+            success: true,
+            data: comment
+        });
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({
+                success: false,
+                error: 'Comment not found'
+            });
+        }
+        console.error('Error updating comment:', error);
+        res.status(400).json({
+            success: false,
+            error: 'Failed to update comment',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Delete a comment and its replies; only its author may do so
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Task ID
+ * @param {string} req.params.commentId - Comment ID
+ * @param {Object} res - Express response object
+ */
+export const deleteComment = async (req, res) => {
+    const { id, commentId } = req.params;
+
+    try {
+        await prisma.$transaction(async (tx) => {
+            await tx.comment.delete({
+                where: { id: commentId, taskId: id, authorId: req.user.id }
+            });
+            await bumpTaskVersions(tx, { id });
+        });
+        res.status(204).end();
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({
+                success: false,
+                error: 'Comment not found'
+            });
+        }
+        console.error('Error deleting comment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete comment',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
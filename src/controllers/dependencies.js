@@ -0,0 +1,192 @@
+import prisma from '../utils/prisma.js';
+import { findDependencyCycle } from '../utils/dependencies.js';
+import { bumpTaskVersions } from '../utils/etag.js';
+import { DEPENDENCIES, STATUS } from '../utils/constants.js';
+
+const LINKED_TASK_SELECT = { id: true, title: true, status: true, statusCategory: true, dueDate: true };
+
+/**
+ * Loads a task's blockers and the tasks waiting on it, leaving out trashed ones
+ * @param {string} taskId
+ * @param {Object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<{isBlocked: boolean, blockedBy: Object[], blocks: Object[]}>}
+ */
+const loadDependencies = async (taskId, client = prisma) => {
+    const [blockedBy, blocks] = await Promise.all([
+        client.task.findMany({
+            where: { blocks: { some: { blockedId: taskId } }, deletedAt: null },
+            orderBy: { createdAt: 'asc' },
+            select: LINKED_TASK_SELECT
+        }),
+        client.task.findMany({
+            where: { blockedBy: { some: { blockerId: taskId } }, deletedAt: null },
+            orderBy: { createdAt: 'asc' },
+            select: LINKED_TASK_SELECT
+        })
+    ]);
+    const isOpen = (task) => task.statusCategory !== STATUS.DONE;
+
+    return {
+        isBlocked: blockedBy.some(isOpen),
+        blockedBy: blockedBy.map((task) => ({ ...task, isOpen: isOpen(task) })),
+        blocks
+    };
+};
+
+/**
+ * Finds one of the current user's tasks outside the trash
+ * @param {string} id
+ * @param {string} userId
+ * @param {Object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<{id: string, title: string}|null>}
+ */
+const findTask = (id, userId, client = prisma) => client.task.findFirst({
+    where: { id, userId, deletedAt: null },
+    select: { id: true, title: true }
+});
+
+/**
+ * Get the tasks a task is blocked by and the tasks it blocks
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Task ID
+ * @param {Object} res - Express response object
+ */
+export const getDependencies = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        if (!(await findTask(id, req.user.id))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await loadDependencies(id)
+        });
+    } catch (error) {
+        console.error('Error fetching dependencies:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch dependencies',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Mark a task as blocked by another
+ * Links that would make a task wait on itself, directly or through other tasks, are refused
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Task ID of the blocked task
+ * @param {string} req.body.blockerId - Task it waits on
+ * @param {Object} res - Express response object
+ */
+export const addDependency = async (req, res) => {
+    const { id } = req.params;
+    const { blockerId } = req.validatedDependencyData;
+    const userId = req.user.id;
+
+    try {
+        const dependencies = await prisma.$transaction(async (tx) => {
+            const [task, blocker] = await Promise.all([findTask(id, userId, tx), findTask(blockerId, userId, tx)]);
+            if (!task) {
+                throw Object.assign(new Error('Task not found'), { status: 404 });
+            }
+            if (!blocker) {
+                throw Object.assign(new Error('Blocking task not found'), { status: 404, field: 'blockerId' });
+            }
+
+            const existing = await tx.taskDependency.count({ where: { blockedId: id } });
+            if (existing >= DEPENDENCIES.MAX_BLOCKERS_PER_TASK) {
+                throw Object.assign(new Error(`A task can be blocked by at most ${DEPENDENCIES.MAX_BLOCKERS_PER_TASK} tasks`),
+                    { status: 400, field: 'blockerId' });
+            }
+
+            const cycle = await findDependencyCycle(tx, userId, id, blockerId);
+            if (cycle) {
+                const titles = await tx.task.findMany({
+                    where: { id: { in: cycle } },
+                    select: { id: true, title: true }
+                });
+                const titleOf = new Map(titles.map((entry) => [entry.id, entry.title]));
+                throw Object.assign(new Error('This would create a dependency cycle: ' +
+                    cycle.map((taskId) => `"${titleOf.get(taskId)}"`).join(' waits on ')), {
+                    status: 409,
+                    field: 'blockerId',
+                    cycle
+                });
+            }
+
+            await tx.taskDependency.create({ data: { blockedId: id, blockerId } });
+            // Its isBlocked may have changed
+            await bumpTaskVersions(tx, { id });
+            return loadDependencies(id, tx);
+        });
+
+        res.status(201).json({
+            success: true,
+            data: dependencies
+        });
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({
+                success: false,
+                error: 'The task is already blocked by that task',
+                field: 'blockerId'
+            });
+        }
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                field: error.field,
+                ...(error.cycle && { cycle: error.cycle })
+            });
+        }
+        console.error('Error adding dependency:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add dependency',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Stop a task waiting on another
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Task ID of the blocked task
+ * @param {string} req.params.blockerId - Task it waits on
+ * @param {Object} res - Express response object
+ */
+export const removeDependency = async (req, res) => {
+    const { id, blockerId } = req.params;
+
+    try {
+        const count = await prisma.$transaction(async (tx) => {
+            const removed = await tx.taskDependency.deleteMany({
+                where: { blockedId: id, blockerId, blocked: { userId: req.user.id, deletedAt: null } }
+            });
+            if (removed.count > 0) await bumpTaskVersions(tx, { id });
+            return removed.count;
+        });
+        if (count === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dependency not found'
+            });
+        }
+
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error removing dependency:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove dependency',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
@@ -0,0 +1,266 @@
+import prisma from '../utils/prisma.js';
+import { PROJECT_DELETE_STRATEGIES, ACTIVITY_ACTIONS, TASK_EVENTS } from '../utils/constants.js';
+import { loadWorkflow, fitStatusesToBoard } from '../utils/workflows.js';
+import { diffTask, recordActivity } from '../utils/activity.js';
+import { TASK_TAGS_INCLUDE, flattenTaskTags } from '../utils/tags.js';
+import { publishTaskEvent } from '../services/taskEvents.js';
+import { removeTask, announceUpdate } from './tasks.js';
+
+/**
+ * Moves every task of a project, trashed ones included, to another board and logs each move
+ * Tasks in a status the receiving board lacks take the built-in status of its category
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} userId - Owner and actor
+ * @param {string} projectId - Project the tasks leave
+ * @param {string|null} targetProjectId - Board they go to; null for no project
+ * @returns {Promise<Array<{task: Object, changes: Object}>>} The moved tasks with their changes
+ */
+const moveProjectTasks = async (tx, userId, projectId, targetProjectId) => {
+    const before = await tx.task.findMany({ where: { projectId } });
+    await fitStatusesToBoard(tx, { projectId }, await loadWorkflow(userId, targetProjectId, tx));
+    await tx.task.updateMany({
+        where: { projectId },
+        data: { projectId: targetProjectId, version: { increment: 1 } }
+    });
+
+    // Each task is logged as moved, as if it had been moved on its own
+    const moved = await tx.task.findMany({
+        where: { id: { in: before.map((task) => task.id) } },
+        include: TASK_TAGS_INCLUDE
+    });
+    const previous = new Map(before.map((task) => [task.id, task]));
+    const results = [];
+    for (const task of moved) {
+        const changes = diffTask(previous.get(task.id), task);
+        await recordActivity({
+            task,
+            actorId: userId,
+            action: ACTIVITY_ACTIONS.UPDATED,
+            changes
+        }, tx);
+        results.push({ task, changes });
+    }
+    return results;
+};
+
+/**
+ * Create a new project
+ * @param {Object} req - Express request object
+ * @param {string} req.body.name - Project name (required)
+ * @param {string} [req.body.description] - Project description
+ * @param {string} [req.body.color] - Display colour
+ * @param {Object} res - Express response object
+ */
+export const createProject = async (req, res) => {
+    try {
+        const project = await prisma.project.create({
+            data: {
+                ...req.validatedProjectData,
+                userId: req.user.id
+            }
+        });
+        res.status(201).json({
+            success: true,
+            data: project
+        });
+    } catch (error) {
+        console.error('Error creating project:', error);
+        res.status(400).json({
+            success: false,
+            error: 'Failed to create project',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get all projects owned by the current user, with task counts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getProjects = async (req, res) => {
+    try {
+        const projects = await prisma.project.findMany({
+            where: { userId: req.user.id },
+            orderBy: { createdAt: 'asc' },
+            include: { _count: { select: { tasks: { where: { deletedAt: null } } } } }
+        });
+        res.json({
+            success: true,
+            data: projects
+        });
+    } catch (error) {
+        console.error('Error fetching projects:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch projects',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get a single project
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Project ID
+ * @param {Object} res - Express response object
+ */
+export const getProject = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const project = await prisma.project.findFirst({
+            where: { id, userId: req.user.id },
+            include: { _count: { select: { tasks: { where: { deletedAt: null } } } } }
+        });
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: project
+        });
+    } catch (error) {
+        console.error('Error fetching project:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch project',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Update an existing project
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Project ID
+ * @param {Object} req.body - Update fields
+ * @param {Object} res - Express response object
+ */
+export const updateProject = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const project = await prisma.project.update({
+            where: { id, userId: req.user.id },
+            data: req.validatedProjectData
+        });
+        res.json({
+            success: true,
+            data: project
+        });
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+        console.error('Error updating project:', error);
+        res.status(400).json({
+            success: false,
+            error: 'Failed to update project',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Delete a project, either sending its tasks to the trash or moving them elsewhere
+ * Moved tasks in a status the receiving board lacks take the built-in status of its category.
+ * Trashed tasks leave the project too, so restoring one puts it back without a project
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Project ID
+ * @param {string} [req.query.strategy='move'] - 'move' or 'cascade'
+ * @param {string} [req.query.targetProjectId] - Destination when moving; omit to leave tasks unassigned
+ * @param {Object} res - Express response object
+ */
+export const deleteProject = async (req, res) => {
+    const { id } = req.params;
+    const { strategy = PROJECT_DELETE_STRATEGIES.MOVE, targetProjectId } = req.query;
+
+    if (!PROJECT_DELETE_STRATEGIES._ALL.includes(strategy)) {
+        return res.status(400).json({
+            success: false,
+            error: `Invalid strategy. Valid options: ${PROJECT_DELETE_STRATEGIES._ALL.join(', ')}`,
+            validOptions: PROJECT_DELETE_STRATEGIES._ALL
+        });
+    }
+
+    if (targetProjectId && strategy !== PROJECT_DELETE_STRATEGIES.MOVE) {
+        return res.status(400).json({
+            success: false,
+            error: 'targetProjectId can only be used with the move strategy'
+        });
+    }
+
+    if (targetProjectId === id) {
+        return res.status(400).json({
+            success: false,
+            error: 'Cannot move tasks into the project being deleted'
+        });
+    }
+
+    try {
+        const [project, target] = await Promise.all([
+            prisma.project.findFirst({ where: { id, userId: req.user.id } }),
+            targetProjectId
+                ? prisma.project.findFirst({ where: { id: targetProjectId, userId: req.user.id } })
+                : null
+        ]);
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+
+        if (targetProjectId && !target) {
+            return res.status(404).json({
+                success: false,
+                error: 'Target project not found'
+            });
+        }
+
+        const { trashed, moved } = await prisma.$transaction(async (tx) => {
+            // Cascading trashes the tasks like deleting them one by one, so they can be restored
+            // until purged (which also removes their files); subtasks go with their parent
+            const trashedTasks = [];
+            if (strategy === PROJECT_DELETE_STRATEGIES.CASCADE) {
+                const tasks = await tx.task.findMany({
+                    where: { projectId: id, parentId: null, deletedAt: null },
+                    select: { id: true }
+                });
+                for (const task of tasks) {
+                    trashedTasks.push(await removeTask(tx, req.user.id, task.id));
+                }
+            }
+
+            const movedTasks = await moveProjectTasks(tx, req.user.id, id, targetProjectId || null);
+            await tx.project.delete({ where: { id } });
+            return { trashed: trashedTasks, moved: movedTasks };
+        });
+
+        for (const task of trashed) {
+            publishTaskEvent(TASK_EVENTS.DELETED, { userId: req.user.id, actorId: req.user.id, task: flattenTaskTags(task) });
+        }
+        for (const { task, changes } of moved) {
+            if (!task.deletedAt) announceUpdate(req.user.id, flattenTaskTags(task), changes, null);
+        }
+
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting project:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete project',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
\ No newline at end of file
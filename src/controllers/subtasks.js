@@ -0,0 +1,374 @@
+import prisma from '../utils/prisma.js';
+import { STATUS, PRIORITY, ACTIVITY_ACTIONS, TASK_EVENTS } from '../utils/constants.js';
+import { PRIORITY_RANK } from '../utils/taskSort.js';
+import { statusTimestamps } from '../utils/taskStats.js';
+import { diffTask, recordActivity } from '../utils/activity.js';
+import { TASK_TAGS_INCLUDE, flattenTaskTags } from '../utils/tags.js';
+import { withSubtaskProgress } from '../utils/subtasks.js';
+import { bumpDependentVersions } from '../utils/etag.js';
+import { publishTaskEvent } from '../services/taskEvents.js';
+import {
+    applyTaskUpdate,
+    removeTask,
+    completeParentIfDone,
+    announceUpdate,
+    announceCompletedParent
+} from './tasks.js';
+
+/**
+ * Loads a top-level task owned by the current user
+ * @param {string} id - Task ID
+ * @param {string} userId - Owner ID
+ * @returns {Promise<Object|null>}
+ */
+const findParentTask = (id, userId) => {
+    return prisma.task.findFirst({ where: { id, userId, deletedAt: null } });
+};
+
+/**
+ * Publishes task.updated for a parent whose checklist changed, carrying its new progress
+ * Live streams only show top-level tasks, so this is how they learn about subtask changes.
+ * Runs after the change has committed, so a failure is logged rather than failing the request
+ * @param {string} userId - Owner and actor
+ * @param {string} parentId
+ * @param {Object} [changes={}] - Changes to the parent itself
+ * @returns {Promise<void>}
+ */
+const announceChecklistChange = async (userId, parentId, changes = {}) => {
+    try {
+        const parent = await prisma.task.findFirst({
+            where: { id: parentId, userId, deletedAt: null },
+            include: TASK_TAGS_INCLUDE
+        });
+        if (!parent) return;
+
+        const [task] = await withSubtaskProgress([flattenTaskTags(parent)]);
+        publishTaskEvent(TASK_EVENTS.UPDATED, { userId, actorId: userId, task, changes });
+    } catch (error) {
+        console.error(`[TaskEvents] Failed to announce the checklist change of ${parentId}:`, error);
+    }
+};
+
+/**
+ * Get the subtasks of a task in checklist order
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Parent task ID
+ * @param {Object} res - Express response object
+ */
+export const getSubtasks = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const parent = await findParentTask(id, req.user.id);
+        if (!parent) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+
+        const subtasks = await prisma.task.findMany({
+            where: { parentId: id, deletedAt: null },
+            orderBy: [{ subtaskOrder: 'asc' }, { createdAt: 'asc' }]
+        });
+
+        res.json({
+            success: true,
+            data: subtasks,
+            progress: {
+                done: subtasks.filter((subtask) => subtask.statusCategory === STATUS.DONE).length,
+                total: subtasks.length
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching subtasks:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch subtasks',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Add a subtask to the end of a task's checklist
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Parent task ID
+ * @param {string} req.body.title - Subtask title (required)
+ * @param {Object} res - Express response object
+ */
+export const createSubtask = async (req, res) => {
+    const { id } = req.params;
+    const { title, status = STATUS.TODO, priority = PRIORITY.MEDIUM, dueDate } = req.validatedTaskData;
+
+    // Subtasks are checklist items rather than cards, so board workflows do not apply to them
+    if (!STATUS._ALL.includes(status)) {
+        return res.status(400).json({
+            success: false,
+            error: `Subtasks use the built-in statuses: ${STATUS._ALL.join(', ')}`,
+            field: 'status'
+        });
+    }
+
+    try {
+        const parent = await findParentTask(id, req.user.id);
+        if (!parent) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+
+        // Checklists are one level deep to keep progress counts meaningful
+        if (parent.parentId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Subtasks cannot have their own subtasks'
+            });
+        }
+
+        const last = await prisma.task.findFirst({
+            where: { parentId: id },
+            orderBy: { subtaskOrder: 'desc' },
+            select: { subtaskOrder: true }
+        });
+
+        const subtask = await prisma.$transaction(async (tx) => {
+            const created = await tx.task.create({
+                data: {
+                    title,
+                    status,
+                    ...statusTimestamps(null, status),
+                    priority: priority.toUpperCase(),
+                    priorityRank: PRIORITY_RANK[priority.toUpperCase()],
+                    dueDate: dueDate || null,
+                    userId: req.user.id,
+                    projectId: parent.projectId,
+                    parentId: id,
+                    subtaskOrder: last ? last.subtaskOrder + 1 : 0
+                }
+            });
+            await recordActivity({
+                task: created,
+                actorId: req.user.id,
+                action: ACTIVITY_ACTIONS.CREATED,
+                changes: diffTask(null, created)
+            }, tx);
+            // The parent's progress counts the new item
+            await bumpDependentVersions(tx, { id: created.id });
+            return created;
+        });
+        publishTaskEvent(TASK_EVENTS.CREATED, { userId: req.user.id, actorId: req.user.id, task: subtask });
+        await announceChecklistChange(req.user.id, id);
+
+        res.status(201).json({
+            success: true,
+            data: subtask
+        });
+    } catch (error) {
+        console.error('Error creating subtask:', error);
+        res.status(400).json({
+            success: false,
+            error: 'Failed to create subtask',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Reorder a task's subtasks
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Parent task ID
+ * @param {string[]} req.body.subtaskIds - Every subtask ID in the desired order
+ * @param {Object} res - Express response object
+ */
+export const reorderSubtasks = async (req, res) => {
+    const { id } = req.params;
+    const { subtaskIds } = req.body || {};
+
+    if (!Array.isArray(subtaskIds) || subtaskIds.some((subtaskId) => typeof subtaskId !== 'string')) {
+        return res.status(400).json({
+            success: false,
+            error: 'subtaskIds must be an array of subtask IDs',
+            field: 'subtaskIds'
+        });
+    }
+
+    try {
+        const parent = await findParentTask(id, req.user.id);
+        if (!parent) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+
+        const existing = await prisma.task.findMany({
+            where: { parentId: id, deletedAt: null },
+            orderBy: [{ subtaskOrder: 'asc' }, { createdAt: 'asc' }],
+            select: { id: true }
+        });
+        const existingIds = new Set(existing.map((subtask) => subtask.id));
+
+        if (
+            subtaskIds.length !== existingIds.size ||
+            new Set(subtaskIds).size !== subtaskIds.length ||
+            !subtaskIds.every((subtaskId) => existingIds.has(subtaskId))
+        ) {
+            return res.status(400).json({
+                success: false,
+                error: 'subtaskIds must list every subtask of this task exactly once',
+                field: 'subtaskIds'
+            });
+        }
+
+        const previousIds = existing.map((subtask) => subtask.id);
+        const changes = previousIds.some((subtaskId, index) => subtaskId !== subtaskIds[index])
+            ? { subtasks: { from: previousIds, to: subtaskIds } }
+            : {};
+
+        const subtasks = await prisma.$transaction(async (tx) => {
+            const reordered = [];
+            for (const [index, subtaskId] of subtaskIds.entries()) {
+                reordered.push(await tx.task.update({
+                    where: { id: subtaskId },
+                    data: { subtaskOrder: index, version: { increment: 1 } }
+                }));
+            }
+            // The order belongs to the checklist, so it is recorded once, against the parent
+            await recordActivity({
+                task: parent,
+                actorId: req.user.id,
+                action: ACTIVITY_ACTIONS.UPDATED,
+                changes
+            }, tx);
+            return reordered;
+        });
+        if (changes.subtasks) await announceChecklistChange(req.user.id, id, changes);
+
+        res.json({
+            success: true,
+            data: subtasks
+        });
+    } catch (error) {
+        console.error('Error reordering subtasks:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reorder subtasks',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Toggle a subtask between TODO and DONE
+ * Completing the last open subtask also completes the parent, which is refused with 409 while
+ * the parent has open blockers unless forced
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Parent task ID
+ * @param {string} req.params.subtaskId - Subtask ID
+ * @param {string} [req.query.force] - 'true' to complete the parent even while it has open blockers
+ * @param {Object} res - Express response object
+ */
+export const toggleSubtask = async (req, res) => {
+    const { id, subtaskId } = req.params;
+
+    try {
+        const { toggled, parent } = await prisma.$transaction(async (tx) => {
+            const subtask = await tx.task.findFirst({
+                where: { id: subtaskId, parentId: id, userId: req.user.id, deletedAt: null },
+                select: { status: true }
+            });
+            if (!subtask) {
+                throw Object.assign(new Error('Subtask not found'), { status: 404 });
+            }
+
+            const force = req.query.force === 'true';
+            const status = subtask.status === STATUS.DONE ? STATUS.TODO : STATUS.DONE;
+            return {
+                toggled: await applyTaskUpdate(tx, req.user.id, subtaskId, { status }, undefined, { force }),
+                parent: await completeParentIfDone(tx, req.user.id, id, force)
+            };
+        });
+
+        const { next, changes, ...task } = toggled;
+        const updatedSubtask = flattenTaskTags(task);
+        announceUpdate(req.user.id, updatedSubtask, changes, next && flattenTaskTags(next));
+        // A completed parent's own event already carries the change
+        const completedParent = parent && announceCompletedParent(req.user.id, parent);
+        if (!completedParent) await announceChecklistChange(req.user.id, id);
+
+        res.json({
+            success: true,
+            data: updatedSubtask,
+            ...(completedParent && { parent: completedParent })
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                field: error.field
+            });
+        }
+        console.error('Error toggling subtask:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to toggle subtask',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Move a subtask to the trash
+ * Removing the last open subtask completes the parent, as toggleSubtask does
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Parent task ID
+ * @param {string} req.params.subtaskId - Subtask ID
+ * @param {string} [req.query.force] - 'true' to complete the parent even while it has open blockers
+ * @param {Object} res - Express response object
+ */
+export const deleteSubtask = async (req, res) => {
+    const { id, subtaskId } = req.params;
+
+    try {
+        const { deleted, parent } = await prisma.$transaction(async (tx) => {
+            const subtask = await tx.task.findFirst({
+                where: { id: subtaskId, parentId: id, userId: req.user.id, deletedAt: null },
+                select: { id: true }
+            });
+            if (!subtask) {
+                throw Object.assign(new Error('Subtask not found'), { status: 404 });
+            }
+            return {
+                deleted: await removeTask(tx, req.user.id, subtaskId),
+                // Removing the last open item can leave the checklist fully done
+                parent: await completeParentIfDone(tx, req.user.id, id, req.query.force === 'true')
+            };
+        });
+
+        publishTaskEvent(TASK_EVENTS.DELETED, { userId: req.user.id, actorId: req.user.id, task: flattenTaskTags(deleted) });
+        if (parent) {
+            announceCompletedParent(req.user.id, parent);
+        } else {
+            await announceChecklistChange(req.user.id, id);
+        }
+
+        res.status(204).end();
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                field: error.field
+            });
+        }
+        console.error('Error deleting subtask:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete subtask',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
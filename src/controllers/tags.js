@@ -0,0 +1,142 @@
+import prisma from '../utils/prisma.js';
+import { bumpTaskVersions } from '../utils/etag.js';
+
+/**
+ * Create a new tag
+ * @param {Object} req - Express request object
+ * @param {string} req.body.name - Tag name (unique per user)
+ * @param {string} [req.body.color] - Hex colour
+ * @param {Object} res - Express response object
+ */
+export const createTag = async (req, res) => {
+    try {
+        const tag = await prisma.tag.create({
+            data: {
+                ...req.validatedTagData,
+                userId: req.user.id
+            }
+        });
+        res.status(201).json({
+            success: true,
+            data: tag
+        });
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({
+                success: false,
+                error: 'A tag with this name already exists',
+                field: 'name'
+            });
+        }
+        console.error('Error creating tag:', error);
+        res.status(400).json({
+            success: false,
+            error: 'Failed to create tag',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get all tags owned by the current user, with usage counts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getTags = async (req, res) => {
+    try {
+        const tags = await prisma.tag.findMany({
+            where: { userId: req.user.id },
+            orderBy: { name: 'asc' },
+            include: { _count: { select: { tasks: { where: { task: { deletedAt: null } } } } } }
+        });
+        res.json({
+            success: true,
+            data: tags
+        });
+    } catch (error) {
+        console.error('Error fetching tags:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch tags',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Rename or recolor a tag
+ * Tasks embed their tags, so the tasks carrying it count as changed
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Tag ID
+ * @param {Object} req.body - Update fields
+ * @param {Object} res - Express response object
+ */
+export const updateTag = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const tag = await prisma.$transaction(async (tx) => {
+            const updated = await tx.tag.update({
+                where: { id, userId: req.user.id },
+                data: req.validatedTagData
+            });
+            await bumpTaskVersions(tx, { userId: req.user.id, tags: { some: { tagId: id } } });
+            return updated;
+        });
+        res.json({
+            success: true,
+            data: tag
+        });
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({
+                success: false,
+                error: 'Tag not found'
+            });
+        }
+        if (error.code === 'P2002') {
+            return res.status(409).json({
+                success: false,
+                error: 'A tag with this name already exists',
+                field: 'name'
+            });
+        }
+        console.error('Error updating tag:', error);
+        res.status(400).json({
+            success: false,
+            error: 'Failed to update tag',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Delete a tag and detach it from every task, which counts as a change to those tasks
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Tag ID
+ * @param {Object} res - Express response object
+ */
+export const deleteTag = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        await prisma.$transaction(async (tx) => {
+            await bumpTaskVersions(tx, { userId: req.user.id, tags: { some: { tagId: id } } });
+            await tx.tag.delete({ where: { id, userId: req.user.id } });
+        });
+        res.status(204).end();
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({
+                success: false,
+                error: 'Tag not found'
+            });
+        }
+        console.error('Error deleting tag:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete tag',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
@@ -0,0 +1,115 @@
+import prisma from '../utils/prisma.js';
+import { STATUS, DATES } from '../utils/constants.js';
+import { parseTaskFilters, buildTaskWhere } from '../utils/taskFilters.js';
+import { PRIORITY_RANK } from '../utils/taskSort.js';
+import { parseStatsRange, buildDailySeries, averageDuration } from '../utils/taskStats.js';
+import { formatZonedDate, startOfDay } from '../utils/dates.js';
+
+/**
+ * Counts tasks per value of a field, listing every value even when none match
+ * @param {Array<Object>} groups - prisma.task.groupBy result with `_count._all`
+ * @param {string} field
+ * @param {string[]} values - All possible values
+ * @returns {Object<string, number>}
+ */
+const countBy = (groups, field, values) => Object.fromEntries(values.map((value) => [
+    value,
+    groups.find((group) => group[field] === value)?._count._all ?? 0
+]));
+
+/**
+ * Get task statistics for a dashboard
+ * Counts cover the user's current top-level tasks; the daily series and lead/cycle times cover
+ * the date range. Lead time runs from creation to completion, cycle time from starting work
+ * (entering IN_PROGRESS) to completion, for tasks completed in the range
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.from] - First day of the range (YYYY-MM-DD, default 30 days ago)
+ * @param {string} [req.query.to] - Last day of the range, included (YYYY-MM-DD, default today)
+ * @param {string} [req.query.projectId] - Only tasks in this project
+ * @param {string} [req.query.tz] - IANA time zone for days (or the X-Timezone header)
+ * @param {Object} res - Express response object
+ */
+export const getTaskStats = async (req, res) => {
+    const { from, to, projectId, tz } = req.query;
+
+    const { filters, error } = parseTaskFilters({ projectId, tz }, req.get(DATES.TIME_ZONE_HEADER));
+    if (error) {
+        return res.status(400).json({ success: false, ...error });
+    }
+
+    const now = new Date();
+    const range = parseStatsRange(from, to, filters.timeZone, now);
+    if (range.error) {
+        return res.status(400).json({ success: false, ...range.error });
+    }
+
+    const where = buildTaskWhere(filters, req.user.id, now);
+    const inRange = { gte: range.start, lt: range.end };
+
+    try {
+        const [statusGroups, categoryGroups, priorityGroups, overdue, created, completed, openAtStart] = await Promise.all([
+            prisma.task.groupBy({ by: ['status'], where, _count: { _all: true } }),
+            prisma.task.groupBy({ by: ['statusCategory'], where, _count: { _all: true } }),
+            prisma.task.groupBy({ by: ['priority'], where, _count: { _all: true } }),
+            prisma.task.count({
+                where: { ...where, dueDate: { lt: now }, statusCategory: { not: STATUS.DONE } }
+            }),
+            prisma.task.findMany({
+                where: { ...where, createdAt: inRange },
+                select: { createdAt: true }
+            }),
+            prisma.task.findMany({
+                where: { ...where, completedAt: inRange },
+                select: { createdAt: true, startedAt: true, completedAt: true }
+            }),
+            // Open when the range began: created before it and not yet completed by then
+            prisma.task.count({
+                where: {
+                    ...where,
+                    createdAt: { lt: range.start },
+                    OR: [{ completedAt: null }, { completedAt: { gte: range.start } }]
+                }
+            })
+        ]);
+
+        // Built-in statuses are always listed; custom ones when some task has them
+        const statuses = [...new Set([...STATUS._ALL, ...statusGroups.map((group) => group.status)])];
+        const byStatus = countBy(statusGroups, 'status', statuses);
+        const byCategory = countBy(categoryGroups, 'statusCategory', STATUS._ALL);
+        const total = Object.values(byCategory).reduce((sum, count) => sum + count, 0);
+
+        res.json({
+            success: true,
+            data: {
+                total,
+                byStatus,
+                byCategory,
+                byPriority: countBy(priorityGroups, 'priority', Object.keys(PRIORITY_RANK)),
+                overdue,
+                // Share of tasks that are done, 0 to 1
+                completionRate: total > 0 ? Math.round((byCategory[STATUS.DONE] / total) * 1000) / 1000 : null,
+                leadTime: averageDuration(completed, 'createdAt', 'completedAt'),
+                cycleTime: averageDuration(completed, 'startedAt', 'completedAt'),
+                range: {
+                    from: formatZonedDate(range.start, filters.timeZone),
+                    to: formatZonedDate(startOfDay(range.end, filters.timeZone, -1), filters.timeZone),
+                    timeZone: filters.timeZone
+                },
+                series: buildDailySeries(
+                    range,
+                    created.map((task) => task.createdAt),
+                    completed.map((task) => task.completedAt),
+                    openAtStart,
+                    filters.timeZone
+                )
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching task stats:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch task statistics',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
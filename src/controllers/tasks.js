@@ -1,8 +1,438 @@
 import prisma from '../utils/prisma.js';
-import { STATUS, PRIORITY, DATE_FILTERS } from '../utils/constants.js';
+import {
+    STATUS,
+    PRIORITY,
+    ACTIVITY_ACTIONS,
+    RECURRENCE,
+    TASK_EVENTS,
+    STREAM,
+    TASK_SORTS,
+    RANKING,
+    BULK,
+    TRASH,
+    TRANSFER,
+    DATES,
+    SEARCH,
+    isValidStatus
+} from '../utils/constants.js';
+import { withSubtaskProgress, allSubtasksDone } from '../utils/subtasks.js';
+import { TASK_TAGS_INCLUDE, flattenTaskTags, ownsTags, resolveTagNames } from '../utils/tags.js';
+import { parseTaskFilters, buildTaskWhere, matchesTaskFilters } from '../utils/taskFilters.js';
+import { diffTask, recordActivity } from '../utils/activity.js';
+import {
+    normalizeRecurrence,
+    anchorRecurrence,
+    nextOccurrence,
+    previewOccurrences
+} from '../utils/recurrence.js';
+import { syncReminders, REMINDER_SELECT } from '../utils/reminders.js';
+import { checkTaskInput } from '../middlewares/validateTask.js';
+import { buildSearchQuery, searchTasks } from '../utils/search.js';
+import { rankBetween, rebalanceColumn, endOfColumnPosition } from '../utils/ranking.js';
+import {
+    PRIORITY_RANK,
+    parseTaskSort,
+    buildTaskOrderBy,
+    compareTasksBy,
+    encodeTaskCursor,
+    decodeTaskCursor,
+    buildTaskCursorWhere
+} from '../utils/taskSort.js';
+import { statusTimestamps } from '../utils/taskStats.js';
+import { enterStatus } from '../utils/workflows.js';
+import { assertUnblocked, withBlockedState } from '../utils/dependencies.js';
+import { taskETag, ifMatchPasses, ifNoneMatchHits, bumpDependentVersions } from '../utils/etag.js';
+import { trashPurgeAt, trashWhere, purgeTasks } from '../utils/trash.js';
+import { toCsvRow, parseCsv } from '../utils/csv.js';
+import { issueStreamToken } from '../utils/auth.js';
+import { publishTaskEvent } from '../services/taskEvents.js';
+import { eventsSince, subscribeToStream, trackStreamClient } from '../services/taskStream.js';
+import { removeStoredFiles } from '../services/attachmentStorage.js';
 // Import the Prisma-generated enum types
 import { Prisma } from '@prisma/client';
 
+/**
+ * Checks that a project exists and belongs to the given user
+ * @param {string} projectId
+ * @param {string} userId
+ * @param {Object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<boolean>}
+ */
+const ownsProject = async (projectId, userId, client = prisma) => {
+    const project = await client.project.findFirst({
+        where: { id: projectId, userId },
+        select: { id: true }
+    });
+    return Boolean(project);
+};
+
+/**
+ * Creates the next occurrence of a recurring task that was just completed
+ * Does nothing when the series has ended or the next occurrence already exists
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} task - The completed occurrence, loaded with TASK_TAGS_INCLUDE and its reminders
+ * @param {string} actorId - User who completed the task
+ * @returns {Promise<Object|null>} The new occurrence
+ */
+const createNextOccurrence = async (tx, task, actorId) => {
+    if (!task.recurrence || !task.dueDate) return null;
+
+    const dueDate = nextOccurrence(task.recurrence, task.dueDate, task.recurrenceIndex);
+    if (!dueDate) return null;
+
+    // The first occurrence's ID identifies the series
+    const seriesId = task.seriesId || task.id;
+    const recurrenceIndex = task.recurrenceIndex + 1;
+
+    // Re-completing an occurrence (DONE -> TODO -> DONE) must not spawn a duplicate
+    const existing = await tx.task.findFirst({
+        where: { seriesId, recurrenceIndex },
+        select: { id: true }
+    });
+    if (existing) return null;
+
+    const next = await tx.task.create({
+        data: {
+            title: task.title,
+            status: STATUS.TODO,
+            statusCategory: STATUS.TODO,
+            priority: task.priority,
+            priorityRank: task.priorityRank,
+            dueDate,
+            userId: task.userId,
+            projectId: task.projectId,
+            recurrence: task.recurrence,
+            seriesId,
+            recurrenceIndex,
+            position: await endOfColumnPosition(tx, { userId: task.userId, projectId: task.projectId, status: STATUS.TODO }),
+            tags: { create: task.tags.map(({ tagId }) => ({ tagId })) }
+        },
+        include: TASK_TAGS_INCLUDE
+    });
+    await recordActivity({
+        task: next,
+        actorId,
+        action: ACTIVITY_ACTIONS.CREATED,
+        changes: diffTask(null, next)
+    }, tx);
+    const reminders = await syncReminders(tx, next, task.reminders.map((reminder) => reminder.offsetMinutes));
+
+    return { ...next, reminders };
+};
+
+/**
+ * Builds an error that handlers turn into a JSON response with the given status
+ * @param {number} status - HTTP status
+ * @param {string} message
+ * @param {string} [field] - Offending request field
+ * @returns {Error}
+ */
+const taskError = (status, message, field) => Object.assign(new Error(message), { status, field });
+
+/**
+ * Whether a change finished or reopened a task, which changes its parent's progress and the
+ * blocked state of the tasks waiting on it
+ * @param {{statusCategory: string}} before
+ * @param {{statusCategory: string}} after
+ * @returns {boolean}
+ */
+const isDoneChange = (before, after) => (before.statusCategory === STATUS.DONE) !== (after.statusCategory === STATUS.DONE);
+
+/**
+ * Rejects a conditional write made against an outdated copy of the task
+ * @param {Object} task - Current task
+ * @param {string} [ifMatch] - The client's If-Match header
+ * @throws {Error} With `status` 412 and the `current` task when the header does not match
+ */
+const assertIfMatch = (task, ifMatch) => {
+    if (!ifMatchPasses(ifMatch, task)) {
+        throw Object.assign(taskError(412, 'The task has changed since you loaded it'), { current: task });
+    }
+};
+
+/**
+ * Sends the 412 response for a failed If-Match, with the server's copy so the client can merge
+ * @param {Object} res - Express response object
+ * @param {Error} error - Thrown by assertIfMatch
+ */
+const sendPreconditionFailed = (res, error) => {
+    res.set('ETag', taskETag(error.current)).status(412).json({
+        success: false,
+        error: error.message,
+        current: flattenTaskTags(error.current)
+    });
+};
+
+/**
+ * Maps the Prisma enum priority from the lowercase API value
+ * @param {string} priority
+ * @returns {string}
+ */
+const toPriorityEnum = (priority) => (
+    priority.toLowerCase() === 'low' ? 'LOW' :
+        priority.toLowerCase() === 'medium' ? 'MEDIUM' :
+            priority.toLowerCase() === 'high' ? 'HIGH' : 'MEDIUM'
+);
+
+/**
+ * Creates a task with its tags, reminders and activity entry
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} userId - Owner and actor
+ * @param {Object} data - Validated task fields (see validateTask)
+ * @returns {Promise<Object>} The task, loaded with TASK_TAGS_INCLUDE and its reminders
+ * @throws {Error} With `status` 400 or 404 when the input cannot be applied, 409 when the
+ *     board's workflow does not allow it
+ */
+const insertTask = async (tx, userId, data) => {
+    const { title, status = STATUS.TODO, priority = PRIORITY.MEDIUM, dueDate, projectId, tagIds = [], recurrence, reminders = [] } = data;
+
+    if (recurrence && !dueDate) {
+        throw taskError(400, 'Recurring tasks need a dueDate for their first occurrence', 'dueDate');
+    }
+    if (reminders.length > 0 && !dueDate) {
+        throw taskError(400, 'Reminders need a dueDate to count back from', 'dueDate');
+    }
+    if (projectId && !(await ownsProject(projectId, userId, tx))) {
+        throw taskError(404, 'Project not found', 'projectId');
+    }
+    if (!(await ownsTags(tagIds, userId, tx))) {
+        throw taskError(404, 'One or more tags not found', 'tagIds');
+    }
+    const { category } = await enterStatus(tx, { userId, projectId: projectId || null, status });
+
+    // Convert string values to Prisma enum types
+    const created = await tx.task.create({
+        data: {
+            title: title.trim(),
+            // Use the status directly (already validated)
+            status: status,
+            ...statusTimestamps(null, category),
+            // For priority, ensure case is handled correctly
+            priority: toPriorityEnum(priority),
+            priorityRank: PRIORITY_RANK[toPriorityEnum(priority)],
+            dueDate: dueDate ? new Date(dueDate) : null,
+            userId,
+            projectId: projectId || null,
+            position: await endOfColumnPosition(tx, { userId, projectId: projectId || null, status }),
+            ...(recurrence && { recurrence: anchorRecurrence(recurrence, new Date(dueDate)) }),
+            tags: { create: tagIds.map((tagId) => ({ tagId })) }
+        },
+        include: TASK_TAGS_INCLUDE
+    });
+    await recordActivity({
+        task: created,
+        actorId: userId,
+        action: ACTIVITY_ACTIONS.CREATED,
+        changes: diffTask(null, created)
+    }, tx);
+    return { ...created, reminders: await syncReminders(tx, created, reminders) };
+};
+
+/**
+ * Applies an update to one of the user's tasks, with activity, reminders and recurrence
+ * Scoping by owner makes another user's task indistinguishable from a missing one
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} userId - Owner and actor
+ * @param {string} id - Task ID
+ * @param {Object} data - Fields to change (see validateTask)
+ * @param {string} [ifMatch] - Only apply to this version of the task (an If-Match header)
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Start or finish the task even while it has open blockers
+ * @param {boolean} [options.skipWorkflow=false] - Move to a built-in status without the board's
+ *     transitions and WIP limits, for changes the user did not ask for directly
+ * @returns {Promise<Object>} The task with its reminders, `changes` and the `next` occurrence if one was created
+ * @throws {Error} With `status` 400, 404 or 412 when the update cannot be applied, 409 when the
+ *     board's workflow does not allow it or open blockers hold the task back
+ */
+export const applyTaskUpdate = async (tx, userId, id, data, ifMatch, { force = false, skipWorkflow = false } = {}) => {
+    const { title, status, priority, dueDate, projectId, tagIds, addTagIds, removeTagIds, recurrence, reminders } = data;
+
+    if (projectId && !(await ownsProject(projectId, userId, tx))) {
+        throw taskError(404, 'Project not found', 'projectId');
+    }
+    if (!(await ownsTags(tagIds || addTagIds || [], userId, tx))) {
+        throw taskError(404, 'One or more tags not found', 'tagIds');
+    }
+
+    // tagIds replaces the whole set; addTagIds/removeTagIds adjust it
+    const tagChanges = tagIds
+        ? { deleteMany: {}, create: tagIds.map((tagId) => ({ tagId })) }
+        : (addTagIds || removeTagIds) && {
+            deleteMany: { tagId: { in: [...(addTagIds || []), ...(removeTagIds || [])] } },
+            create: (addTagIds || []).map((tagId) => ({ tagId }))
+        };
+
+    const before = await tx.task.findFirst({
+        where: { id, userId, deletedAt: null },
+        include: TASK_TAGS_INCLUDE
+    });
+    if (!before) throw taskError(404, 'Task not found');
+    assertIfMatch(before, ifMatch);
+
+    const effectiveDueDate = dueDate !== undefined ? (dueDate ? new Date(dueDate) : null) : before.dueDate;
+    if ((recurrence || (recurrence === undefined && before.recurrence)) && !effectiveDueDate) {
+        throw taskError(400, 'Recurring tasks need a dueDate', 'dueDate');
+    }
+    if (reminders?.length > 0 && !effectiveDueDate) {
+        throw taskError(400, 'Reminders need a dueDate to count back from', 'dueDate');
+    }
+
+    // Subtasks are checklist items rather than cards, so board workflows do not apply to them
+    const board = projectId !== undefined ? projectId || null : before.projectId;
+    let target = null;
+    if (before.parentId || skipWorkflow) {
+        if (status && !STATUS._ALL.includes(status)) {
+            throw taskError(400, `Subtasks use the built-in statuses: ${STATUS._ALL.join(', ')}`, 'status');
+        }
+        target = status && { key: status, category: status };
+    } else if (status || board !== before.projectId) {
+        // A task moved to another board without a new status keeps its category there
+        target = await enterStatus(tx, {
+            userId,
+            projectId: board,
+            status: status || before.status,
+            task: before,
+            keepCategory: !status
+        });
+    }
+    await assertUnblocked(tx, before, target?.category, force);
+    const nextStatus = target && target.key !== before.status ? target.key : undefined;
+
+    const after = await tx.task.update({
+        where: { id, userId },
+        data: {
+            ...(title && { title: title.trim() }),
+            ...(nextStatus && { status: nextStatus }),
+            ...statusTimestamps(before, target?.category),
+            // A task moved to another column, by status or board, goes to the end of it
+            ...((nextStatus || board !== before.projectId) && !before.parentId && {
+                position: await endOfColumnPosition(tx, { userId, projectId: board, status: nextStatus ?? before.status })
+            }),
+            ...(priority && {
+                priority: toPriorityEnum(priority),
+                priorityRank: PRIORITY_RANK[toPriorityEnum(priority)]
+            }),
+            ...(dueDate !== undefined && {
+                dueDate: dueDate ? new Date(dueDate) : null
+            }),
+            ...(projectId !== undefined && { projectId: projectId || null }),
+            ...(tagChanges && { tags: tagChanges }),
+            ...(recurrence !== undefined && {
+                recurrence: recurrence ? anchorRecurrence(recurrence, effectiveDueDate) : Prisma.DbNull
+            }),
+            version: { increment: 1 }
+        },
+        include: TASK_TAGS_INCLUDE
+    });
+    const changes = diffTask(before, after);
+    await recordActivity({
+        task: after,
+        actorId: userId,
+        action: ACTIVITY_ACTIONS.UPDATED,
+        changes
+    }, tx);
+    if (isDoneChange(before, after)) await bumpDependentVersions(tx, { id });
+
+    // Re-arms reminders when the due date moved, or replaces them when new offsets were sent
+    const updatedReminders = await syncReminders(tx, after, reminders);
+
+    // Completing an occurrence of a recurring task schedules the next one
+    const next = before.statusCategory !== STATUS.DONE && after.statusCategory === STATUS.DONE
+        ? await createNextOccurrence(tx, { ...after, reminders: updatedReminders }, userId)
+        : null;
+
+    return { ...after, reminders: updatedReminders, next, changes };
+};
+
+/**
+ * Marks a parent task DONE once every one of its subtasks is DONE, as an update by its owner
+ * This is automatic, so the parent's board transitions and WIP limits do not apply; its open
+ * blockers do, and fail the change that finished the checklist
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} userId - Owner and actor
+ * @param {string|null} parentId
+ * @param {boolean} [force=false] - Complete the parent even while it has open blockers
+ * @returns {Promise<Object|null>} As applyTaskUpdate, or null when the parent stays as it is
+ * @throws {Error} With `status` 409 when open blockers hold the parent back
+ */
+export const completeParentIfDone = async (tx, userId, parentId, force = false) => {
+    if (!(await allSubtasksDone(parentId, tx))) return null;
+
+    const parent = await tx.task.findFirst({
+        where: { id: parentId, userId, deletedAt: null },
+        select: { statusCategory: true }
+    });
+    if (!parent || parent.statusCategory === STATUS.DONE) return null;
+
+    return applyTaskUpdate(tx, userId, parentId, { status: STATUS.DONE }, undefined, { force, skipWorkflow: true });
+};
+
+/**
+ * Moves one of the user's tasks and its subtasks to the trash and records it in the activity log
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} userId - Owner and actor
+ * @param {string} id - Task ID
+ * @param {string} [ifMatch] - Only delete this version of the task (an If-Match header)
+ * @returns {Promise<Object>} The trashed task
+ * @throws {Error} With `status` 404 when the task does not exist or is already trashed, 412 when
+ *     it does not match ifMatch
+ */
+export const removeTask = async (tx, userId, id, ifMatch) => {
+    const before = await tx.task.findFirst({
+        where: { id, userId, deletedAt: null },
+        include: TASK_TAGS_INCLUDE
+    });
+    if (!before) throw taskError(404, 'Task not found');
+    assertIfMatch(before, ifMatch);
+
+    // Subtasks share the parent's timestamp so restoring the parent brings back exactly these
+    const deletedAt = new Date();
+    await tx.task.updateMany({
+        where: { OR: [{ id }, { parentId: id }], deletedAt: null },
+        data: { deletedAt, version: { increment: 1 } }
+    });
+    await bumpDependentVersions(tx, { OR: [{ id }, { parentId: id }] });
+    await recordActivity({
+        task: before,
+        actorId: userId,
+        action: ACTIVITY_ACTIONS.DELETED,
+        changes: diffTask(before, null)
+    }, tx);
+    return { ...before, deletedAt, version: before.version + 1 };
+};
+
+/**
+ * Publishes the events for a committed update: updated, status_changed and
+ * created for a spawned recurrence
+ * @param {string} userId - Owner and actor
+ * @param {Object} task - Flattened task after the update
+ * @param {Object} changes - Output of diffTask
+ * @param {Object|null} nextOccurrence - Flattened next occurrence, if one was created
+ */
+export const announceUpdate = (userId, task, changes, nextOccurrence) => {
+    const event = { userId, actorId: userId, task, changes };
+    publishTaskEvent(TASK_EVENTS.UPDATED, event);
+    if (changes.status) {
+        publishTaskEvent(TASK_EVENTS.STATUS_CHANGED, event);
+    }
+    if (nextOccurrence) {
+        publishTaskEvent(TASK_EVENTS.CREATED, { userId, actorId: userId, task: nextOccurrence });
+    }
+};
+
+/**
+ * Publishes the events for a committed parent completion (see completeParentIfDone)
+ * @param {string} userId - Owner and actor
+ * @param {Object} parent - Output of completeParentIfDone
+ * @returns {Object} The flattened parent, for the response
+ */
+export const announceCompletedParent = (userId, parent) => {
+    const { next, changes, ...task } = parent;
+    const data = flattenTaskTags(task);
+    announceUpdate(userId, data, changes, next && flattenTaskTags(next));
+    return data;
+};
+
 /**
  * Create a new task
  * @param {Object} req - Express request object
@@ -10,12 +440,16 @@ import { Prisma } from '@prisma/client';
  * @param {string} [req.body.status=STATUS.TODO] - Task status
  * @param {string} [req.body.priority=PRIORITY.MEDIUM] - Task priority
  * @param {string} [req.body.dueDate] - Due date in ISO format
+ * @param {string} [req.body.projectId] - Project to create the task in
+ * @param {string[]} [req.body.tagIds] - Tags to attach
+ * @param {Object} [req.body.recurrence] - Recurrence rule; requires dueDate
+ * @param {Array<number|string>} [req.body.reminders] - Offsets before dueDate, e.g. ['1d', '1h']
  * @param {Object} res - Express response object
  */
 export const createTask = async (req, res) => {
     // Use the validated data from middleware
     const validatedData = req.validatedTaskData || {};
-    const { title, status = STATUS.TODO, priority = PRIORITY.MEDIUM, dueDate } = validatedData.title ? validatedData : req.body;
+    const { title, status = STATUS.TODO, priority = PRIORITY.MEDIUM, dueDate, projectId, tagIds = [], recurrence, reminders = [] } = validatedData.title ? validatedData : req.body;
 
     // Validation
     if (!title || typeof title !== 'string' || title.trim().length === 0) {
@@ -29,11 +463,11 @@ export const createTask = async (req, res) => {
         });
     }
 
-    if (status && !Object.values(STATUS).includes(status)) {
+    if (status && !isValidStatus(status)) {
         return res.status(400).json({
             success: false,
-            error: `Invalid status. Valid options: ${Object.values(STATUS).join(', ')}`,
-            validOptions: Object.values(STATUS)
+            error: 'Invalid status. Use the key of a status on the task\'s board, such as TODO, IN_PROGRESS or DONE',
+            field: 'status'
         });
     }
 
@@ -46,34 +480,24 @@ export const createTask = async (req, res) => {
     }
 
     try {
-        // Log the data being sent to prisma
-        console.log('Creating task with data:', {
-            title: title.trim(),
-            status: status || STATUS.TODO,
-            priority: priority || PRIORITY.MEDIUM,
-            dueDate: dueDate ? new Date(dueDate) : null
-        });
-
-        // Use the validated data
-        // Convert string values to Prisma enum types
-        const task = await prisma.task.create({
-            data: {
-                title: title.trim(),
-                // Use the status directly (already validated)
-                status: status,
-                // For priority, ensure case is handled correctly
-                // If it's lowercase, convert to uppercase for the enum
-                priority: priority.toLowerCase() === 'low' ? 'LOW' :
-                    priority.toLowerCase() === 'medium' ? 'MEDIUM' :
-                        priority.toLowerCase() === 'high' ? 'HIGH' : 'MEDIUM',
-                dueDate: dueDate ? new Date(dueDate) : null
-            }
-        });
-        res.status(201).json({
+        const task = await prisma.$transaction((tx) => insertTask(tx, req.user.id, {
+            title, status, priority, dueDate, projectId, tagIds, recurrence, reminders
+        }));
+        const data = flattenTaskTags(task);
+        publishTaskEvent(TASK_EVENTS.CREATED, { userId: req.user.id, actorId: req.user.id, task: data });
+
+        res.status(201).set('ETag', taskETag(data)).json({
             success: true,
-            data: task
+            data
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                field: error.field
+            });
+        }
         console.error('Error creating task:', error);
         res.status(400).json({
             success: false,
@@ -85,16 +509,31 @@ export const createTask = async (req, res) => {
 
 /**
  * Get filtered tasks with pagination
+ * Pages are numbered (page/limit) or follow opaque cursors (after/before). Cursors stay
+ * correct while tasks are added or removed and avoid counting skipped rows
  * @param {Object} req - Express request object
  * @param {string} [req.query.status] - Filter by status
  * @param {string} [req.query.priority] - Filter by priority
- * @param {string} [req.query.dateFilter] - 'today' or 'overdue'
+ * @param {string} [req.query.dateFilter] - One of DATE_FILTERS, such as 'today', 'next_7_days' or 'no_due_date'
+ * @param {string} [req.query.from] - Due on or after this date (YYYY-MM-DD or ISO date-time)
+ * @param {string} [req.query.to] - Due on or before this date; a plain date includes the whole day
+ * @param {string} [req.query.tz] - IANA time zone for calendar-relative dates (or the X-Timezone header)
+ * @param {string} [req.query.weekStart] - First day of the week, e.g. 'monday'
+ * @param {string} [req.query.projectId] - Filter by project
+ * @param {string} [req.query.tags] - Comma-separated tag IDs
+ * @param {string} [req.query.tagMode='any'] - 'any' or 'all' of the given tags
+ * @param {string} [req.query.filter] - Filter expression such as 'priority >= medium and dueDate < week+5d'
+ * @param {string} [req.query.q] - Full-text search over titles; results are ranked by relevance
+ * @param {string} [req.query.sort='default'] - 'default' (due date), 'manual' (drag-and-drop order),
+ * or fields with directions such as 'priority:desc,dueDate'
  * @param {number} [req.query.page=1] - Page number
  * @param {number} [req.query.limit=10] - Items per page
+ * @param {string} [req.query.after] - Cursor: the page after this task
+ * @param {string} [req.query.before] - Cursor: the page before this task
  * @param {Object} res - Express response object
  */
 export const getTasks = async (req, res) => {
-    const { status, priority, dateFilter, page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, after, before } = req.query;
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
 
@@ -106,92 +545,284 @@ export const getTasks = async (req, res) => {
         });
     }
 
-    const now = new Date();
-    let where = {};
+    if (after !== undefined && before !== undefined) {
+        return res.status(400).json({
+            success: false,
+            error: 'Use either after or before, not both',
+            field: 'before'
+        });
+    }
+    const cursor = after ?? before;
+    const cursorField = after !== undefined ? 'after' : 'before';
+
+    const { sort, preset, error: sortError } = parseTaskSort(req.query.sort);
+    if (sortError) {
+        return res.status(400).json({ success: false, ...sortError });
+    }
+
+    const { filters, error } = parseTaskFilters(req.query, req.get(DATES.TIME_ZONE_HEADER));
+    if (error) {
+        return res.status(400).json({ success: false, ...error });
+    }
+    const where = buildTaskWhere(filters, req.user.id);
+
+    const searchQuery = req.query.q !== undefined ? buildSearchQuery(req.query.q) : null;
+    if (req.query.q !== undefined && !searchQuery) {
+        return res.status(400).json({
+            success: false,
+            error: 'Search query must contain at least one word',
+            field: 'q'
+        });
+    }
 
-    // Status filter
-    if (status) {
-        if (!Object.values(STATUS).includes(status)) {
+    let cursorValues = null;
+    if (cursor !== undefined) {
+        if (searchQuery) {
             return res.status(400).json({
                 success: false,
-                error: `Invalid status. Valid options: ${Object.values(STATUS).join(', ')}`,
-                validOptions: Object.values(STATUS)
+                error: 'Search results are paged with page, not cursors',
+                field: cursorField
             });
         }
-        where.status = status;
-    }
-
-    // Priority filter
-    if (priority) {
-        if (!Object.values(PRIORITY).includes(priority)) {
+        cursorValues = decodeTaskCursor(cursor, sort);
+        if (!cursorValues) {
             return res.status(400).json({
                 success: false,
-                error: `Invalid priority. Valid options: ${Object.values(PRIORITY).join(', ')}`,
-                validOptions: Object.values(PRIORITY)
+                error: 'Invalid cursor; cursors only work with the sort they were returned for',
+                field: cursorField
             });
         }
-        where.priority = priority;
     }
 
-    // Date filters
-    if (dateFilter) {
-        if (!Object.values(DATE_FILTERS).includes(dateFilter)) {
-            return res.status(400).json({
-                success: false,
-                error: `Invalid date filter. Valid options: ${Object.values(DATE_FILTERS).join(', ')}`,
-                validOptions: Object.values(DATE_FILTERS)
+    const include = {
+        ...TASK_TAGS_INCLUDE,
+        reminders: REMINDER_SELECT,
+        _count: { select: { comments: true } }
+    };
+
+    try {
+        let tasks, total, matches, hasMore;
+
+        if (searchQuery) {
+            // The index ranks the matches; filters narrow them and the page is cut in relevance order
+            matches = await searchTasks(req.user.id, searchQuery);
+            const matching = await prisma.task.findMany({
+                where: { ...where, id: { in: [...matches.keys()] } },
+                select: Object.fromEntries(sort.map(({ column }) => [column, true]))
+            });
+            // The default sort means relevance when searching
+            const byRelevance = (a, b) => matches.get(b.id).rank - matches.get(a.id).rank;
+            const rankedIds = matching
+                .sort(preset === TASK_SORTS.DEFAULT ? byRelevance : compareTasksBy(sort))
+                .slice(0, SEARCH.MAX_RESULTS)
+                .map((task) => task.id);
+            const pageIds = rankedIds.slice((pageNum - 1) * limitNum, pageNum * limitNum);
+
+            const pageTasks = await prisma.task.findMany({ where: { id: { in: pageIds } }, include });
+            tasks = pageIds.map((id) => pageTasks.find((task) => task.id === id)).filter(Boolean);
+            total = rankedIds.length;
+        } else if (cursorValues) {
+            // Before a cursor, read backwards from it and flip the page back into order
+            const backwards = before !== undefined;
+            const rows = await prisma.task.findMany({
+                where: { AND: [where, buildTaskCursorWhere(sort, cursorValues, backwards)] },
+                orderBy: buildTaskOrderBy(sort, backwards),
+                take: limitNum + 1,
+                include
             });
+            hasMore = rows.length > limitNum;
+            tasks = rows.slice(0, limitNum);
+            if (backwards) tasks.reverse();
+        } else {
+            [tasks, total] = await Promise.all([
+                prisma.task.findMany({
+                    where,
+                    orderBy: buildTaskOrderBy(sort),
+                    skip: (pageNum - 1) * limitNum,
+                    take: limitNum,
+                    include
+                }),
+                prisma.task.count({ where })
+            ]);
         }
 
-        switch (dateFilter) {
-            case DATE_FILTERS.TODAY:
-                const startOfDay = new Date(now);
-                startOfDay.setHours(0, 0, 0, 0);
-                const endOfDay = new Date(now);
-                endOfDay.setHours(23, 59, 59, 999);
-                where.dueDate = { gte: startOfDay, lte: endOfDay };
-                break;
-            case DATE_FILTERS.OVERDUE:
-                where.dueDate = { lt: new Date() };
-                break;
-            case DATE_FILTERS.WEEK:
-                const startOfWeek = new Date(now);
-                startOfWeek.setDate(startOfWeek.getDate() - startOfWeek.getDay());
-                startOfWeek.setHours(0, 0, 0, 0);
-                const endOfWeek = new Date(startOfWeek);
-                endOfWeek.setDate(endOfWeek.getDate() + 6);
-                endOfWeek.setHours(23, 59, 59, 999);
-                where.dueDate = { gte: startOfWeek, lte: endOfWeek };
-                break;
+        const first = tasks.length > 0 && !searchQuery ? encodeTaskCursor(tasks[0], sort) : null;
+        const last = tasks.length > 0 && !searchQuery ? encodeTaskCursor(tasks.at(-1), sort) : null;
+        let pagination;
+        if (cursorValues) {
+            pagination = {
+                limit: limitNum,
+                nextCursor: before !== undefined || hasMore ? last : null,
+                prevCursor: after !== undefined || hasMore ? first : null
+            };
+        } else {
+            const totalPages = Math.ceil(total / limitNum);
+            pagination = {
+                total,
+                page: pageNum,
+                limit: limitNum,
+                totalPages,
+                // Lets clients switch to cursors from a numbered page
+                ...(!searchQuery && {
+                    nextCursor: pageNum < totalPages ? last : null,
+                    prevCursor: pageNum > 1 ? first : null
+                })
+            };
+        }
+
+        res.json({
+            success: true,
+            data: await withBlockedState(await withSubtaskProgress(tasks.map(({ _count, ...task }) => ({
+                ...flattenTaskTags(task),
+                commentCount: _count.comments,
+                ...(matches && {
+                    searchRank: matches.get(task.id).rank,
+                    highlight: matches.get(task.id).highlight
+                })
+            })))),
+            pagination
+        });
+    } catch (error) {
+        console.error('Error fetching tasks:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch tasks',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Rebuilds a task's state before an update from its recorded changes
+ * @param {Object} task - Task after the update
+ * @param {Object} changes - Output of diffTask
+ * @returns {Object}
+ */
+const previousSnapshot = (task, changes) => {
+    const previous = { ...task };
+    for (const [field, { from }] of Object.entries(changes || {})) {
+        // Tag changes are recorded as tag IDs
+        previous[field] = field === 'tags' ? from || [] : from;
+    }
+    return previous;
+};
+
+/**
+ * Issue a short-lived token for opening the task stream with EventSource
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createStreamToken = (req, res) => {
+    res.status(201).json({
+        success: true,
+        data: issueStreamToken(req.user)
+    });
+};
+
+/**
+ * Stream task changes as Server-Sent Events
+ * Accepts the getTasks filters; an update is sent when the task matched before or after it,
+ * so clients can drop tasks that moved out of their view
+ * @param {Object} req - Express request object
+ * @param {string} [req.headers.last-event-id] - Resume after this event (sent by EventSource on reconnect)
+ * @param {string} [req.query.lastEventId] - Same as the header, for clients that cannot set it
+ * @param {Object} res - Express response object
+ */
+export const streamTasks = (req, res) => {
+    const { filters, error } = parseTaskFilters(req.query, req.get(DATES.TIME_ZONE_HEADER));
+    if (error) {
+        return res.status(400).json({ success: false, ...error });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Stop nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${STREAM.RETRY_MS}\n\n`);
+
+    const send = ({ id, event }) => {
+        if (event.userId !== req.user.id) return;
+
+        const relevant = matchesTaskFilters(event.task, filters) ||
+            (event.type === TASK_EVENTS.UPDATED && matchesTaskFilters(previousSnapshot(event.task, event.changes), filters));
+        if (!relevant) return;
+
+        const { userId, ...data } = event;
+        res.write(`id: ${id}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+        const missed = eventsSince(lastEventId);
+        if (missed) {
+            missed.forEach(send);
+        } else {
+            // Too far behind to replay; the client should refetch the task list
+            res.write('event: reset\ndata: {}\n\n');
         }
     }
 
+    const unsubscribe = subscribeToStream(send);
+    const untrack = trackStreamClient(res);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM.HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        untrack();
+    });
+};
+
+/**
+ * Get one task, with the same fields as in the task list
+ * Answers 304 without a body when If-None-Match names the current version
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Task ID
+ * @param {string} [req.headers.if-none-match] - ETag of the copy the client already has
+ * @param {Object} res - Express response object
+ */
+export const getTask = async (req, res) => {
+    const { id } = req.params;
+
     try {
-        const [tasks, total] = await Promise.all([
-            prisma.task.findMany({
-                where,
-                orderBy: [{ dueDate: 'asc' }, { createdAt: 'desc' }],
-                skip: (pageNum - 1) * limitNum,
-                take: limitNum
-            }),
-            prisma.task.count({ where })
-        ]);
+        const task = await prisma.task.findFirst({
+            where: { id, userId: req.user.id, deletedAt: null },
+            include: {
+                ...TASK_TAGS_INCLUDE,
+                reminders: REMINDER_SELECT,
+                _count: { select: { comments: true } }
+            }
+        });
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+
+        const etag = taskETag(task);
+        res.set('ETag', etag);
+        if (ifNoneMatchHits(req.get('If-None-Match'), etag)) {
+            return res.status(304).end();
+        }
 
+        const { _count, ...fields } = task;
+        const [data] = await withBlockedState(
+            await withSubtaskProgress([{ ...flattenTaskTags(fields), commentCount: _count.comments }])
+        );
         res.json({
             success: true,
-            data: tasks,
-            pagination: {
-                total,
-                page: pageNum,
-                limit: limitNum,
-                totalPages: Math.ceil(total / limitNum)
-            }
+            data
         });
     } catch (error) {
-        console.error('Error fetching tasks:', error);
+        console.error('Error fetching task:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to fetch tasks',
+            error: 'Failed to fetch task',
             details: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
@@ -199,14 +830,18 @@ export const getTasks = async (req, res) => {
 
 /**
  * Update an existing task
+ * Starting or finishing a task with open blockers is refused with 409 unless forced
  * @param {Object} req - Express request object
  * @param {string} req.params.id - Task ID
  * @param {Object} req.body - Update fields
+ * @param {string} [req.headers.if-match] - Only update this version of the task, else 412
+ * @param {string} [req.query.force] - 'true' to start or finish the task even while it has open blockers
  * @param {Object} res - Express response object
  */
 export const updateTask = async (req, res) => {
     const { id } = req.params;
-    const { title, status, priority, dueDate } = req.body;
+    const { title, status, priority, dueDate, projectId } = req.body;
+    const { tagIds, addTagIds, removeTagIds, recurrence, reminders } = req.validatedTaskData || {};
 
     // Validate ID format
     if (!id || typeof id !== 'string') {
@@ -217,11 +852,11 @@ export const updateTask = async (req, res) => {
     }
 
     // Validate update fields
-    if (status && !Object.values(STATUS).includes(status)) {
+    if (status && !isValidStatus(status)) {
         return res.status(400).json({
             success: false,
-            error: `Invalid status. Valid options: ${Object.values(STATUS).join(', ')}`,
-            validOptions: Object.values(STATUS)
+            error: 'Invalid status. Use the key of a status on the task\'s board, such as TODO, IN_PROGRESS or DONE',
+            field: 'status'
         });
     }
 
@@ -234,24 +869,29 @@ export const updateTask = async (req, res) => {
     }
 
     try {
-        const updatedTask = await prisma.task.update({
-            where: { id },
-            data: {
-                ...(title && { title: title.trim() }),
-                ...(status && { status }),
-                ...(priority && {
-                    priority: priority.toLowerCase() === 'low' ? 'LOW' :
-                        priority.toLowerCase() === 'medium' ? 'MEDIUM' :
-                            priority.toLowerCase() === 'high' ? 'HIGH' : 'MEDIUM'
-                }),
-                ...(dueDate !== undefined && {
-                    dueDate: dueDate ? new Date(dueDate) : null
-                })
-            }
+        const force = req.query.force === 'true';
+        const { updatedTask, parent } = await prisma.$transaction(async (tx) => {
+            const updated = await applyTaskUpdate(tx, req.user.id, id, {
+                title, status, priority, dueDate, projectId, tagIds, addTagIds, removeTagIds, recurrence, reminders
+            }, req.get('If-Match'), { force });
+            // Completing the last open subtask completes its parent in the same transaction
+            return {
+                updatedTask: updated,
+                parent: updated.changes.status ? await completeParentIfDone(tx, req.user.id, updated.parentId, force) : null
+            };
         });
-        res.json({
+
+        const { next, changes, ...task } = updatedTask;
+        const data = flattenTaskTags(task);
+        const nextOccurrence = next && flattenTaskTags(next);
+        announceUpdate(req.user.id, data, changes, nextOccurrence);
+        const completedParent = parent && announceCompletedParent(req.user.id, parent);
+
+        res.set('ETag', taskETag(data)).json({
             success: true,
-            data: updatedTask
+            data,
+            ...(completedParent && { parent: completedParent }),
+            ...(nextOccurrence && { nextOccurrence })
         });
     } catch (error) {
         if (error.code === 'P2025') {
@@ -260,6 +900,16 @@ export const updateTask = async (req, res) => {
                 error: 'Task not found'
             });
         }
+        if (error.status === 412) {
+            return sendPreconditionFailed(res, error);
+        }
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                field: error.field
+            });
+        }
         console.error('Error updating task:', error);
         res.status(400).json({
             success: false,
@@ -270,37 +920,1039 @@ export const updateTask = async (req, res) => {
 };
 
 /**
- * Delete a task
+ * Looks up the task immediately before or after a position in a status column
+ * @param {Object} tx - Prisma transaction client
+ * @param {import('../utils/ranking.js').Column} column
+ * @param {string} excludeId - The task being moved
+ * @param {'before'|'after'} side
+ * @param {string} position
+ * @returns {Promise<{id: string, position: string}|null>}
+ */
+const findColumnNeighbour = (tx, column, excludeId, side, position) => {
+    return tx.task.findFirst({
+        where: {
+            ...column,
+            parentId: null,
+            deletedAt: null,
+            id: { not: excludeId },
+            position: side === 'before' ? { lt: position } : { gt: position }
+        },
+        orderBy: { position: side === 'before' ? 'desc' : 'asc' },
+        select: { id: true, position: true }
+    });
+};
+
+/**
+ * Move a task within its status column or into another one of its board (drag and drop)
+ * Only the moved task gets a new position key unless the keys have grown too long,
+ * in which case the target column is rebalanced
  * @param {Object} req - Express request object
  * @param {string} req.params.id - Task ID
+ * @param {string} req.body.status - Target status column
+ * @param {string} [req.body.beforeId] - Task that ends up directly above the moved task
+ * @param {string} [req.body.afterId] - Task that ends up directly below the moved task
+ * @param {string} [req.query.force] - 'true' to start or finish the task even while it has open blockers
  * @param {Object} res - Express response object
  */
-export const deleteTask = async (req, res) => {
+export const moveTask = async (req, res) => {
     const { id } = req.params;
+    const { status, beforeId = null, afterId = null } = req.body || {};
 
-    // Validate ID format
-    if (!id || typeof id !== 'string') {
+    if (!isValidStatus(status)) {
         return res.status(400).json({
             success: false,
-            error: 'Invalid task ID'
+            error: 'status must be the key of a status on the task\'s board, such as TODO, IN_PROGRESS or DONE',
+            field: 'status'
         });
     }
 
+    for (const [field, value] of [['beforeId', beforeId], ['afterId', afterId]]) {
+        if (value !== null && (typeof value !== 'string' || value === id)) {
+            return res.status(400).json({
+                success: false,
+                error: `${field} must be the ID of another task`,
+                field
+            });
+        }
+    }
+
     try {
-        await prisma.task.delete({ where: { id } });
-        res.status(204).end();
-    } catch (error) {
-        if (error.code === 'P2025') {
+        const moved = await prisma.$transaction(async (tx) => {
+            const before = await tx.task.findFirst({
+                where: { id, userId: req.user.id, deletedAt: null },
+                include: { ...TASK_TAGS_INCLUDE, reminders: REMINDER_SELECT }
+            });
+            if (!before) return null;
+            if (before.parentId) {
+                throw taskError(400, 'Subtasks are ordered within their parent task');
+            }
+            assertIfMatch(before, req.get('If-Match'));
+            const { category } = await enterStatus(tx, {
+                userId: req.user.id,
+                projectId: before.projectId,
+                status,
+                task: before
+            });
+            await assertUnblocked(tx, before, category, req.query.force === 'true');
+
+            // Columns are per board, so neighbours from another project's board are refused
+            const column = { userId: req.user.id, projectId: before.projectId, status };
+            const neighbourIds = [beforeId, afterId].filter(Boolean);
+            const loadNeighbours = () => tx.task.findMany({
+                where: { ...column, parentId: null, deletedAt: null, id: { in: neighbourIds } },
+                select: { id: true, position: true }
+            });
+
+            let neighbours = await loadNeighbours();
+            if (neighbours.length !== neighbourIds.length) {
+                throw taskError(400, 'Neighbours must be top-level tasks in the target column of the task\'s board');
+            }
+            // Columns created before manual ordering have no positions yet
+            if (neighbours.some((task) => task.position === null)) {
+                await rebalanceColumn(tx, column);
+                neighbours = await loadNeighbours();
+            }
+
+            let prev = neighbours.find((task) => task.id === beforeId) || null;
+            let next = neighbours.find((task) => task.id === afterId) || null;
+            if (prev && next && prev.position >= next.position) {
+                throw taskError(409, 'Neighbours are out of order; reload the board and try again');
+            }
+
+            // With one neighbour, the other side is whatever currently sits next to it
+            const resolveNeighbours = async () => {
+                if (prev && !afterId) next = await findColumnNeighbour(tx, column, id, 'after', prev.position);
+                if (next && !beforeId) prev = await findColumnNeighbour(tx, column, id, 'before', next.position);
+            };
+            await resolveNeighbours();
+
+            let position = prev || next
+                ? rankBetween(prev?.position ?? null, next?.position ?? null)
+                : await endOfColumnPosition(tx, column);
+
+            if (position.length > RANKING.MAX_LENGTH) {
+                const positions = new Map((await rebalanceColumn(tx, column))
+                    .map((task) => [task.id, task.position]));
+                prev = prev && { id: prev.id, position: positions.get(prev.id) };
+                next = next && { id: next.id, position: positions.get(next.id) };
+                await resolveNeighbours();
+                position = rankBetween(prev?.position ?? null, next?.position ?? null);
+            }
+
+            const after = await tx.task.update({
+                where: { id },
+                data: { status, position, ...statusTimestamps(before, category), version: { increment: 1 } },
+                include: { ...TASK_TAGS_INCLUDE, reminders: REMINDER_SELECT }
+            });
+            const changes = diffTask(before, after);
+            await recordActivity({
+                task: after,
+                actorId: req.user.id,
+                action: ACTIVITY_ACTIONS.UPDATED,
+                changes
+            }, tx);
+            if (isDoneChange(before, after)) await bumpDependentVersions(tx, { id });
+
+            // Dropping a recurring task into DONE completes it like any other status change
+            const nextOccurrence = before.statusCategory !== STATUS.DONE && after.statusCategory === STATUS.DONE
+                ? await createNextOccurrence(tx, after, req.user.id)
+                : null;
+
+            return { ...after, next: nextOccurrence, changes };
+        });
+
+        if (!moved) {
             return res.status(404).json({
                 success: false,
                 error: 'Task not found'
             });
         }
-        console.error('Error deleting task:', error);
+
+        const { next, changes, ...task } = moved;
+        const data = flattenTaskTags(task);
+        const nextOccurrence = next && flattenTaskTags(next);
+        announceUpdate(req.user.id, data, changes, nextOccurrence);
+
+        res.set('ETag', taskETag(data)).json({
+            success: true,
+            data,
+            ...(nextOccurrence && { nextOccurrence })
+        });
+    } catch (error) {
+        if (error.status === 412) {
+            return sendPreconditionFailed(res, error);
+        }
+        if (error.status === 400 || error.status === 409) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                field: error.field
+            });
+        }
+        console.error('Error moving task:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to delete task',
+            error: 'Failed to move task',
             details: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
+};
+
+/**
+ * Move a task to the trash; it is purged after TRASH.RETENTION_DAYS unless restored
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Task ID
+ * @param {string} [req.headers.if-match] - Only delete this version of the task, else 412
+ * @param {Object} res - Express response object
+ */
+export const deleteTask = async (req, res) => {
+    const { id } = req.params;
+
+    // Validate ID format
+    if (!id || typeof id !== 'string') {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid task ID'
+        });
+    }
+
+    try {
+        const deleted = await prisma.$transaction((tx) => removeTask(tx, req.user.id, id, req.get('If-Match')));
+
+        publishTaskEvent(TASK_EVENTS.DELETED, {
+            userId: req.user.id,
+            actorId: req.user.id,
+            task: flattenTaskTags(deleted)
+        });
+
+        res.status(204).end();
+    } catch (error) {
+        if (error.code === 'P2025' || error.status === 404) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+        if (error.status === 412) {
+            return sendPreconditionFailed(res, error);
+        }
+        console.error('Error deleting task:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete task',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Get the tasks in the trash, most recently deleted first
+ * @param {Object} req - Express request object
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=10] - Items per page
+ * @param {Object} res - Express response object
+ */
+export const getTrash = async (req, res) => {
+    const { page = 1, limit = 10 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    if (isNaN(pageNum) || isNaN(limitNum) || pageNum < 1 || limitNum < 1) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid pagination parameters'
+        });
+    }
+
+    const where = trashWhere(req.user.id);
+
+    try {
+        const [tasks, total] = await Promise.all([
+            prisma.task.findMany({
+                where,
+                orderBy: { deletedAt: 'desc' },
+                skip: (pageNum - 1) * limitNum,
+                take: limitNum,
+                include: TASK_TAGS_INCLUDE
+            }),
+            prisma.task.count({ where })
+        ]);
+
+        res.json({
+            success: true,
+            data: tasks.map((task) => ({
+                ...flattenTaskTags(task),
+                purgeAt: trashPurgeAt(task.deletedAt)
+            })),
+            retentionDays: TRASH.RETENTION_DAYS,
+            pagination: {
+                total,
+                page: pageNum,
+                limit: limitNum,
+                totalPages: Math.ceil(total / limitNum)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch trash',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Restore a task from the trash, together with the subtasks that were trashed with it
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Task ID
+ * @param {Object} res - Express response object
+ */
+export const restoreTask = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const restored = await prisma.$transaction(async (tx) => {
+            const trashed = await tx.task.findFirst({
+                where: { id, userId: req.user.id, deletedAt: { not: null } },
+                include: { parent: { select: { deletedAt: true } } }
+            });
+            if (!trashed) throw taskError(404, 'Task not found in trash');
+            if (trashed.parent?.deletedAt) {
+                throw taskError(409, 'The parent task is in the trash; restore it first');
+            }
+
+            await tx.task.updateMany({
+                where: { OR: [{ id }, { parentId: id }], deletedAt: trashed.deletedAt },
+                data: { deletedAt: null, version: { increment: 1 } }
+            });
+            await bumpDependentVersions(tx, { OR: [{ id }, { parentId: id }] });
+            const task = await tx.task.findUnique({
+                where: { id },
+                include: { ...TASK_TAGS_INCLUDE, reminders: REMINDER_SELECT }
+            });
+            await recordActivity({
+                task,
+                actorId: req.user.id,
+                action: ACTIVITY_ACTIONS.RESTORED,
+                changes: diffTask(null, task)
+            }, tx);
+            return task;
+        });
+
+        const data = flattenTaskTags(restored);
+        publishTaskEvent(TASK_EVENTS.RESTORED, { userId: req.user.id, actorId: req.user.id, task: data });
+
+        res.set('ETag', taskETag(data)).json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        if (error.status === 404 || error.status === 409) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Error restoring task:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to restore task',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Permanently delete every task in the trash
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const emptyTrash = async (req, res) => {
+    try {
+        const purged = await prisma.$transaction(
+            (tx) => purgeTasks(tx, trashWhere(req.user.id)),
+            { timeout: BULK.TRANSACTION_TIMEOUT_MS }
+        );
+        await removeStoredFiles(purged.flatMap((task) => task.storageKeys));
+
+        res.json({
+            success: true,
+            data: { purged: purged.length }
+        });
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to empty trash',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Permanently delete one task from the trash, with its subtasks
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Task ID
+ * @param {Object} res - Express response object
+ */
+export const purgeTask = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const purged = await prisma.$transaction((tx) => purgeTasks(tx, { ...trashWhere(req.user.id), id }));
+        if (purged.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found in trash'
+            });
+        }
+        await removeStoredFiles(purged.flatMap((task) => task.storageKeys));
+
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error purging task:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to purge task',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Checks the shape of one bulk operation and validates its task fields like validateTask
+ * @param {Object} operation - `{op, id?, data?, ifMatch?, force?}`
+ * @returns {{op: string, id?: string, data?: Object, ifMatch?: string, force?: boolean}|{error: Object}}
+ */
+const prepareBulkOperation = (operation) => {
+    const { op, id, data } = operation || {};
+
+    if (!BULK.OPERATIONS._ALL.includes(op)) {
+        return {
+            error: {
+                status: 400,
+                error: `Invalid op. Valid options: ${BULK.OPERATIONS._ALL.join(', ')}`,
+                field: 'op'
+            }
+        };
+    }
+    if (op !== BULK.OPERATIONS.CREATE && (typeof id !== 'string' || id.length === 0)) {
+        return { error: { status: 400, error: `A ${op} operation needs the task id`, field: 'id' } };
+    }
+    if (operation.ifMatch !== undefined && (op === BULK.OPERATIONS.CREATE || typeof operation.ifMatch !== 'string')) {
+        return { error: { status: 400, error: 'ifMatch must be the ETag of the task being changed', field: 'ifMatch' } };
+    }
+    const { ifMatch } = operation;
+    if (op === BULK.OPERATIONS.DELETE) {
+        return { op, id, ifMatch };
+    }
+    if (operation.force !== undefined && (op !== BULK.OPERATIONS.UPDATE || typeof operation.force !== 'boolean')) {
+        return { error: { status: 400, error: 'force must be true or false, and only on updates', field: 'force' } };
+    }
+
+    // Updates may change any subset of fields, so only creates need a title
+    const checked = checkTaskInput(data, { requireTitle: op === BULK.OPERATIONS.CREATE });
+    if (checked.error) {
+        return { error: { status: 400, ...checked.error } };
+    }
+    return { op, id, data: checked.data, ifMatch, force: operation.force };
+};
+
+/**
+ * Runs one prepared bulk operation inside the batch transaction
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} userId
+ * @param {Object} operation - Output of prepareBulkOperation
+ * @returns {Promise<Object>} Raw result, turned into events and a response after commit
+ */
+const runBulkOperation = async (tx, userId, { op, id, data, ifMatch, force }) => {
+    switch (op) {
+        case BULK.OPERATIONS.CREATE:
+            return { status: 201, task: await insertTask(tx, userId, data) };
+        case BULK.OPERATIONS.UPDATE: {
+            const task = await applyTaskUpdate(tx, userId, id, data, ifMatch, { force });
+            return {
+                status: 200,
+                task,
+                parent: task.changes.status ? await completeParentIfDone(tx, userId, task.parentId, force) : null
+            };
+        }
+        case BULK.OPERATIONS.DELETE:
+            return { status: 200, task: await removeTask(tx, userId, id, ifMatch) };
+    }
+};
+
+/**
+ * Apply a batch of create, update and delete operations in one transaction
+ * In atomic mode the first failure rolls everything back; in best-effort mode each
+ * operation runs in its own savepoint, so a failure only undoes that operation
+ * @param {Object} req - Express request object
+ * @param {string} [req.body.mode='atomic'] - 'atomic' or 'best_effort'
+ * @param {Object[]} req.body.operations - `{op: 'create', data}`, `{op: 'update', id, data}` or `{op: 'delete', id}`;
+ *     updates and deletes may add `ifMatch`, a task ETag, to fail with 412 when the task has changed;
+ *     updates may add `force: true` to start or finish a task that has open blockers
+ * @param {Object} res - Express response object
+ */
+export const bulkTasks = async (req, res) => {
+    const { mode = BULK.MODES.ATOMIC, operations } = req.body || {};
+    const userId = req.user.id;
+
+    if (!BULK.MODES._ALL.includes(mode)) {
+        return res.status(400).json({
+            success: false,
+            error: `Invalid mode. Valid options: ${BULK.MODES._ALL.join(', ')}`,
+            field: 'mode',
+            validOptions: BULK.MODES._ALL
+        });
+    }
+
+    if (!Array.isArray(operations) || operations.length === 0 || operations.length > BULK.MAX_OPERATIONS) {
+        return res.status(400).json({
+            success: false,
+            error: `operations must be a list of 1 to ${BULK.MAX_OPERATIONS} operations`,
+            field: 'operations'
+        });
+    }
+
+    const prepared = operations.map(prepareBulkOperation);
+    const atomic = mode === BULK.MODES.ATOMIC;
+    const results = new Array(prepared.length);
+
+    const failure = (index, { status, error, field }) => ({
+        index,
+        op: prepared[index].op ?? operations[index]?.op,
+        success: false,
+        status,
+        error,
+        ...(field && { field })
+    });
+    const summarize = () => {
+        const succeeded = results.filter((result) => result.success).length;
+        return { total: results.length, succeeded, failed: results.length - succeeded };
+    };
+
+    prepared.forEach((item, index) => {
+        if (item.error) results[index] = failure(index, item.error);
+    });
+
+    const invalid = results.findIndex(Boolean);
+    if (atomic && invalid !== -1) {
+        prepared.forEach((item, index) => {
+            results[index] ??= failure(index, { status: 424, error: 'Not applied: another operation is invalid' });
+        });
+        return res.status(400).json({
+            success: false,
+            mode,
+            error: `Operation ${invalid} is invalid; nothing was applied`,
+            summary: summarize(),
+            results
+        });
+    }
+
+    const applied = [];
+    let failedIndex = null;
+
+    try {
+        await prisma.$transaction(async (tx) => {
+            for (const [index, item] of prepared.entries()) {
+                if (item.error) continue;
+
+                if (!atomic) await tx.$executeRawUnsafe('SAVEPOINT bulk_operation');
+                try {
+                    applied.push({ index, op: item.op, ...(await runBulkOperation(tx, userId, item)) });
+                    if (!atomic) await tx.$executeRawUnsafe('RELEASE SAVEPOINT bulk_operation');
+                } catch (error) {
+                    if (atomic) {
+                        failedIndex = index;
+                        throw error;
+                    }
+                    await tx.$executeRawUnsafe('ROLLBACK TO SAVEPOINT bulk_operation');
+                    await tx.$executeRawUnsafe('RELEASE SAVEPOINT bulk_operation');
+                    if (!error.status) console.error(`Error in bulk operation ${index}:`, error);
+                    results[index] = failure(index, {
+                        status: error.status || 500,
+                        error: error.status ? error.message : 'Operation failed',
+                        field: error.field
+                    });
+                }
+            }
+        }, { timeout: BULK.TRANSACTION_TIMEOUT_MS });
+    } catch (error) {
+        if (failedIndex === null) {
+            console.error('Error applying bulk operations:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to apply bulk operations',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+
+        if (!error.status) console.error(`Error in bulk operation ${failedIndex}:`, error);
+        prepared.forEach((item, index) => {
+            results[index] = index === failedIndex
+                ? failure(index, {
+                    status: error.status || 500,
+                    error: error.status ? error.message : 'Operation failed',
+                    field: error.field
+                })
+                : failure(index, {
+                    status: 424,
+                    error: index < failedIndex ? 'Rolled back: a later operation failed' : 'Not attempted: an earlier operation failed'
+                });
+        });
+        return res.status(error.status || 500).json({
+            success: false,
+            mode,
+            error: `Operation ${failedIndex} failed; nothing was applied`,
+            summary: summarize(),
+            results
+        });
+    }
+
+    // Only committed changes reach subscribers
+    for (const { index, op, status, task, parent } of applied) {
+        if (op === BULK.OPERATIONS.DELETE) {
+            publishTaskEvent(TASK_EVENTS.DELETED, { userId, actorId: userId, task: flattenTaskTags(task) });
+            results[index] = { index, op, success: true, status, data: { id: task.id } };
+            continue;
+        }
+
+        if (op === BULK.OPERATIONS.CREATE) {
+            const data = flattenTaskTags(task);
+            publishTaskEvent(TASK_EVENTS.CREATED, { userId, actorId: userId, task: data });
+            results[index] = { index, op, success: true, status, data };
+            continue;
+        }
+
+        const { next, changes, ...updated } = task;
+        const data = flattenTaskTags(updated);
+        const nextOccurrence = next && flattenTaskTags(next);
+        announceUpdate(userId, data, changes, nextOccurrence);
+        if (parent) announceCompletedParent(userId, parent);
+        results[index] = { index, op, success: true, status, data, ...(nextOccurrence && { nextOccurrence }) };
+    }
+
+    const summary = summarize();
+    res.status(summary.failed === 0 ? 200 : 207).json({
+        success: summary.failed === 0,
+        mode,
+        summary,
+        results
+    });
+};
+
+/**
+ * Converts a task loaded with TASK_TAGS_INCLUDE into an export record
+ * Priority uses the lowercase API values so exported files can be imported again
+ * @param {Object} task
+ * @returns {Object}
+ */
+const toExportRecord = (task) => ({
+    id: task.id,
+    title: task.title,
+    status: task.status,
+    priority: task.priority.toLowerCase(),
+    dueDate: task.dueDate ? task.dueDate.toISOString() : null,
+    projectId: task.projectId,
+    tags: task.tags.map(({ tag }) => tag.name),
+    createdAt: task.createdAt.toISOString(),
+    updatedAt: task.updatedAt.toISOString()
+});
+
+/**
+ * Export tasks as a CSV or JSON download
+ * Accepts the getTasks filters and search; rows are read and written in batches,
+ * so large exports do not have to fit in memory
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.format='csv'] - 'csv' or 'json'
+ * @param {Object} res - Express response object
+ */
+export const exportTasks = async (req, res) => {
+    const { format = TRANSFER.FORMATS.CSV } = req.query;
+
+    if (!TRANSFER.FORMATS._ALL.includes(format)) {
+        return res.status(400).json({
+            success: false,
+            error: `Invalid format. Valid options: ${TRANSFER.FORMATS._ALL.join(', ')}`,
+            field: 'format',
+            validOptions: TRANSFER.FORMATS._ALL
+        });
+    }
+
+    const { filters, error } = parseTaskFilters(req.query, req.get(DATES.TIME_ZONE_HEADER));
+    if (error) {
+        return res.status(400).json({ success: false, ...error });
+    }
+    const where = buildTaskWhere(filters, req.user.id);
+
+    const searchQuery = req.query.q !== undefined ? buildSearchQuery(req.query.q) : null;
+    if (req.query.q !== undefined && !searchQuery) {
+        return res.status(400).json({
+            success: false,
+            error: 'Search query must contain at least one word',
+            field: 'q'
+        });
+    }
+
+    const fetchBatch = (cursor) => prisma.task.findMany({
+        where,
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        take: TRANSFER.EXPORT_BATCH_SIZE,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+        include: TASK_TAGS_INCLUDE
+    });
+
+    // The first batch is read before any output so a database error can still become a JSON response
+    let batch;
+    try {
+        if (searchQuery) {
+            const matches = await searchTasks(req.user.id, searchQuery);
+            where.id = { in: [...matches.keys()] };
+        }
+        batch = await fetchBatch();
+    } catch (error) {
+        console.error('Error exporting tasks:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to export tasks',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+
+    const csv = format === TRANSFER.FORMATS.CSV;
+    const toChunk = (task, index) => {
+        const record = toExportRecord(task);
+        if (csv) {
+            return toCsvRow(TRANSFER.EXPORT_FIELDS.map((field) => (
+                field === 'tags' ? record.tags.join(`${TRANSFER.TAG_SEPARATOR} `) : record[field]
+            )));
+        }
+        return `${index === 0 ? '' : ','}\n${JSON.stringify(record)}`;
+    };
+
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
+    // Waits for the client to take buffered output, or to go away
+    const drained = () => new Promise((resolve) => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+
+    res.attachment(`tasks-${new Date().toISOString().slice(0, 10)}.${format}`);
+    res.write(csv ? toCsvRow(TRANSFER.EXPORT_FIELDS) : '[');
+
+    try {
+        let written = 0;
+        while (batch.length > 0 && !closed) {
+            const chunk = batch.map((task, index) => toChunk(task, written + index)).join('');
+            written += batch.length;
+            if (!res.write(chunk)) await drained();
+
+            if (batch.length < TRANSFER.EXPORT_BATCH_SIZE) break;
+            batch = await fetchBatch(batch.at(-1).id);
+        }
+
+        res.end(csv ? '' : '\n]\n');
+    } catch (error) {
+        // Headers are already sent; cutting the connection tells the client the file is incomplete
+        console.error('Error exporting tasks:', error);
+        res.destroy(error);
+    }
+};
+
+/**
+ * Turns a source column name into the form used to match it to a task field
+ * 'Due Date', 'due_date' and 'dueDate' all match dueDate
+ * @param {string} column
+ * @returns {string}
+ */
+const normalizeColumnName = (column) => column.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Decides which task field each source column fills
+ * Columns in the mapping use it (null ignores the column); the rest are matched by name
+ * @param {string[]} columns - Source column names
+ * @param {Object<string, string|null>} [mapping={}]
+ * @returns {{fields: Map<string, string>}|{error: string}}
+ */
+const mapImportColumns = (columns, mapping = {}) => {
+    const missing = Object.keys(mapping).find((column) => !columns.includes(column));
+    if (missing !== undefined) {
+        return { error: `Mapped column "${missing}" is not in the data` };
+    }
+
+    const byName = new Map(TRANSFER.IMPORT_FIELDS.map((field) => [normalizeColumnName(field), field]));
+    const fields = new Map();
+    for (const column of columns) {
+        const field = Object.hasOwn(mapping, column) ? mapping[column] : byName.get(normalizeColumnName(column));
+        if (!field) continue;
+
+        const taken = [...fields].find(([, other]) => other === field);
+        if (taken) {
+            return { error: `Columns "${taken[0]}" and "${column}" both map to ${field}` };
+        }
+        fields.set(column, field);
+    }
+
+    if (![...fields.values()].includes('title')) {
+        return { error: 'No column maps to title' };
+    }
+    return { fields };
+};
+
+/**
+ * Validates one imported row with the same rules as validateTask
+ * @param {number} row - Row number reported back to the client
+ * @param {*} values - Column name to value
+ * @param {Map<string, string>} fields - Output of mapImportColumns
+ * @returns {{row: number, data: Object, tagNames: string[]}|{row: number, error: Object}}
+ */
+const prepareImportRow = (row, values, fields) => {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        return { row, error: { status: 400, error: 'Each row must be an object' } };
+    }
+
+    const input = {};
+    for (const [column, field] of fields) {
+        const value = values[column];
+        // Empty cells leave the field at its default
+        if (value === undefined || value === null || value === '') continue;
+        input[field] = typeof value === 'string' ? value.trim() : value;
+    }
+
+    const { tags = [], ...fieldsInput } = input;
+    const tagNames = typeof tags === 'string' ? tags.split(TRANSFER.TAG_SEPARATOR) : tags;
+    if (!Array.isArray(tagNames) || tagNames.some((name) => typeof name !== 'string')) {
+        return {
+            row,
+            error: { status: 400, error: `tags must be a list of tag names or a "${TRANSFER.TAG_SEPARATOR}"-separated string`, field: 'tags' }
+        };
+    }
+
+    const { data, error } = checkTaskInput(fieldsInput);
+    if (error) {
+        return { row, error: { status: 400, error: error.error, field: error.field } };
+    }
+    return { row, data, tagNames: tagNames.map((name) => name.trim()).filter(Boolean) };
+};
+
+/**
+ * Import tasks from CSV text or a JSON array
+ * Rows are validated like createTask; invalid rows are reported and skipped, and the rest
+ * are created. With dryRun nothing is saved, but every row is checked as if it were.
+ * Tags are matched by name and created when missing
+ * @param {Object} req - Express request object
+ * @param {string} [req.body.format] - 'csv' or 'json'; inferred from data when omitted
+ * @param {string|Object[]} req.body.data - CSV text with a header row, or an array of objects
+ * @param {Object<string, string|null>} [req.body.mapping] - Source column to task field; null skips a column
+ * @param {boolean} [req.body.dryRun=false] - Validate without saving
+ * @param {Object} res - Express response object
+ */
+export const importTasks = async (req, res) => {
+    const { data, mapping, dryRun = false } = req.body || {};
+    const format = req.body?.format ?? (typeof data === 'string' ? TRANSFER.FORMATS.CSV : TRANSFER.FORMATS.JSON);
+    const userId = req.user.id;
+
+    if (!TRANSFER.FORMATS._ALL.includes(format)) {
+        return res.status(400).json({
+            success: false,
+            error: `Invalid format. Valid options: ${TRANSFER.FORMATS._ALL.join(', ')}`,
+            field: 'format',
+            validOptions: TRANSFER.FORMATS._ALL
+        });
+    }
+
+    if (typeof dryRun !== 'boolean') {
+        return res.status(400).json({
+            success: false,
+            error: 'dryRun must be a boolean',
+            field: 'dryRun'
+        });
+    }
+
+    if (mapping !== undefined && (
+        !mapping || typeof mapping !== 'object' || Array.isArray(mapping) ||
+        Object.values(mapping).some((field) => field !== null && !TRANSFER.IMPORT_FIELDS.includes(field))
+    )) {
+        return res.status(400).json({
+            success: false,
+            error: `mapping must map column names to one of: ${TRANSFER.IMPORT_FIELDS.join(', ')} (or null to skip)`,
+            field: 'mapping',
+            validOptions: TRANSFER.IMPORT_FIELDS
+        });
+    }
+
+    // Rows are numbered as a spreadsheet shows them (CSV, header is row 1) or from 1 (JSON)
+    let rows, columns;
+    if (format === TRANSFER.FORMATS.CSV) {
+        if (typeof data !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'CSV data must be a string',
+                field: 'data'
+            });
+        }
+
+        let records;
+        try {
+            records = parseCsv(data);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                field: 'data'
+            });
+        }
+
+        const [header = [], ...body] = records;
+        columns = header.map((column) => column.trim());
+        rows = body.map((cells, index) => (cells.length === columns.length
+            ? { row: index + 2, values: Object.fromEntries(columns.map((column, position) => [column, cells[position]])) }
+            : { row: index + 2, error: `Row has ${cells.length} values but the header has ${columns.length} columns` }));
+    } else {
+        if (!Array.isArray(data)) {
+            return res.status(400).json({
+                success: false,
+                error: 'JSON data must be an array of objects',
+                field: 'data'
+            });
+        }
+
+        columns = [...new Set(data.flatMap((item) => (item && typeof item === 'object' ? Object.keys(item) : [])))];
+        rows = data.map((values, index) => ({ row: index + 1, values }));
+    }
+
+    if (rows.length === 0 || rows.length > TRANSFER.MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+            success: false,
+            error: `data must contain 1 to ${TRANSFER.MAX_IMPORT_ROWS} rows`,
+            field: 'data'
+        });
+    }
+
+    const { fields, error: mappingError } = mapImportColumns(columns, mapping);
+    if (mappingError) {
+        return res.status(400).json({
+            success: false,
+            error: mappingError,
+            field: 'mapping'
+        });
+    }
+
+    const prepared = rows.map(({ row, values, error }) => (error
+        ? { row, error: { status: 400, error } }
+        : prepareImportRow(row, values, fields)));
+    const errors = prepared
+        .filter((item) => item.error)
+        .map(({ row, error: { status, error, field } }) => ({ row, status, error, ...(field && { field }) }));
+    const imported = [];
+
+    try {
+        await prisma.$transaction(async (tx) => {
+            for (const item of prepared) {
+                if (item.error) continue;
+
+                // Each row gets a savepoint so a failing row leaves the others in place
+                await tx.$executeRawUnsafe('SAVEPOINT import_row');
+                try {
+                    const tagIds = await resolveTagNames(item.tagNames, userId, tx);
+                    imported.push({ row: item.row, task: await insertTask(tx, userId, { ...item.data, tagIds }) });
+                    await tx.$executeRawUnsafe('RELEASE SAVEPOINT import_row');
+                } catch (error) {
+                    await tx.$executeRawUnsafe('ROLLBACK TO SAVEPOINT import_row');
+                    await tx.$executeRawUnsafe('RELEASE SAVEPOINT import_row');
+                    if (!error.status) console.error(`Error importing row ${item.row}:`, error);
+                    errors.push({
+                        row: item.row,
+                        status: error.status || 500,
+                        error: error.status ? error.message : 'Row could not be imported',
+                        ...(error.field && { field: error.field })
+                    });
+                }
+            }
+
+            // A dry run checks every row against the database, then discards the lot
+            if (dryRun) throw Object.assign(new Error('Dry run'), { dryRun: true });
+        }, { timeout: TRANSFER.IMPORT_TIMEOUT_MS });
+    } catch (error) {
+        if (!error.dryRun) {
+            console.error('Error importing tasks:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to import tasks',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    if (!dryRun) {
+        for (const { task } of imported) {
+            publishTaskEvent(TASK_EVENTS.CREATED, { userId, actorId: userId, task: flattenTaskTags(task) });
+        }
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+    const summary = { total: rows.length, succeeded: imported.length, failed: errors.length };
+    res.status(summary.failed === 0 || dryRun ? 200 : 207).json({
+        success: summary.failed === 0,
+        dryRun,
+        summary,
+        errors,
+        ...(!dryRun && { data: imported.map(({ row, task }) => ({ row, id: task.id })) })
+    });
+};
+
+/**
+ * Preview the upcoming occurrences of a recurrence rule
+ * @param {Object} req - Express request object
+ * @param {Object} req.body.recurrence - Recurrence rule
+ * @param {string} req.body.start - First occurrence in ISO format
+ * @param {number} [req.body.limit=10] - Number of occurrences to return
+ * @param {Object} res - Express response object
+ */
+export const previewRecurrence = (req, res) => {
+    const { recurrence, start, limit = 10 } = req.body || {};
+    const startDate = new Date(start);
+
+    if (typeof start !== 'string' || isNaN(startDate.getTime())) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid start date format. Use ISO 8601 format (YYYY-MM-DDTHH:MM:SSZ)',
+            field: 'start'
+        });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > RECURRENCE.MAX_PREVIEW) {
+        return res.status(400).json({
+            success: false,
+            error: `Limit must be an integer between 1 and ${RECURRENCE.MAX_PREVIEW}`,
+            field: 'limit'
+        });
+    }
+
+    const { rule, error, field } = normalizeRecurrence(recurrence);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error,
+            field
+        });
+    }
+
+    const anchored = anchorRecurrence(rule, startDate);
+    res.json({
+        success: true,
+        data: {
+            recurrence: anchored,
+            occurrences: previewOccurrences(anchored, startDate, limit)
+        }
+    });
 };
\ No newline at end of file
@@ -0,0 +1,257 @@
+import crypto from 'crypto';
+import prisma from '../utils/prisma.js';
+import { WEBHOOKS } from '../utils/constants.js';
+
+/**
+ * Hides the signing secret; it is only returned once, on creation
+ * @param {Object} subscription
+ * @returns {Object}
+ */
+const toPublicSubscription = ({ secret, ...subscription }) => subscription;
+
+/**
+ * Register a webhook subscription
+ * @param {Object} req - Express request object
+ * @param {string} req.body.url - Endpoint that receives POSTed events
+ * @param {string[]} req.body.events - Event types to receive
+ * @param {Object} res - Express response object
+ */
+export const createWebhook = async (req, res) => {
+    try {
+        const count = await prisma.webhookSubscription.count({ where: { userId: req.user.id } });
+        if (count >= WEBHOOKS.MAX_PER_USER) {
+            return res.status(400).json({
+                success: false,
+                error: `You can register at most ${WEBHOOKS.MAX_PER_USER} webhooks`
+            });
+        }
+
+        const subscription = await prisma.webhookSubscription.create({
+            data: {
+                ...req.validatedWebhookData,
+                secret: crypto.randomBytes(32).toString('hex'),
+                userId: req.user.id
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            // The only response that includes the secret, so the receiver can verify signatures
+            data: subscription
+        });
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        res.status(400).json({
+            success: false,
+            error: 'Failed to create webhook',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * List the current user's webhook subscriptions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getWebhooks = async (req, res) => {
+    try {
+        const subscriptions = await prisma.webhookSubscription.findMany({
+            where: { userId: req.user.id },
+            orderBy: { createdAt: 'asc' }
+        });
+        res.json({
+            success: true,
+            data: subscriptions.map(toPublicSubscription)
+        });
+    } catch (error) {
+        console.error('Error fetching webhooks:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch webhooks',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Change a subscription's URL, events or active flag
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Subscription ID
+ * @param {Object} res - Express response object
+ */
+export const updateWebhook = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const subscription = await prisma.webhookSubscription.update({
+            where: { id, userId: req.user.id },
+            data: req.validatedWebhookData
+        });
+        res.json({
+            success: true,
+            data: toPublicSubscription(subscription)
+        });
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({
+                success: false,
+                error: 'Webhook not found'
+            });
+        }
+        console.error('Error updating webhook:', error);
+        res.status(400).json({
+            success: false,
+            error: 'Failed to update webhook',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Delete a subscription and its delivery log
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Subscription ID
+ * @param {Object} res - Express response object
+ */
+export const deleteWebhook = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        await prisma.webhookSubscription.delete({ where: { id, userId: req.user.id } });
+        res.status(204).end();
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({
+                success: false,
+                error: 'Webhook not found'
+            });
+        }
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete webhook',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Inspect a subscription's delivery log, newest first
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Subscription ID
+ * @param {string} [req.query.status] - PENDING, SUCCESS or FAILED
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ * @param {Object} res - Express response object
+ */
+export const getWebhookDeliveries = async (req, res) => {
+    const { id } = req.params;
+    const { status, page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    if (isNaN(pageNum) || isNaN(limitNum) || pageNum < 1 || limitNum < 1) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid pagination parameters'
+        });
+    }
+
+    const statuses = ['PENDING', 'SUCCESS', 'FAILED'];
+    if (status && !statuses.includes(status)) {
+        return res.status(400).json({
+            success: false,
+            error: `Invalid status. Valid options: ${statuses.join(', ')}`,
+            validOptions: statuses
+        });
+    }
+
+    try {
+        const subscription = await prisma.webhookSubscription.findFirst({
+            where: { id, userId: req.user.id },
+            select: { id: true }
+        });
+        if (!subscription) {
+            return res.status(404).json({
+                success: false,
+                error: 'Webhook not found'
+            });
+        }
+
+        const where = { subscriptionId: id, ...(status && { status }) };
+        const [deliveries, total] = await Promise.all([
+            prisma.webhookDelivery.findMany({
+                where,
+                orderBy: { createdAt: 'desc' },
+                skip: (pageNum - 1) * limitNum,
+                take: limitNum
+            }),
+            prisma.webhookDelivery.count({ where })
+        ]);
+
+        res.json({
+            success: true,
+            data: deliveries,
+            pagination: {
+                total,
+                page: pageNum,
+                limit: limitNum,
+                totalPages: Math.ceil(total / limitNum)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching webhook deliveries:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch webhook deliveries',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Queue a past delivery to be sent again
+ * The replay is a new delivery linked to the original, so the log stays intact
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Subscription ID
+ * @param {string} req.params.deliveryId - Delivery to replay
+ * @param {Object} res - Express response object
+ */
+export const replayWebhookDelivery = async (req, res) => {
+    const { id, deliveryId } = req.params;
+
+    try {
+        const original = await prisma.webhookDelivery.findFirst({
+            where: { id: deliveryId, subscriptionId: id, subscription: { userId: req.user.id } }
+        });
+        if (!original) {
+            return res.status(404).json({
+                success: false,
+                error: 'Delivery not found'
+            });
+        }
+
+        const replay = await prisma.webhookDelivery.create({
+            data: {
+                subscriptionId: id,
+                event: original.event,
+                payload: original.payload,
+                replayOfId: original.id,
+                nextAttemptAt: new Date()
+            }
+        });
+
+        res.status(202).json({
+            success: true,
+            data: replay
+        });
+    } catch (error) {
+        console.error('Error replaying webhook delivery:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to replay webhook delivery',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
@@ -0,0 +1,173 @@
+import prisma from '../utils/prisma.js';
+import { loadWorkflow } from '../utils/workflows.js';
+import { bumpDependentVersions } from '../utils/etag.js';
+import { STATUS } from '../utils/constants.js';
+import { Prisma } from '@prisma/client';
+
+/**
+ * Finds the board a request is about: the project in req.query.projectId, or the board of
+ * tasks without a project when it is omitted
+ * @param {Object} req - Express request object
+ * @returns {Promise<string|null|undefined>} Project ID, null for no project, or undefined when
+ *     the project does not exist or belongs to someone else
+ */
+const findBoard = async (req) => {
+    const { projectId } = req.query;
+    if (!projectId) return null;
+
+    const project = await prisma.project.findFirst({
+        where: { id: projectId, userId: req.user.id },
+        select: { id: true }
+    });
+    return project?.id;
+};
+
+/**
+ * Adds the number of top-level tasks in each column, for showing WIP limits
+ * @param {string} userId
+ * @param {string|null} projectId
+ * @param {Array<Object>} workflow - From loadWorkflow
+ * @param {Object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<Array<Object>>}
+ */
+const withTaskCounts = async (userId, projectId, workflow, client = prisma) => {
+    const groups = await client.task.groupBy({
+        by: ['status'],
+        where: { userId, projectId, parentId: null, deletedAt: null },
+        _count: { _all: true }
+    });
+    return workflow.map((status) => ({
+        ...status,
+        taskCount: groups.find((group) => group.status === status.key)?._count._all ?? 0
+    }));
+};
+
+/**
+ * Get a board's workflow: its statuses in column order
+ * Boards that were never customized have the default To Do, In Progress and Done
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.projectId] - Project whose board to read; omit for tasks without a project
+ * @param {Object} res - Express response object
+ */
+export const getWorkflow = async (req, res) => {
+    try {
+        const board = await findBoard(req);
+        if (board === undefined) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found',
+                field: 'projectId'
+            });
+        }
+
+        const workflow = await loadWorkflow(req.user.id, board);
+        res.json({
+            success: true,
+            data: {
+                projectId: board,
+                statuses: await withTaskCounts(req.user.id, board, workflow)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching workflow:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch workflow',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Replace a board's workflow
+ * A status can only be removed once no task (trashed ones included) is in it. Tasks in a
+ * status whose category changes move to the new category; lowering a WIP limit below the
+ * current count only stops further tasks from entering
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.projectId] - Project whose board to change; omit for tasks without a project
+ * @param {Object[]} req.body.statuses - In column order (see validateWorkflow)
+ * @param {Object} res - Express response object
+ */
+export const updateWorkflow = async (req, res) => {
+    const { statuses } = req.validatedWorkflowData;
+    const userId = req.user.id;
+
+    try {
+        const board = await findBoard(req);
+        if (board === undefined) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found',
+                field: 'projectId'
+            });
+        }
+
+        const workflow = await prisma.$transaction(async (tx) => {
+            const current = await loadWorkflow(userId, board, tx);
+            const removed = current.filter((status) => !statuses.some((kept) => kept.key === status.key));
+            if (removed.length > 0) {
+                const inUse = await tx.task.groupBy({
+                    by: ['status'],
+                    where: { userId, projectId: board, status: { in: removed.map((status) => status.key) } },
+                    _count: { _all: true }
+                });
+                if (inUse.length > 0) {
+                    const described = inUse.map((group) => {
+                        const { label } = removed.find((status) => status.key === group.status);
+                        return `${label} (${group._count._all} task${group._count._all === 1 ? '' : 's'})`;
+                    });
+                    throw Object.assign(new Error(`Move the tasks out of ${described.join(', ')} before removing ` +
+                        `${inUse.length === 1 ? 'it' : 'them'}; tasks in the trash count too`), { status: 409 });
+                }
+            }
+
+            for (const status of statuses) {
+                const before = current.find((existing) => existing.key === status.key);
+                if (before && before.category !== status.category) {
+                    const where = { userId, projectId: board, status: status.key };
+                    await tx.task.updateMany({
+                        where,
+                        data: { statusCategory: status.category, version: { increment: 1 } }
+                    });
+                    if ((before.category === STATUS.DONE) !== (status.category === STATUS.DONE)) {
+                        await bumpDependentVersions(tx, where);
+                    }
+                }
+            }
+
+            await tx.workflowStatus.deleteMany({ where: { userId, projectId: board } });
+            await tx.workflowStatus.createMany({
+                data: statuses.map((status, position) => ({
+                    ...status,
+                    transitions: status.transitions ?? Prisma.DbNull,
+                    userId,
+                    projectId: board,
+                    position
+                }))
+            });
+            return withTaskCounts(userId, board, await loadWorkflow(userId, board, tx), tx);
+        });
+
+        res.json({
+            success: true,
+            data: {
+                projectId: board,
+                statuses: workflow
+            }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                field: 'statuses'
+            });
+        }
+        console.error('Error updating workflow:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update workflow',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
@@ -0,0 +1,56 @@
+import { verifyAccessToken, verifyStreamToken } from '../utils/auth.js';
+
+/**
+ * Requires a valid bearer access token and attaches the user to the request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const authenticate = (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({
+            success: false,
+            error: 'Authorization header must be in the format: Bearer <token>'
+        });
+    }
+
+    try {
+        const payload = verifyAccessToken(token);
+        req.user = { id: payload.sub, email: payload.email };
+        next();
+    } catch (error) {
+        return res.status(401).json({
+            success: false,
+            error: error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token'
+        });
+    }
+};
+
+/**
+ * Authenticates the task stream: a stream token in the `token` query parameter, since browsers
+ * open it with EventSource, which cannot send headers; without one, the same as authenticate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const authenticateStream = (req, res, next) => {
+    const { token } = req.query;
+    if (token === undefined) {
+        return authenticate(req, res, next);
+    }
+
+    try {
+        if (typeof token !== 'string') throw new Error('Invalid stream token');
+        const payload = verifyStreamToken(token);
+        req.user = { id: payload.sub, email: payload.email };
+        next();
+    } catch (error) {
+        return res.status(401).json({
+            success: false,
+            error: error.name === 'TokenExpiredError' ? 'Stream token expired' : 'Invalid stream token'
+        });
+    }
+};
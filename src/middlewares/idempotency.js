@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+import prisma from '../utils/prisma.js';
+import { IDEMPOTENCY } from '../utils/constants.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Response headers stored and replayed along with the body
+const REPLAYED_HEADERS = ['ETag'];
+
+/**
+ * Fingerprint of a request, to tell a genuine retry from a different request reusing its key
+ * Multipart uploads are only parsed by their route, so their length stands in for the body
+ * @param {Object} req - Express request object
+ * @returns {string}
+ */
+const hashRequest = (req) => crypto
+    .createHash('sha256')
+    .update(JSON.stringify([req.method, req.originalUrl, req.body ?? req.get('Content-Length') ?? null]))
+    .digest('hex');
+
+/**
+ * Records the first use of a key, or finds the earlier request that used it
+ * Expired keys and first requests abandoned mid-way (such as by a crash) are cleared first
+ * @param {string} userId
+ * @param {string} key
+ * @param {string} requestHash
+ * @param {Date} now
+ * @returns {Promise<{claimed: boolean, record: Object|null}>} record is null when the earlier
+ *     request failed and released the key in the meantime
+ */
+const claimKey = async (userId, key, requestHash, now) => {
+    await prisma.idempotencyKey.deleteMany({
+        where: {
+            OR: [
+                { expiresAt: { lte: now } },
+                { userId, key, status: null, createdAt: { lt: new Date(now.getTime() - IDEMPOTENCY.LOCK_TIMEOUT_MS) } }
+            ]
+        }
+    });
+
+    try {
+        const record = await prisma.idempotencyKey.create({
+            data: { userId, key, requestHash, expiresAt: new Date(now.getTime() + IDEMPOTENCY.TTL_HOURS * HOUR_MS) }
+        });
+        return { claimed: true, record };
+    } catch (error) {
+        if (error.code !== 'P2002') throw error;
+    }
+
+    const record = await prisma.idempotencyKey.findUnique({ where: { userId_key: { userId, key } } });
+    return { claimed: false, record };
+};
+
+/**
+ * Makes POST, PUT, PATCH and DELETE requests safe to retry with an Idempotency-Key header
+ * The first response for a key is stored for IDEMPOTENCY.TTL_HOURS and replayed verbatim to
+ * retries; reusing the key for a different request is a 422. Server errors and rate limiting
+ * are not stored, so a retry after one runs again. Requests without the header pass through.
+ * Must run after authenticate: keys are scoped to the user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const idempotency = async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY.HEADER);
+    if (key === undefined || !IDEMPOTENCY.METHODS.includes(req.method)) {
+        return next();
+    }
+
+    if (key.length === 0 || key.length > IDEMPOTENCY.MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            error: `${IDEMPOTENCY.HEADER} must be 1 to ${IDEMPOTENCY.MAX_KEY_LENGTH} characters`
+        });
+    }
+
+    const requestHash = hashRequest(req);
+    let claim;
+    try {
+        claim = await claimKey(req.user.id, key, requestHash, new Date());
+    } catch (error) {
+        console.error('Error checking idempotency key:', error);
+        return res.status(500).json({
+            success: false,
+            error: `Failed to check the ${IDEMPOTENCY.HEADER}`,
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+
+    const { claimed, record } = claim;
+    if (!claimed) {
+        if (record && record.requestHash !== requestHash) {
+            return res.status(422).json({
+                success: false,
+                error: `This ${IDEMPOTENCY.HEADER} was already used for a different request`
+            });
+        }
+        if (!record || record.status === null) {
+            return res.status(409).json({
+                success: false,
+                error: `A request with this ${IDEMPOTENCY.HEADER} is still in progress; retry shortly`
+            });
+        }
+
+        res.status(record.status).set({ ...record.headers, [IDEMPOTENCY.REPLAYED_HEADER]: 'true' });
+        return record.body === null ? res.end() : res.type('json').send(record.body);
+    }
+
+    let body = null;
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+        body = payload;
+        return json(payload);
+    };
+
+    // The response is stored before it is sent, so a retry arriving right after it sees the result
+    const end = res.end.bind(res);
+    let stored = false;
+    res.end = (...args) => {
+        if (stored) return end(...args);
+        stored = true;
+
+        const retryable = res.statusCode >= 500 || res.statusCode === 429;
+        const headers = Object.fromEntries(REPLAYED_HEADERS
+            .filter((name) => res.get(name) !== undefined)
+            .map((name) => [name, res.get(name)]));
+        const save = retryable
+            ? prisma.idempotencyKey.delete({ where: { id: record.id } })
+            : prisma.idempotencyKey.update({
+                where: { id: record.id },
+                data: {
+                    status: res.statusCode,
+                    body: body === null ? null : JSON.stringify(body),
+                    ...(Object.keys(headers).length > 0 && { headers })
+                }
+            });
+
+        save
+            .catch((error) => console.error('Error storing idempotent response:', error))
+            .finally(() => end(...args));
+        return res;
+    };
+
+    next();
+};
@@ -0,0 +1,127 @@
+import multer from 'multer';
+import { ATTACHMENTS } from '../utils/constants.js';
+import { detectMimeType } from '../utils/fileTypes.js';
+
+const MB = 1024 * 1024;
+
+// Files are held in memory until the task has been checked, so nothing is stored for a rejected request.
+// The declared type is checked here so disallowed files are refused early; the contents are checked once received
+const upload = multer({
+    storage: multer.memoryStorage(),
+    defParamCharset: 'utf8',
+    limits: {
+        fileSize: ATTACHMENTS.MAX_FILE_SIZE,
+        files: ATTACHMENTS.MAX_FILES_PER_REQUEST,
+        fields: 0
+    },
+    fileFilter: (req, file, cb) => {
+        if (!ATTACHMENTS.MIME_TYPES.includes(file.mimetype.toLowerCase())) {
+            return cb(Object.assign(new Error(`${file.originalname} is ${file.mimetype}, which cannot be attached. ` +
+                `Allowed types: ${ATTACHMENTS.MIME_TYPES.join(', ')}`), { status: 415 }));
+        }
+        cb(null, true);
+    }
+}).array(ATTACHMENTS.FIELD_NAME);
+
+/**
+ * Messages for the multer limits a request can exceed
+ * @param {import('multer').MulterError} error
+ * @returns {{status: number, error: string}}
+ */
+const describeLimit = (error) => {
+    switch (error.code) {
+        case 'LIMIT_FILE_SIZE':
+            return {
+                status: 413,
+                error: `Files can be at most ${Math.round(ATTACHMENTS.MAX_FILE_SIZE / MB * 10) / 10} MB`
+            };
+        case 'LIMIT_FILE_COUNT':
+            return {
+                status: 400,
+                error: `Upload at most ${ATTACHMENTS.MAX_FILES_PER_REQUEST} files at a time`
+            };
+        case 'LIMIT_UNEXPECTED_FILE':
+        case 'LIMIT_FIELD_COUNT':
+            return {
+                status: 400,
+                error: `Send the files in the "${ATTACHMENTS.FIELD_NAME}" field and nothing else`
+            };
+        default:
+            return { status: 400, error: error.message };
+    }
+};
+
+/**
+ * Parses a multipart/form-data upload middleware
+ * Accepts up to ATTACHMENTS.MAX_FILES_PER_REQUEST files in the ATTACHMENTS.FIELD_NAME field,
+ * each within ATTACHMENTS.MAX_FILE_SIZE and of a type in ATTACHMENTS.MIME_TYPES, and sets
+ * req.validatedAttachmentData. A file's type is the one its contents show, not the one declared
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const uploadAttachments = (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+        return res.status(415).json({
+            success: false,
+            error: `Upload files as multipart/form-data in the "${ATTACHMENTS.FIELD_NAME}" field`
+        });
+    }
+
+    upload(req, res, (error) => {
+        if (error) {
+            const { status, error: message } = error instanceof multer.MulterError
+                ? describeLimit(error)
+                : { status: error.status || 400, error: error.message };
+            return res.status(status).json({
+                success: false,
+                error: message,
+                field: ATTACHMENTS.FIELD_NAME
+            });
+        }
+
+        const files = req.files || [];
+        if (files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: `No files were sent in the "${ATTACHMENTS.FIELD_NAME}" field`,
+                field: ATTACHMENTS.FIELD_NAME
+            });
+        }
+
+        const tooLong = files.find((file) => file.originalname.length > ATTACHMENTS.MAX_FILENAME_LENGTH);
+        if (tooLong) {
+            return res.status(400).json({
+                success: false,
+                error: `File names can be at most ${ATTACHMENTS.MAX_FILENAME_LENGTH} characters`,
+                field: ATTACHMENTS.FIELD_NAME
+            });
+        }
+
+        const mimeTypes = files.map((file) => detectMimeType(file.buffer, file.originalname));
+        const refused = files.findIndex((file, index) => !ATTACHMENTS.MIME_TYPES.includes(mimeTypes[index]));
+        if (refused !== -1) {
+            const { originalname } = files[refused];
+            return res.status(415).json({
+                success: false,
+                error: mimeTypes[refused]
+                    ? `${originalname} is ${mimeTypes[refused]}, which cannot be attached. ` +
+                        `Allowed types: ${ATTACHMENTS.MIME_TYPES.join(', ')}`
+                    : `The contents of ${originalname} are not of an allowed type. ` +
+                        `Allowed types: ${ATTACHMENTS.MIME_TYPES.join(', ')}`,
+                field: ATTACHMENTS.FIELD_NAME
+            });
+        }
+
+        req.validatedAttachmentData = {
+            files: files.map((file, index) => ({
+                filename: file.originalname,
+                mimeType: mimeTypes[index],
+                size: file.size,
+                buffer: file.buffer
+            }))
+        };
+
+        next();
+    });
+};
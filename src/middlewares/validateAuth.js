@@ -0,0 +1,45 @@
+import { AUTH } from '../utils/constants.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validates registration and login credentials
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const validateCredentials = (req, res, next) => {
+    const { email, password, name } = req.body || {};
+
+    if (!email || typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+        return res.status(400).json({
+            success: false,
+            error: 'A valid email address is required',
+            field: 'email'
+        });
+    }
+
+    if (!password || typeof password !== 'string' || password.length < AUTH.PASSWORD_MIN_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            error: `Password must be at least ${AUTH.PASSWORD_MIN_LENGTH} characters`,
+            field: 'password'
+        });
+    }
+
+    if (name !== undefined && name !== null && typeof name !== 'string') {
+        return res.status(400).json({
+            success: false,
+            error: 'Name must be a string',
+            field: 'name'
+        });
+    }
+
+    req.validatedCredentials = {
+        email: email.trim().toLowerCase(),
+        password,
+        ...(name && { name: name.trim() })
+    };
+
+    next();
+};
\ No newline at end of file
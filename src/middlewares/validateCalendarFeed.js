@@ -0,0 +1,28 @@
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Validates calendar feed data middleware
+ * The name is optional and defaults to a generic calendar name
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const validateCalendarFeed = (req, res, next) => {
+    const { name } = req.body || {};
+
+    if (name !== undefined) {
+        if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > MAX_NAME_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `Name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`,
+                field: 'name'
+            });
+        }
+    }
+
+    req.validatedCalendarFeedData = {
+        name: name !== undefined ? name.trim() : 'GradTrack tasks'
+    };
+
+    next();
+};
@@ -0,0 +1,42 @@
+const MAX_COMMENT_LENGTH = 5000;
+
+/**
+ * Validates comment data middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const validateComment = (req, res, next) => {
+    const { body, parentId } = req.body || {};
+
+    if (!body || typeof body !== 'string' || body.trim().length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Comment body is required and must be a non-empty string',
+            field: 'body'
+        });
+    }
+
+    if (body.length > MAX_COMMENT_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            error: `Comment body must be at most ${MAX_COMMENT_LENGTH} characters`,
+            field: 'body'
+        });
+    }
+
+    if (parentId !== undefined && parentId !== null && typeof parentId !== 'string') {
+        return res.status(400).json({
+            success: false,
+            error: 'parentId must be a comment ID',
+            field: 'parentId'
+        });
+    }
+
+    req.validatedCommentData = {
+        body: body.trim(),
+        ...(parentId && { parentId })
+    };
+
+    next();
+};
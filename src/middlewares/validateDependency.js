@@ -0,0 +1,30 @@
+/**
+ * Validates dependency data middleware
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Task ID of the blocked task
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const validateDependency = (req, res, next) => {
+    const { blockerId } = req.body || {};
+
+    if (!blockerId || typeof blockerId !== 'string') {
+        return res.status(400).json({
+            success: false,
+            error: 'blockerId is required and must be the ID of the task to wait on',
+            field: 'blockerId'
+        });
+    }
+
+    if (blockerId === req.params.id) {
+        return res.status(400).json({
+            success: false,
+            error: 'A task cannot be blocked by itself',
+            field: 'blockerId'
+        });
+    }
+
+    req.validatedDependencyData = { blockerId };
+
+    next();
+};
@@ -0,0 +1,45 @@
+/**
+ * Validates project data middleware
+ * On POST the name is required; on PATCH every field is optional
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const validateProject = (req, res, next) => {
+    const { name, description, color } = req.body || {};
+    const isCreate = req.method === 'POST';
+
+    if (isCreate || name !== undefined) {
+        if (!name || typeof name !== 'string' || name.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Name is required and must be a non-empty string',
+                field: 'name'
+            });
+        }
+    }
+
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        return res.status(400).json({
+            success: false,
+            error: 'Description must be a string',
+            field: 'description'
+        });
+    }
+
+    if (color !== undefined && color !== null && typeof color !== 'string') {
+        return res.status(400).json({
+            success: false,
+            error: 'Color must be a string',
+            field: 'color'
+        });
+    }
+
+    req.validatedProjectData = {
+        ...(name !== undefined && { name: name.trim() }),
+        ...(description !== undefined && { description: description ? description.trim() : null }),
+        ...(color !== undefined && { color: color || null })
+    };
+
+    next();
+};
\ No newline at end of file
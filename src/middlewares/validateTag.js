@@ -0,0 +1,40 @@
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Validates tag data middleware
+ * On POST the name is required; on PATCH name and color are optional
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const validateTag = (req, res, next) => {
+    const { name, color } = req.body || {};
+    const isCreate = req.method === 'POST';
+
+    if (isCreate || name !== undefined) {
+        if (!name || typeof name !== 'string' || name.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Name is required and must be a non-empty string',
+                field: 'name'
+            });
+        }
+    }
+
+    if (color !== undefined && color !== null) {
+        if (typeof color !== 'string' || !COLOR_PATTERN.test(color)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Color must be a hex value such as #22c55e',
+                field: 'color'
+            });
+        }
+    }
+
+    req.validatedTagData = {
+        ...(name !== undefined && { name: name.trim() }),
+        ...(color !== undefined && { color: color ? color.toLowerCase() : null })
+    };
+
+    next();
+};
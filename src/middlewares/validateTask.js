@@ -1,95 +1,185 @@
-import { STATUS, PRIORITY } from '../utils/constants.js';
+import { STATUS, PRIORITY, REMINDERS, isValidStatus } from '../utils/constants.js';
+import { normalizeRecurrence } from '../utils/recurrence.js';
+import { parseReminderOffset } from '../utils/reminders.js';
 
 /**
- * Validates task data middleware
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
+ * Checks task fields and normalizes them for Prisma
+ * Shared by validateTask and the bulk endpoint, which validates each operation
+ * @param {Object} body - Task fields
+ * @param {Object} [options]
+ * @param {boolean} [options.requireTitle=true] - Whether title must be present
+ * @returns {{data: Object}|{error: Object}} Validated data, or the 400 response body without `success`
  */
-export const validateTask = (req, res, next) => {
-    try {
-        const { title, status, priority, dueDate } = req.body;
-
-        console.log('Validating task with data:', { title, status, priority, dueDate });
-        console.log('Valid status options:', Object.values(STATUS));
-        console.log('Valid priority options:', Object.values(PRIORITY));
+export const checkTaskInput = (body, { requireTitle = true } = {}) => {
+    const { title, status, priority, dueDate, projectId, tagIds, addTagIds, removeTagIds, recurrence, reminders } = body || {};
 
-        // Validate title exists and is a string
+    // Validate title exists and is a string
+    if (requireTitle || title !== undefined) {
         if (!title || typeof title !== 'string' || title.trim().length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Title is required and must be a non-empty string',
-                field: 'title'
-            });
+            return {
+                error: {
+                    error: 'Title is required and must be a non-empty string',
+                    field: 'title'
+                }
+            };
         }
+    }
 
-        // Validate status against Prisma's expected values
-        if (status) {
-            if (typeof status !== 'string') {
-                return res.status(400).json({
-                    success: false,
+    // Validate the status key's format; the task's board decides which statuses exist
+    if (status) {
+        if (typeof status !== 'string') {
+            return {
+                error: {
                     error: 'Status must be a string',
                     field: 'status'
-                });
-            }
+                }
+            };
+        }
 
-            // Case-sensitive check for status
-            if (!Object.values(STATUS).includes(status)) {
-                return res.status(400).json({
-                    success: false,
-                    error: `Invalid status. Valid options are case-sensitive: ${Object.values(STATUS).join(', ')}`,
+        // Case-sensitive check for status
+        if (!isValidStatus(status)) {
+            return {
+                error: {
+                    error: 'Invalid status. Status keys are case-sensitive, such as ' +
+                        `${STATUS._ALL.join(', ')} or a custom status of the task's board`,
                     field: 'status',
-                    validOptions: Object.values(STATUS),
+                    validOptions: STATUS._ALL,
                     receivedValue: status
-                });
-            }
+                }
+            };
         }
+    }
 
-        // Validate priority against Prisma's expected values
-        if (priority) {
-            if (typeof priority !== 'string') {
-                return res.status(400).json({
-                    success: false,
+    // Validate priority against Prisma's expected values
+    if (priority) {
+        if (typeof priority !== 'string') {
+            return {
+                error: {
                     error: 'Priority must be a string',
                     field: 'priority'
-                });
-            }
+                }
+            };
+        }
 
-            // Case-sensitive check for priority
-            if (!Object.values(PRIORITY).includes(priority)) {
-                return res.status(400).json({
-                    success: false,
+        // Case-sensitive check for priority
+        if (!Object.values(PRIORITY).includes(priority)) {
+            return {
+                error: {
                     error: `Invalid priority. Valid options are case-sensitive: ${Object.values(PRIORITY).join(', ')}`,
                     field: 'priority',
                     validOptions: Object.values(PRIORITY),
                     receivedValue: priority
-                });
-            }
+                }
+            };
         }
+    }
 
-        // Validate dueDate format (if provided)
-        if (dueDate !== undefined && dueDate !== null) {
-            if (typeof dueDate !== 'string' || isNaN(new Date(dueDate).getTime())) {
-                return res.status(400).json({
-                    success: false,
+    // Validate dueDate format (if provided)
+    if (dueDate !== undefined && dueDate !== null) {
+        if (typeof dueDate !== 'string' || isNaN(new Date(dueDate).getTime())) {
+            return {
+                error: {
                     error: 'Invalid due date format. Use ISO 8601 format (YYYY-MM-DDTHH:MM:SSZ)',
                     field: 'dueDate'
-                });
+                }
+            };
+        }
+    }
+
+    // Validate projectId (if provided); null removes the task from its project
+    if (projectId !== undefined && projectId !== null) {
+        if (typeof projectId !== 'string' || projectId.trim().length === 0) {
+            return {
+                error: {
+                    error: 'Project ID must be a non-empty string',
+                    field: 'projectId'
+                }
+            };
+        }
+    }
+
+    // Validate tag ID lists (if provided)
+    const tagLists = { tagIds, addTagIds, removeTagIds };
+    for (const [field, value] of Object.entries(tagLists)) {
+        if (value !== undefined && (!Array.isArray(value) || value.some((id) => typeof id !== 'string'))) {
+            return {
+                error: {
+                    error: `${field} must be an array of tag IDs`,
+                    field
+                }
+            };
+        }
+    }
+
+    if (tagIds !== undefined && (addTagIds !== undefined || removeTagIds !== undefined)) {
+        return {
+            error: {
+                error: 'Use either tagIds to replace all tags, or addTagIds/removeTagIds, not both',
+                field: 'tagIds'
             }
+        };
+    }
+
+    // Validate recurrence rule (if provided); null stops the task repeating
+    let recurrenceRule;
+    if (recurrence !== undefined && recurrence !== null) {
+        const { rule, error, field } = normalizeRecurrence(recurrence);
+        if (error) {
+            return { error: { error, field } };
         }
+        recurrenceRule = rule;
+    }
+
+    // Validate reminder offsets (if provided); null or [] removes all reminders
+    let reminderOffsets;
+    if (reminders !== undefined && reminders !== null) {
+        reminderOffsets = Array.isArray(reminders) ? reminders.map(parseReminderOffset) : [null];
+        if (reminderOffsets.includes(null) || reminderOffsets.length > REMINDERS.MAX_PER_TASK) {
+            return {
+                error: {
+                    error: `Reminders must be a list of up to ${REMINDERS.MAX_PER_TASK} offsets of at least a minute before the due date, as minutes or strings like "30m", "1h", "1d"`,
+                    field: 'reminders'
+                }
+            };
+        }
+    }
 
-        // Prepare validated data for Prisma
-        req.validatedTaskData = {
-            title: title.trim(),
+    // Prepare validated data for Prisma
+    return {
+        data: {
+            ...(title !== undefined && { title: title.trim() }),
             ...(status && { status: status }),
             ...(priority && { priority: priority }),
             ...(dueDate !== undefined && {
                 dueDate: dueDate ? new Date(dueDate) : null
-            })
-        };
+            }),
+            ...(projectId !== undefined && { projectId: projectId || null }),
+            ...(tagIds !== undefined && { tagIds: [...new Set(tagIds)] }),
+            ...(addTagIds !== undefined && { addTagIds: [...new Set(addTagIds)] }),
+            ...(removeTagIds !== undefined && { removeTagIds: [...new Set(removeTagIds)] }),
+            ...(recurrence !== undefined && { recurrence: recurrenceRule || null }),
+            ...(reminders !== undefined && { reminders: [...new Set(reminderOffsets || [])] })
+        }
+    };
+};
 
-        console.log('Validated data:', req.validatedTaskData);
+/**
+ * Validates task data middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const validateTask = (req, res, next) => {
+    try {
+        const { data, error } = checkTaskInput(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                ...error
+            });
+        }
 
+        req.validatedTaskData = data;
         next();
     } catch (error) {
         console.error('Validation error:', error);
@@ -99,4 +189,4 @@ export const validateTask = (req, res, next) => {
             details: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
-};
\ No newline at end of file
+};
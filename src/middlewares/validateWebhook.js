@@ -0,0 +1,56 @@
+import { TASK_EVENTS } from '../utils/constants.js';
+
+/**
+ * Validates webhook subscription data middleware
+ * On POST url and events are required; on PATCH every field is optional
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const validateWebhook = (req, res, next) => {
+    const { url, events, active } = req.body || {};
+    const isCreate = req.method === 'POST';
+
+    if (isCreate || url !== undefined) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            parsed = null;
+        }
+        if (typeof url !== 'string' || !parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+            return res.status(400).json({
+                success: false,
+                error: 'URL must be an absolute http(s) URL',
+                field: 'url'
+            });
+        }
+    }
+
+    if (isCreate || events !== undefined) {
+        if (!Array.isArray(events) || events.length === 0 || events.some((event) => !TASK_EVENTS._ALL.includes(event))) {
+            return res.status(400).json({
+                success: false,
+                error: `Events must be a non-empty list of: ${TASK_EVENTS._ALL.join(', ')}`,
+                field: 'events',
+                validOptions: TASK_EVENTS._ALL
+            });
+        }
+    }
+
+    if (active !== undefined && typeof active !== 'boolean') {
+        return res.status(400).json({
+            success: false,
+            error: 'Active must be a boolean',
+            field: 'active'
+        });
+    }
+
+    req.validatedWebhookData = {
+        ...(url !== undefined && { url }),
+        ...(events !== undefined && { events: [...new Set(events)] }),
+        ...(active !== undefined && { active })
+    };
+
+    next();
+};
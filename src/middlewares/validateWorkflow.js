@@ -0,0 +1,154 @@
+import { STATUS, WORKFLOW } from '../utils/constants.js';
+
+/**
+ * Checks one status of a workflow; transitions are checked once every key is known
+ * @param {Object} status
+ * @param {number} index - Position in the list, for error messages
+ * @returns {{status: Object}|{error: Object}}
+ */
+const checkStatus = (status, index) => {
+    const { key, label, color, category, wipLimit = null, transitions = null } = status || {};
+    const field = `statuses[${index}]`;
+
+    if (typeof key !== 'string' || !WORKFLOW.KEY_PATTERN.test(key)) {
+        return {
+            error: {
+                error: 'Status keys are upper case letters, digits and underscores starting with a letter, ' +
+                    'such as IN_REVIEW (at most 32 characters)',
+                field: `${field}.key`
+            }
+        };
+    }
+
+    // Built-in statuses are their own category, so tasks can always fall back to them
+    const builtIn = STATUS._ALL.includes(key);
+    const categoryInvalid = builtIn ? category !== undefined && category !== key : !STATUS._ALL.includes(category);
+    if (categoryInvalid) {
+        return {
+            error: {
+                error: builtIn
+                    ? `${key} is a built-in status; its category is always ${key}`
+                    : `Custom statuses need a category. Valid options: ${STATUS._ALL.join(', ')}`,
+                field: `${field}.category`,
+                ...(!builtIn && { validOptions: STATUS._ALL })
+            }
+        };
+    }
+
+    // Built-in statuses keep their default label unless given one
+    const labelInvalid = label === undefined
+        ? !builtIn
+        : typeof label !== 'string' || label.trim().length === 0 || label.trim().length > WORKFLOW.MAX_LABEL_LENGTH;
+    if (labelInvalid) {
+        return {
+            error: {
+                error: `Label must be a non-empty string of at most ${WORKFLOW.MAX_LABEL_LENGTH} characters`,
+                field: `${field}.label`
+            }
+        };
+    }
+
+    if (color !== undefined && (typeof color !== 'string' || !WORKFLOW.COLOR_PATTERN.test(color))) {
+        return {
+            error: {
+                error: 'Color must be a hex value such as #22c55e',
+                field: `${field}.color`
+            }
+        };
+    }
+
+    if (wipLimit !== null && (!Number.isInteger(wipLimit) || wipLimit < 1 || wipLimit > WORKFLOW.MAX_WIP_LIMIT)) {
+        return {
+            error: {
+                error: `wipLimit must be null or a whole number from 1 to ${WORKFLOW.MAX_WIP_LIMIT}`,
+                field: `${field}.wipLimit`
+            }
+        };
+    }
+
+    if (transitions !== null && (!Array.isArray(transitions) || transitions.some((target) => typeof target !== 'string'))) {
+        return {
+            error: {
+                error: 'transitions must be null (any status) or a list of status keys',
+                field: `${field}.transitions`
+            }
+        };
+    }
+
+    // Defaults come from the built-in status of the category
+    const defaults = WORKFLOW.DEFAULT_STATUSES.find((candidate) => candidate.key === (builtIn ? key : category));
+    return {
+        status: {
+            key,
+            label: label !== undefined ? label.trim() : defaults.label,
+            color: color !== undefined ? color.toLowerCase() : defaults.color,
+            category: defaults.category,
+            wipLimit,
+            transitions: transitions && [...new Set(transitions)]
+        }
+    };
+};
+
+/**
+ * Validates workflow data middleware
+ * The statuses are listed in column order and replace the board's whole workflow; the
+ * built-in statuses must stay, though they can be relabelled, recoloured and reordered
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const validateWorkflow = (req, res, next) => {
+    const { statuses } = req.body || {};
+
+    if (!Array.isArray(statuses) || statuses.length === 0 || statuses.length > WORKFLOW.MAX_STATUSES) {
+        return res.status(400).json({
+            success: false,
+            error: `statuses must be a list of 1 to ${WORKFLOW.MAX_STATUSES} statuses`,
+            field: 'statuses'
+        });
+    }
+
+    const checked = [];
+    for (const [index, status] of statuses.entries()) {
+        const result = checkStatus(status, index);
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                ...result.error
+            });
+        }
+        if (checked.some((existing) => existing.key === result.status.key)) {
+            return res.status(400).json({
+                success: false,
+                error: `Status ${result.status.key} is listed twice`,
+                field: `statuses[${index}].key`
+            });
+        }
+        checked.push(result.status);
+    }
+
+    const missing = STATUS._ALL.filter((key) => !checked.some((status) => status.key === key));
+    if (missing.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: `The built-in statuses cannot be removed; add ${missing.join(', ')}`,
+            field: 'statuses'
+        });
+    }
+
+    const keys = checked.map((status) => status.key);
+    for (const [index, status] of checked.entries()) {
+        const unknown = (status.transitions || []).find((target) => !keys.includes(target));
+        if (unknown) {
+            return res.status(400).json({
+                success: false,
+                error: `${status.key} lists a transition to ${unknown}, which is not in this workflow`,
+                field: `statuses[${index}].transitions`
+            });
+        }
+    }
+
+    req.validatedWorkflowData = { statuses: checked };
+
+    next();
+};
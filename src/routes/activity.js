@@ -0,0 +1,95 @@
+import express from 'express';
+import { getActivityFeed } from '../controllers/activity.js';
+import rateLimit from 'express-rate-limit';
+import { API } from '../utils/constants.js';
+
+const router = express.Router();
+
+// Rate limiting configuration
+const apiLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // Limit each IP to 100 requests per windowMs
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        success: false,
+        error: 'Too many requests, please try again later'
+    }
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Activity
+ *   description: Task audit trail
+ */
+
+/**
+ * @swagger
+ * /api/v1/activity:
+ *   get:
+ *     summary: Activity feed across all of the user's tasks
+ *     tags: [Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries at or before this time
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: ["CREATED", "UPDATED", "DELETED"]
+ *         description: Filter by action
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Items per page
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TaskActivity'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', apiLimiter, getActivityFeed);
+
+// Add API versioning middleware
+router.use((req, res, next) => {
+    res.setHeader('X-API-Version', API.VERSION);
+    next();
+});
+
+export default router;
@@ -0,0 +1,140 @@
+import express from 'express';
+import { register, login, refresh, logout } from '../controllers/auth.js';
+import { validateCredentials } from '../middlewares/validateAuth.js';
+import { authenticate } from '../middlewares/authenticate.js';
+import rateLimit from 'express-rate-limit';
+import { API } from '../utils/constants.js';
+
+const router = express.Router();
+
+// Stricter limit for credential endpoints to slow down brute forcing
+const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20, // Limit each IP to 20 auth requests per windowMs
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        success: false,
+        error: 'Too many authentication attempts, please try again later'
+    }
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: User registration and token endpoints
+ */
+
+/**
+ * @swagger
+ * /api/v1/auth/register:
+ *   post:
+ *     summary: Register a new user
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegisterInput'
+ *     responses:
+ *       201:
+ *         description: User created and tokens issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Email already registered
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/register', authLimiter, validateCredentials, register);
+
+/**
+ * @swagger
+ * /api/v1/auth/login:
+ *   post:
+ *     summary: Log in with email and password
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginInput'
+ *     responses:
+ *       200:
+ *         description: Tokens issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid email or password
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/login', authLimiter, validateCredentials, login);
+
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New tokens issued
+ *       400:
+ *         description: Refresh token missing
+ *       401:
+ *         description: Invalid or expired refresh token
+ */
+router.post('/refresh', authLimiter, refresh);
+
+/**
+ * @swagger
+ * /api/v1/auth/logout:
+ *   post:
+ *     summary: Log out on every device
+ *     description: |
+ *       Revokes every refresh token of the user, so no session can be renewed. Access tokens
+ *       already issued stay valid until they expire (15 minutes unless JWT_ACCESS_TTL says otherwise).
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Refresh tokens revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', authLimiter, authenticate, logout);
+
+// Add API versioning middleware
+router.use((req, res, next) => {
+    res.setHeader('X-API-Version', API.VERSION);
+    next();
+});
+
+export default router;
\ No newline at end of file
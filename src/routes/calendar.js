@@ -0,0 +1,218 @@
+import express from 'express';
+import {
+    getCalendarFeeds,
+    createCalendarFeed,
+    rotateCalendarFeedToken,
+    deleteCalendarFeed,
+    getCalendarFeedIcs
+} from '../controllers/calendarFeeds.js';
+import { authenticate } from '../middlewares/authenticate.js';
+import { validateCalendarFeed } from '../middlewares/validateCalendarFeed.js';
+import rateLimit from 'express-rate-limit';
+import { API } from '../utils/constants.js';
+
+const router = express.Router();
+
+// Rate limiting configuration
+const apiLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // Limit each IP to 100 requests per windowMs
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        success: false,
+        error: 'Too many requests, please try again later'
+    }
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Calendar
+ *   description: |
+ *     Subscribable iCalendar feeds of task due dates. Each feed has a secret URL that
+ *     calendar apps poll without a bearer token; anyone with the URL can read the feed,
+ *     so rotate its token if it leaks.
+ */
+
+/**
+ * @swagger
+ * /api/v1/calendar/feeds:
+ *   get:
+ *     summary: List the current user's calendar feeds
+ *     description: Feed URLs are not included; they are only shown when a token is issued
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CalendarFeed'
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Create a calendar feed
+ *     description: The response includes the feed URL; it is not shown again
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Work tasks
+ *     responses:
+ *       201:
+ *         description: Feed created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CalendarFeedWithUrl'
+ *       400:
+ *         description: Invalid input or too many feeds
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/feeds', apiLimiter, authenticate, getCalendarFeeds);
+router.post('/feeds', apiLimiter, authenticate, validateCalendarFeed, createCalendarFeed);
+
+/**
+ * @swagger
+ * /api/v1/calendar/feeds/{id}/rotate:
+ *   post:
+ *     summary: Issue a new feed URL
+ *     description: The old URL stops working immediately; resubscribe calendar apps with the new one
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Feed ID
+ *     responses:
+ *       200:
+ *         description: New feed URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CalendarFeedWithUrl'
+ *       404:
+ *         description: Calendar feed not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/feeds/:id/rotate', apiLimiter, authenticate, rotateCalendarFeedToken);
+
+/**
+ * @swagger
+ * /api/v1/calendar/feeds/{id}:
+ *   delete:
+ *     summary: Delete a calendar feed
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Feed ID
+ *     responses:
+ *       204:
+ *         description: Feed deleted
+ *       404:
+ *         description: Calendar feed not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/feeds/:id', apiLimiter, authenticate, deleteCalendarFeed);
+
+/**
+ * @swagger
+ * /api/v1/calendar/{token}.ics:
+ *   get:
+ *     summary: iCalendar feed of task due dates
+ *     description: |
+ *       Top-level tasks with a due date, as `text/calendar`. UIDs are derived from task
+ *       IDs, so edits update the existing entry. Tasks due at midnight UTC are all-day
+ *       entries. With `type=todo` task status maps to VTODO status (TODO → NEEDS-ACTION,
+ *       IN_PROGRESS → IN-PROCESS, DONE → COMPLETED); as events, done tasks are prefixed
+ *       with a check mark. Priority maps to iCalendar priority 1 (high), 5 or 9 (low).
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Secret feed token from the feed URL
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: ["low", "medium", "high"]
+ *         description: Only tasks with this priority
+ *       - in: query
+ *         name: dateFilter
+ *         schema:
+ *           type: string
+ *           enum: ["today", "week", "month", "overdue", "upcoming", "next_7_days"]
+ *         description: Only tasks due in this range
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *         example: Europe/Berlin
+ *         description: IANA time zone for dateFilter; defaults to the server's
+ *       - in: query
+ *         name: weekStart
+ *         schema:
+ *           type: string
+ *           enum: ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"]
+ *         description: First day of the week for dateFilter=week
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: ["event", "todo"]
+ *           default: event
+ *         description: Render tasks as VEVENT (shown by every calendar app) or VTODO entries
+ *     responses:
+ *       200:
+ *         description: iCalendar document
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameters
+ *       404:
+ *         description: Unknown or rotated feed token
+ */
+router.get('/:token.ics', apiLimiter, getCalendarFeedIcs);
+
+// Add API versioning middleware
+router.use((req, res, next) => {
+    res.setHeader('X-API-Version', API.VERSION);
+    next();
+});
+
+export default router;
@@ -0,0 +1,207 @@
+import express from 'express';
+import {
+    createProject,
+    getProjects,
+    getProject,
+    updateProject,
+    deleteProject
+} from '../controllers/projects.js';
+import { validateProject } from '../middlewares/validateProject.js';
+import rateLimit from 'express-rate-limit';
+import { API } from '../utils/constants.js';
+
+const router = express.Router();
+
+// Rate limiting configuration
+const apiLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // Limit each IP to 100 requests per windowMs
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        success: false,
+        error: 'Too many requests, please try again later'
+    }
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Projects
+ *   description: Project (board) management endpoints
+ */
+
+/**
+ * @swagger
+ * /api/v1/projects:
+ *   get:
+ *     summary: List the current user's projects
+ *     description: Used by Board.jsx to switch between boards
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Project'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', apiLimiter, getProjects);
+
+/**
+ * @swagger
+ * /api/v1/projects:
+ *   post:
+ *     summary: Create a new project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProjectInput'
+ *     responses:
+ *       201:
+ *         description: Project created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', apiLimiter, validateProject, createProject);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}:
+ *   get:
+ *     summary: Get a single project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       404:
+ *         description: Project not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id', apiLimiter, getProject);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}:
+ *   patch:
+ *     summary: Update a project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Project ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProjectInput'
+ *     responses:
+ *       200:
+ *         description: Project updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Project not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch('/:id', apiLimiter, validateProject, updateProject);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}:
+ *   delete:
+ *     summary: Delete a project
+ *     description: |
+ *       The caller chooses whether the project's tasks go to the trash or move to another
+ *       project. Trashed tasks leave the project too, so restoring one puts it back without a project.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Project ID
+ *       - in: query
+ *         name: strategy
+ *         schema:
+ *           type: string
+ *           enum: ["move", "cascade"]
+ *           default: move
+ *         description: Move the project's tasks to the trash (cascade) or to another project (move)
+ *       - in: query
+ *         name: targetProjectId
+ *         schema:
+ *           type: string
+ *         description: Project to move tasks into; omit to leave them without a project
+ *     responses:
+ *       204:
+ *         description: Project deleted successfully
+ *       400:
+ *         description: Invalid strategy or target
+ *       404:
+ *         description: Project or target project not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id', apiLimiter, deleteProject);
+
+// Add API versioning middleware
+router.use((req, res, next) => {
+    res.setHeader('X-API-Version', API.VERSION);
+    next();
+});
+
+export default router;
\ No newline at end of file
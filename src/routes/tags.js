@@ -0,0 +1,156 @@
+import express from 'express';
+import {
+    createTag,
+    getTags,
+    updateTag,
+    deleteTag
+} from '../controllers/tags.js';
+import { validateTag } from '../middlewares/validateTag.js';
+import rateLimit from 'express-rate-limit';
+import { API } from '../utils/constants.js';
+
+const router = express.Router();
+
+// Rate limiting configuration
+const apiLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // Limit each IP to 100 requests per windowMs
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        success: false,
+        error: 'Too many requests, please try again later'
+    }
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tags
+ *   description: Tag (label) management endpoints
+ */
+
+/**
+ * @swagger
+ * /api/v1/tags:
+ *   get:
+ *     summary: List the current user's tags
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Tag'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', apiLimiter, getTags);
+
+/**
+ * @swagger
+ * /api/v1/tags:
+ *   post:
+ *     summary: Create a new tag
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TagInput'
+ *     responses:
+ *       201:
+ *         description: Tag created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tag'
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Tag name already in use
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', apiLimiter, validateTag, createTag);
+
+/**
+ * @swagger
+ * /api/v1/tags/{id}:
+ *   patch:
+ *     summary: Rename or recolor a tag
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Tag ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TagInput'
+ *     responses:
+ *       200:
+ *         description: Tag updated successfully
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Tag not found
+ *       409:
+ *         description: Tag name already in use
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch('/:id', apiLimiter, validateTag, updateTag);
+
+/**
+ * @swagger
+ * /api/v1/tags/{id}:
+ *   delete:
+ *     summary: Delete a tag
+ *     description: The tag is detached from every task it was on
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Tag ID
+ *     responses:
+ *       204:
+ *         description: Tag deleted successfully
+ *       404:
+ *         description: Tag not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id', apiLimiter, deleteTag);
+
+// Add API versioning middleware
+router.use((req, res, next) => {
+    res.setHeader('X-API-Version', API.VERSION);
+    next();
+});
+
+export default router;
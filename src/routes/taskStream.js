@@ -0,0 +1,179 @@
+import express from 'express';
+import { createStreamToken, streamTasks } from '../controllers/tasks.js';
+import { authenticate, authenticateStream } from '../middlewares/authenticate.js';
+import rateLimit from 'express-rate-limit';
+import { API } from '../utils/constants.js';
+
+const router = express.Router();
+
+// Rate limiting configuration
+const apiLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // Limit each IP to 100 requests per windowMs
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        success: false,
+        error: 'Too many requests, please try again later'
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/tasks/stream/token:
+ *   post:
+ *     summary: Issue a stream token for opening the task stream from a browser
+ *     description: |
+ *       EventSource cannot send the Authorization header, so pass this token in the
+ *       `token` query parameter of GET /api/v1/tasks/stream instead. It expires after
+ *       a few minutes and is accepted nowhere else.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Stream token issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     expiresIn:
+ *                       type: string
+ *                       example: 5m
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/token', apiLimiter, authenticate, createStreamToken);
+
+/**
+ * @swagger
+ * /api/v1/tasks/stream:
+ *   get:
+ *     summary: Stream task changes as Server-Sent Events
+ *     description: |
+ *       Pushes `task.created`, `task.updated` and `task.deleted` events for the
+ *       current user's tasks. Each event's data is JSON with `type`, `actorId`,
+ *       `task`, `changes` (updates only) and `occurredAt`. A comment line is sent
+ *       every 25 seconds as a heartbeat. On reconnect, send the last received
+ *       event ID in the `Last-Event-ID` header to receive missed events; if they
+ *       are no longer available a `reset` event tells the client to refetch.
+ *       Authenticate with the usual Bearer header, or, from a browser's EventSource,
+ *       which cannot send it, with a stream token from POST /api/v1/tasks/stream/token
+ *       in the `token` query parameter. The token is short-lived, so once it has expired
+ *       reconnect with a new one and `lastEventId`.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *       - streamToken: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Stream token, for clients that cannot send the Authorization header
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: ["TODO", "IN_PROGRESS", "DONE"]
+ *         description: Only tasks with this status (updates moving a task in or out are included)
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: ["low", "medium", "high"]
+ *         description: Only tasks with this priority
+ *       - in: query
+ *         name: dateFilter
+ *         schema:
+ *           type: string
+ *           enum: ["today", "week", "month", "overdue", "upcoming", "next_7_days", "no_due_date"]
+ *         description: Only tasks due in this range
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Due on or after this date, as for GET /api/v1/tasks
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Due on or before this date, as for GET /api/v1/tasks
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *         description: IANA time zone for date filters (EventSource cannot send X-Timezone)
+ *       - in: query
+ *         name: weekStart
+ *         schema:
+ *           type: string
+ *         description: First day of the week, as for GET /api/v1/tasks
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Only tasks in this project (board)
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tag IDs
+ *       - in: query
+ *         name: tagMode
+ *         schema:
+ *           type: string
+ *           enum: ["any", "all"]
+ *           default: any
+ *         description: Match tasks with any of the tags, or with all of them
+ *       - in: query
+ *         name: isBlocked
+ *         schema:
+ *           type: boolean
+ *         description: Only tasks that are (true) or are not (false) waiting on an open blocker
+ *       - in: query
+ *         name: filter
+ *         schema:
+ *           type: string
+ *         description: Filter expression, as for GET /api/v1/tasks
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: Resume after this event
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
+ *         description: Same as the Last-Event-ID header
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Missing, invalid or expired token
+ */
+
+router.get('/', apiLimiter, authenticateStream, streamTasks);
+
+// Add API versioning middleware
+router.use((req, res, next) => {
+    res.setHeader('X-API-Version', API.VERSION);
+    next();
+});
+
+export default router;
@@ -2,10 +2,49 @@ import express from 'express';
 import {
     createTask,
     getTasks,
+    getTask,
     updateTask,
-    deleteTask
+    deleteTask,
+    previewRecurrence,
+    moveTask,
+    bulkTasks,
+    getTrash,
+    restoreTask,
+    emptyTrash,
+    purgeTask,
+    exportTasks,
+    importTasks
 } from '../controllers/tasks.js';
+import {
+    getSubtasks,
+    createSubtask,
+    reorderSubtasks,
+    toggleSubtask,
+    deleteSubtask
+} from '../controllers/subtasks.js';
+import {
+    getComments,
+    createComment,
+    updateComment,
+    deleteComment
+} from '../controllers/comments.js';
+import {
+    getAttachments,
+    createAttachments,
+    downloadAttachment,
+    deleteAttachment
+} from '../controllers/attachments.js';
+import {
+    getDependencies,
+    addDependency,
+    removeDependency
+} from '../controllers/dependencies.js';
+import { getTaskActivity } from '../controllers/activity.js';
+import { getTaskStats } from '../controllers/taskStats.js';
 import { validateTask } from '../middlewares/validateTask.js';
+import { validateComment } from '../middlewares/validateComment.js';
+import { uploadAttachments } from '../middlewares/uploadAttachments.js';
+import { validateDependency } from '../middlewares/validateDependency.js';
 import rateLimit from 'express-rate-limit';
 import { API } from '../utils/constants.js';
 
@@ -44,8 +83,7 @@ const apiLimiter = rateLimit({
  *         name: status
  *         schema: 
  *           type: string
- *           enum: ["todo", "inProgress", "done"]
- *         description: Filter by task status
+ *         description: Filter by status key, such as TODO or a board's custom IN_REVIEW
  *       - in: query
  *         name: priority
  *         schema: 
@@ -56,8 +94,105 @@ const apiLimiter = rateLimit({
  *         name: dateFilter
  *         schema: 
  *           type: string
- *           enum: ["today", "overdue"]
- *         description: Filter by date range
+ *           enum: ["today", "week", "month", "overdue", "upcoming", "next_7_days", "no_due_date"]
+ *         description: |
+ *           Filter by due date. `today`, `week` and `month` are the current calendar day, week
+ *           and month in the `tz` time zone; `next_7_days` is today and the six days after it;
+ *           `overdue` and `upcoming` are due before and after now.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         example: "2026-05-01"
+ *         description: Due on or after this date (YYYY-MM-DD in `tz`) or ISO 8601 date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         example: "2026-05-31"
+ *         description: Due on or before this date (the whole day, in `tz`) or ISO 8601 date-time
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *         example: Europe/Berlin
+ *         description: |
+ *           IANA time zone for date filters and filter expressions. Falls back to the
+ *           X-Timezone header, then to the server's DEFAULT_TIME_ZONE.
+ *       - in: header
+ *         name: X-Timezone
+ *         schema:
+ *           type: string
+ *         description: Time zone used when `tz` is not given
+ *       - in: query
+ *         name: weekStart
+ *         schema:
+ *           type: string
+ *           enum: ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"]
+ *         description: First day of the week for `week` filters; defaults to the server's WEEK_START (Sunday)
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Filter by project (board)
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tag IDs
+ *       - in: query
+ *         name: tagMode
+ *         schema:
+ *           type: string
+ *           enum: ["any", "all"]
+ *           default: any
+ *         description: Match tasks with any of the tags, or with all of them
+ *       - in: query
+ *         name: isBlocked
+ *         schema:
+ *           type: boolean
+ *         description: Only tasks that are (true) or are not (false) waiting on an open blocker
+ *       - in: query
+ *         name: filter
+ *         schema:
+ *           type: string
+ *         example: "priority in (high, medium) and status != done and dueDate < week+5d"
+ *         description: |
+ *           Filter expression, combined with the filters above. Compare a field with
+ *           `=`, `!=`, `<`, `<=`, `>`, `>=`, `~` (title contains) or `in (a, b)` / `not in (...)`,
+ *           and join comparisons with `and`, `or`, `not` and parentheses.
+ *
+ *           Fields: status, priority (ordered low < medium < high), dueDate, createdAt,
+ *           updatedAt, title, projectId and tag (ID or name). dueDate, projectId and tag
+ *           can be compared with `null`.
+ *
+ *           Dates are `YYYY-MM-DD`, ISO 8601 date-times, or `now`, `today`, `week` and `month`
+ *           with an optional offset such as `now-7d` or `month-1m` (units h, d, w, m, y).
+ *           Days, weeks and months match as a whole: `createdAt = month` is this month and
+ *           `dueDate <= today` includes all of today.
+ *
+ *           Malformed filters get a 400 with the 1-based `position` of the problem.
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Full-text search over titles. Every word must match, as a whole word or
+ *           a word prefix ("inv" finds "invoice"). Results are ordered by relevance
+ *           and include `searchRank` and an HTML-escaped `highlight` with `<mark>` tags.
+ *           Combines with the other filters and pagination; at most 500 tasks match a search.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: default
+ *         example: "priority:desc,dueDate"
+ *         description: |
+ *           `default` orders by due date, then newest first (by relevance when searching).
+ *           `manual` uses the drag-and-drop order set with POST /tasks/{id}/move.
+ *           Otherwise a comma-separated list of `field[:asc|desc]` where field is one of
+ *           dueDate, priority, createdAt, updatedAt or title (direction defaults to asc).
+ *           Tasks without a due date always come last, in either direction.
  *       - in: query
  *         name: page
  *         schema: 
@@ -70,9 +205,23 @@ const apiLimiter = rateLimit({
  *           type: integer
  *           default: 10
  *         description: Items per page
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Cursor from `pagination.nextCursor`; returns the page after it. Cursor pages
+ *           omit `total`, `page` and `totalPages`, stay consistent while tasks are added
+ *           or removed, and only work with the sort they were issued for. Not available with `q`.
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Cursor from `pagination.prevCursor`; returns the page before it
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
- *         description: Successful operation
+ *         description: Successful operation. The ETag header changes whenever the page does
  *         content:
  *           application/json:
  *             schema:
@@ -86,22 +235,87 @@ const apiLimiter = rateLimit({
  *                     $ref: '#/components/schemas/Task'
  *                 pagination:
  *                   $ref: '#/components/schemas/Pagination'
+ *       304:
+ *         description: The page is unchanged since the ETag in If-None-Match
  *       400:
  *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
  *       500:
  *         description: Server error
  */
 router.get('/', apiLimiter, getTasks);
 
+/**
+ * @swagger
+ * /api/v1/tasks/stats:
+ *   get:
+ *     summary: Task statistics for the dashboard
+ *     description: |
+ *       Counts by status and priority, the overdue count and the completion rate cover the
+ *       current top-level tasks. The daily `series` (tasks created, completed and still open
+ *       at the end of each day, for burndown charts) and the average lead time (created to
+ *       completed) and cycle time (started to completed) cover the date range. Tasks completed
+ *       before completion times were recorded use their last update as an estimate.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day of the range (defaults to 30 days before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day of the range, included (defaults to today); at most 366 days after `from`
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Only tasks in this project (board)
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *         example: Europe/Berlin
+ *         description: IANA time zone that days are counted in; falls back to the X-Timezone header
+ *     responses:
+ *       200:
+ *         description: Statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/TaskStats'
+ *       400:
+ *         description: Invalid range or time zone
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/stats', apiLimiter, getTaskStats);
+
 /**
  * @swagger
  * /api/v1/tasks:
  *   post:
  *     summary: Create a new task
- *     description: Used by AddTaskForm.jsx
+ *     description: Used by AddTaskForm.jsx. Send an Idempotency-Key so retries cannot create duplicates
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -121,6 +335,10 @@ router.get('/', apiLimiter, getTasks);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyInProgress'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
  *       401:
  *         description: Unauthorized
  *       429:
@@ -130,47 +348,224 @@ router.post('/', apiLimiter, validateTask, createTask);
 
 /**
  * @swagger
- * /api/v1/tasks/{id}:
- *   patch:
- *     summary: Update an existing task
- *     description: Used by TaskCard.jsx for edits and drag-and-drop
+ * /api/v1/tasks/recurrence/preview:
+ *   post:
+ *     summary: Preview the upcoming occurrences of a recurrence rule
+ *     description: Used by AddTaskForm.jsx to show when a repeating task will next be due
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [recurrence, start]
+ *             properties:
+ *               recurrence:
+ *                 $ref: '#/components/schemas/Recurrence'
+ *               start:
+ *                 type: string
+ *                 format: date-time
+ *                 description: First occurrence
+ *               limit:
+ *                 type: integer
+ *                 default: 10
+ *                 maximum: 50
+ *     responses:
+ *       200:
+ *         description: Normalised rule and occurrence dates, starting with start
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recurrence:
+ *                       $ref: '#/components/schemas/Recurrence'
+ *                     occurrences:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: Invalid rule, start date or limit
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/recurrence/preview', apiLimiter, previewRecurrence);
+
+/**
+ * @swagger
+ * /api/v1/tasks/bulk:
+ *   post:
+ *     summary: Apply many create, update and delete operations at once
+ *     description: |
+ *       Every operation is validated with the same rules as the single-task endpoints
+ *       (updates do not need a title) and all of them run in one transaction.
+ *       In `atomic` mode any failure rolls back the whole batch and the response uses
+ *       the failing operation's status. In `best_effort` mode failed operations are
+ *       skipped and the rest are applied; the response is 207 when some failed.
+ *       Counts as a single request against the rate limit.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: string
- *         required: true
- *         description: Task ID
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/TaskUpdateInput'
+ *             type: object
+ *             required: [operations]
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [atomic, best_effort]
+ *                 default: atomic
+ *               operations:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   required: [op]
+ *                   properties:
+ *                     op:
+ *                       type: string
+ *                       enum: [create, update, delete]
+ *                     id:
+ *                       type: string
+ *                       description: Task to update or delete
+ *                     data:
+ *                       $ref: '#/components/schemas/TaskInput'
+ *                     ifMatch:
+ *                       type: string
+ *                       description: ETag for an update or delete; the operation fails with 412 if the task has changed
+ *                     force:
+ *                       type: boolean
+ *                       description: For an update, start or finish the task even while it has open blockers
+ *           example:
+ *             mode: best_effort
+ *             operations:
+ *               - op: update
+ *                 id: clxyz123
+ *                 data: { priority: high }
+ *               - op: delete
+ *                 id: clxyz456
+ *               - op: create
+ *                 data: { title: Draft agenda }
  *     responses:
  *       200:
- *         description: Task updated successfully
+ *         description: Every operation was applied
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Task'
+ *               $ref: '#/components/schemas/BulkResponse'
+ *       207:
+ *         description: Best-effort batch where some operations failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkResponse'
  *       400:
- *         description: Invalid input
+ *         description: Invalid batch, or an invalid operation in atomic mode
  *       404:
- *         description: Task not found
+ *         description: Atomic batch rolled back because a task, project or tag was not found
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyInProgress'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
  *       401:
  *         description: Unauthorized
  */
-router.patch('/:id', apiLimiter, validateTask, updateTask);
+router.post('/bulk', apiLimiter, bulkTasks);
 
 /**
  * @swagger
- * /api/v1/tasks/{id}:
+ * /api/v1/tasks/trash:
+ *   get:
+ *     summary: List the tasks in the trash
+ *     description: |
+ *       Deleted tasks stay here until restored, purged, or automatically purged
+ *       after the retention period (TRASH_RETENTION_DAYS, 30 days by default).
+ *       Subtasks deleted together with their parent are not listed separately.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Items per page
+ *     responses:
+ *       200:
+ *         description: Trashed tasks, most recently deleted first, each with the time it will be purged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TrashedTask'
+ *                 retentionDays:
+ *                   type: integer
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Invalid pagination parameters
+ *       401:
+ *         description: Unauthorized
  *   delete:
- *     summary: Delete a task
- *     description: Used by TaskCard.jsx
+ *     summary: Empty the trash
+ *     description: Permanently deletes every task in the trash
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of tasks purged, subtasks included
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     purged:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/trash', apiLimiter, getTrash);
+router.delete('/trash', apiLimiter, emptyTrash);
+
+/**
+ * @swagger
+ * /api/v1/tasks/trash/{id}:
+ *   delete:
+ *     summary: Permanently delete a task from the trash
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -183,13 +578,1075 @@ router.patch('/:id', apiLimiter, validateTask, updateTask);
  *         description: Task ID
  *     responses:
  *       204:
- *         description: Task deleted successfully
+ *         description: Task and its subtasks purged
  *       404:
- *         description: Task not found
+ *         description: Task not found in trash
  *       401:
  *         description: Unauthorized
  */
-router.delete('/:id', apiLimiter, deleteTask);
+router.delete('/trash/:id', apiLimiter, purgeTask);
+
+/**
+ * @swagger
+ * /api/v1/tasks/export:
+ *   get:
+ *     summary: Download tasks as CSV or JSON
+ *     description: |
+ *       Exports the top-level tasks matching the same filters and search as
+ *       `GET /api/v1/tasks`, oldest first, without pagination. Large exports are
+ *       streamed. Columns: id, title, status, priority, dueDate, projectId, tags
+ *       (names separated by ";"), createdAt, updatedAt. Priority uses the lowercase
+ *       API values, so an export can be imported again as is.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: ["csv", "json"]
+ *           default: csv
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dateFilter
+ *         schema:
+ *           type: string
+ *           enum: ["today", "week", "month", "overdue", "upcoming", "next_7_days", "no_due_date"]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: weekStart
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tagMode
+ *         schema:
+ *           type: string
+ *           enum: ["any", "all"]
+ *       - in: query
+ *         name: isBlocked
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: filter
+ *         schema:
+ *           type: string
+ *         description: Filter expression, as for GET /api/v1/tasks
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: File download (Content-Disposition attachment)
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *       400:
+ *         description: Invalid format or filters
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/export', apiLimiter, exportTasks);
+
+/**
+ * @swagger
+ * /api/v1/tasks/import:
+ *   post:
+ *     summary: Import tasks from CSV or JSON
+ *     description: |
+ *       Every row is validated with the same status and priority rules as task
+ *       creation. Invalid rows are reported and skipped; the others are created.
+ *       Use `dryRun` to check a file without saving anything. Columns are matched
+ *       to task fields by name ("Due Date" matches dueDate) unless `mapping` says
+ *       otherwise. Tags are given by name and created when missing. Rows are
+ *       numbered as in a spreadsheet for CSV (the header is row 1) and from 1 for JSON.
+ *       Accepts bodies up to 2 MB and 1000 rows.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [data]
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [csv, json]
+ *                 description: Inferred from data when omitted
+ *               data:
+ *                 oneOf:
+ *                   - type: string
+ *                     description: CSV text with a header row
+ *                   - type: array
+ *                     items:
+ *                       type: object
+ *               mapping:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                   nullable: true
+ *                   enum: [title, status, priority, dueDate, projectId, tags]
+ *                 description: Source column to task field; null ignores the column
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *           example:
+ *             format: csv
+ *             data: "Name,State,Due,Labels\nWrite report,TODO,2024-12-31,work; urgent\n"
+ *             mapping: { Name: title, State: status, Due: dueDate, Labels: tags }
+ *             dryRun: true
+ *     responses:
+ *       200:
+ *         description: Every row was imported, or the dry-run report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportResponse'
+ *       207:
+ *         description: Some rows failed and were skipped
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportResponse'
+ *       400:
+ *         description: Invalid request, unreadable CSV or unusable mapping
+ *       413:
+ *         description: File too large
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/import', apiLimiter, importTasks);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}:
+ *   get:
+ *     summary: Get a task
+ *     description: Same fields as in the task list. Send If-None-Match to revalidate a cached copy
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Task ID
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *     responses:
+ *       200:
+ *         description: The task
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       304:
+ *         description: The task is unchanged since the ETag in If-None-Match
+ *       404:
+ *         description: Task not found
+ *       401:
+ *         description: Unauthorized
+ *   patch:
+ *     summary: Update an existing task
+ *     description: |
+ *       Used by TaskCard.jsx for edits and drag-and-drop. Send the task's ETag in If-Match
+ *       to avoid overwriting someone else's change; on 412, merge with `current` and retry.
+ *       A task that is blocked by open tasks cannot be started or finished unless `force=true`.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Task ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/Force'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaskUpdateInput'
+ *     responses:
+ *       200:
+ *         description: Task updated successfully. Completing a recurring task also returns nextOccurrence
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Task not found
+ *       412:
+ *         description: If-Match does not match; the response carries the current task
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PreconditionFailed'
+ *       409:
+ *         description: |
+ *           The task, or the parent that finishing it would complete, is blocked by open tasks (retry
+ *           with force=true to override), the board's workflow does not allow the status, or a request
+ *           with this Idempotency-Key is still in progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id', apiLimiter, getTask);
+router.patch('/:id', apiLimiter, validateTask, updateTask);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/move:
+ *   post:
+ *     summary: Move a task within or across status columns
+ *     description: |
+ *       Used by Board.jsx when a card is dropped. Give the neighbours the card was
+ *       dropped between; with only one neighbour the task goes right next to it, and
+ *       with none it goes to the end of the column. Only the moved task is renumbered.
+ *       Read the order back with `GET /api/v1/tasks?sort=manual`.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Task ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - $ref: '#/components/parameters/Force'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 description: Target column, a status key of the task's board
+ *               beforeId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Task directly above the drop point, in the target column of the task's board
+ *               afterId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Task directly below the drop point, in the target column of the task's board
+ *     responses:
+ *       200:
+ *         description: Task moved. Completing a recurring task also returns nextOccurrence
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid input, or a neighbour is not in the target column
+ *       404:
+ *         description: Task not found
+ *       409:
+ *         description: |
+ *           Neighbours are out of order (the board is stale), the board's workflow has no
+ *           transition to the status, the column is at its WIP limit, or the task is blocked
+ *           by open tasks (retry with force=true to override)
+ *       412:
+ *         description: If-Match does not match; the response carries the current task
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PreconditionFailed'
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/move', apiLimiter, moveTask);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/restore:
+ *   post:
+ *     summary: Restore a task from the trash
+ *     description: Subtasks deleted together with the task are restored with it
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Task restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       404:
+ *         description: Task not found in trash
+ *       409:
+ *         description: The task is a subtask whose parent is still in the trash
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/restore', apiLimiter, restoreTask);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}:
+ *   delete:
+ *     summary: Delete a task
+ *     description: Used by TaskCard.jsx. The task and its subtasks move to the trash and can be restored
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Task ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       204:
+ *         description: Task moved to the trash
+ *       404:
+ *         description: Task not found
+ *       412:
+ *         description: If-Match does not match; the response carries the current task
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PreconditionFailed'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyInProgress'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id', apiLimiter, deleteTask);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/subtasks:
+ *   get:
+ *     summary: List a task's subtasks in checklist order
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Parent task ID
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *                 progress:
+ *                   $ref: '#/components/schemas/Progress'
+ *       404:
+ *         description: Task not found
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Add a subtask to the end of the checklist
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Parent task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaskInput'
+ *     responses:
+ *       201:
+ *         description: Subtask created successfully
+ *       400:
+ *         description: Validation error or nested subtask
+ *       404:
+ *         description: Task not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/subtasks', apiLimiter, getSubtasks);
+router.post('/:id/subtasks', apiLimiter, validateTask, createSubtask);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/subtasks/order:
+ *   put:
+ *     summary: Reorder a task's subtasks
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Parent task ID
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [subtaskIds]
+ *             properties:
+ *               subtaskIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Every subtask ID, in the new order
+ *     responses:
+ *       200:
+ *         description: Subtasks reordered
+ *       400:
+ *         description: IDs do not match the task's subtasks
+ *       404:
+ *         description: Task not found
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyInProgress'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id/subtasks/order', apiLimiter, reorderSubtasks);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/subtasks/{subtaskId}/toggle:
+ *   patch:
+ *     summary: Toggle a subtask between TODO and DONE
+ *     description: |
+ *       Completing the last open subtask also marks the parent DONE. A parent that is blocked by
+ *       open tasks cannot be completed this way unless `force=true`.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Parent task ID
+ *       - in: path
+ *         name: subtaskId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Subtask ID
+ *       - $ref: '#/components/parameters/Force'
+ *     responses:
+ *       200:
+ *         description: Subtask toggled; includes the parent when it was auto-completed
+ *       404:
+ *         description: Subtask not found
+ *       409:
+ *         description: The parent is blocked by open tasks (retry with force=true to override)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch('/:id/subtasks/:subtaskId/toggle', apiLimiter, toggleSubtask);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/subtasks/{subtaskId}:
+ *   delete:
+ *     summary: Move a subtask to the trash
+ *     description: |
+ *       Removing the last open subtask marks the parent DONE. A parent that is blocked by open
+ *       tasks cannot be completed this way unless `force=true`.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Parent task ID
+ *       - in: path
+ *         name: subtaskId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Subtask ID
+ *       - $ref: '#/components/parameters/Force'
+ *     responses:
+ *       204:
+ *         description: Subtask deleted successfully
+ *       404:
+ *         description: Subtask not found
+ *       409:
+ *         description: The parent is blocked by open tasks (retry with force=true to override)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id/subtasks/:subtaskId', apiLimiter, deleteSubtask);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/comments:
+ *   get:
+ *     summary: List a task's comments as reply threads
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Top-level comments, each with nested replies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Comment'
+ *                 total:
+ *                   type: integer
+ *       404:
+ *         description: Task not found
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Add a comment or reply
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommentInput'
+ *     responses:
+ *       201:
+ *         description: Comment created successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Task or parent comment not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/comments', apiLimiter, getComments);
+router.post('/:id/comments', apiLimiter, validateComment, createComment);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/comments/{commentId}:
+ *   patch:
+ *     summary: Edit a comment
+ *     description: Only the author can edit; sets editedAt
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Task ID
+ *       - in: path
+ *         name: commentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Comment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommentInput'
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Comment not found
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Delete a comment and its replies
+ *     description: Only the author can delete
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Task ID
+ *       - in: path
+ *         name: commentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Comment ID
+ *     responses:
+ *       204:
+ *         description: Comment deleted successfully
+ *       404:
+ *         description: Comment not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch('/:id/comments/:commentId', apiLimiter, validateComment, updateComment);
+router.delete('/:id/comments/:commentId', apiLimiter, deleteComment);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/attachments:
+ *   get:
+ *     summary: List a task's attachments, oldest first
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Attachment'
+ *                 total:
+ *                   type: integer
+ *       404:
+ *         description: Task not found
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Upload files to a task
+ *     description: |
+ *       Send up to 5 files as multipart/form-data in the `files` field. Each file must be within
+ *       the size limit (10 MB unless ATTACHMENT_MAX_FILE_SIZE says otherwise) and of an allowed
+ *       type (images, PDF, plain text, CSV and ZIP unless ATTACHMENT_MIME_TYPES says otherwise).
+ *       The type is recognized from the file's contents, and is the one stored and served on download.
+ *       A task holds at most 20 attachments. Either every file is attached or none is.
+ *       Attachments stay while the task is in the trash and are removed when it is purged.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Task ID
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [files]
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Files attached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Attachment'
+ *       400:
+ *         description: No files, too many files, or the task would pass its attachment limit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Task not found
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyInProgress'
+ *       413:
+ *         description: A file is larger than the size limit
+ *       415:
+ *         description: Not multipart/form-data, or a file's declared type or contents are not of an allowed type
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/attachments', apiLimiter, getAttachments);
+router.post('/:id/attachments', apiLimiter, uploadAttachments, createAttachments);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download an attachment
+ *     description: Served with its original file name and type, always as a download (Content-Disposition attachment)
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Task ID
+ *       - in: path
+ *         name: attachmentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Attachment ID
+ *     responses:
+ *       200:
+ *         description: The file
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Attachment not found
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Delete an attachment
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Task ID
+ *       - in: path
+ *         name: attachmentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Attachment ID
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       204:
+ *         description: Attachment deleted
+ *       404:
+ *         description: Attachment not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/attachments/:attachmentId', apiLimiter, downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', apiLimiter, deleteAttachment);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/dependencies:
+ *   get:
+ *     summary: List the tasks a task is blocked by and the tasks it blocks
+ *     description: A blocker is open until it is done; blockers in the trash are ignored
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Dependencies'
+ *       404:
+ *         description: Task not found
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Mark a task as blocked by another
+ *     description: |
+ *       While any of its blockers is open, the task cannot move to an IN_PROGRESS or DONE status
+ *       unless the change is forced. Links that would make a task wait on itself, directly or
+ *       through other tasks, are refused with 409 and the `cycle` they would close.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Task ID of the blocked task
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [blockerId]
+ *             properties:
+ *               blockerId:
+ *                 type: string
+ *                 description: Task to wait on
+ *     responses:
+ *       201:
+ *         description: Dependency added; returns the task's dependencies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Dependencies'
+ *       400:
+ *         description: Missing blockerId, a task blocking itself, or too many blockers
+ *       404:
+ *         description: Task or blocking task not found
+ *       409:
+ *         description: The link already exists or would create a cycle
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ErrorResponse'
+ *                 - type: object
+ *                   properties:
+ *                     cycle:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Task IDs, each waiting on the next, from this task back round to it
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/dependencies', apiLimiter, getDependencies);
+router.post('/:id/dependencies', apiLimiter, validateDependency, addDependency);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/dependencies/{blockerId}:
+ *   delete:
+ *     summary: Stop a task waiting on another
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Task ID of the blocked task
+ *       - in: path
+ *         name: blockerId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Task it waits on
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       204:
+ *         description: Dependency removed
+ *       404:
+ *         description: Dependency not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id/dependencies/:blockerId', apiLimiter, removeDependency);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/activity:
+ *   get:
+ *     summary: Activity history of a task, newest first
+ *     description: Still available after the task has been deleted
+ *     tags: [Tasks, Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TaskActivity'
+ *       404:
+ *         description: Task not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/activity', apiLimiter, getTaskActivity);
 
 // Add API versioning middleware
 router.use((req, res, next) => {
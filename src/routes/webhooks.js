@@ -0,0 +1,259 @@
+import express from 'express';
+import {
+    createWebhook,
+    getWebhooks,
+    updateWebhook,
+    deleteWebhook,
+    getWebhookDeliveries,
+    replayWebhookDelivery
+} from '../controllers/webhooks.js';
+import { validateWebhook } from '../middlewares/validateWebhook.js';
+import rateLimit from 'express-rate-limit';
+import { API } from '../utils/constants.js';
+
+const router = express.Router();
+
+// Rate limiting configuration
+const apiLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // Limit each IP to 100 requests per windowMs
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        success: false,
+        error: 'Too many requests, please try again later'
+    }
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: |
+ *     Outgoing webhooks for task events. Each delivery is a JSON POST carrying
+ *     `X-GradTrack-Event`, `X-GradTrack-Delivery`, `X-GradTrack-Timestamp` and
+ *     `X-GradTrack-Signature` headers. The signature is `sha256=` followed by the
+ *     hex HMAC-SHA256 of `<timestamp>.<raw body>` keyed with the subscription secret.
+ *     Non-2xx responses are retried with exponential backoff.
+ */
+
+/**
+ * @swagger
+ * /api/v1/webhooks:
+ *   get:
+ *     summary: List the current user's webhook subscriptions
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookSubscription'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', apiLimiter, getWebhooks);
+
+/**
+ * @swagger
+ * /api/v1/webhooks:
+ *   post:
+ *     summary: Register a webhook subscription
+ *     description: The response includes the signing secret; it is not shown again
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       201:
+ *         description: Webhook created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/WebhookSubscription'
+ *                 - type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *       400:
+ *         description: Validation error or subscription limit reached
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', apiLimiter, validateWebhook, createWebhook);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{id}:
+ *   patch:
+ *     summary: Change a subscription's URL, events or active flag
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Subscription ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Webhook not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch('/:id', apiLimiter, validateWebhook, updateWebhook);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook subscription
+ *     description: Its delivery log is deleted with it
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Subscription ID
+ *     responses:
+ *       204:
+ *         description: Webhook deleted successfully
+ *       404:
+ *         description: Webhook not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id', apiLimiter, deleteWebhook);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Inspect a subscription's delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Subscription ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, SUCCESS, FAILED]
+ *         description: Filter by delivery status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Items per page
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
+ *       404:
+ *         description: Webhook not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/deliveries', apiLimiter, getWebhookDeliveries);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{id}/deliveries/{deliveryId}/replay:
+ *   post:
+ *     summary: Send a past delivery again
+ *     description: Queues a new delivery with the same event and payload, linked through replayOfId
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Subscription ID
+ *       - in: path
+ *         name: deliveryId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Delivery to replay
+ *     responses:
+ *       202:
+ *         description: Replay queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Delivery not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/deliveries/:deliveryId/replay', apiLimiter, replayWebhookDelivery);
+
+// Add API versioning middleware
+router.use((req, res, next) => {
+    res.setHeader('X-API-Version', API.VERSION);
+    next();
+});
+
+export default router;
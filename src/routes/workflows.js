@@ -0,0 +1,115 @@
+import express from 'express';
+import { getWorkflow, updateWorkflow } from '../controllers/workflows.js';
+import { validateWorkflow } from '../middlewares/validateWorkflow.js';
+import rateLimit from 'express-rate-limit';
+import { API } from '../utils/constants.js';
+
+const router = express.Router();
+
+// Rate limiting configuration
+const apiLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // Limit each IP to 100 requests per windowMs
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        success: false,
+        error: 'Too many requests, please try again later'
+    }
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Workflow
+ *   description: |
+ *     Board columns. Each project has a board, and tasks without a project share one more.
+ *     A board's statuses set the values `status` can take for its top-level tasks; each
+ *     belongs to a category (TODO, IN_PROGRESS or DONE) that decides when a task counts as
+ *     started or completed. Moving a task must follow the transitions of its current status
+ *     and respect the WIP limit of the new one, or the request fails with 409. Subtasks use
+ *     the built-in statuses only.
+ */
+
+/**
+ * @swagger
+ * /api/v1/workflow:
+ *   get:
+ *     summary: Get a board's statuses in column order
+ *     description: Used by Board.jsx to draw the columns. Boards that were never customized have To Do, In Progress and Done
+ *     tags: [Workflow]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Project whose board to read; omit for tasks without a project
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Workflow'
+ *       404:
+ *         description: Project not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', apiLimiter, getWorkflow);
+
+/**
+ * @swagger
+ * /api/v1/workflow:
+ *   put:
+ *     summary: Replace a board's statuses
+ *     description: |
+ *       The list is the whole workflow in column order. The built-in TODO, IN_PROGRESS and
+ *       DONE statuses must stay but can be relabelled, recoloured and reordered. A status can
+ *       only be removed once no task is in it. Lowering a WIP limit below the number of tasks
+ *       already in the column only stops more from entering.
+ *     tags: [Workflow]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Project whose board to change; omit for tasks without a project
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WorkflowInput'
+ *     responses:
+ *       200:
+ *         description: Workflow saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Workflow'
+ *       400:
+ *         description: Invalid statuses
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: A removed status still has tasks in it, or a request with this Idempotency-Key is still in progress
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/', apiLimiter, validateWorkflow, updateWorkflow);
+
+// Add API versioning middleware
+router.use((req, res, next) => {
+    res.setHeader('X-API-Version', API.VERSION);
+    next();
+});
+
+export default router;
@@ -3,10 +3,36 @@ import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import tasksRoutes from './routes/tasks.js';
+import taskStreamRoutes from './routes/taskStream.js';
+import authRoutes from './routes/auth.js';
+import projectsRoutes from './routes/projects.js';
+import tagsRoutes from './routes/tags.js';
+import activityRoutes from './routes/activity.js';
+import webhooksRoutes from './routes/webhooks.js';
+import calendarRoutes from './routes/calendar.js';
+import workflowRoutes from './routes/workflows.js';
+import { authenticate } from './middlewares/authenticate.js';
+import { idempotency } from './middlewares/idempotency.js';
 import { connectDB, checkDBHealth } from './utils/prisma.js';
-import { API } from './utils/constants.js';
+import { missingAuthSecrets } from './utils/auth.js';
+import { ensureSearchIndex } from './utils/search.js';
+import { syncPriorityRanks } from './utils/taskSort.js';
+import { backfillStatusTimestamps } from './utils/taskStats.js';
+import { syncStatusCategories } from './utils/workflows.js';
+import { API, TRANSFER, IDEMPOTENCY } from './utils/constants.js';
 import swaggerUi from 'swagger-ui-express';
 import swaggerSpec from './utils/swagger.js';
+import ReminderScheduler from './services/reminderScheduler.js';
+import WebhookDispatcher from './services/webhookDispatcher.js';
+import TrashPurger from './services/trashPurger.js';
+import { closeStreams } from './services/taskStream.js';
+
+// Tokens signed with a well-known secret could be forged, so there is no default outside development
+const missingSecrets = missingAuthSecrets();
+if (missingSecrets.length > 0) {
+    console.error(`Set ${missingSecrets.join(' and ')} to start the server`);
+    process.exit(1);
+}
 
 const app = express();
 
@@ -16,10 +42,18 @@ const app = express();
 app.use(helmet());
 app.use(cors({
     origin: process.env.FRONTEND_URL || 'http://localhost:5173',
-    methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: [
+        'Content-Type', 'Authorization', 'Last-Event-ID', 'X-Timezone', 'If-Match', 'If-None-Match', IDEMPOTENCY.HEADER
+    ],
+    // Lets the frontend name downloaded exports, send conditional requests and spot replayed responses
+    exposedHeaders: ['Content-Disposition', 'ETag', IDEMPOTENCY.REPLAYED_HEADER]
 }));
 
+// Lists get a weak ETag from their body and 304 for a matching If-None-Match;
+// single tasks set a strong one from their version instead
+app.set('etag', 'weak');
+
 // Rate limiting
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -35,6 +69,8 @@ app.use(limiter);
 // ======================
 // Body Parsing
 // ======================
+// Imports carry whole files; a body parsed here is skipped by the general parser below
+app.use(`${API.BASE_PATH}/tasks/import`, express.json({ limit: TRANSFER.MAX_IMPORT_SIZE }));
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
@@ -58,6 +94,10 @@ let prisma;
 try {
     prisma = await connectDB();
     console.log('Database connection established');
+    await ensureSearchIndex(prisma);
+    await syncPriorityRanks(prisma);
+    await syncStatusCategories(prisma);
+    await backfillStatusTimestamps(prisma);
 } catch (err) {
     console.error('Database connection failed:', err);
     process.exit(1);
@@ -71,7 +111,18 @@ app.use(API.DOCS_PATH, swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 // ======================
 // API Routes
 // ======================
-app.use(`${API.BASE_PATH}/tasks`, tasksRoutes);
+app.use(`${API.BASE_PATH}/auth`, authRoutes);
+// The task stream authenticates per route, so EventSource can open it with a stream token in the URL
+app.use(`${API.BASE_PATH}/tasks/stream`, taskStreamRoutes);
+// Writes with an Idempotency-Key are safe to retry
+app.use(`${API.BASE_PATH}/tasks`, authenticate, idempotency, tasksRoutes);
+app.use(`${API.BASE_PATH}/projects`, authenticate, idempotency, projectsRoutes);
+app.use(`${API.BASE_PATH}/tags`, authenticate, idempotency, tagsRoutes);
+app.use(`${API.BASE_PATH}/activity`, authenticate, activityRoutes);
+app.use(`${API.BASE_PATH}/webhooks`, authenticate, idempotency, webhooksRoutes);
+app.use(`${API.BASE_PATH}/workflow`, authenticate, idempotency, workflowRoutes);
+// Feed management authenticates per route; the feeds themselves are read with a token in the URL
+app.use(`${API.BASE_PATH}/calendar`, calendarRoutes);
 
 // ======================
 // Health Checks
@@ -123,6 +174,24 @@ const server = app.listen(PORT, () => {
     console.log(`API Docs: http://localhost:${PORT}${API.DOCS_PATH}`);
 });
 
+// ======================
+// Background Jobs
+// ======================
+const reminderScheduler = new ReminderScheduler();
+if (process.env.REMINDER_SCHEDULER !== 'off') {
+    reminderScheduler.start();
+}
+
+const webhookDispatcher = new WebhookDispatcher();
+if (process.env.WEBHOOK_DISPATCHER !== 'off') {
+    webhookDispatcher.start();
+}
+
+const trashPurger = new TrashPurger();
+if (process.env.TRASH_PURGER !== 'off') {
+    trashPurger.start();
+}
+
 // ======================
 // Graceful Shutdown
 // ======================
@@ -130,6 +199,12 @@ const shutdown = async (signal) => {
     console.log(`${signal} received. Shutting down gracefully...`);
 
     try {
+        // Let in-flight reminder and webhook deliveries and purges finish before the database goes away
+        await Promise.all([reminderScheduler.stop(), webhookDispatcher.stop(), trashPurger.stop()]);
+
+        // Open event streams would otherwise keep the server from closing
+        closeStreams();
+
         await prisma.$disconnect();
         console.log('Database connection closed');
 
@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+import { ATTACHMENTS } from '../utils/constants.js';
+
+/**
+ * @typedef {Object} StorageBackend
+ * @property {(key: string, data: Buffer) => Promise<void>} save - Stores a file under key
+ * @property {(key: string) => Promise<import('stream').Readable>} open - Streams a stored file;
+ *     rejects with `code` 'ENOENT' when there is none
+ * @property {(key: string) => Promise<void>} remove - Deletes a stored file; missing files are not an error
+ */
+
+/**
+ * Registered storage backends, keyed by name
+ * @type {Map<string, StorageBackend>}
+ */
+const backends = new Map();
+
+/**
+ * Registers (or replaces) a storage backend
+ * @param {string} name - Name used in ATTACHMENTS.STORAGE
+ * @param {StorageBackend} backend
+ */
+export const registerStorage = (name, backend) => {
+    backends.set(name, backend);
+};
+
+/**
+ * The backend attachments are kept in, as configured by ATTACHMENTS.STORAGE
+ * @returns {StorageBackend}
+ * @throws {Error} When no backend of that name is registered
+ */
+export const getStorage = () => {
+    const backend = backends.get(ATTACHMENTS.STORAGE);
+    if (!backend) {
+        throw new Error(`Unknown attachment storage "${ATTACHMENTS.STORAGE}"`);
+    }
+    return backend;
+};
+
+/**
+ * Deletes stored files, logging rather than throwing on failure
+ * Called once the rows pointing at them are gone, so a failure only leaves an orphaned file
+ * @param {string[]} keys
+ * @returns {Promise<void>}
+ */
+export const removeStoredFiles = async (keys) => {
+    if (keys.length === 0) return;
+
+    const storage = getStorage();
+    const results = await Promise.allSettled(keys.map((key) => storage.remove(key)));
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            console.error(`[Attachments] Failed to remove ${keys[index]}:`, result.reason);
+        }
+    });
+};
+
+// ======================
+// Built-in Backends
+// ======================
+
+const root = path.resolve(ATTACHMENTS.LOCAL_DIR);
+
+/**
+ * Path of a key on disk; keys are generated by the server, but never leave the root regardless
+ * @param {string} key
+ * @returns {string}
+ */
+const localPath = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+        throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+};
+
+registerStorage('local', {
+    async save(key, data) {
+        const file = localPath(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, data, { flag: 'wx' });
+    },
+
+    async open(key) {
+        const file = localPath(key);
+        // Fails with ENOENT here rather than mid-response
+        await fs.promises.access(file, fs.constants.R_OK);
+        return fs.createReadStream(file);
+    },
+
+    async remove(key) {
+        await fs.promises.rm(localPath(key), { force: true });
+    }
+});
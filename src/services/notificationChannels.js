@@ -0,0 +1,84 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * @typedef {Object} ReminderNotification
+ * @property {string} reminderId
+ * @property {string} taskId
+ * @property {string} title
+ * @property {Date} dueDate
+ * @property {number} offsetMinutes
+ * @property {{id: string, email: string, name: string|null}} user
+ */
+
+/**
+ * Registered delivery channels, keyed by name
+ * Each channel is an async function that throws when delivery fails
+ * @type {Map<string, (notification: ReminderNotification) => Promise<void>>}
+ */
+const channels = new Map();
+
+/**
+ * Registers (or replaces) a delivery channel
+ * @param {string} name - Name used in REMINDER_CHANNELS
+ * @param {(notification: ReminderNotification) => Promise<void>} deliver
+ */
+export const registerChannel = (name, deliver) => {
+    channels.set(name, deliver);
+};
+
+/**
+ * Looks up a registered channel
+ * @param {string} name
+ * @returns {((notification: ReminderNotification) => Promise<void>)|undefined}
+ */
+export const getChannel = (name) => channels.get(name);
+
+/**
+ * Formats the human-readable reminder line shared by every channel
+ * @param {ReminderNotification} notification
+ * @returns {string}
+ */
+const describe = ({ title, dueDate }) => `"${title}" is due ${dueDate.toISOString()}`;
+
+// ======================
+// Built-in Channels
+// ======================
+
+registerChannel('console', async (notification) => {
+    console.log(`[Reminder] ${notification.user.email}: ${describe(notification)}`);
+});
+
+registerChannel('webhook', async (notification) => {
+    const url = process.env.REMINDER_WEBHOOK_URL;
+    if (!url) throw new Error('REMINDER_WEBHOOK_URL is not set');
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type: 'task.reminder', ...notification }),
+        signal: AbortSignal.timeout(10 * 1000)
+    });
+    if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+    }
+});
+
+let transporter;
+registerChannel('smtp', async (notification) => {
+    // Defaults target a local test server such as MailHog or smtp4dev
+    transporter ??= nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT) || 1025,
+        secure: process.env.SMTP_SECURE === 'true',
+        ...(process.env.SMTP_USER && {
+            auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        })
+    });
+
+    await transporter.sendMail({
+        from: process.env.SMTP_FROM || 'GradTrack <reminders@gradtrack.local>',
+        to: notification.user.email,
+        subject: `Reminder: ${notification.title}`,
+        text: `Hi${notification.user.name ? ` ${notification.user.name}` : ''},\n\n${describe(notification)}.\n`
+    });
+});
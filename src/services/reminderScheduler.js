@@ -0,0 +1,145 @@
+import prisma from '../utils/prisma.js';
+import { REMINDERS, STATUS } from '../utils/constants.js';
+import { getChannel } from './notificationChannels.js';
+
+/**
+ * Polls for due reminders and delivers them through the configured channels
+ *
+ * A reminder is claimed by setting sentAt before delivery, so a crash or
+ * restart can at worst drop a reminder, never send it twice. If every channel
+ * fails the claim is released and retried up to REMINDERS.MAX_ATTEMPTS times.
+ */
+class ReminderScheduler {
+    constructor({ channels = REMINDERS.CHANNELS, intervalMs = REMINDERS.POLL_INTERVAL_MS } = {}) {
+        this.channelNames = channels;
+        this.intervalMs = intervalMs;
+        this.timer = null;
+        this.running = null;
+    }
+
+    /**
+     * Starts polling; the first check runs immediately to catch up after downtime
+     */
+    start() {
+        if (this.timer) return;
+
+        const unknown = this.channelNames.filter((name) => !getChannel(name));
+        if (unknown.length > 0) {
+            console.warn(`[Reminders] Ignoring unknown channels: ${unknown.join(', ')}`);
+            this.channelNames = this.channelNames.filter((name) => getChannel(name));
+        }
+
+        this.timer = setInterval(() => this.tick(), this.intervalMs);
+        this.tick();
+        console.log(`[Reminders] Scheduler started (channels: ${this.channelNames.join(', ') || 'none'})`);
+    }
+
+    /**
+     * Stops polling and waits for an in-flight batch to finish
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await this.running;
+        console.log('[Reminders] Scheduler stopped');
+    }
+
+    /**
+     * Runs one polling pass unless the previous one is still going
+     * @returns {Promise<void>}
+     */
+    tick() {
+        if (this.running) return this.running;
+
+        this.running = this.processDue()
+            .catch((error) => console.error('[Reminders] Polling failed:', error))
+            .finally(() => {
+                this.running = null;
+            });
+        return this.running;
+    }
+
+    /**
+     * Claims and delivers a batch of due reminders
+     * @returns {Promise<void>}
+     */
+    async processDue() {
+        const now = new Date();
+        const due = await prisma.taskReminder.findMany({
+            where: {
+                sentAt: null,
+                remindAt: { lte: now },
+                attempts: { lt: REMINDERS.MAX_ATTEMPTS },
+                task: { statusCategory: { not: STATUS.DONE }, deletedAt: null }
+            },
+            include: {
+                task: {
+                    include: { user: { select: { id: true, email: true, name: true } } }
+                }
+            },
+            orderBy: { remindAt: 'asc' },
+            take: REMINDERS.BATCH_SIZE
+        });
+
+        for (const reminder of due) {
+            if (!this.timer) break; // Stopping: leave the rest for the next start
+
+            // Claiming only unsent rows keeps concurrent instances from double-sending
+            const { count } = await prisma.taskReminder.updateMany({
+                where: { id: reminder.id, sentAt: null },
+                data: { sentAt: now, attempts: { increment: 1 } }
+            });
+            if (count === 0) continue;
+
+            // A reminder that only fires after its task was due is no longer useful
+            if (reminder.task.dueDate <= now) {
+                await prisma.taskReminder.update({
+                    where: { id: reminder.id },
+                    data: { lastError: 'Skipped: task was already due' }
+                });
+                continue;
+            }
+
+            await this.deliver(reminder);
+        }
+    }
+
+    /**
+     * Sends a claimed reminder through every channel
+     * @param {Object} reminder - Reminder with its task and user loaded
+     * @returns {Promise<void>}
+     */
+    async deliver(reminder) {
+        const notification = {
+            reminderId: reminder.id,
+            taskId: reminder.task.id,
+            title: reminder.task.title,
+            dueDate: reminder.task.dueDate,
+            offsetMinutes: reminder.offsetMinutes,
+            user: reminder.task.user
+        };
+
+        const results = await Promise.allSettled(
+            this.channelNames.map((name) => getChannel(name)(notification))
+        );
+        const failures = results
+            .map((result, index) => result.status === 'rejected' && `${this.channelNames[index]}: ${result.reason.message}`)
+            .filter(Boolean);
+
+        if (failures.length === 0) return;
+
+        console.error(`[Reminders] Delivery failed for reminder ${reminder.id}:`, failures.join('; '));
+        // Only release the claim when nothing went out, otherwise a retry would repeat delivered channels
+        const allFailed = failures.length === results.length;
+        await prisma.taskReminder.update({
+            where: { id: reminder.id },
+            data: {
+                lastError: failures.join('; '),
+                ...(allFailed && { sentAt: null })
+            }
+        });
+    }
+}
+
+export default ReminderScheduler;
@@ -0,0 +1,50 @@
+import { EventEmitter } from 'events';
+
+/**
+ * In-process bus for task changes made through the API
+ * Controllers publish after their transaction commits; integrations subscribe
+ */
+const bus = new EventEmitter();
+// Every integration (webhooks, live streams, ...) adds a listener
+bus.setMaxListeners(0);
+
+/**
+ * @typedef {Object} TaskEvent
+ * @property {string} type - One of TASK_EVENTS
+ * @property {string} userId - Owner of the task
+ * @property {string} actorId - User who made the change
+ * @property {Object} task - Task snapshot (the last known state for deletes)
+ * @property {Object} [changes] - Field-level changes, as recorded in the activity log
+ * @property {string} occurredAt - ISO timestamp
+ */
+
+/**
+ * Publishes a task event to every subscriber
+ * Listener errors are logged so they never fail the request that caused the event
+ * @param {string} type - One of TASK_EVENTS
+ * @param {Omit<TaskEvent, 'type'|'occurredAt'>} data
+ */
+export const publishTaskEvent = (type, data) => {
+    const event = { type, ...data, occurredAt: new Date().toISOString() };
+
+    for (const listener of bus.listeners('task')) {
+        try {
+            const result = listener(event);
+            if (result && typeof result.catch === 'function') {
+                result.catch((error) => console.error(`[TaskEvents] Listener failed for ${type}:`, error));
+            }
+        } catch (error) {
+            console.error(`[TaskEvents] Listener failed for ${type}:`, error);
+        }
+    }
+};
+
+/**
+ * Subscribes to every task event
+ * @param {(event: TaskEvent) => void|Promise<void>} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export const onTaskEvent = (listener) => {
+    bus.on('task', listener);
+    return () => bus.off('task', listener);
+};
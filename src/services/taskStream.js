@@ -0,0 +1,82 @@
+import { STREAM, TASK_EVENTS } from '../utils/constants.js';
+import { onTaskEvent } from './taskEvents.js';
+
+// Event IDs embed the process start time so IDs from before a restart are recognised as stale
+const EPOCH = Date.now().toString(36);
+
+/**
+ * Recent events, oldest first, for Last-Event-ID resume
+ * @type {Array<{id: string, seq: number, event: import('./taskEvents.js').TaskEvent}>}
+ */
+const buffer = [];
+const listeners = new Set();
+let seq = 0;
+
+/**
+ * Open stream responses, ended on shutdown
+ * @type {Set<Object>}
+ */
+const clients = new Set();
+
+// status_changed is already covered by the matching task.updated event
+const STREAMED_EVENTS = [TASK_EVENTS.CREATED, TASK_EVENTS.UPDATED, TASK_EVENTS.DELETED, TASK_EVENTS.RESTORED];
+
+onTaskEvent((event) => {
+    if (!STREAMED_EVENTS.includes(event.type)) return;
+
+    seq += 1;
+    const entry = { id: `${EPOCH}-${seq}`, seq, event };
+    buffer.push(entry);
+    if (buffer.length > STREAM.BUFFER_SIZE) buffer.shift();
+
+    for (const listener of listeners) {
+        listener(entry);
+    }
+});
+
+/**
+ * Returns the buffered events after the given event ID
+ * @param {string} lastEventId - ID of the last event the client received
+ * @returns {Array<Object>|null} Missed events, or null when they can no longer be replayed
+ */
+export const eventsSince = (lastEventId) => {
+    const [epoch, rawSeq] = String(lastEventId).split('-');
+    const lastSeq = Number(rawSeq);
+    if (epoch !== EPOCH || !Number.isInteger(lastSeq) || lastSeq > seq) return null;
+
+    const oldest = buffer.length > 0 ? buffer[0].seq : seq + 1;
+    // Events between lastSeq and the oldest buffered one were dropped
+    if (lastSeq < oldest - 1) return null;
+
+    return buffer.filter((entry) => entry.seq > lastSeq);
+};
+
+/**
+ * Calls the listener with every new stream entry
+ * @param {(entry: Object) => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export const subscribeToStream = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Tracks an open stream response so it can be ended on shutdown
+ * @param {Object} res - Express response object
+ * @returns {() => void} Untrack function
+ */
+export const trackStreamClient = (res) => {
+    clients.add(res);
+    return () => clients.delete(res);
+};
+
+/**
+ * Ends every open stream; clients reconnect to another instance or after restart
+ */
+export const closeStreams = () => {
+    for (const res of clients) {
+        res.end();
+    }
+    clients.clear();
+};
@@ -0,0 +1,82 @@
+import prisma from '../utils/prisma.js';
+import { TRASH } from '../utils/constants.js';
+import { trashCutoff, purgeTasks } from '../utils/trash.js';
+import { removeStoredFiles } from './attachmentStorage.js';
+
+/**
+ * Permanently deletes tasks that have been in the trash longer than TRASH.RETENTION_DAYS
+ *
+ * Each batch is purged in its own transaction, so a failure part-way through
+ * leaves the remaining tasks in the trash for the next pass.
+ */
+class TrashPurger {
+    constructor({ intervalMs = TRASH.PURGE_INTERVAL_MS, batchSize = TRASH.BATCH_SIZE } = {}) {
+        this.intervalMs = intervalMs;
+        this.batchSize = batchSize;
+        this.timer = null;
+        this.running = null;
+    }
+
+    /**
+     * Starts purging; the first pass runs immediately to catch up after downtime
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.tick(), this.intervalMs);
+        this.tick();
+        console.log(`[Trash] Purger started (retention: ${TRASH.RETENTION_DAYS} days)`);
+    }
+
+    /**
+     * Stops purging and waits for an in-flight batch to finish
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await this.running;
+        console.log('[Trash] Purger stopped');
+    }
+
+    /**
+     * Runs one purge pass unless the previous one is still going
+     * @returns {Promise<void>}
+     */
+    tick() {
+        if (this.running) return this.running;
+
+        this.running = this.purgeExpired()
+            .catch((error) => console.error('[Trash] Purge failed:', error))
+            .finally(() => {
+                this.running = null;
+            });
+        return this.running;
+    }
+
+    /**
+     * Purges expired tasks batch by batch until none are left
+     * @returns {Promise<void>}
+     */
+    async purgeExpired() {
+        const cutoff = trashCutoff();
+        let total = 0;
+
+        for (;;) {
+            const purged = await prisma.$transaction((tx) => purgeTasks(tx, {
+                deletedAt: { lt: cutoff },
+                // Subtasks whose parent has also expired are purged through the parent
+                OR: [{ parentId: null }, { parent: { deletedAt: null } }, { parent: { deletedAt: { gte: cutoff } } }]
+            }, this.batchSize));
+            if (purged.length === 0) break;
+            total += purged.length;
+            await removeStoredFiles(purged.flatMap((task) => task.storageKeys));
+        }
+
+        if (total > 0) {
+            console.log(`[Trash] Purged ${total} expired task(s)`);
+        }
+    }
+}
+
+export default TrashPurger;
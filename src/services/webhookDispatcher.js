@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+import prisma from '../utils/prisma.js';
+import { WEBHOOKS } from '../utils/constants.js';
+import { onTaskEvent } from './taskEvents.js';
+
+/**
+ * Computes the signature sent in the X-GradTrack-Signature header
+ * Receivers recompute it over `${timestamp}.${rawBody}` with their secret
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Unix seconds, as sent in X-GradTrack-Timestamp
+ * @param {string} body - Raw JSON request body
+ * @returns {string} `sha256=<hex digest>`
+ */
+export const signPayload = (secret, timestamp, body) => {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+};
+
+/**
+ * Delay before the next attempt after `attempts` failed ones
+ * @param {number} attempts
+ * @returns {number} Milliseconds
+ */
+const backoff = (attempts) => WEBHOOKS.BASE_BACKOFF_MS * 2 ** (attempts - 1);
+
+/**
+ * Turns task events into persisted webhook deliveries and sends them
+ *
+ * Deliveries live in the database, so pending retries survive restarts.
+ * Each attempt is claimed first by moving the delivery's next attempt
+ * WEBHOOKS.CLAIM_MS ahead, so concurrent instances never send it twice and a
+ * crash mid-send only delays it. Failed attempts are retried with exponential
+ * backoff until WEBHOOKS.MAX_ATTEMPTS, after which the delivery is marked FAILED.
+ */
+class WebhookDispatcher {
+    constructor({ intervalMs = WEBHOOKS.POLL_INTERVAL_MS } = {}) {
+        this.intervalMs = intervalMs;
+        this.timer = null;
+        this.running = null;
+        this.rerun = false;
+        this.unsubscribe = null;
+    }
+
+    /**
+     * Starts listening for task events and polling for due deliveries
+     */
+    start() {
+        if (this.timer) return;
+
+        this.unsubscribe = onTaskEvent((event) => this.enqueue(event));
+        this.timer = setInterval(() => this.tick(), this.intervalMs);
+        this.tick();
+        console.log('[Webhooks] Dispatcher started');
+    }
+
+    /**
+     * Stops listening and polling, waiting for in-flight deliveries
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.unsubscribe?.();
+        this.unsubscribe = null;
+        clearInterval(this.timer);
+        this.timer = null;
+        await this.running;
+        console.log('[Webhooks] Dispatcher stopped');
+    }
+
+    /**
+     * Records a delivery for every active subscription interested in the event
+     * @param {import('./taskEvents.js').TaskEvent} event
+     * @returns {Promise<void>}
+     */
+    async enqueue(event) {
+        const subscriptions = await prisma.webhookSubscription.findMany({
+            where: { userId: event.userId, active: true }
+        });
+        const interested = subscriptions.filter((subscription) => subscription.events.includes(event.type));
+        if (interested.length === 0) return;
+
+        const { userId, ...payload } = event;
+        await prisma.webhookDelivery.createMany({
+            data: interested.map((subscription) => ({
+                subscriptionId: subscription.id,
+                event: event.type,
+                payload,
+                nextAttemptAt: new Date()
+            }))
+        });
+
+        this.tick();
+    }
+
+    /**
+     * Runs one polling pass; if one is already going, another follows it
+     * so deliveries queued mid-pass are not left for the next interval
+     * @returns {Promise<void>}
+     */
+    tick() {
+        if (!this.timer) return Promise.resolve();
+        if (this.running) {
+            this.rerun = true;
+            return this.running;
+        }
+
+        this.running = this.processDue()
+            .catch((error) => console.error('[Webhooks] Polling failed:', error))
+            .finally(() => {
+                this.running = null;
+                if (this.rerun) {
+                    this.rerun = false;
+                    this.tick();
+                }
+            });
+        return this.running;
+    }
+
+    /**
+     * Sends every delivery whose next attempt is due
+     * @returns {Promise<void>}
+     */
+    async processDue() {
+        const due = await prisma.webhookDelivery.findMany({
+            where: { status: 'PENDING', nextAttemptAt: { lte: new Date() } },
+            include: { subscription: true },
+            orderBy: { nextAttemptAt: 'asc' },
+            take: WEBHOOKS.BATCH_SIZE
+        });
+
+        for (const delivery of due) {
+            if (!this.timer) break;
+            if (await this.claim(delivery)) await this.attempt(delivery);
+        }
+    }
+
+    /**
+     * Claims a due delivery for one attempt, counting the attempt
+     * Only a delivery that is still pending and due can be claimed, so of several
+     * instances that found it, one gets it
+     * @param {Object} delivery
+     * @returns {Promise<boolean>} Whether this instance claimed it
+     */
+    async claim(delivery) {
+        const now = new Date();
+        const { count } = await prisma.webhookDelivery.updateMany({
+            where: { id: delivery.id, status: 'PENDING', nextAttemptAt: { lte: now } },
+            data: { attempts: { increment: 1 }, nextAttemptAt: new Date(now.getTime() + WEBHOOKS.CLAIM_MS) }
+        });
+        return count > 0;
+    }
+
+    /**
+     * Makes one signed POST attempt of a claimed delivery and records the outcome
+     * @param {Object} delivery - Delivery with its subscription loaded, as read before the claim
+     * @returns {Promise<void>}
+     */
+    async attempt(delivery) {
+        const { subscription } = delivery;
+        const attempts = delivery.attempts + 1;
+
+        if (!subscription.active) {
+            await prisma.webhookDelivery.update({
+                where: { id: delivery.id },
+                data: { status: 'FAILED', nextAttemptAt: null, lastError: 'Subscription is inactive' }
+            });
+            return;
+        }
+
+        const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        let statusCode = null;
+        let error = null;
+
+        try {
+            const response = await fetch(subscription.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'GradTrack-Webhooks/1.0',
+                    [WEBHOOKS.EVENT_HEADER]: delivery.event,
+                    [WEBHOOKS.DELIVERY_HEADER]: delivery.id,
+                    [WEBHOOKS.TIMESTAMP_HEADER]: timestamp,
+                    [WEBHOOKS.SIGNATURE_HEADER]: signPayload(subscription.secret, timestamp, body)
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(WEBHOOKS.TIMEOUT_MS)
+            });
+            statusCode = response.status;
+            if (!response.ok) error = `Endpoint responded with ${response.status}`;
+        } catch (err) {
+            error = err.message;
+        }
+
+        if (!error) {
+            await prisma.webhookDelivery.update({
+                where: { id: delivery.id },
+                data: {
+                    status: 'SUCCESS',
+                    attempts,
+                    lastStatusCode: statusCode,
+                    lastError: null,
+                    deliveredAt: new Date(),
+                    nextAttemptAt: null
+                }
+            });
+            return;
+        }
+
+        const exhausted = attempts >= WEBHOOKS.MAX_ATTEMPTS;
+        await prisma.webhookDelivery.update({
+            where: { id: delivery.id },
+            data: {
+                status: exhausted ? 'FAILED' : 'PENDING',
+                attempts,
+                lastStatusCode: statusCode,
+                lastError: error,
+                nextAttemptAt: exhausted ? null : new Date(Date.now() + backoff(attempts))
+            }
+        });
+    }
+}
+
+export default WebhookDispatcher;
@@ -0,0 +1,72 @@
+import prisma from './prisma.js';
+import { ACTIVITY_ACTIONS } from './constants.js';
+
+/**
+ * Task fields captured in activity entries
+ * @type {string[]}
+ */
+export const TRACKED_FIELDS = ['title', 'status', 'priority', 'dueDate', 'projectId', 'parentId', 'tags', 'recurrence'];
+
+/**
+ * Converts a field value into a JSON-safe, comparable form
+ * @param {string} field
+ * @param {*} value
+ * @returns {*}
+ */
+const normalize = (field, value) => {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    // Tags arrive as join rows or flattened tags; record the sorted tag IDs
+    if (field === 'tags') {
+        return value.length > 0 ? value.map((tag) => tag.tagId || tag.id).sort() : null;
+    }
+    return value;
+};
+
+/**
+ * Computes field-level before/after values between two task snapshots
+ * Pass null for `before` on create and for `after` on delete
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Object<string, {from: *, to: *}>}
+ */
+export const diffTask = (before, after) => {
+    const changes = {};
+
+    for (const field of TRACKED_FIELDS) {
+        const from = before ? normalize(field, before[field]) : null;
+        const to = after ? normalize(field, after[field]) : null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    }
+
+    return changes;
+};
+
+/**
+ * Appends an activity entry for a task
+ * Skips updates that changed none of the tracked fields
+ * @param {Object} entry
+ * @param {Object} entry.task - Task snapshot (provides id and owner)
+ * @param {string} entry.actorId - User who made the change
+ * @param {string} entry.action - One of ACTIVITY_ACTIONS
+ * @param {Object} entry.changes - Output of diffTask
+ * @param {Object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<Object|null>}
+ */
+export const recordActivity = ({ task, actorId, action, changes }, client = prisma) => {
+    if (action === ACTIVITY_ACTIONS.UPDATED && Object.keys(changes).length === 0) {
+        return Promise.resolve(null);
+    }
+
+    return client.taskActivity.create({
+        data: {
+            taskId: task.id,
+            userId: task.userId,
+            actorId,
+            action,
+            changes
+        }
+    });
+};
@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
+import { AUTH } from './constants.js';
+
+/**
+ * Picks a token signing secret
+ * Development makes up a random one when it is unset, so its tokens only last until a restart;
+ * anywhere else it stays undefined and the server refuses to start (see missingAuthSecrets)
+ * @param {string|undefined} configured
+ * @returns {string|undefined}
+ */
+const signingSecret = (configured) => configured ||
+    (process.env.NODE_ENV === 'development' ? crypto.randomBytes(32).toString('hex') : undefined);
+
+const ACCESS_SECRET = signingSecret(AUTH.ACCESS_TOKEN_SECRET);
+const REFRESH_SECRET = signingSecret(AUTH.REFRESH_TOKEN_SECRET);
+
+// Marks tokens that only open the task stream, so they cannot stand in for an access token
+const STREAM_SCOPE = 'task-stream';
+
+/**
+ * Lists the token signing secrets the server cannot run without
+ * @returns {string[]} Names of the unset environment variables
+ */
+export const missingAuthSecrets = () => [
+    ['JWT_ACCESS_SECRET', ACCESS_SECRET],
+    ['JWT_REFRESH_SECRET', REFRESH_SECRET]
+].filter(([, secret]) => !secret).map(([name]) => name);
+
+/**
+ * Hashes a plain-text password
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export const hashPassword = (password) => {
+    return bcrypt.hash(password, AUTH.SALT_ROUNDS);
+};
+
+/**
+ * Compares a plain-text password against a stored hash
+ * @param {string} password
+ * @param {string} hash
+ * @returns {Promise<boolean>}
+ */
+export const verifyPassword = (password, hash) => {
+    return bcrypt.compare(password, hash);
+};
+
+/**
+ * Issues an access/refresh token pair for a user
+ * @param {{id: string, email: string, tokenVersion: number}} user
+ * @returns {{accessToken: string, refreshToken: string, tokenType: string, expiresIn: string}}
+ */
+export const issueTokens = (user) => {
+    const accessToken = jwt.sign(
+        { sub: user.id, email: user.email },
+        ACCESS_SECRET,
+        { expiresIn: AUTH.ACCESS_TOKEN_TTL }
+    );
+    // The token version lets logout revoke every refresh token issued before it
+    const refreshToken = jwt.sign(
+        { sub: user.id, ver: user.tokenVersion },
+        REFRESH_SECRET,
+        { expiresIn: AUTH.REFRESH_TOKEN_TTL }
+    );
+
+    return {
+        accessToken,
+        refreshToken,
+        tokenType: 'Bearer',
+        expiresIn: AUTH.ACCESS_TOKEN_TTL
+    };
+};
+
+/**
+ * Issues a short-lived token that opens the task stream
+ * EventSource cannot send the Authorization header, so this one is passed in the URL instead
+ * @param {{id: string, email: string}} user
+ * @returns {{token: string, expiresIn: string}}
+ */
+export const issueStreamToken = (user) => ({
+    token: jwt.sign(
+        { sub: user.id, email: user.email, scope: STREAM_SCOPE },
+        ACCESS_SECRET,
+        { expiresIn: AUTH.STREAM_TOKEN_TTL }
+    ),
+    expiresIn: AUTH.STREAM_TOKEN_TTL
+});
+
+/**
+ * Verifies an access token
+ * @param {string} token
+ * @returns {Object} Decoded payload
+ * @throws {jwt.JsonWebTokenError} When the token is invalid, expired or a stream token
+ */
+export const verifyAccessToken = (token) => {
+    const payload = jwt.verify(token, ACCESS_SECRET);
+    if (payload.scope) {
+        throw new jwt.JsonWebTokenError('jwt scope not allowed');
+    }
+    return payload;
+};
+
+/**
+ * Verifies a stream token
+ * @param {string} token
+ * @returns {Object} Decoded payload
+ * @throws {jwt.JsonWebTokenError} When the token is invalid, expired or not a stream token
+ */
+export const verifyStreamToken = (token) => {
+    const payload = jwt.verify(token, ACCESS_SECRET);
+    if (payload.scope !== STREAM_SCOPE) {
+        throw new jwt.JsonWebTokenError('jwt scope invalid');
+    }
+    return payload;
+};
+
+/**
+ * Verifies a refresh token
+ * @param {string} token
+ * @returns {Object} Decoded payload
+ * @throws {jwt.JsonWebTokenError} When the token is invalid or expired
+ */
+export const verifyRefreshToken = (token) => {
+    return jwt.verify(token, REFRESH_SECRET);
+};
+
+/**
+ * Strips sensitive fields from a user record before it is returned
+ * @param {Object} user
+ * @returns {Object}
+ */
+export const toPublicUser = ({ passwordHash, tokenVersion, ...user }) => user;
\ No newline at end of file
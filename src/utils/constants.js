@@ -1,3 +1,5 @@
+import { startOfDay, startOfWeek, startOfMonth } from './dates.js';
+
 // ======================
 // Core Constants
 // ======================
@@ -13,7 +15,23 @@ export const API = {
 };
 
 /**
- * Task status states (matches Prisma schema and frontend)
+ * Authentication settings (secrets come from the environment and have no default; see utils/auth.js)
+ * @type {Object}
+ */
+export const AUTH = {
+    ACCESS_TOKEN_SECRET: process.env.JWT_ACCESS_SECRET,
+    REFRESH_TOKEN_SECRET: process.env.JWT_REFRESH_SECRET,
+    ACCESS_TOKEN_TTL: process.env.JWT_ACCESS_TTL || '15m',
+    REFRESH_TOKEN_TTL: process.env.JWT_REFRESH_TTL || '7d',
+    STREAM_TOKEN_TTL: '5m', // Travels in a URL, so kept short
+    SALT_ROUNDS: 10,
+    PASSWORD_MIN_LENGTH: 8
+};
+
+/**
+ * Built-in task statuses, present on every board (matches Prisma schema and frontend)
+ * They double as the status categories (Task.statusCategory) that completion, reminders and
+ * stats go by; boards add their own statuses within a category (see WORKFLOW)
  * @type {Object<string, string>}
  */
 export const STATUS = {
@@ -42,7 +60,308 @@ export const DATE_FILTERS = {
     WEEK: 'week',
     MONTH: 'month',
     OVERDUE: 'overdue',
-    _ALL: ['today', 'week', 'month', 'overdue'] // For validation
+    UPCOMING: 'upcoming',
+    NEXT_7_DAYS: 'next_7_days',
+    NO_DUE_DATE: 'no_due_date',
+    _ALL: ['today', 'week', 'month', 'overdue', 'upcoming', 'next_7_days', 'no_due_date'] // For validation
+};
+
+const WEEK_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Calendar defaults for date filters; requests can override both
+ * @type {Object}
+ */
+export const DATES = {
+    // IANA name; the server's own zone unless DEFAULT_TIME_ZONE is set
+    DEFAULT_TIME_ZONE: process.env.DEFAULT_TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    // Index into WEEK_DAYS; WEEK_START names the day, Sunday by default
+    DEFAULT_WEEK_START: Math.max(WEEK_DAYS.indexOf(String(process.env.WEEK_START).toLowerCase()), 0),
+    WEEK_DAYS,
+    TIME_ZONE_HEADER: 'X-Timezone'
+};
+
+/**
+ * What happens to a project's tasks when the project is deleted
+ * @type {Object<string, string>}
+ */
+export const PROJECT_DELETE_STRATEGIES = {
+    MOVE: 'move',
+    CASCADE: 'cascade',
+    _ALL: ['move', 'cascade'] // For validation
+};
+
+/**
+ * How multiple tag filters combine in task listings
+ * @type {Object<string, string>}
+ */
+export const TAG_MATCH = {
+    ANY: 'any',
+    ALL: 'all',
+    _ALL: ['any', 'all'] // For validation
+};
+
+/**
+ * Task activity log actions (matches Prisma schema)
+ * @type {Object<string, string>}
+ */
+export const ACTIVITY_ACTIONS = {
+    CREATED: 'CREATED',
+    UPDATED: 'UPDATED',
+    DELETED: 'DELETED', // Moved to the trash
+    RESTORED: 'RESTORED', // Brought back from the trash
+    PURGED: 'PURGED', // Permanently removed from the trash
+    _ALL: ['CREATED', 'UPDATED', 'DELETED', 'RESTORED', 'PURGED'] // For validation
+};
+
+/**
+ * Recurrence rule settings (RRULE-style FREQ and BYDAY values)
+ * @type {Object}
+ */
+export const RECURRENCE = {
+    FREQUENCIES: ['DAILY', 'WEEKLY', 'MONTHLY'],
+    WEEKDAYS: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'], // Weeks start on Monday, as in RRULE
+    MAX_INTERVAL: 365,
+    MAX_PREVIEW: 50
+};
+
+/**
+ * Due-date reminder settings
+ * @type {Object}
+ */
+export const REMINDERS = {
+    MAX_PER_TASK: 5,
+    MAX_OFFSET_MINUTES: 30 * 24 * 60, // 30 days
+    POLL_INTERVAL_MS: parseInt(process.env.REMINDER_POLL_INTERVAL_MS) || 30 * 1000,
+    BATCH_SIZE: 50,
+    MAX_ATTEMPTS: 5,
+    CHANNELS: (process.env.REMINDER_CHANNELS || 'console').split(',').map((name) => name.trim()).filter(Boolean)
+};
+
+/**
+ * Task events published by the tasks controller (webhook event types)
+ * @type {Object<string, string>}
+ */
+export const TASK_EVENTS = {
+    CREATED: 'task.created',
+    UPDATED: 'task.updated',
+    DELETED: 'task.deleted',
+    STATUS_CHANGED: 'task.status_changed',
+    RESTORED: 'task.restored',
+    _ALL: ['task.created', 'task.updated', 'task.deleted', 'task.status_changed', 'task.restored'] // For validation
+};
+
+/**
+ * Outgoing webhook delivery settings
+ * @type {Object}
+ */
+export const WEBHOOKS = {
+    MAX_PER_USER: 10,
+    MAX_ATTEMPTS: 6,
+    BASE_BACKOFF_MS: 30 * 1000, // 30s, 1m, 2m, 4m, 8m between attempts
+    POLL_INTERVAL_MS: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 10 * 1000,
+    BATCH_SIZE: 20,
+    TIMEOUT_MS: 10 * 1000,
+    CLAIM_MS: 60 * 1000, // A claimed delivery whose outcome was never recorded is retried after this
+    SIGNATURE_HEADER: 'X-GradTrack-Signature',
+    TIMESTAMP_HEADER: 'X-GradTrack-Timestamp',
+    EVENT_HEADER: 'X-GradTrack-Event',
+    DELIVERY_HEADER: 'X-GradTrack-Delivery'
+};
+
+/**
+ * Live task stream (Server-Sent Events) settings
+ * @type {Object}
+ */
+export const STREAM = {
+    HEARTBEAT_MS: 25 * 1000, // Below common proxy idle timeouts
+    RETRY_MS: 3 * 1000, // Reconnect delay suggested to clients
+    BUFFER_SIZE: 500 // Recent events kept for Last-Event-ID resume
+};
+
+/**
+ * Manual ordering (fractional position keys) settings
+ * @type {Object}
+ */
+export const RANKING = {
+    MAX_LENGTH: 32, // Longer keys trigger a rebalance of the column
+    SPREAD_GAP: 36 // Minimum room between keys after a rebalance
+};
+
+/**
+ * Task list sort orders
+ * @type {Object<string, string>}
+ */
+export const TASK_SORTS = {
+    DEFAULT: 'default', // Due date (tasks without one last), then newest first
+    MANUAL: 'manual', // Drag-and-drop order within each status column of a board
+    _ALL: ['default', 'manual'], // For validation
+    // Fields a custom sort such as "priority:desc,dueDate" can use
+    FIELDS: ['dueDate', 'priority', 'createdAt', 'updatedAt', 'title'],
+    DIRECTIONS: ['asc', 'desc']
+};
+
+/**
+ * Task statistics settings
+ * @type {Object}
+ */
+export const STATS = {
+    DEFAULT_RANGE_DAYS: 30, // Daily series length when no range is given
+    MAX_RANGE_DAYS: 366
+};
+
+/**
+ * Per-board workflow settings
+ * @type {Object}
+ */
+export const WORKFLOW = {
+    KEY_PATTERN: /^[A-Z][A-Z0-9_]{0,31}$/, // Status keys, such as IN_REVIEW
+    COLOR_PATTERN: /^#[0-9a-fA-F]{6}$/,
+    MAX_STATUSES: 20,
+    MAX_LABEL_LENGTH: 50,
+    MAX_WIP_LIMIT: 1000,
+    // The workflow of a board that has not been customized
+    DEFAULT_STATUSES: [
+        { key: STATUS.TODO, label: 'To Do', color: '#94a3b8', category: STATUS.TODO },
+        { key: STATUS.IN_PROGRESS, label: 'In Progress', color: '#3b82f6', category: STATUS.IN_PROGRESS },
+        { key: STATUS.DONE, label: 'Done', color: '#22c55e', category: STATUS.DONE }
+    ]
+};
+
+/**
+ * Idempotency-Key settings for retried writes
+ * @type {Object}
+ */
+export const IDEMPOTENCY = {
+    HEADER: 'Idempotency-Key',
+    REPLAYED_HEADER: 'Idempotent-Replayed', // Set on responses replayed from an earlier request
+    METHODS: ['POST', 'PUT', 'PATCH', 'DELETE'],
+    MAX_KEY_LENGTH: 255,
+    TTL_HOURS: parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24, // Stored responses are replayed for this long
+    LOCK_TIMEOUT_MS: 60 * 1000 // A first request still unfinished after this is treated as abandoned
+};
+
+/**
+ * Limits on the task list `filter` query language
+ * @type {Object}
+ */
+export const FILTER_QUERY = {
+    MAX_LENGTH: 1000, // Characters
+    MAX_DEPTH: 10, // Nested parentheses and `not`s
+    MAX_CONDITIONS: 50 // Comparisons, counting each value of an `in` list
+};
+
+/**
+ * Trash (soft delete) settings
+ * @type {Object}
+ */
+export const TRASH = {
+    RETENTION_DAYS: parseInt(process.env.TRASH_RETENTION_DAYS) || 30, // Trashed tasks are purged after this
+    PURGE_INTERVAL_MS: parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000,
+    BATCH_SIZE: 100
+};
+
+/**
+ * Batch task operations settings
+ * @type {Object}
+ */
+export const BULK = {
+    MAX_OPERATIONS: 100,
+    TRANSACTION_TIMEOUT_MS: 30 * 1000,
+    MODES: {
+        ATOMIC: 'atomic', // Any failure rolls back every operation
+        BEST_EFFORT: 'best_effort', // Failed operations are skipped, the rest are applied
+        _ALL: ['atomic', 'best_effort'] // For validation
+    },
+    OPERATIONS: {
+        CREATE: 'create',
+        UPDATE: 'update',
+        DELETE: 'delete',
+        _ALL: ['create', 'update', 'delete'] // For validation
+    }
+};
+
+/**
+ * Full-text task search settings
+ * @type {Object}
+ */
+export const SEARCH = {
+    MAX_QUERY_LENGTH: 200,
+    MAX_RESULTS: 500 // Most results of a search, counted once the filters have applied
+};
+
+/**
+ * Task import/export settings
+ * @type {Object}
+ */
+export const TRANSFER = {
+    FORMATS: {
+        CSV: 'csv',
+        JSON: 'json',
+        _ALL: ['csv', 'json'] // For validation
+    },
+    // Exported fields, in CSV column order
+    EXPORT_FIELDS: ['id', 'title', 'status', 'priority', 'dueDate', 'projectId', 'tags', 'createdAt', 'updatedAt'],
+    // Task fields an imported column can be mapped to
+    IMPORT_FIELDS: ['title', 'status', 'priority', 'dueDate', 'projectId', 'tags'],
+    TAG_SEPARATOR: ';',
+    EXPORT_BATCH_SIZE: 500,
+    MAX_IMPORT_ROWS: 1000,
+    MAX_IMPORT_SIZE: '2mb', // Request body limit for the import endpoint only
+    IMPORT_TIMEOUT_MS: 60 * 1000
+};
+
+/**
+ * iCalendar feed settings
+ * @type {Object}
+ */
+export const CALENDAR = {
+    PRODUCT_ID: '-//GradTrack//Task Feed//EN',
+    UID_DOMAIN: 'tasks.gradtrack', // UIDs are <task id>@UID_DOMAIN, so they survive edits
+    MAX_FEEDS_PER_USER: 10,
+    MAX_ENTRIES: 1000, // Tasks per feed, latest due dates first
+    EVENT_DURATION_MINUTES: 30, // Length of the event for a task due at a specific time
+    REFRESH_INTERVAL: 'PT1H', // Suggested polling interval for calendar apps (ISO 8601 duration)
+    COMPONENTS: {
+        EVENT: 'event', // VEVENT: shows in every calendar app
+        TODO: 'todo', // VTODO: carries completion status, but not every app displays it
+        _ALL: ['event', 'todo'] // For validation
+    }
+};
+
+/**
+ * Task dependency settings
+ * @type {Object}
+ */
+export const DEPENDENCIES = {
+    MAX_BLOCKERS_PER_TASK: 50
+};
+
+/**
+ * Task attachment settings
+ * @type {Object}
+ */
+export const ATTACHMENTS = {
+    STORAGE: process.env.ATTACHMENT_STORAGE || 'local', // Name of a backend registered in attachmentStorage
+    LOCAL_DIR: process.env.ATTACHMENT_DIR || 'uploads', // Root of the local backend, relative to the working directory
+    FIELD_NAME: 'files', // Multipart field carrying the files
+    MAX_FILE_SIZE: parseInt(process.env.ATTACHMENT_MAX_FILE_SIZE) || 10 * 1024 * 1024, // Bytes
+    MAX_FILES_PER_REQUEST: 5,
+    MAX_PER_TASK: 20,
+    MAX_FILENAME_LENGTH: 255,
+    // Types are recognized from file contents (utils/fileTypes.js), so only those listed there can be allowed
+    MIME_TYPES: process.env.ATTACHMENT_MIME_TYPES
+        ? process.env.ATTACHMENT_MIME_TYPES.split(',').map((type) => type.trim().toLowerCase()).filter(Boolean)
+        : [
+            'image/png',
+            'image/jpeg',
+            'image/gif',
+            'image/webp',
+            'application/pdf',
+            'text/plain',
+            'text/csv',
+            'application/zip'
+        ]
 };
 
 // ======================
@@ -83,12 +402,12 @@ export const getPriorityColor = (priority) => {
 // ======================
 
 /**
- * Validates status values
+ * Validates the format of status keys; whether a board has the status is checked against its workflow
  * @param {string} value
  * @returns {value is TaskStatus}
  */
 export const isValidStatus = (value) => {
-    return STATUS._ALL.includes(value);
+    return typeof value === 'string' && WORKFLOW.KEY_PATTERN.test(value);
 };
 
 /**
@@ -114,35 +433,52 @@ export const isValidDateFilter = (value) => {
 // ======================
 
 /**
- * Date filter presets for CalendarView.jsx
- * @type {Object<string, {label: string, getRange: () => {start?: Date, end?: Date}}>}
+ * Date filter presets for CalendarView.jsx, also used to filter tasks by due date
+ * getRange returns due date bounds (end is exclusive), or null for tasks without a due date
+ * @type {Object<string, {label: string, getRange: (now?: Date, calendar?: {timeZone?: string, weekStart?: number})
+ *     => ({start?: Date, end?: Date}|null)}>}
  */
 export const DATE_FILTER_PRESETS = {
     [DATE_FILTERS.TODAY]: {
         label: 'Today',
-        getRange: () => {
-            const start = new Date();
-            start.setHours(0, 0, 0, 0);
-            const end = new Date(start);
-            end.setHours(23, 59, 59, 999);
-            return { start, end };
-        }
+        getRange: (now = new Date(), { timeZone = DATES.DEFAULT_TIME_ZONE } = {}) => ({
+            start: startOfDay(now, timeZone),
+            end: startOfDay(now, timeZone, 1)
+        })
     },
     [DATE_FILTERS.WEEK]: {
         label: 'This Week',
-        getRange: () => {
-            const start = new Date();
-            start.setDate(start.getDate() - start.getDay()); // Start of week (Sunday)
-            start.setHours(0, 0, 0, 0);
-            const end = new Date(start);
-            end.setDate(end.getDate() + 6);
-            end.setHours(23, 59, 59, 999);
-            return { start, end };
-        }
+        getRange: (now = new Date(), { timeZone = DATES.DEFAULT_TIME_ZONE, weekStart = DATES.DEFAULT_WEEK_START } = {}) => ({
+            start: startOfWeek(now, timeZone, weekStart),
+            end: startOfWeek(now, timeZone, weekStart, 1)
+        })
+    },
+    [DATE_FILTERS.MONTH]: {
+        label: 'This Month',
+        getRange: (now = new Date(), { timeZone = DATES.DEFAULT_TIME_ZONE } = {}) => ({
+            start: startOfMonth(now, timeZone),
+            end: startOfMonth(now, timeZone, 1)
+        })
     },
     [DATE_FILTERS.OVERDUE]: {
         label: 'Overdue',
-        getRange: () => ({ end: new Date() })
+        getRange: (now = new Date()) => ({ end: now })
+    },
+    [DATE_FILTERS.UPCOMING]: {
+        label: 'Upcoming',
+        getRange: (now = new Date()) => ({ start: now })
+    },
+    [DATE_FILTERS.NEXT_7_DAYS]: {
+        // Today and the six days after it
+        label: 'Next 7 Days',
+        getRange: (now = new Date(), { timeZone = DATES.DEFAULT_TIME_ZONE } = {}) => ({
+            start: startOfDay(now, timeZone),
+            end: startOfDay(now, timeZone, 7)
+        })
+    },
+    [DATE_FILTERS.NO_DUE_DATE]: {
+        label: 'No Due Date',
+        getRange: () => null
     }
 };
 
@@ -151,13 +487,15 @@ export const DATE_FILTER_PRESETS = {
 // ======================
 
 /**
- * @typedef {'todo'|'in_progress'|'done'} TaskStatus
+ * @typedef {string} TaskStatus - Key of a status in the board's workflow, such as TODO or IN_REVIEW
+ * @typedef {'TODO'|'IN_PROGRESS'|'DONE'} TaskStatusCategory
  * @typedef {'low'|'medium'|'high'} TaskPriority
- * @typedef {'today'|'week'|'month'|'overdue'} DateFilter
+ * @typedef {'today'|'week'|'month'|'overdue'|'upcoming'|'next_7_days'|'no_due_date'} DateFilter
  * @typedef {Object} TaskResponse
  * @property {string} id
  * @property {string} title
  * @property {TaskStatus} status
+ * @property {TaskStatusCategory} statusCategory
  * @property {TaskPriority} priority
  * @property {string|null} dueDate
  * @property {string} createdAt
@@ -0,0 +1,71 @@
+/**
+ * Formats one CSV record (RFC 4180), including the trailing CRLF
+ * Values containing separators, quotes, line breaks or edge whitespace are quoted
+ * @param {Array<*>} values - null and undefined become empty cells
+ * @returns {string}
+ */
+export const toCsvRow = (values) => values
+    .map((value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+    })
+    .join(',') + '\r\n';
+
+/**
+ * Parses CSV text into records
+ * Accepts LF or CRLF line endings and a leading byte order mark; blank lines are skipped
+ * @param {string} text
+ * @returns {string[][]}
+ * @throws {Error} With `line` when a quoted value is never closed
+ */
+export const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let value = '';
+    let quoted = false;
+    let line = 1;
+    let quoteLine = 0;
+
+    const endRecord = () => {
+        record.push(value);
+        if (record.length > 1 || record[0] !== '') records.push(record);
+        record = [];
+        value = '';
+    };
+
+    const input = text.startsWith('\uFEFF') ? text.slice(1) : text;
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                value += char;
+            }
+        } else if (char === '"' && value === '') {
+            quoted = true;
+            quoteLine = line;
+        } else if (char === ',') {
+            record.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            line++;
+            endRecord();
+        } else {
+            value += char;
+        }
+    }
+
+    if (quoted) {
+        throw Object.assign(new Error(`Unclosed quoted value starting on line ${quoteLine}`), { line: quoteLine });
+    }
+    endRecord();
+
+    return records;
+};
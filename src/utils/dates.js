@@ -0,0 +1,190 @@
+/*
+ * Calendar arithmetic in an IANA time zone, so "today" and "this week" follow the user's
+ * calendar rather than the server's. Built on Intl; days and months are counted on the
+ * wall clock, so they stay correct across daylight saving changes.
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Intl formatters are slow to build; time zone names are validated before they get here
+const formatters = new Map();
+
+/**
+ * Formatter that splits an instant into wall-clock parts in a time zone
+ * @param {string} timeZone
+ * @returns {Intl.DateTimeFormat}
+ * @throws {RangeError} When the time zone is unknown
+ */
+const formatterFor = (timeZone) => {
+    let formatter = formatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+        formatters.set(timeZone, formatter);
+    }
+    return formatter;
+};
+
+/**
+ * Checks that a string is a time zone Intl knows, such as "Europe/Berlin" or "UTC"
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        formatterFor(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number,
+ *     millisecond: number, weekday: number}} month is 1-12, weekday 0 (Sunday) to 6
+ */
+const toZonedParts = (date, timeZone) => {
+    const parts = Object.fromEntries(formatterFor(timeZone).formatToParts(date).map(({ type, value }) => [type, value]));
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        millisecond: date.getUTCMilliseconds(),
+        weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+};
+
+/**
+ * How far a time zone's wall clock is ahead of UTC at an instant
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number} Milliseconds
+ */
+const offsetAt = (date, timeZone) => {
+    const { year, month, day, hour, minute, second, millisecond } = toZonedParts(date, timeZone);
+    return Date.UTC(year, month - 1, day, hour, minute, second, millisecond) - date.getTime();
+};
+
+/**
+ * The instant a wall-clock time occurs in a time zone
+ * Out-of-range parts roll over (day 32 is the next month). A time skipped by a daylight saving
+ * change moves forward by the jump, as midnight does in zones that change clocks at midnight;
+ * a time that occurs twice resolves to the first occurrence
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number, second?: number,
+ *     millisecond?: number}} parts - month is 1-12
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export const fromZonedParts = ({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone) => {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+    // The offsets a day either side cover any single change of clocks around the time
+    const offsets = [offsetAt(new Date(wallClock - DAY_MS), timeZone), offsetAt(new Date(wallClock + DAY_MS), timeZone)];
+    const candidates = offsets.map((offset) => wallClock - offset).sort((a, b) => a - b);
+
+    // Neither candidate shows the wall-clock time when it falls in a daylight saving gap
+    const valid = candidates.find((time) => offsetAt(new Date(time), timeZone) === wallClock - time);
+    return new Date(valid ?? candidates[1]);
+};
+
+/**
+ * Midnight starting the day of an instant in a time zone, optionally some days later or earlier
+ * @param {Date} date
+ * @param {string} timeZone
+ * @param {number} [days=0]
+ * @returns {Date}
+ */
+export const startOfDay = (date, timeZone, days = 0) => {
+    const { year, month, day } = toZonedParts(date, timeZone);
+    return fromZonedParts({ year, month, day: day + days }, timeZone);
+};
+
+/**
+ * Midnight starting the week of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @param {number} [weekStart=0] - First day of the week, 0 (Sunday) to 6
+ * @param {number} [weeks=0] - Weeks later (or earlier, when negative)
+ * @returns {Date}
+ */
+export const startOfWeek = (date, timeZone, weekStart = 0, weeks = 0) => {
+    const { year, month, day, weekday } = toZonedParts(date, timeZone);
+    const daysIntoWeek = (weekday - weekStart + 7) % 7;
+    return fromZonedParts({ year, month, day: day - daysIntoWeek + weeks * 7 }, timeZone);
+};
+
+/**
+ * Midnight starting the month of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @param {number} [months=0] - Months later (or earlier, when negative)
+ * @returns {Date}
+ */
+export const startOfMonth = (date, timeZone, months = 0) => {
+    const { year, month } = toZonedParts(date, timeZone);
+    return fromZonedParts({ year, month: month + months, day: 1 }, timeZone);
+};
+
+/**
+ * Moves an instant by a number of hours, or of calendar days, weeks, months or years in a time zone
+ * Calendar units keep the wall-clock time, so a day across a daylight saving change is 23 or 25 hours
+ * @param {Date} date
+ * @param {number} amount - Negative to move back
+ * @param {string} unit - h, d, w, m or y
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export const shiftDate = (date, amount, unit, timeZone) => {
+    if (unit === 'h') {
+        return new Date(date.getTime() + amount * HOUR_MS);
+    }
+
+    const parts = toZonedParts(date, timeZone);
+    if (unit === 'd') parts.day += amount;
+    if (unit === 'w') parts.day += amount * 7;
+    if (unit === 'm') parts.month += amount;
+    if (unit === 'y') parts.year += amount;
+    return fromZonedParts(parts, timeZone);
+};
+
+/**
+ * Calendar date of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string} YYYY-MM-DD
+ */
+export const formatZonedDate = (date, timeZone) => {
+    const { year, month, day } = toZonedParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Parses a YYYY-MM-DD calendar date, rejecting dates that do not exist such as 2026-02-30
+ * @param {string} text
+ * @returns {{year: number, month: number, day: number}|null} month is 1-12
+ */
+export const parseCalendarDate = (text) => {
+    const match = String(text).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? { year, month, day } : null;
+};
@@ -0,0 +1,128 @@
+import prisma from './prisma.js';
+import { STATUS } from './constants.js';
+
+/*
+ * Task dependencies: a blocked task waits on its blockers. A blocker is open until it is done;
+ * blockers in the trash are ignored, and block again if restored.
+ */
+
+/**
+ * Where clause for the blockers that still hold a task back
+ * @type {Object}
+ */
+export const OPEN_BLOCKER_WHERE = { deletedAt: null, statusCategory: { not: STATUS.DONE } };
+
+// Categories a blocked task cannot enter, since entering them means work has started
+const STARTED_CATEGORIES = [STATUS.IN_PROGRESS, STATUS.DONE];
+
+/**
+ * Where clause for tasks that are, or are not, waiting on an open blocker
+ * @param {boolean} isBlocked
+ * @returns {Object}
+ */
+export const blockedWhere = (isBlocked) => ({
+    blockedBy: { [isBlocked ? 'some' : 'none']: { blocker: OPEN_BLOCKER_WHERE } }
+});
+
+/**
+ * Finds which of a set of tasks are waiting on an open blocker
+ * @param {string[]} taskIds
+ * @param {Object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<Set<string>>}
+ */
+export const getBlockedTaskIds = async (taskIds, client = prisma) => {
+    if (taskIds.length === 0) return new Set();
+
+    const links = await client.taskDependency.findMany({
+        where: { blockedId: { in: taskIds }, blocker: OPEN_BLOCKER_WHERE },
+        distinct: ['blockedId'],
+        select: { blockedId: true }
+    });
+    return new Set(links.map((link) => link.blockedId));
+};
+
+/**
+ * Attaches `isBlocked` to a list of tasks
+ * @param {Object[]} tasks
+ * @returns {Promise<Object[]>}
+ */
+export const withBlockedState = async (tasks) => {
+    const blocked = await getBlockedTaskIds(tasks.map((task) => task.id));
+    return tasks.map((task) => ({
+        ...task,
+        isBlocked: blocked.has(task.id)
+    }));
+};
+
+/**
+ * Refuses to start or finish a task while any of its blockers is open
+ * Moving between two statuses of the same category is allowed, so an already started task
+ * can still move along the board
+ * @param {Object} tx - Prisma transaction client
+ * @param {{id: string, statusCategory: string}} task - The task before the change
+ * @param {string} [category] - Category of the status it is entering; nothing to check when missing
+ * @param {boolean} [force=false] - Allow the change anyway
+ * @returns {Promise<void>}
+ * @throws {Error} With `status` 409 naming the open blockers
+ */
+export const assertUnblocked = async (tx, task, category, force = false) => {
+    if (force || !category || category === task.statusCategory || !STARTED_CATEGORIES.includes(category)) {
+        return;
+    }
+
+    const blockers = await tx.task.findMany({
+        where: { blocks: { some: { blockedId: task.id } }, ...OPEN_BLOCKER_WHERE },
+        orderBy: { createdAt: 'asc' },
+        select: { title: true }
+    });
+    if (blockers.length > 0) {
+        const titles = blockers.map((blocker) => `"${blocker.title}"`).join(', ');
+        throw Object.assign(new Error(`Blocked by ${blockers.length} open task${blockers.length === 1 ? '' : 's'}: ` +
+            `${titles}. Finish ${blockers.length === 1 ? 'it' : 'them'} first, or pass force=true`), {
+            status: 409,
+            field: 'status'
+        });
+    }
+};
+
+/**
+ * Finds the chain of dependencies that linking blockedId to blockerId would close into a cycle
+ * Follows blockers outward from blockerId; reaching blockedId means blockerId already waits on it
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} userId - Dependencies only ever link one user's tasks
+ * @param {string} blockedId
+ * @param {string} blockerId
+ * @returns {Promise<string[]|null>} Task IDs from blockedId round to blockedId, or null when there is no cycle
+ */
+export const findDependencyCycle = async (tx, userId, blockedId, blockerId) => {
+    const links = await tx.taskDependency.findMany({
+        where: { blocked: { userId } },
+        select: { blockedId: true, blockerId: true }
+    });
+    const blockersOf = new Map();
+    for (const link of links) {
+        if (!blockersOf.has(link.blockedId)) blockersOf.set(link.blockedId, []);
+        blockersOf.get(link.blockedId).push(link.blockerId);
+    }
+
+    // Breadth-first, so the cycle reported is the shortest one
+    const reachedFrom = new Map([[blockerId, blockedId]]);
+    const queue = [blockerId];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (current === blockedId) {
+            const path = [blockedId];
+            for (let step = reachedFrom.get(blockedId); step !== blockedId; step = reachedFrom.get(step)) {
+                path.unshift(step);
+            }
+            return [blockedId, ...path];
+        }
+        for (const next of blockersOf.get(current) || []) {
+            if (!reachedFrom.has(next)) {
+                reachedFrom.set(next, current);
+                queue.push(next);
+            }
+        }
+    }
+    return null;
+};
@@ -0,0 +1,74 @@
+/*
+ * Task versions as HTTP entity tags, for conditional requests (RFC 9110 section 13)
+ * Every change to a task increments Task.version; its ETag is the version in quotes, so
+ * clients can build If-Match from the `version` field of a listed task as well. Changes to the
+ * rows a task's representation is built from (comments, subtasks, blockers, tags) count too.
+ */
+
+/**
+ * Strong entity tag for a task
+ * @param {{version: number}} task
+ * @returns {string} Such as "3"
+ */
+export const taskETag = (task) => `"${task.version}"`;
+
+/**
+ * Splits an If-Match or If-None-Match header into its entity tags
+ * @param {string} header
+ * @returns {string[]} Tags as sent, weak ones keeping their W/ prefix; ['*'] for a wildcard
+ */
+const parseETags = (header) => header
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+
+/**
+ * Evaluates If-Match against the current task, with the strong comparison the RFC requires
+ * @param {string|undefined} header - The If-Match header
+ * @param {{version: number}} task - Current task
+ * @returns {boolean} True when the request may proceed (no header, `*`, or a matching tag)
+ */
+export const ifMatchPasses = (header, task) => {
+    if (header === undefined) return true;
+
+    const tags = parseETags(header);
+    return tags.includes('*') || tags.includes(taskETag(task));
+};
+
+/**
+ * Evaluates If-None-Match against a representation's tag, with weak comparison
+ * @param {string|undefined} header - The If-None-Match header
+ * @param {string} etag - Current entity tag
+ * @returns {boolean} True when the client's copy is current and 304 Not Modified applies
+ */
+export const ifNoneMatchHits = (header, etag) => {
+    if (header === undefined) return false;
+
+    const opaque = (tag) => tag.replace(/^W\//, '');
+    return parseETags(header).some((tag) => tag === '*' || opaque(tag) === opaque(etag));
+};
+
+/**
+ * Counts as a change to tasks whose representation depends on other rows, such as their
+ * comment count or tag names, so their version and ETag move with it
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} where - Selects the tasks
+ * @returns {Promise<{count: number}>}
+ */
+export const bumpTaskVersions = (client, where) => client.task.updateMany({
+    where,
+    data: { version: { increment: 1 } }
+});
+
+/**
+ * Counts as a change to the tasks that show the state of the selected ones: their parents,
+ * whose progress counts them, and the tasks they block, whose isBlocked depends on them
+ * For changes to whether the selected tasks are done, or to whether they exist at all
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} where - Selects the tasks that changed
+ * @returns {Promise<{count: number}>}
+ */
+export const bumpDependentVersions = (client, where) => bumpTaskVersions(client, {
+    deletedAt: null,
+    OR: [{ subtasks: { some: where } }, { blockedBy: { some: { blocker: where } } }]
+});
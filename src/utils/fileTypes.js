@@ -0,0 +1,52 @@
+/*
+ * Recognizes the type of an uploaded file from its contents, since the type a client declares
+ * is whatever it chose to send. Binary formats are told by their signature; text has none, so
+ * a file that is valid UTF-8 text is CSV by its extension and plain text otherwise.
+ */
+
+/**
+ * Signatures of the binary types attachments may have, checked in order
+ * Each pattern is [offset, bytes]; a file must match all of them
+ * @type {Array<{mimeType: string, patterns: Array<[number, number[]]>}>}
+ */
+const SIGNATURES = [
+    { mimeType: 'image/png', patterns: [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]] },
+    { mimeType: 'image/jpeg', patterns: [[0, [0xff, 0xd8, 0xff]]] },
+    { mimeType: 'image/gif', patterns: [[0, [...Buffer.from('GIF87a')]]] },
+    { mimeType: 'image/gif', patterns: [[0, [...Buffer.from('GIF89a')]]] },
+    { mimeType: 'image/webp', patterns: [[0, [...Buffer.from('RIFF')]], [8, [...Buffer.from('WEBP')]]] },
+    { mimeType: 'application/pdf', patterns: [[0, [...Buffer.from('%PDF-')]]] },
+    // Local file header, or the end of central directory record of an empty archive
+    { mimeType: 'application/zip', patterns: [[0, [0x50, 0x4b, 0x03, 0x04]]] },
+    { mimeType: 'application/zip', patterns: [[0, [0x50, 0x4b, 0x05, 0x06]]] }
+];
+
+/**
+ * Whether a buffer holds text: valid UTF-8 without NUL or other control characters than whitespace
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+const isText = (buffer) => {
+    let text;
+    try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch {
+        return false;
+    }
+    return !/[\x00-\x08\x0b\x0e-\x1f\x7f]/.test(text);
+};
+
+/**
+ * Detects the MIME type of a file from its contents
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Used only to tell CSV from plain text
+ * @returns {string|null} null when the contents match no recognized type
+ */
+export const detectMimeType = (buffer, filename) => {
+    const signature = SIGNATURES.find(({ patterns }) => patterns.every(([offset, bytes]) =>
+        buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte)));
+    if (signature) return signature.mimeType;
+
+    if (!isText(buffer)) return null;
+    return /\.csv$/i.test(filename) ? 'text/csv' : 'text/plain';
+};
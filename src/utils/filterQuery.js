@@ -0,0 +1,576 @@
+import { STATUS, PRIORITY, FILTER_QUERY, DATES, isValidStatus } from './constants.js';
+import { PRIORITY_RANK } from './taskSort.js';
+import { fromZonedParts, startOfDay, startOfWeek, startOfMonth, shiftDate, parseCalendarDate } from './dates.js';
+
+/*
+ * Task filter query language, e.g.
+ *
+ *     priority in (high, medium) and status != done and dueDate < week+5d and createdAt = month
+ *
+ * `status` is a board's status key; `statusCategory` (todo, in_progress or done) spans every board.
+ *
+ * filter     := or
+ * or         := and ("or" and)*
+ * and        := unary ("and" unary)*
+ * unary      := "not" unary | "(" or ")" | comparison
+ * comparison := field op value | field ["not"] "in" "(" value ("," value)* ")"
+ * op         := "=" | "!=" | "<" | "<=" | ">" | ">=" | "~" (title contains)
+ * value      := word | "quoted string" | null
+ *
+ * Keywords are case-insensitive. Dates are YYYY-MM-DD (a whole day), ISO 8601 date-times,
+ * or relative: now, today, week or month, optionally shifted as in now-7d or month-1m
+ * (units: h hours, d days, w weeks, m months, y years). Anything but a date-time or `now`
+ * is a period, so `dueDate = today` matches the whole day and `dueDate <= week` the whole week.
+ * Days, weeks and months follow the time zone and week start of the request.
+ */
+
+const OPERATORS = ['!=', '<=', '>=', '=', '<', '>', '~'];
+const ORDERED = ['=', '!=', '<', '<=', '>', '>='];
+const EQUALITY = ['=', '!='];
+
+// Queryable fields: the operators each accepts and whether its value can be null
+const FIELDS = {
+    status: { type: 'status', operators: EQUALITY, list: true },
+    statusCategory: { type: 'category', operators: EQUALITY, list: true },
+    priority: { type: 'priority', operators: ORDERED, list: true },
+    dueDate: { type: 'date', operators: ORDERED, nullable: true },
+    createdAt: { type: 'date', operators: ORDERED },
+    updatedAt: { type: 'date', operators: ORDERED },
+    title: { type: 'text', operators: [...EQUALITY, '~'], list: true },
+    projectId: { type: 'id', operators: EQUALITY, list: true, nullable: true },
+    tag: { type: 'tag', operators: EQUALITY, list: true, nullable: true }
+};
+
+const RELATIVE_DATE = /^(now|today|week|month)(?:([+-])(\d{1,4})([hdwmy]))?$/i;
+const PERIOD_UNITS = { today: 'd', week: 'w', month: 'm' };
+
+/**
+ * Error for malformed filters, pointing at the offending character
+ * @param {string} message
+ * @param {number} position - 1-based character position
+ * @param {string} [hint] - How to fix it
+ * @returns {Error}
+ */
+const filterError = (message, position, hint) => Object.assign(
+    new Error(`${message} at position ${position}${hint ? `; ${hint}` : ''}`),
+    { position }
+);
+
+/**
+ * Splits a filter into tokens, each with its 1-based position
+ * @param {string} text
+ * @returns {Array<{type: string, text: string, position: number}>}
+ */
+const tokenize = (text) => {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        const position = i + 1;
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if ('(),'.includes(char)) {
+            tokens.push({ type: char, text: char, position });
+            i++;
+        } else if (char === '"' || char === "'") {
+            let value = '';
+            i++;
+            while (i < text.length && text[i] !== char) {
+                if (text[i] === '\\' && i + 1 < text.length) i++;
+                value += text[i++];
+            }
+            if (i >= text.length) throw filterError('Unclosed quoted value', position);
+            tokens.push({ type: 'string', text: value, position });
+            i++;
+        } else if (OPERATORS.some((operator) => text.startsWith(operator, i))) {
+            const operator = OPERATORS.find((candidate) => text.startsWith(candidate, i));
+            tokens.push({ type: 'operator', text: operator, position });
+            i += operator.length;
+        } else if (/[\w.:+-]/.test(char)) {
+            const [word] = text.slice(i).match(/^[\w.:+-]+/);
+            tokens.push({ type: 'word', text: word, position });
+            i += word.length;
+        } else {
+            throw filterError(`Unexpected character "${char}"`, position);
+        }
+    }
+
+    tokens.push({ type: 'end', text: '', position: text.length + 1 });
+    return tokens;
+};
+
+/**
+ * Describes a token for error messages
+ * @param {{type: string, text: string}} token
+ * @returns {string}
+ */
+const describe = (token) => (token.type === 'end' ? 'end of filter' : `"${token.text}"`);
+
+/**
+ * Parses a date value into an absolute date or a relative date resolved when the filter runs
+ * @param {{text: string, position: number}} token
+ * @returns {Object}
+ */
+const parseDateValue = (token) => {
+    const relative = token.text.match(RELATIVE_DATE);
+    if (relative) {
+        const [, anchor, sign, amount, unit] = relative;
+        return { anchor: anchor.toLowerCase(), offset: amount ? Number(`${sign}${amount}`) : 0, unit };
+    }
+
+    const day = parseCalendarDate(token.text);
+    if (day) {
+        return { day };
+    }
+    if (/^\d{4}-\d{2}-\d{2}T/.test(token.text) && !isNaN(new Date(token.text).getTime())) {
+        return { date: new Date(token.text) };
+    }
+
+    throw filterError(
+        `Invalid date ${describe(token)}`,
+        token.position,
+        'use YYYY-MM-DD, an ISO 8601 date-time, or now, today, week or month with an optional offset such as -7d'
+    );
+};
+
+/**
+ * Validates and normalizes one value for a field
+ * @param {Object} field - Entry of FIELDS, with its name
+ * @param {{type: string, text: string, position: number}} token
+ * @returns {Object}
+ */
+const parseValue = (field, token) => {
+    if (token.type !== 'word' && token.type !== 'string') {
+        throw filterError(`Expected a value for ${field.name} but found ${describe(token)}`, token.position);
+    }
+
+    if (token.type === 'word' && token.text.toLowerCase() === 'null') {
+        if (!field.nullable) throw filterError(`${field.name} cannot be null`, token.position);
+        return { null: true };
+    }
+
+    switch (field.type) {
+        case 'status': {
+            // Built-in statuses also match as in_progress, inProgress, ...; custom ones by key in any case
+            const normalized = token.text.replaceAll('_', '').toUpperCase();
+            const status = STATUS._ALL.find((value) => value.replaceAll('_', '') === normalized) ?? token.text.toUpperCase();
+            if (!isValidStatus(status)) {
+                throw filterError(`Invalid status ${describe(token)}`, token.position, `use a status key such as ${STATUS._ALL.join(', ')}`);
+            }
+            return { text: status };
+        }
+        case 'category': {
+            // Accepts TODO, in_progress, inProgress, ...
+            const normalized = token.text.replaceAll('_', '').toUpperCase();
+            const category = STATUS._ALL.find((value) => value.replaceAll('_', '') === normalized);
+            if (!category) {
+                throw filterError(`Invalid status category ${describe(token)}`, token.position, `use one of ${STATUS._ALL.join(', ')}`);
+            }
+            return { text: category };
+        }
+        case 'priority': {
+            const priority = token.text.toLowerCase();
+            if (!PRIORITY._ALL.includes(priority)) {
+                throw filterError(`Invalid priority ${describe(token)}`, token.position, `use one of ${PRIORITY._ALL.join(', ')}`);
+            }
+            return { rank: PRIORITY_RANK[priority.toUpperCase()] };
+        }
+        case 'date':
+            return parseDateValue(token);
+        default:
+            return { text: token.text };
+    }
+};
+
+/**
+ * Recursive-descent parser over the tokens of one filter
+ */
+class FilterParser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+        this.depth = 0;
+        this.conditions = 0;
+    }
+
+    /**
+     * The next token, without consuming it
+     * @returns {Object}
+     */
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    /**
+     * Consumes the next token; the end token is never consumed
+     * @returns {Object}
+     */
+    next() {
+        const token = this.peek();
+        if (token.type !== 'end') this.index++;
+        return token;
+    }
+
+    /**
+     * Whether the next token is the given keyword
+     * @param {string} keyword
+     * @returns {boolean}
+     */
+    atKeyword(keyword) {
+        const token = this.peek();
+        return token.type === 'word' && token.text.toLowerCase() === keyword;
+    }
+
+    /**
+     * Consumes a token of the given type or fails with what was found instead
+     * @param {string} type
+     * @param {string} expected - Description for the error message
+     * @returns {Object} The token
+     */
+    expect(type, expected) {
+        const token = this.next();
+        if (token.type !== type) {
+            throw filterError(`Expected ${expected} but found ${describe(token)}`, token.position);
+        }
+        return token;
+    }
+
+    /**
+     * Counts nesting so deeply nested input is rejected rather than overflowing the stack
+     * @param {Object} token - Token opening the level
+     */
+    enter(token) {
+        if (++this.depth > FILTER_QUERY.MAX_DEPTH) {
+            throw filterError(`Filter is nested more than ${FILTER_QUERY.MAX_DEPTH} levels deep`, token.position);
+        }
+    }
+
+    /**
+     * Counts a comparison against the limit
+     * @param {Object} token
+     */
+    countCondition(token) {
+        if (++this.conditions > FILTER_QUERY.MAX_CONDITIONS) {
+            throw filterError(`Filter has more than ${FILTER_QUERY.MAX_CONDITIONS} conditions`, token.position);
+        }
+    }
+
+    /**
+     * Parses the whole filter
+     * @returns {Object} Query tree
+     */
+    parse() {
+        const node = this.parseOr();
+        const token = this.peek();
+        if (token.type !== 'end') {
+            throw filterError(`Expected "and", "or" or end of filter but found ${describe(token)}`, token.position);
+        }
+        return node;
+    }
+
+    /**
+     * @returns {Object} One or more `and` groups joined by `or`
+     */
+    parseOr() {
+        const children = [this.parseAnd()];
+        while (this.atKeyword('or')) {
+            this.next();
+            children.push(this.parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    /**
+     * @returns {Object} One or more terms joined by `and`
+     */
+    parseAnd() {
+        const children = [this.parseUnary()];
+        while (this.atKeyword('and')) {
+            this.next();
+            children.push(this.parseUnary());
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    /**
+     * @returns {Object} A negated term, a parenthesized filter or a comparison
+     */
+    parseUnary() {
+        const token = this.peek();
+
+        if (this.atKeyword('not')) {
+            this.next();
+            this.enter(token);
+            const child = this.parseUnary();
+            this.depth--;
+            return { type: 'not', child };
+        }
+
+        if (token.type === '(') {
+            this.next();
+            this.enter(token);
+            const node = this.parseOr();
+            this.expect(')', '")"');
+            this.depth--;
+            return node;
+        }
+
+        return this.parseComparison();
+    }
+
+    /**
+     * @returns {Object} A field compared with a value or a list of values
+     */
+    parseComparison() {
+        const token = this.expect('word', 'a field name');
+        const name = Object.keys(FIELDS).find((field) => field.toLowerCase() === token.text.toLowerCase());
+        if (!name) {
+            throw filterError(`Unknown field ${describe(token)}`, token.position, `use one of ${Object.keys(FIELDS).join(', ')}`);
+        }
+        const field = { name, ...FIELDS[name] };
+
+        const negated = this.atKeyword('not');
+        if (negated) this.next();
+        if (this.atKeyword('in')) {
+            const keyword = this.next();
+            if (!field.list) throw filterError(`${name} does not support "in"`, keyword.position);
+
+            this.expect('(', '"(" after "in"');
+            const values = [];
+            do {
+                const valueToken = this.next();
+                this.countCondition(valueToken);
+                values.push(parseValue(field, valueToken));
+            } while (this.peek().type === ',' && this.next());
+            this.expect(')', '"," or ")"');
+
+            const node = { type: 'in', field: name, values };
+            return negated ? { type: 'not', child: node } : node;
+        }
+        if (negated) {
+            const found = this.peek();
+            throw filterError(`Expected "in" after "not" but found ${describe(found)}`, found.position);
+        }
+
+        const operatorToken = this.expect('operator', `an operator after ${name}`);
+        const operator = operatorToken.text;
+        if (!field.operators.includes(operator)) {
+            throw filterError(
+                `${name} does not support "${operator}"`,
+                operatorToken.position,
+                `use ${[...field.operators, ...(field.list ? ['in'] : [])].join(', ')}`
+            );
+        }
+
+        const valueToken = this.next();
+        this.countCondition(valueToken);
+        const value = parseValue(field, valueToken);
+        if (value.null && !EQUALITY.includes(operator)) {
+            throw filterError(`null can only be compared with = or !=`, valueToken.position);
+        }
+
+        return { type: 'compare', field: name, operator, value };
+    }
+}
+
+/**
+ * Parses a filter query
+ * @param {string} text
+ * @returns {{query: Object}|{error: Object}} Parsed query, or the 400 response body
+ */
+export const parseFilterQuery = (text) => {
+    const filter = String(text);
+    if (filter.length > FILTER_QUERY.MAX_LENGTH) {
+        return {
+            error: {
+                error: `Filter is longer than ${FILTER_QUERY.MAX_LENGTH} characters`,
+                field: 'filter',
+                position: FILTER_QUERY.MAX_LENGTH + 1
+            }
+        };
+    }
+    if (!filter.trim()) {
+        return { error: { error: 'Filter is empty', field: 'filter', position: 1 } };
+    }
+
+    try {
+        return { query: new FilterParser(tokenize(filter)).parse() };
+    } catch (error) {
+        if (error.position === undefined) throw error;
+        return { error: { error: error.message, field: 'filter', position: error.position } };
+    }
+};
+
+/**
+ * Resolves a date value to the instant or period it stands for, on the user's calendar
+ * Periods keep the unit of their offset, so week+4d is a single day and month-1m is last month
+ * @param {Object} value - Date value from parseDateValue
+ * @param {Date} now
+ * @param {{timeZone?: string, weekStart?: number}} calendar
+ * @returns {{start: Date, end: Date|null}} end (exclusive) is null for instants
+ */
+const resolveDate = (value, now, { timeZone = DATES.DEFAULT_TIME_ZONE, weekStart = DATES.DEFAULT_WEEK_START }) => {
+    if (value.date) {
+        return { start: value.date, end: null };
+    }
+    if (value.day) {
+        const start = fromZonedParts(value.day, timeZone);
+        return { start, end: shiftDate(start, 1, 'd', timeZone) };
+    }
+
+    let anchored = now;
+    if (value.anchor === 'today') anchored = startOfDay(now, timeZone);
+    if (value.anchor === 'week') anchored = startOfWeek(now, timeZone, weekStart);
+    if (value.anchor === 'month') anchored = startOfMonth(now, timeZone);
+
+    const shifted = value.offset ? shiftDate(anchored, value.offset, value.unit, timeZone) : anchored;
+    const unit = value.offset ? value.unit : PERIOD_UNITS[value.anchor];
+    if (value.anchor === 'now' || unit === 'h') {
+        return { start: shifted, end: null };
+    }
+    return { start: shifted, end: shiftDate(shifted, 1, unit, timeZone) };
+};
+
+/**
+ * Prisma condition on a date column for one comparison
+ * @param {string} operator
+ * @param {{start: Date, end: Date|null}} range
+ * @returns {Object}
+ */
+const dateCondition = (operator, { start, end }) => {
+    if (!end) {
+        return { '=': { equals: start }, '<': { lt: start }, '<=': { lte: start }, '>': { gt: start }, '>=': { gte: start } }[operator];
+    }
+    return { '=': { gte: start, lt: end }, '<': { lt: start }, '<=': { lt: end }, '>': { gte: end }, '>=': { gte: start } }[operator];
+};
+
+const RANK_OPERATORS = { '=': 'equals', '<': 'lt', '<=': 'lte', '>': 'gt', '>=': 'gte' };
+
+/**
+ * Prisma condition for a positive comparison (`!=` is compiled as `not =`)
+ * @param {string} field
+ * @param {string} operator
+ * @param {Object} value
+ * @param {Date} now
+ * @param {Object} calendar - Time zone and week start
+ * @returns {Object}
+ */
+const compileComparison = (field, operator, value, now, calendar) => {
+    if (field === 'tag') {
+        return value.null
+            ? { tags: { none: {} } }
+            : { tags: { some: { tag: { OR: [{ id: value.text }, { name: value.text }] } } } };
+    }
+    if (value.null) {
+        return { [field]: null };
+    }
+
+    // Matching only non-null values keeps `not` two-valued: not (dueDate < x) includes tasks without a due date
+    const guard = FIELDS[field].nullable ? { not: null } : {};
+    switch (FIELDS[field].type) {
+        case 'priority':
+            return { priorityRank: { [RANK_OPERATORS[operator]]: value.rank } };
+        case 'date':
+            return { [field]: { ...guard, ...dateCondition(operator, resolveDate(value, now, calendar)) } };
+        default:
+            return { [field]: { ...guard, ...(operator === '~' ? { contains: value.text } : { equals: value.text }) } };
+    }
+};
+
+/**
+ * Compiles a parsed filter to a Prisma where clause
+ * Relative dates are resolved against `now`, so compile per request
+ * @param {Object} node - Output of parseFilterQuery
+ * @param {Date} [now=new Date()]
+ * @param {{timeZone?: string, weekStart?: number}} [calendar] - Defaults to DATES
+ * @returns {Object}
+ */
+export const buildFilterQueryWhere = (node, now = new Date(), calendar = {}) => {
+    switch (node.type) {
+        case 'and':
+            return { AND: node.children.map((child) => buildFilterQueryWhere(child, now, calendar)) };
+        case 'or':
+            return { OR: node.children.map((child) => buildFilterQueryWhere(child, now, calendar)) };
+        case 'not':
+            return { NOT: buildFilterQueryWhere(node.child, now, calendar) };
+        case 'in':
+            return { OR: node.values.map((value) => compileComparison(node.field, '=', value, now, calendar)) };
+        default: {
+            const operator = node.operator === '!=' ? '=' : node.operator;
+            const condition = compileComparison(node.field, operator, node.value, now, calendar);
+            return node.operator === '!=' ? { NOT: condition } : condition;
+        }
+    }
+};
+
+/**
+ * Checks one positive comparison against an in-memory task
+ * @param {Object} task
+ * @param {string} field
+ * @param {string} operator
+ * @param {Object} value
+ * @param {Date} now
+ * @param {Object} calendar - Time zone and week start
+ * @returns {boolean}
+ */
+const compareTask = (task, field, operator, value, now, calendar) => {
+    if (field === 'tag') {
+        // Tags are objects on current tasks and bare IDs on recorded previous states
+        const tags = task.tags || [];
+        if (value.null) return tags.length === 0;
+        return tags.some((tag) => (typeof tag === 'string' ? tag === value.text : tag.id === value.text || tag.name === value.text));
+    }
+
+    const actual = task[field] ?? null;
+    if (value.null) return actual === null;
+    if (actual === null) return false;
+
+    switch (FIELDS[field].type) {
+        case 'priority': {
+            const rank = PRIORITY_RANK[String(actual).toUpperCase()];
+            return { '=': rank === value.rank, '<': rank < value.rank, '<=': rank <= value.rank, '>': rank > value.rank, '>=': rank >= value.rank }[operator];
+        }
+        case 'date': {
+            const time = new Date(actual).getTime();
+            const bounds = dateCondition(operator, resolveDate(value, now, calendar));
+            return (bounds.equals === undefined || time === bounds.equals.getTime()) &&
+                (bounds.lt === undefined || time < bounds.lt.getTime()) &&
+                (bounds.lte === undefined || time <= bounds.lte.getTime()) &&
+                (bounds.gt === undefined || time > bounds.gt.getTime()) &&
+                (bounds.gte === undefined || time >= bounds.gte.getTime());
+        }
+        default:
+            // Matches SQLite, where LIKE (contains) ignores ASCII case and = does not
+            return operator === '~'
+                ? String(actual).toLowerCase().includes(value.text.toLowerCase())
+                : actual === value.text;
+    }
+};
+
+/**
+ * Checks an in-memory task snapshot against a parsed filter, mirroring buildFilterQueryWhere
+ * @param {Object} task
+ * @param {Object} node - Output of parseFilterQuery
+ * @param {Date} [now=new Date()]
+ * @param {{timeZone?: string, weekStart?: number}} [calendar] - Defaults to DATES
+ * @returns {boolean}
+ */
+export const matchesFilterQuery = (task, node, now = new Date(), calendar = {}) => {
+    switch (node.type) {
+        case 'and':
+            return node.children.every((child) => matchesFilterQuery(task, child, now, calendar));
+        case 'or':
+            return node.children.some((child) => matchesFilterQuery(task, child, now, calendar));
+        case 'not':
+            return !matchesFilterQuery(task, node.child, now, calendar);
+        case 'in':
+            return node.values.some((value) => compareTask(task, node.field, '=', value, now, calendar));
+        default: {
+            const operator = node.operator === '!=' ? '=' : node.operator;
+            const matches = compareTask(task, node.field, operator, node.value, now, calendar);
+            return node.operator === '!=' ? !matches : matches;
+        }
+    }
+};
@@ -0,0 +1,129 @@
+import { CALENDAR, STATUS } from './constants.js';
+
+// iCalendar (RFC 5545) status values for VTODO, by status category
+const TODO_STATUS = {
+    [STATUS.TODO]: 'NEEDS-ACTION',
+    [STATUS.IN_PROGRESS]: 'IN-PROCESS',
+    [STATUS.DONE]: 'COMPLETED'
+};
+
+// iCalendar priorities run from 1 (highest) to 9 (lowest)
+const ICAL_PRIORITY = { HIGH: 1, MEDIUM: 5, LOW: 9 };
+
+/**
+ * Escapes a TEXT value
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeText = (text) => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Splits a content line into 75-octet pieces, continuing each with a leading space
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let part = '';
+    let size = 0;
+
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards their 75 octets
+        if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+            parts.push(part);
+            part = '';
+            size = 0;
+        }
+        part += char;
+        size += charSize;
+    }
+    parts.push(part);
+
+    return parts.join('\r\n ');
+};
+
+/**
+ * Formats a UTC date-time value, e.g. 20241231T170000Z
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Formats a DATE value, e.g. 20241231
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+/**
+ * Content lines for one task
+ * Tasks due at midnight UTC were set as a date only and become all-day entries
+ * @param {Object} task - Task with a dueDate, loaded with TASK_TAGS_INCLUDE
+ * @param {string} component - One of CALENDAR.COMPONENTS
+ * @param {Date} now
+ * @returns {string[]}
+ */
+const taskLines = (task, component, now) => {
+    const allDay = task.dueDate.getTime() % (24 * 60 * 60 * 1000) === 0;
+    const start = allDay ? `;VALUE=DATE:${formatDate(task.dueDate)}` : `:${formatDateTime(task.dueDate)}`;
+    const categories = task.tags.map(({ tag }) => escapeText(tag.name));
+    const todo = component === CALENDAR.COMPONENTS.TODO;
+    // VEVENT has no completion status, so done tasks are marked in the title instead
+    const summary = !todo && task.statusCategory === STATUS.DONE ? `✓ ${task.title}` : task.title;
+    const lines = [
+        `UID:${task.id}@${CALENDAR.UID_DOMAIN}`,
+        `DTSTAMP:${formatDateTime(now)}`,
+        `CREATED:${formatDateTime(task.createdAt)}`,
+        `LAST-MODIFIED:${formatDateTime(task.updatedAt)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        `PRIORITY:${ICAL_PRIORITY[task.priority] ?? 0}`,
+        ...(categories.length > 0 ? [`CATEGORIES:${categories.join(',')}`] : [])
+    ];
+
+    if (todo) {
+        lines.push(`DUE${start}`, `STATUS:${TODO_STATUS[task.statusCategory]}`);
+        if (task.statusCategory === STATUS.DONE) {
+            // Tasks finished before completion times were recorded only have their last change to go by
+            lines.push(`COMPLETED:${formatDateTime(task.completedAt ?? task.updatedAt)}`, 'PERCENT-COMPLETE:100');
+        }
+        return ['BEGIN:VTODO', ...lines, 'END:VTODO'];
+    }
+
+    const end = allDay
+        ? `;VALUE=DATE:${formatDate(new Date(task.dueDate.getTime() + 24 * 60 * 60 * 1000))}`
+        : `:${formatDateTime(new Date(task.dueDate.getTime() + CALENDAR.EVENT_DURATION_MINUTES * 60 * 1000))}`;
+    lines.push(`DTSTART${start}`, `DTEND${end}`, 'TRANSP:TRANSPARENT');
+    return ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+};
+
+/**
+ * Renders tasks as an iCalendar document
+ * @param {Object[]} tasks - Tasks with a dueDate, loaded with TASK_TAGS_INCLUDE
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {string} [options.component='event'] - One of CALENDAR.COMPONENTS
+ * @param {Date} [options.now=new Date()]
+ * @returns {string}
+ */
+export const renderTaskCalendar = (tasks, { name, component = CALENDAR.COMPONENTS.EVENT, now = new Date() }) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${CALENDAR.PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `REFRESH-INTERVAL;VALUE=DURATION:${CALENDAR.REFRESH_INTERVAL}`,
+        `X-PUBLISHED-TTL:${CALENDAR.REFRESH_INTERVAL}`,
+        ...tasks.flatMap((task) => taskLines(task, component, now)),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,108 @@
+import { RANKING } from './constants.js';
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Returns a key that sorts strictly between two keys (fractional indexing)
+ * Keys are base-36 digit strings compared as plain strings and never end in '0',
+ * so there is always room for another key on either side
+ * @param {string|null} before - Key to sort after, or null for the start of the column
+ * @param {string|null} after - Key to sort before, or null for the end of the column
+ * @returns {string}
+ */
+export const rankBetween = (before, after) => {
+    const a = before || '';
+    const b = after || null;
+    if (b !== null && a >= b) {
+        throw new Error(`Cannot rank between "${a}" and "${b}"`);
+    }
+
+    if (b === null) {
+        if (!a) return DIGITS[DIGITS.length / 2];
+        // Appending is the common case (new tasks), so step up one digit instead of halving the gap
+        const index = [...a].findIndex((char) => char !== 'z');
+        return index === -1 ? a + DIGITS[1] : a.slice(0, index) + DIGITS[DIGITS.indexOf(a[index]) + 1];
+    }
+
+    // Keep the shared prefix and split the difference in the remainder
+    let n = 0;
+    while ((a[n] || '0') === b[n]) n++;
+    if (n > 0) return b.slice(0, n) + rankBetween(a.slice(n), b.slice(n));
+
+    const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+    const digitB = DIGITS.indexOf(b[0]);
+    if (digitB - digitA > 1) {
+        return DIGITS[Math.round((digitA + digitB) / 2)];
+    }
+
+    // Adjacent first digits: b's first digit alone already sorts between them
+    if (b.length > 1) return b[0];
+    return DIGITS[digitA] + rankBetween(a.slice(1), null);
+};
+
+/**
+ * Evenly spaced keys for a column of `count` tasks, used when keys grow too long
+ * @param {number} count
+ * @returns {string[]} Keys in ascending order
+ */
+export const spreadRanks = (count) => {
+    let length = 1;
+    while (DIGITS.length ** length < (count + 1) * RANKING.SPREAD_GAP) length++;
+
+    const space = DIGITS.length ** length;
+    return Array.from({ length: count }, (_, index) => {
+        const value = Math.floor(((index + 1) * space) / (count + 1));
+        // Trailing zeros carry no ordering information and would block inserts before the key
+        return value.toString(36).padStart(length, '0').replace(/0+$/, '');
+    });
+};
+
+/**
+ * @typedef {Object} Column
+ * @property {string} userId
+ * @property {string|null} projectId - Board the column is on; null for tasks without a project
+ * @property {string} status
+ */
+
+/**
+ * Re-assigns evenly spaced positions to a status column of a board, keeping its current order
+ * Tasks without a position (created before manual ordering) go last, in the default list order
+ * @param {Object} tx - Prisma transaction client
+ * @param {Column} column
+ * @returns {Promise<Array<{id: string, position: string}>>} The column in order
+ */
+export const rebalanceColumn = async (tx, { userId, projectId, status }) => {
+    const column = await tx.task.findMany({
+        where: { userId, projectId, status, parentId: null, deletedAt: null },
+        orderBy: [{ position: { sort: 'asc', nulls: 'last' } }, { dueDate: 'asc' }, { createdAt: 'desc' }],
+        select: { id: true }
+    });
+    const positions = spreadRanks(column.length);
+
+    // The order is unchanged, so versions stay: a rebalance should not fail other clients' If-Match
+    for (const [index, task] of column.entries()) {
+        await tx.task.update({ where: { id: task.id }, data: { position: positions[index] } });
+    }
+
+    return column.map((task, index) => ({ id: task.id, position: positions[index] }));
+};
+
+/**
+ * Position that puts a task at the end of a status column of a board
+ * @param {Object} tx - Prisma transaction client
+ * @param {Column} column
+ * @returns {Promise<string>}
+ */
+export const endOfColumnPosition = async (tx, column) => {
+    const { userId, projectId, status } = column;
+    const last = await tx.task.findFirst({
+        where: { userId, projectId, status, parentId: null, deletedAt: null, position: { not: null } },
+        orderBy: { position: 'desc' },
+        select: { position: true }
+    });
+    const position = rankBetween(last?.position ?? null, null);
+    if (position.length <= RANKING.MAX_LENGTH) return position;
+
+    const rebalanced = await rebalanceColumn(tx, column);
+    return rankBetween(rebalanced.at(-1)?.position ?? null, null);
+};
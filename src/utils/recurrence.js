@@ -0,0 +1,181 @@
+import { RECURRENCE } from './constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} RecurrenceRule
+ * @property {'DAILY'|'WEEKLY'|'MONTHLY'} freq
+ * @property {number} interval - Repeat every N days/weeks/months
+ * @property {string[]} [byWeekday] - WEEKLY only, e.g. ['MO', 'TH']
+ * @property {number} [byMonthDay] - MONTHLY only, 1-31; clamped to short months
+ * @property {string} [until] - ISO date after which no occurrences are generated
+ * @property {number} [count] - Total number of occurrences in the series
+ */
+
+/**
+ * Monday-based weekday index (0 = MO ... 6 = SU) of a date in UTC
+ * @param {Date} date
+ * @returns {number}
+ */
+const weekdayIndex = (date) => (date.getUTCDay() + 6) % 7;
+
+/**
+ * Number of days in a UTC month
+ * @param {number} year
+ * @param {number} month - 0-based
+ * @returns {number}
+ */
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Validates and normalises a recurrence rule
+ * @param {Object} input - Raw rule from the request body
+ * @returns {{rule?: RecurrenceRule, error?: string, field?: string}}
+ */
+export const normalizeRecurrence = (input) => {
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+        return { error: 'Recurrence must be an object', field: 'recurrence' };
+    }
+
+    const { freq, interval = 1, byWeekday, byMonthDay, until, count } = input;
+
+    if (!RECURRENCE.FREQUENCIES.includes(freq)) {
+        return {
+            error: `Invalid recurrence frequency. Valid options: ${RECURRENCE.FREQUENCIES.join(', ')}`,
+            field: 'recurrence.freq'
+        };
+    }
+
+    if (!Number.isInteger(interval) || interval < 1 || interval > RECURRENCE.MAX_INTERVAL) {
+        return {
+            error: `Recurrence interval must be an integer between 1 and ${RECURRENCE.MAX_INTERVAL}`,
+            field: 'recurrence.interval'
+        };
+    }
+
+    const rule = { freq, interval };
+
+    if (byWeekday !== undefined) {
+        if (freq !== 'WEEKLY') {
+            return { error: 'byWeekday is only supported for WEEKLY rules', field: 'recurrence.byWeekday' };
+        }
+        if (!Array.isArray(byWeekday) || byWeekday.length === 0 ||
+            byWeekday.some((day) => !RECURRENCE.WEEKDAYS.includes(day))) {
+            return {
+                error: `byWeekday must be a non-empty list of: ${RECURRENCE.WEEKDAYS.join(', ')}`,
+                field: 'recurrence.byWeekday'
+            };
+        }
+        rule.byWeekday = RECURRENCE.WEEKDAYS.filter((day) => byWeekday.includes(day));
+    }
+
+    if (byMonthDay !== undefined) {
+        if (freq !== 'MONTHLY') {
+            return { error: 'byMonthDay is only supported for MONTHLY rules', field: 'recurrence.byMonthDay' };
+        }
+        if (!Number.isInteger(byMonthDay) || byMonthDay < 1 || byMonthDay > 31) {
+            return { error: 'byMonthDay must be an integer between 1 and 31', field: 'recurrence.byMonthDay' };
+        }
+        rule.byMonthDay = byMonthDay;
+    }
+
+    if (until !== undefined && until !== null) {
+        const untilDate = new Date(until);
+        if (typeof until !== 'string' || isNaN(untilDate.getTime())) {
+            return { error: 'Recurrence until must be an ISO 8601 date', field: 'recurrence.until' };
+        }
+        rule.until = untilDate.toISOString();
+    }
+
+    if (count !== undefined && count !== null) {
+        if (!Number.isInteger(count) || count < 1) {
+            return { error: 'Recurrence count must be a positive integer', field: 'recurrence.count' };
+        }
+        rule.count = count;
+    }
+
+    if (rule.until && rule.count) {
+        return { error: 'Use either until or count, not both', field: 'recurrence' };
+    }
+
+    return { rule };
+};
+
+/**
+ * Pins a MONTHLY rule to the day of its first due date, so clamping to a
+ * short month (31st -> 28th) does not drift the rest of the series
+ * @param {RecurrenceRule} rule
+ * @param {Date} dueDate - First occurrence
+ * @returns {RecurrenceRule}
+ */
+export const anchorRecurrence = (rule, dueDate) => {
+    if (rule.freq !== 'MONTHLY' || rule.byMonthDay) return rule;
+    return { ...rule, byMonthDay: dueDate.getUTCDate() };
+};
+
+/**
+ * Computes the occurrence that follows `current` in a series
+ * @param {RecurrenceRule} rule
+ * @param {Date} current - Due date of the current occurrence
+ * @param {number} index - 0-based position of `current` in the series
+ * @returns {Date|null} Next due date, or null when the series has ended
+ */
+export const nextOccurrence = (rule, current, index) => {
+    if (rule.count && index + 1 >= rule.count) return null;
+
+    let next;
+    switch (rule.freq) {
+        case 'DAILY':
+            next = new Date(current.getTime() + rule.interval * DAY_MS);
+            break;
+        case 'WEEKLY': {
+            if (!rule.byWeekday) {
+                next = new Date(current.getTime() + rule.interval * 7 * DAY_MS);
+                break;
+            }
+            const days = rule.byWeekday.map((day) => RECURRENCE.WEEKDAYS.indexOf(day));
+            const today = weekdayIndex(current);
+            const laterThisWeek = days.find((day) => day > today);
+            const offset = laterThisWeek !== undefined
+                ? laterThisWeek - today
+                // Jump to the first listed weekday of the week `interval` weeks ahead
+                : rule.interval * 7 - today + days[0];
+            next = new Date(current.getTime() + offset * DAY_MS);
+            break;
+        }
+        case 'MONTHLY': {
+            const monthIndex = current.getUTCMonth() + rule.interval;
+            const year = current.getUTCFullYear() + Math.floor(monthIndex / 12);
+            const month = monthIndex % 12;
+            next = new Date(current);
+            const monthDay = rule.byMonthDay || current.getUTCDate();
+            next.setUTCFullYear(year, month, Math.min(monthDay, daysInMonth(year, month)));
+            break;
+        }
+        default:
+            return null;
+    }
+
+    if (rule.until && next > new Date(rule.until)) return null;
+    return next;
+};
+
+/**
+ * Lists the upcoming occurrences of a rule, starting with `start`
+ * @param {RecurrenceRule} rule
+ * @param {Date} start - First occurrence
+ * @param {number} limit - Maximum number of dates to return
+ * @returns {Date[]}
+ */
+export const previewOccurrences = (rule, start, limit) => {
+    const occurrences = [];
+    let current = start;
+
+    for (let index = 0; current && occurrences.length < limit; index++) {
+        if (rule.until && current > new Date(rule.until)) break;
+        occurrences.push(current);
+        current = nextOccurrence(rule, current, index);
+    }
+
+    return occurrences;
+};
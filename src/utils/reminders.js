@@ -0,0 +1,74 @@
+import { REMINDERS } from './constants.js';
+
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60, w: 7 * 24 * 60 };
+
+/**
+ * Parses a reminder offset such as 90, '30m', '1h', '1d' or '2w' into minutes
+ * Zero is refused: the scheduler skips reminders whose task is already due, so one at the due
+ * time itself would never be sent
+ * @param {number|string} value - Minutes, or a number with an m/h/d/w suffix
+ * @returns {number|null} Offset in minutes, or null when invalid
+ */
+export const parseReminderOffset = (value) => {
+    let minutes = null;
+
+    if (typeof value === 'number') {
+        minutes = value;
+    } else if (typeof value === 'string') {
+        const match = value.trim().match(/^(\d+)\s*([mhdw])$/i);
+        if (match) minutes = parseInt(match[1]) * UNIT_MINUTES[match[2].toLowerCase()];
+    }
+
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > REMINDERS.MAX_OFFSET_MINUTES) {
+        return null;
+    }
+    return minutes;
+};
+
+/**
+ * Prisma select for the reminder fields exposed on tasks
+ * @type {Object}
+ */
+export const REMINDER_SELECT = {
+    select: { offsetMinutes: true, remindAt: true, sentAt: true },
+    orderBy: { offsetMinutes: 'desc' }
+};
+
+/**
+ * Brings a task's reminder rows in line with its due date and offsets
+ * Reminders whose fire time is unchanged keep their sent state; moved ones are re-armed
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {{id: string, dueDate: Date|null}} task
+ * @param {number[]} [offsets] - New offsets in minutes; omit to keep the current ones
+ * @returns {Promise<Object[]>} The task's reminders after syncing
+ */
+export const syncReminders = async (tx, task, offsets) => {
+    const existing = await tx.taskReminder.findMany({ where: { taskId: task.id } });
+    const wanted = offsets ?? existing.map((reminder) => reminder.offsetMinutes);
+
+    if (!task.dueDate || wanted.length === 0) {
+        if (existing.length > 0) await tx.taskReminder.deleteMany({ where: { taskId: task.id } });
+        return [];
+    }
+
+    const removed = existing.filter((reminder) => !wanted.includes(reminder.offsetMinutes));
+    if (removed.length > 0) {
+        await tx.taskReminder.deleteMany({ where: { id: { in: removed.map((reminder) => reminder.id) } } });
+    }
+
+    for (const offsetMinutes of wanted) {
+        const remindAt = new Date(task.dueDate.getTime() - offsetMinutes * 60 * 1000);
+        const current = existing.find((reminder) => reminder.offsetMinutes === offsetMinutes);
+
+        if (!current) {
+            await tx.taskReminder.create({ data: { taskId: task.id, offsetMinutes, remindAt } });
+        } else if (current.remindAt.getTime() !== remindAt.getTime()) {
+            await tx.taskReminder.update({
+                where: { id: current.id },
+                data: { remindAt, sentAt: null, attempts: 0, lastError: null }
+            });
+        }
+    }
+
+    return tx.taskReminder.findMany({ where: { taskId: task.id }, ...REMINDER_SELECT });
+};
@@ -0,0 +1,101 @@
+import prisma from './prisma.js';
+import { SEARCH } from './constants.js';
+
+// Control characters mark matches inside FTS5 highlight() output; they cannot occur in escaped HTML
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Creates the FTS5 index over task titles and the triggers that keep it in sync
+ * Safe to call on every start; the index is backfilled only when first created.
+ * Prisma does not manage virtual tables, so this runs at startup rather than in the schema
+ * @param {Object} [client=prisma] - Prisma client
+ * @returns {Promise<void>}
+ */
+export const ensureSearchIndex = async (client = prisma) => {
+    const existing = await client.$queryRaw`
+        SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'TaskSearch'
+    `;
+
+    await client.$executeRawUnsafe(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS TaskSearch USING fts5(
+            taskId UNINDEXED,
+            userId UNINDEXED,
+            title,
+            tokenize = 'unicode61 remove_diacritics 2',
+            prefix = '2 3'
+        )
+    `);
+    await client.$executeRawUnsafe(`
+        CREATE TRIGGER IF NOT EXISTS Task_search_insert AFTER INSERT ON Task BEGIN
+            INSERT INTO TaskSearch (taskId, userId, title) VALUES (new.id, new.user_id, new.title);
+        END
+    `);
+    await client.$executeRawUnsafe(`
+        CREATE TRIGGER IF NOT EXISTS Task_search_update AFTER UPDATE OF title, user_id ON Task BEGIN
+            UPDATE TaskSearch SET title = new.title, userId = new.user_id WHERE taskId = old.id;
+        END
+    `);
+    await client.$executeRawUnsafe(`
+        CREATE TRIGGER IF NOT EXISTS Task_search_delete AFTER DELETE ON Task BEGIN
+            DELETE FROM TaskSearch WHERE taskId = old.id;
+        END
+    `);
+
+    if (existing.length === 0) {
+        await client.$executeRawUnsafe(`
+            INSERT INTO TaskSearch (taskId, userId, title) SELECT id, user_id, title FROM Task
+        `);
+        console.log('[Search] Task search index created');
+    }
+};
+
+/**
+ * Turns free text into an FTS5 query: every word must match, as a word or word prefix
+ * Punctuation separates words, and words are quoted so FTS5 operators in user input are treated as text
+ * @param {string} q - Search text
+ * @returns {string|null} FTS5 MATCH expression, or null when there is nothing to search for
+ */
+export const buildSearchQuery = (q) => {
+    const terms = String(q)
+        .slice(0, SEARCH.MAX_QUERY_LENGTH)
+        .split(/[^\p{L}\p{N}_]+/u)
+        .filter(Boolean);
+
+    if (terms.length === 0) return null;
+    return terms.map((term) => `"${term}"*`).join(' ');
+};
+
+/**
+ * Escapes a highlighted title for HTML and turns the match markers into <mark> tags
+ * @param {string} text - highlight() output
+ * @returns {string}
+ */
+const toHighlightHtml = (text) => text
+    .replace(/[&<>"']/g, (char) => HTML_ESCAPES[char])
+    .replaceAll(MATCH_START, '<mark>')
+    .replaceAll(MATCH_END, '</mark>');
+
+/**
+ * Finds all of a user's tasks whose titles match, best match first
+ * Not limited here: callers filter the matches first, then cap them at SEARCH.MAX_RESULTS
+ * @param {string} userId
+ * @param {string} query - Output of buildSearchQuery
+ * @returns {Promise<Map<string, {rank: number, highlight: string}>>} Matches by task ID, in rank order
+ */
+export const searchTasks = async (userId, query) => {
+    const rows = await prisma.$queryRaw`
+        SELECT taskId, bm25(TaskSearch) AS rank, highlight(TaskSearch, 2, ${MATCH_START}, ${MATCH_END}) AS highlight
+        FROM TaskSearch
+        WHERE TaskSearch MATCH ${query} AND userId = ${userId}
+        ORDER BY rank
+    `;
+
+    // bm25() is lower for better matches; expose it so that higher means more relevant
+    return new Map(rows.map((row) => [row.taskId, {
+        rank: -Number(row.rank),
+        highlight: toHighlightHtml(row.highlight)
+    }]));
+};
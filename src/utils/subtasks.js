@@ -0,0 +1,57 @@
+import prisma from './prisma.js';
+import { STATUS } from './constants.js';
+
+/**
+ * Counts done/total subtasks for a set of parent tasks
+ * @param {string[]} taskIds - Parent task IDs
+ * @returns {Promise<Map<string, {done: number, total: number}>>}
+ */
+export const getSubtaskProgress = async (taskIds) => {
+    const progress = new Map();
+    if (taskIds.length === 0) return progress;
+
+    const groups = await prisma.task.groupBy({
+        by: ['parentId', 'statusCategory'],
+        where: { parentId: { in: taskIds }, deletedAt: null },
+        _count: { _all: true }
+    });
+
+    for (const group of groups) {
+        const entry = progress.get(group.parentId) || { done: 0, total: 0 };
+        entry.total += group._count._all;
+        if (group.statusCategory === STATUS.DONE) entry.done += group._count._all;
+        progress.set(group.parentId, entry);
+    }
+
+    return progress;
+};
+
+/**
+ * Attaches subtask progress counts to a list of tasks
+ * @param {Object[]} tasks
+ * @returns {Promise<Object[]>}
+ */
+export const withSubtaskProgress = async (tasks) => {
+    const progress = await getSubtaskProgress(tasks.map((task) => task.id));
+    return tasks.map((task) => ({
+        ...task,
+        progress: progress.get(task.id) || { done: 0, total: 0 }
+    }));
+};
+
+/**
+ * Checks whether a task has subtasks and every one of them is DONE
+ * @param {string|null} parentId
+ * @param {Object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<boolean>}
+ */
+export const allSubtasksDone = async (parentId, client = prisma) => {
+    if (!parentId) return false;
+
+    const [open, total] = await Promise.all([
+        client.task.count({ where: { parentId, deletedAt: null, statusCategory: { not: STATUS.DONE } } }),
+        client.task.count({ where: { parentId, deletedAt: null } })
+    ]);
+
+    return total > 0 && open === 0;
+};
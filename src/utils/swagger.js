@@ -6,7 +6,8 @@ const swaggerDefinition = {
     info: {
         title: 'GradTrack Todo API',
         version: API.VERSION,
-        description: 'API for managing tasks in GradTrack application',
+        description: 'API for managing tasks in GradTrack application. POST, PUT, PATCH and DELETE requests ' +
+            'accept an Idempotency-Key header, so they can be retried safely on unreliable connections',
         contact: {
             name: 'API Support',
             email: 'support@gradtrack.com'
@@ -29,6 +30,56 @@ const swaggerDefinition = {
                 type: 'http',
                 scheme: 'bearer',
                 bearerFormat: 'JWT'
+            },
+            streamToken: {
+                type: 'apiKey',
+                in: 'query',
+                name: 'token',
+                description: 'From POST /api/v1/tasks/stream/token; only opens the task stream'
+            }
+        },
+        parameters: {
+            IfMatch: {
+                in: 'header',
+                name: 'If-Match',
+                schema: { type: 'string', example: '"3"' },
+                description: 'ETag of the copy being changed (the task\'s `version` in quotes). ' +
+                    'The request fails with 412 if the task has changed since'
+            },
+            IdempotencyKey: {
+                in: 'header',
+                name: 'Idempotency-Key',
+                schema: { type: 'string', maxLength: 255, example: '5f0c1b9e-3d1e-4c5a-9a43-2b6f1e0d7c21' },
+                description: 'Unique per intended change, such as a UUID. Retries with the same key and body get the ' +
+                    'first response again (with Idempotent-Replayed: true) for 24 hours instead of repeating the change'
+            },
+            IfNoneMatch: {
+                in: 'header',
+                name: 'If-None-Match',
+                schema: { type: 'string' },
+                description: 'ETag from an earlier response; 304 Not Modified without a body if it is still current'
+            },
+            Force: {
+                in: 'query',
+                name: 'force',
+                schema: { type: 'boolean', default: false },
+                description: 'Start or finish the task even though tasks it is blocked by are still open'
+            }
+        },
+        responses: {
+            IdempotencyInProgress: {
+                description: 'The first request with this Idempotency-Key has not finished yet',
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+            },
+            IdempotencyKeyReused: {
+                description: 'The Idempotency-Key was already used for a request with a different body or endpoint',
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+            }
+        },
+        headers: {
+            ETag: {
+                description: 'Entity tag of the returned task, for If-Match and If-None-Match',
+                schema: { type: 'string', example: '"3"' }
             }
         },
         schemas: {
@@ -39,8 +90,14 @@ const swaggerDefinition = {
                     title: { type: 'string', example: 'Complete project' },
                     status: {
                         type: 'string',
-                        enum: ['todo', 'inProgress', 'done'],
-                        example: 'todo'
+                        example: 'IN_REVIEW',
+                        description: 'Key of a status on the task\'s board (see Workflow); TODO, IN_PROGRESS or DONE on subtasks'
+                    },
+                    statusCategory: {
+                        type: 'string',
+                        enum: ['TODO', 'IN_PROGRESS', 'DONE'],
+                        example: 'IN_PROGRESS',
+                        description: 'Category of the status, which decides when the task counts as started or completed'
                     },
                     priority: {
                         type: 'string',
@@ -53,10 +110,92 @@ const swaggerDefinition = {
                         nullable: true,
                         example: '2024-12-31T00:00:00Z'
                     },
+                    userId: { type: 'string', description: 'Owner of the task' },
+                    projectId: { type: 'string', nullable: true, description: 'Project (board) the task belongs to' },
+                    parentId: { type: 'string', nullable: true, description: 'Parent task when this is a subtask' },
+                    subtaskOrder: { type: 'integer', description: 'Position within the parent checklist' },
+                    position: {
+                        type: 'string',
+                        nullable: true,
+                        description: 'Manual order within the status column; compare as plain strings'
+                    },
+                    progress: { $ref: '#/components/schemas/Progress' },
+                    tags: {
+                        type: 'array',
+                        items: { $ref: '#/components/schemas/Tag' }
+                    },
+                    commentCount: { type: 'integer', example: 4 },
+                    isBlocked: {
+                        type: 'boolean',
+                        example: false,
+                        description: 'Waiting on a task that is not done yet (see /tasks/{id}/dependencies); ' +
+                            'on task listings and GET /tasks/{id}'
+                    },
+                    recurrence: {
+                        allOf: [{ $ref: '#/components/schemas/Recurrence' }],
+                        nullable: true
+                    },
+                    seriesId: { type: 'string', nullable: true, description: 'ID of the first occurrence of a recurring task' },
+                    recurrenceIndex: { type: 'integer', description: '0-based position within the series' },
+                    reminders: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                offsetMinutes: { type: 'integer', example: 60 },
+                                remindAt: { type: 'string', format: 'date-time' },
+                                sentAt: { type: 'string', format: 'date-time', nullable: true }
+                            }
+                        }
+                    },
+                    searchRank: { type: 'number', description: 'Relevance when searching with q; higher is better' },
+                    highlight: {
+                        type: 'string',
+                        description: 'HTML-escaped title with matches wrapped in <mark> (only when searching with q)',
+                        example: 'Send <mark>invoice</mark> to finance'
+                    },
+                    deletedAt: {
+                        type: 'string',
+                        format: 'date-time',
+                        nullable: true,
+                        description: 'When the task was moved to the trash'
+                    },
+                    startedAt: {
+                        type: 'string',
+                        format: 'date-time',
+                        nullable: true,
+                        description: 'When work started (the task entered inProgress); cleared when moved back to todo'
+                    },
+                    completedAt: {
+                        type: 'string',
+                        format: 'date-time',
+                        nullable: true,
+                        description: 'When the task was completed; cleared when reopened'
+                    },
+                    version: {
+                        type: 'integer',
+                        example: 3,
+                        description: 'Incremented by every change. The task\'s ETag is this number in quotes'
+                    },
                     createdAt: { type: 'string', format: 'date-time' },
                     updatedAt: { type: 'string', format: 'date-time' }
                 }
             },
+            TrashedTask: {
+                allOf: [
+                    { $ref: '#/components/schemas/Task' },
+                    {
+                        type: 'object',
+                        properties: {
+                            purgeAt: {
+                                type: 'string',
+                                format: 'date-time',
+                                description: 'When the task will be permanently deleted unless restored'
+                            }
+                        }
+                    }
+                ]
+            },
             TaskInput: {
                 type: 'object',
                 required: ['title'],
@@ -64,8 +203,9 @@ const swaggerDefinition = {
                     title: { type: 'string', example: 'New task' },
                     status: {
                         type: 'string',
-                        enum: ['todo', 'inProgress', 'done'],
-                        default: 'todo'
+                        default: 'TODO',
+                        description: 'Key of a status on the task\'s board; must be reachable from the current ' +
+                            'status and have room under its WIP limit'
                     },
                     priority: {
                         type: 'string',
@@ -76,16 +216,570 @@ const swaggerDefinition = {
                         type: 'string',
                         format: 'date-time',
                         nullable: true
+                    },
+                    projectId: { type: 'string', nullable: true },
+                    tagIds: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Replaces every tag on the task'
+                    },
+                    addTagIds: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Tags to attach (PATCH only)'
+                    },
+                    removeTagIds: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Tags to detach (PATCH only)'
+                    },
+                    recurrence: {
+                        allOf: [{ $ref: '#/components/schemas/Recurrence' }],
+                        nullable: true,
+                        description: 'Repeat schedule; requires dueDate. null stops repeating'
+                    },
+                    reminders: {
+                        type: 'array',
+                        nullable: true,
+                        maxItems: 5,
+                        items: { oneOf: [{ type: 'integer', minimum: 1 }, { type: 'string' }] },
+                        description: 'Offsets before dueDate, at least a minute, as minutes or strings like "30m", "1h", "1d". null or [] removes them',
+                        example: ['1d', '1h']
+                    }
+                }
+            },
+            Recurrence: {
+                type: 'object',
+                required: ['freq'],
+                properties: {
+                    freq: { type: 'string', enum: ['DAILY', 'WEEKLY', 'MONTHLY'] },
+                    interval: { type: 'integer', minimum: 1, default: 1, description: 'Every N days/weeks/months' },
+                    byWeekday: {
+                        type: 'array',
+                        items: { type: 'string', enum: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'] },
+                        description: 'WEEKLY only'
+                    },
+                    byMonthDay: {
+                        type: 'integer',
+                        minimum: 1,
+                        maximum: 31,
+                        description: 'MONTHLY only; defaults to the first due date, clamped in short months'
+                    },
+                    until: { type: 'string', format: 'date-time', description: 'Last possible occurrence' },
+                    count: { type: 'integer', minimum: 1, description: 'Total occurrences in the series' }
+                },
+                example: { freq: 'WEEKLY', interval: 1, byWeekday: ['MO', 'TH'] }
+            },
+            Project: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string', example: 'Thesis' },
+                    description: { type: 'string', nullable: true },
+                    color: { type: 'string', nullable: true, example: '#6366f1' },
+                    userId: { type: 'string' },
+                    _count: {
+                        type: 'object',
+                        properties: { tasks: { type: 'integer', example: 12 } }
+                    },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    updatedAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            ProjectInput: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: { type: 'string', example: 'Thesis' },
+                    description: { type: 'string', nullable: true },
+                    color: { type: 'string', nullable: true, example: '#6366f1' }
+                }
+            },
+            User: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', example: 'c3f1a2b4-...' },
+                    email: { type: 'string', format: 'email', example: 'jane@example.com' },
+                    name: { type: 'string', nullable: true, example: 'Jane' },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    updatedAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            RegisterInput: {
+                type: 'object',
+                required: ['email', 'password'],
+                properties: {
+                    email: { type: 'string', format: 'email', example: 'jane@example.com' },
+                    password: { type: 'string', minLength: 8, example: 'correct-horse' },
+                    name: { type: 'string', example: 'Jane' }
+                }
+            },
+            LoginInput: {
+                type: 'object',
+                required: ['email', 'password'],
+                properties: {
+                    email: { type: 'string', format: 'email', example: 'jane@example.com' },
+                    password: { type: 'string', example: 'correct-horse' }
+                }
+            },
+            AuthResponse: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean', example: true },
+                    data: {
+                        type: 'object',
+                        properties: {
+                            user: { $ref: '#/components/schemas/User' },
+                            accessToken: { type: 'string' },
+                            refreshToken: { type: 'string' },
+                            tokenType: { type: 'string', example: 'Bearer' },
+                            expiresIn: { type: 'string', example: '15m' }
+                        }
                     }
                 }
             },
+            Tag: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string', example: 'invoices' },
+                    color: { type: 'string', nullable: true, example: '#22c55e' },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    updatedAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            TagInput: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: { type: 'string', example: 'invoices' },
+                    color: { type: 'string', nullable: true, example: '#22c55e' }
+                }
+            },
+            Comment: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    body: { type: 'string', example: 'Blocked on the finance export' },
+                    taskId: { type: 'string' },
+                    parentId: { type: 'string', nullable: true },
+                    author: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            name: { type: 'string', nullable: true },
+                            email: { type: 'string' }
+                        }
+                    },
+                    editedAt: { type: 'string', format: 'date-time', nullable: true },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    updatedAt: { type: 'string', format: 'date-time' },
+                    replies: {
+                        type: 'array',
+                        items: { $ref: '#/components/schemas/Comment' }
+                    }
+                }
+            },
+            CommentInput: {
+                type: 'object',
+                required: ['body'],
+                properties: {
+                    body: { type: 'string', example: 'Blocked on the finance export' },
+                    parentId: { type: 'string', nullable: true, description: 'Comment to reply to (POST only)' }
+                }
+            },
+            TaskActivity: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    taskId: { type: 'string' },
+                    actorId: { type: 'string', description: 'User who made the change' },
+                    action: {
+                        type: 'string',
+                        enum: ['CREATED', 'UPDATED', 'DELETED']
+                    },
+                    changes: {
+                        type: 'object',
+                        description: 'Changed fields with their previous and new values',
+                        additionalProperties: {
+                            type: 'object',
+                            properties: {
+                                from: { nullable: true },
+                                to: { nullable: true }
+                            }
+                        },
+                        example: { status: { from: 'TODO', to: 'IN_PROGRESS' } }
+                    },
+                    createdAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            WebhookSubscription: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    url: { type: 'string', format: 'uri', example: 'https://example.com/hooks/gradtrack' },
+                    events: {
+                        type: 'array',
+                        items: {
+                            type: 'string',
+                            enum: ['task.created', 'task.updated', 'task.deleted', 'task.status_changed', 'task.restored']
+                        }
+                    },
+                    active: { type: 'boolean' },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    updatedAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            WebhookInput: {
+                type: 'object',
+                required: ['url', 'events'],
+                properties: {
+                    url: { type: 'string', format: 'uri', example: 'https://example.com/hooks/gradtrack' },
+                    events: {
+                        type: 'array',
+                        items: {
+                            type: 'string',
+                            enum: ['task.created', 'task.updated', 'task.deleted', 'task.status_changed', 'task.restored']
+                        },
+                        example: ['task.created', 'task.status_changed']
+                    },
+                    active: { type: 'boolean', default: true }
+                }
+            },
+            WebhookDelivery: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    subscriptionId: { type: 'string' },
+                    event: { type: 'string', example: 'task.status_changed' },
+                    payload: { type: 'object', description: 'Event body sent to the endpoint' },
+                    status: { type: 'string', enum: ['PENDING', 'SUCCESS', 'FAILED'] },
+                    attempts: { type: 'integer' },
+                    nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+                    lastStatusCode: { type: 'integer', nullable: true },
+                    lastError: { type: 'string', nullable: true },
+                    deliveredAt: { type: 'string', format: 'date-time', nullable: true },
+                    replayOfId: { type: 'string', nullable: true, description: 'Delivery this one replays' },
+                    createdAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            BulkResponse: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    mode: { type: 'string', enum: ['atomic', 'best_effort'] },
+                    summary: {
+                        type: 'object',
+                        properties: {
+                            total: { type: 'integer', example: 3 },
+                            succeeded: { type: 'integer', example: 2 },
+                            failed: { type: 'integer', example: 1 }
+                        }
+                    },
+                    results: {
+                        type: 'array',
+                        description: 'One entry per operation, in request order',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                index: { type: 'integer' },
+                                op: { type: 'string', enum: ['create', 'update', 'delete'] },
+                                success: { type: 'boolean' },
+                                status: {
+                                    type: 'integer',
+                                    description: 'HTTP status the operation would have had on its own; 424 when skipped because of another operation',
+                                    example: 200
+                                },
+                                data: { $ref: '#/components/schemas/Task' },
+                                error: { type: 'string' },
+                                field: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            },
+            CalendarFeed: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string', example: 'Work tasks' },
+                    lastUsedAt: {
+                        type: 'string',
+                        format: 'date-time',
+                        nullable: true,
+                        description: 'Last time a calendar app fetched the feed'
+                    },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    updatedAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            CalendarFeedWithUrl: {
+                allOf: [
+                    { $ref: '#/components/schemas/CalendarFeed' },
+                    {
+                        type: 'object',
+                        properties: {
+                            url: {
+                                type: 'string',
+                                example: 'https://api.example.com/api/v1/calendar/Jx3k9QeV2mL8pR4tY7uW1zA5bC6dE0fG.ics'
+                            },
+                            webcalUrl: {
+                                type: 'string',
+                                description: 'Same URL with the webcal scheme, which opens the subscribe dialog of calendar apps'
+                            }
+                        }
+                    }
+                ]
+            },
+            TaskStats: {
+                type: 'object',
+                properties: {
+                    total: { type: 'integer', example: 42 },
+                    byStatus: {
+                        type: 'object',
+                        additionalProperties: { type: 'integer' },
+                        example: { TODO: 20, IN_PROGRESS: 5, DONE: 15, IN_REVIEW: 2 },
+                        description: 'Built-in statuses always, custom ones when some task has them'
+                    },
+                    byCategory: {
+                        type: 'object',
+                        additionalProperties: { type: 'integer' },
+                        example: { TODO: 20, IN_PROGRESS: 7, DONE: 15 }
+                    },
+                    byPriority: {
+                        type: 'object',
+                        additionalProperties: { type: 'integer' },
+                        example: { LOW: 10, MEDIUM: 22, HIGH: 10 }
+                    },
+                    overdue: { type: 'integer', example: 3 },
+                    completionRate: {
+                        type: 'number',
+                        nullable: true,
+                        example: 0.357,
+                        description: 'Share of tasks that are done (0 to 1); null without tasks'
+                    },
+                    leadTime: { $ref: '#/components/schemas/DurationStat' },
+                    cycleTime: { $ref: '#/components/schemas/DurationStat' },
+                    range: {
+                        type: 'object',
+                        properties: {
+                            from: { type: 'string', format: 'date' },
+                            to: { type: 'string', format: 'date' },
+                            timeZone: { type: 'string', example: 'Europe/Berlin' }
+                        }
+                    },
+                    series: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                date: { type: 'string', format: 'date' },
+                                created: { type: 'integer' },
+                                completed: { type: 'integer' },
+                                open: { type: 'integer', description: 'Tasks still open at the end of the day' }
+                            }
+                        }
+                    }
+                }
+            },
+            DurationStat: {
+                type: 'object',
+                properties: {
+                    averageHours: { type: 'number', nullable: true, example: 30.5 },
+                    count: { type: 'integer', description: 'Completed tasks the average covers', example: 12 }
+                }
+            },
+            ImportResponse: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean', description: 'True when no row failed' },
+                    dryRun: { type: 'boolean' },
+                    summary: {
+                        type: 'object',
+                        properties: {
+                            total: { type: 'integer', example: 3 },
+                            succeeded: { type: 'integer', example: 2, description: 'Rows imported, or that would be in a dry run' },
+                            failed: { type: 'integer', example: 1 }
+                        }
+                    },
+                    errors: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                row: { type: 'integer', example: 3 },
+                                status: { type: 'integer', example: 400 },
+                                error: { type: 'string', example: 'Invalid status. Valid options are case-sensitive: TODO, IN_PROGRESS, DONE' },
+                                field: { type: 'string', example: 'status' }
+                            }
+                        }
+                    },
+                    data: {
+                        type: 'array',
+                        description: 'Created tasks (omitted in a dry run)',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                row: { type: 'integer' },
+                                id: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            },
+            Progress: {
+                type: 'object',
+                description: 'Subtask completion, e.g. 3/5 done',
+                properties: {
+                    done: { type: 'integer', example: 3 },
+                    total: { type: 'integer', example: 5 }
+                }
+            },
             Pagination: {
                 type: 'object',
                 properties: {
                     total: { type: 'integer', example: 100 },
                     page: { type: 'integer', example: 1 },
                     limit: { type: 'integer', example: 10 },
-                    totalPages: { type: 'integer', example: 10 }
+                    totalPages: { type: 'integer', example: 10 },
+                    nextCursor: {
+                        type: 'string',
+                        nullable: true,
+                        description: 'Pass as `after` for the next page; null on the last page'
+                    },
+                    prevCursor: {
+                        type: 'string',
+                        nullable: true,
+                        description: 'Pass as `before` for the previous page; null on the first page'
+                    }
+                }
+            },
+            LinkedTask: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    title: { type: 'string', example: 'Code review' },
+                    status: { type: 'string', example: 'IN_PROGRESS' },
+                    statusCategory: { type: 'string', enum: ['TODO', 'IN_PROGRESS', 'DONE'] },
+                    dueDate: { type: 'string', format: 'date-time', nullable: true },
+                    isOpen: { type: 'boolean', description: 'Blockers only: still holding the task back' }
+                }
+            },
+            Dependencies: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    data: {
+                        type: 'object',
+                        properties: {
+                            isBlocked: { type: 'boolean' },
+                            blockedBy: {
+                                type: 'array',
+                                items: { $ref: '#/components/schemas/LinkedTask' },
+                                description: 'Tasks this one waits on; trashed ones are left out'
+                            },
+                            blocks: {
+                                type: 'array',
+                                items: { $ref: '#/components/schemas/LinkedTask' },
+                                description: 'Tasks waiting on this one; trashed ones are left out'
+                            }
+                        }
+                    }
+                }
+            },
+            Attachment: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', example: 'c56a4180-65aa-42ec-a945-5fd21dec0538' },
+                    taskId: { type: 'string' },
+                    filename: { type: 'string', example: 'login-error.png' },
+                    mimeType: { type: 'string', example: 'image/png' },
+                    size: { type: 'integer', example: 48213, description: 'Bytes' },
+                    createdAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            WorkflowStatus: {
+                type: 'object',
+                properties: {
+                    key: { type: 'string', example: 'IN_REVIEW', description: 'Stored in Task.status' },
+                    label: { type: 'string', example: 'In Review' },
+                    color: { type: 'string', example: '#a855f7' },
+                    category: { type: 'string', enum: ['TODO', 'IN_PROGRESS', 'DONE'], example: 'IN_PROGRESS' },
+                    wipLimit: {
+                        type: 'integer',
+                        nullable: true,
+                        example: 3,
+                        description: 'Most top-level tasks the column may hold; null for no limit'
+                    },
+                    transitions: {
+                        type: 'array',
+                        nullable: true,
+                        items: { type: 'string' },
+                        example: ['IN_PROGRESS', 'DONE'],
+                        description: 'Statuses a task may move to from this one; null allows any'
+                    },
+                    taskCount: { type: 'integer', example: 2, description: 'Top-level tasks in the column now' }
+                }
+            },
+            Workflow: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    data: {
+                        type: 'object',
+                        properties: {
+                            projectId: { type: 'string', nullable: true, description: 'Null for tasks without a project' },
+                            statuses: { type: 'array', items: { $ref: '#/components/schemas/WorkflowStatus' } }
+                        }
+                    }
+                }
+            },
+            WorkflowInput: {
+                type: 'object',
+                required: ['statuses'],
+                properties: {
+                    statuses: {
+                        type: 'array',
+                        minItems: 1,
+                        maxItems: 20,
+                        description: 'Every status of the board in column order, including TODO, IN_PROGRESS and DONE',
+                        items: {
+                            type: 'object',
+                            required: ['key'],
+                            properties: {
+                                key: { type: 'string', pattern: '^[A-Z][A-Z0-9_]{0,31}$' },
+                                label: { type: 'string', maxLength: 50, description: 'Required for custom statuses' },
+                                color: { type: 'string', example: '#a855f7', description: 'Defaults to the category\'s colour' },
+                                category: {
+                                    type: 'string',
+                                    enum: ['TODO', 'IN_PROGRESS', 'DONE'],
+                                    description: 'Required for custom statuses; built-in statuses are their own category'
+                                },
+                                wipLimit: { type: 'integer', nullable: true, minimum: 1, maximum: 1000 },
+                                transitions: { type: 'array', nullable: true, items: { type: 'string' } }
+                            }
+                        }
+                    }
+                },
+                example: {
+                    statuses: [
+                        { key: 'TODO', transitions: ['IN_PROGRESS'] },
+                        { key: 'IN_PROGRESS', wipLimit: 5, transitions: ['TODO', 'IN_REVIEW'] },
+                        { key: 'IN_REVIEW', label: 'In Review', category: 'IN_PROGRESS', wipLimit: 3, transitions: ['IN_PROGRESS', 'DONE'] },
+                        { key: 'BLOCKED', label: 'Blocked', category: 'TODO', color: '#ef4444' },
+                        { key: 'DONE', transitions: [] }
+                    ]
+                }
+            },
+            PreconditionFailed: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean', example: false },
+                    error: { type: 'string', example: 'The task has changed since you loaded it' },
+                    current: {
+                        $ref: '#/components/schemas/Task',
+                        description: 'The task as it is on the server now; its ETag is in the ETag header'
+                    }
                 }
             },
             ErrorResponse: {
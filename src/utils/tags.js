@@ -0,0 +1,76 @@
+import prisma from './prisma.js';
+import { TAG_MATCH } from './constants.js';
+
+/**
+ * Prisma include that loads a task's tags through the join table
+ * @type {Object}
+ */
+export const TASK_TAGS_INCLUDE = {
+    tags: {
+        include: { tag: true },
+        orderBy: { createdAt: 'asc' }
+    }
+};
+
+/**
+ * Replaces join rows with the tags themselves on a task loaded with TASK_TAGS_INCLUDE
+ * @param {Object} task
+ * @returns {Object}
+ */
+export const flattenTaskTags = (task) => ({
+    ...task,
+    tags: (task.tags || []).map((taskTag) => taskTag.tag)
+});
+
+/**
+ * Checks that every tag exists and belongs to the given user
+ * @param {string[]} tagIds
+ * @param {string} userId
+ * @param {Object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<boolean>}
+ */
+export const ownsTags = async (tagIds, userId, client = prisma) => {
+    const uniqueIds = [...new Set(tagIds)];
+    if (uniqueIds.length === 0) return true;
+
+    const count = await client.tag.count({
+        where: { id: { in: uniqueIds }, userId }
+    });
+    return count === uniqueIds.length;
+};
+
+/**
+ * Builds a Prisma where fragment matching tasks by tag
+ * @param {string[]} tagIds
+ * @param {string} [mode='any'] - 'any' matches at least one tag, 'all' requires every tag
+ * @returns {Object}
+ */
+export const buildTagFilter = (tagIds, mode = TAG_MATCH.ANY) => {
+    if (mode === TAG_MATCH.ALL) {
+        return {
+            AND: tagIds.map((tagId) => ({ tags: { some: { tagId } } }))
+        };
+    }
+    return { tags: { some: { tagId: { in: tagIds } } } };
+};
+
+/**
+ * Looks up the user's tags by name, creating the ones that do not exist yet
+ * @param {string[]} names - Trimmed, non-empty tag names
+ * @param {string} userId
+ * @param {Object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<string[]>} Tag IDs in the order of the names
+ */
+export const resolveTagNames = async (names, userId, client = prisma) => {
+    const ids = [];
+    for (const name of new Set(names)) {
+        const tag = await client.tag.upsert({
+            where: { userId_name: { userId, name } },
+            create: { name, userId },
+            update: {},
+            select: { id: true }
+        });
+        ids.push(tag.id);
+    }
+    return ids;
+};
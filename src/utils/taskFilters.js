@@ -0,0 +1,263 @@
+import { STATUS, PRIORITY, DATE_FILTERS, DATE_FILTER_PRESETS, DATES, TAG_MATCH, isValidStatus } from './constants.js';
+import { buildTagFilter } from './tags.js';
+import { isValidTimeZone, fromZonedParts, parseCalendarDate } from './dates.js';
+import { parseFilterQuery, buildFilterQueryWhere, matchesFilterQuery } from './filterQuery.js';
+import { blockedWhere } from './dependencies.js';
+
+/**
+ * Parses a from/to due date bound
+ * A plain date covers the whole day in the time zone, so `to=2026-05-31` includes all of May 31
+ * @param {string} value - YYYY-MM-DD or an ISO 8601 date-time
+ * @param {boolean} isEnd - Whether this is the `to` bound
+ * @param {string} timeZone
+ * @returns {{gte: Date}|{lt: Date}|{lte: Date}|null} null when the value is not a valid date
+ */
+const parseDueBound = (value, isEnd, timeZone) => {
+    const day = parseCalendarDate(value);
+    if (day) {
+        return isEnd
+            ? { lt: fromZonedParts({ ...day, day: day.day + 1 }, timeZone) }
+            : { gte: fromZonedParts(day, timeZone) };
+    }
+
+    const date = /^\d{4}-\d{2}-\d{2}T/.test(value) ? new Date(value) : null;
+    if (!date || isNaN(date.getTime())) return null;
+    return isEnd ? { lte: date } : { gte: date };
+};
+
+/**
+ * Validates the task listing filters shared by getTasks and the live stream
+ * Calendar-relative filters (today, this week, ...) use the `tz` parameter, falling back to the
+ * X-Timezone header and then the server default; weeks start on `weekStart`
+ * @param {Object} query - Request query
+ * @param {string} [timeZoneHeader] - Value of the X-Timezone header
+ * @returns {{filters: Object}|{error: Object}} Parsed filters, or the 400 response body
+ */
+export const parseTaskFilters = (query, timeZoneHeader) => {
+    const {
+        status, priority, dateFilter, projectId, tags, tagMode = TAG_MATCH.ANY, filter, from, to,
+        tz = timeZoneHeader, weekStart, isBlocked
+    } = query;
+    const filters = { timeZone: DATES.DEFAULT_TIME_ZONE, weekStart: DATES.DEFAULT_WEEK_START };
+
+    if (tz !== undefined) {
+        if (!isValidTimeZone(tz)) {
+            return {
+                error: {
+                    error: 'Invalid time zone. Use an IANA time zone name such as Europe/Berlin',
+                    field: 'tz'
+                }
+            };
+        }
+        filters.timeZone = tz;
+    }
+
+    if (weekStart !== undefined) {
+        const day = DATES.WEEK_DAYS.indexOf(String(weekStart).toLowerCase());
+        if (day === -1) {
+            return {
+                error: {
+                    error: `Invalid week start. Valid options: ${DATES.WEEK_DAYS.join(', ')}`,
+                    field: 'weekStart',
+                    validOptions: DATES.WEEK_DAYS
+                }
+            };
+        }
+        filters.weekStart = day;
+    }
+
+    if (projectId) {
+        filters.projectId = projectId;
+    }
+
+    if (status) {
+        if (!isValidStatus(status)) {
+            return {
+                error: {
+                    error: `Invalid status. Use a status key such as ${STATUS._ALL.join(', ')} or a custom status of a board`,
+                    field: 'status'
+                }
+            };
+        }
+        filters.status = status;
+    }
+
+    if (priority) {
+        if (typeof priority !== 'string' || !PRIORITY._ALL.includes(priority.toLowerCase())) {
+            return {
+                error: {
+                    error: `Invalid priority. Valid options: ${PRIORITY._ALL.join(', ')}`,
+                    validOptions: PRIORITY._ALL
+                }
+            };
+        }
+        // Tasks store the Prisma enum value, so compare in its case (as validateTask writes it)
+        filters.priority = priority.toUpperCase();
+    }
+
+    if (tags) {
+        if (!TAG_MATCH._ALL.includes(tagMode)) {
+            return {
+                error: {
+                    error: `Invalid tag mode. Valid options: ${TAG_MATCH._ALL.join(', ')}`,
+                    validOptions: TAG_MATCH._ALL
+                }
+            };
+        }
+        const tagIds = String(tags).split(',').map((tagId) => tagId.trim()).filter(Boolean);
+        if (tagIds.length > 0) {
+            filters.tagIds = tagIds;
+            filters.tagMode = tagMode;
+        }
+    }
+
+    if (isBlocked !== undefined) {
+        if (isBlocked !== 'true' && isBlocked !== 'false') {
+            return {
+                error: {
+                    error: 'isBlocked must be true or false',
+                    field: 'isBlocked'
+                }
+            };
+        }
+        filters.isBlocked = isBlocked === 'true';
+    }
+
+    if (dateFilter) {
+        if (!Object.values(DATE_FILTERS).includes(dateFilter)) {
+            return {
+                error: {
+                    error: `Invalid date filter. Valid options: ${Object.values(DATE_FILTERS).join(', ')}`,
+                    validOptions: Object.values(DATE_FILTERS)
+                }
+            };
+        }
+        filters.dateFilter = dateFilter;
+    }
+
+    if (from !== undefined || to !== undefined) {
+        const bounds = [[from, 'from', false], [to, 'to', true]].filter(([value]) => value !== undefined);
+        const dueRange = {};
+        for (const [value, field, isEnd] of bounds) {
+            const bound = parseDueBound(value, isEnd, filters.timeZone);
+            if (!bound) {
+                return {
+                    error: {
+                        error: `Invalid ${field} date. Use YYYY-MM-DD or an ISO 8601 date-time`,
+                        field
+                    }
+                };
+            }
+            Object.assign(dueRange, bound);
+        }
+        if (dueRange.gte && (dueRange.gte >= dueRange.lt || dueRange.gte > dueRange.lte)) {
+            return { error: { error: 'from must not be after to', field: 'to' } };
+        }
+        filters.dueRange = dueRange;
+    }
+
+    if (filter !== undefined) {
+        const { query: parsed, error } = parseFilterQuery(filter);
+        if (error) {
+            return { error };
+        }
+        filters.query = parsed;
+    }
+
+    return { filters };
+};
+
+/**
+ * Due date bounds for a date filter, from DATE_FILTER_PRESETS
+ * @param {string} dateFilter - One of DATE_FILTERS
+ * @param {Date} now
+ * @param {{timeZone: string, weekStart: number}} calendar
+ * @returns {{gte?: Date, lt?: Date}|null} null selects tasks without a due date
+ */
+const dueDateRange = (dateFilter, now, calendar) => {
+    const range = DATE_FILTER_PRESETS[dateFilter].getRange(now, calendar);
+    if (!range) return null;
+
+    return {
+        ...(range.start && { gte: range.start }),
+        ...(range.end && { lt: range.end })
+    };
+};
+
+/**
+ * Checks a due date against bounds from dueDateRange or the from/to parameters
+ * @param {Date|string|null} dueDate
+ * @param {{gte?: Date, lt?: Date, lte?: Date}|null} range - null matches only a missing due date
+ * @returns {boolean}
+ */
+const dueDateInRange = (dueDate, range) => {
+    if (!range) return !dueDate;
+    if (!dueDate) return false;
+
+    const date = new Date(dueDate);
+    if (range.gte && date < range.gte) return false;
+    if (range.lt && date >= range.lt) return false;
+    if (range.lte && date > range.lte) return false;
+    return true;
+};
+
+/**
+ * Builds the Prisma where clause for a user's top-level tasks matching the filters
+ * @param {Object} filters - Output of parseTaskFilters
+ * @param {string} userId
+ * @param {Date} [now=new Date()]
+ * @returns {Object}
+ */
+export const buildTaskWhere = (filters, userId, now = new Date()) => {
+    // Users only ever see their own tasks; subtasks are listed under their parent, trashed tasks in the trash
+    const where = { userId, parentId: null, deletedAt: null };
+
+    if (filters.projectId) where.projectId = filters.projectId;
+    if (filters.status) where.status = filters.status;
+    if (filters.priority) where.priority = filters.priority;
+    if (filters.tagIds) Object.assign(where, buildTagFilter(filters.tagIds, filters.tagMode));
+    if (filters.isBlocked !== undefined) Object.assign(where, blockedWhere(filters.isBlocked));
+
+    if (filters.dateFilter) where.dueDate = dueDateRange(filters.dateFilter, now, filters);
+
+    // These are combined with the simple filters, never replacing the scoping above or the
+    // clauses an all-tags filter already put in AND
+    const conditions = [];
+    if (filters.dueRange) conditions.push({ dueDate: filters.dueRange });
+    if (filters.query) conditions.push(buildFilterQueryWhere(filters.query, now, filters));
+    if (conditions.length > 0) where.AND = [...(where.AND ?? []), ...conditions];
+
+    return where;
+};
+
+/**
+ * Checks an in-memory task snapshot against the filters, mirroring buildTaskWhere
+ * @param {Object} task - Task with flattened tags (or tag IDs)
+ * @param {Object} filters - Output of parseTaskFilters
+ * @param {Date} [now=new Date()]
+ * @returns {boolean}
+ */
+export const matchesTaskFilters = (task, filters, now = new Date()) => {
+    if (task.parentId) return false;
+    if (filters.projectId && task.projectId !== filters.projectId) return false;
+    if (filters.status && task.status !== filters.status) return false;
+    if (filters.priority && task.priority !== filters.priority) return false;
+    // Event snapshots carry no dependency state, so they are only checked when they have it
+    if (filters.isBlocked !== undefined && task.isBlocked !== undefined && task.isBlocked !== filters.isBlocked) {
+        return false;
+    }
+
+    if (filters.tagIds) {
+        const taskTagIds = (task.tags || []).map((tag) => (typeof tag === 'string' ? tag : tag.id));
+        const matches = filters.tagMode === TAG_MATCH.ALL
+            ? filters.tagIds.every((tagId) => taskTagIds.includes(tagId))
+            : filters.tagIds.some((tagId) => taskTagIds.includes(tagId));
+        if (!matches) return false;
+    }
+
+    if (filters.dateFilter && !dueDateInRange(task.dueDate, dueDateRange(filters.dateFilter, now, filters))) return false;
+    if (filters.dueRange && !dueDateInRange(task.dueDate, filters.dueRange)) return false;
+    if (filters.query && !matchesFilterQuery(task, filters.query, now, filters)) return false;
+
+    return true;
+};
@@ -0,0 +1,196 @@
+import prisma from './prisma.js';
+import { TASK_SORTS } from './constants.js';
+
+/**
+ * Sortable level of each priority, stored in Task.priorityRank
+ * The enum itself is stored as text, which would sort alphabetically
+ * @type {Object<string, number>}
+ */
+export const PRIORITY_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3 };
+
+// Column behind each sortable field, and whether it can be null
+const SORT_COLUMNS = {
+    dueDate: { column: 'dueDate', nullable: true, date: true },
+    priority: { column: 'priorityRank' },
+    createdAt: { column: 'createdAt', date: true },
+    updatedAt: { column: 'updatedAt', date: true },
+    title: { column: 'title' },
+    position: { column: 'position', nullable: true },
+    id: { column: 'id' }
+};
+
+/**
+ * Builds a sort key list; every list ends with the ID so the order is total and cursors are exact
+ * @param {Array<[string, string]>} keys - [field, direction] pairs
+ * @returns {Array<Object>}
+ */
+const toSortKeys = (keys) => [...keys, ['id', 'asc']].map(([field, direction]) => ({
+    field,
+    direction,
+    ...SORT_COLUMNS[field]
+}));
+
+const PRESETS = {
+    [TASK_SORTS.DEFAULT]: toSortKeys([['dueDate', 'asc'], ['createdAt', 'desc']]),
+    [TASK_SORTS.MANUAL]: toSortKeys([['position', 'asc'], ['dueDate', 'asc'], ['createdAt', 'desc']])
+};
+
+/**
+ * Parses the sort parameter: a preset name, or fields with optional directions such as
+ * "priority:desc,dueDate". Null due dates (and positions) always sort last
+ * @param {string} [sort='default']
+ * @returns {{sort: Array<Object>, preset: string|null}|{error: Object}}
+ */
+export const parseTaskSort = (sort = TASK_SORTS.DEFAULT) => {
+    if (PRESETS[sort]) {
+        return { sort: PRESETS[sort], preset: sort };
+    }
+
+    const keys = [];
+    for (const part of String(sort).split(',')) {
+        const [field, direction = 'asc', extra] = part.trim().split(':');
+        if (!TASK_SORTS.FIELDS.includes(field) || !TASK_SORTS.DIRECTIONS.includes(direction) || extra !== undefined) {
+            return {
+                error: {
+                    error: `Invalid sort. Use ${TASK_SORTS._ALL.join(' or ')}, or a comma-separated list of field[:asc|desc] ` +
+                        `where field is one of: ${TASK_SORTS.FIELDS.join(', ')}`,
+                    field: 'sort',
+                    validOptions: [...TASK_SORTS._ALL, ...TASK_SORTS.FIELDS]
+                }
+            };
+        }
+        if (keys.some(([existing]) => existing === field)) {
+            return { error: { error: `Sort field ${field} is listed twice`, field: 'sort' } };
+        }
+        keys.push([field, direction]);
+    }
+
+    return { sort: toSortKeys(keys), preset: null };
+};
+
+/**
+ * Prisma orderBy for a sort, optionally reversed (for paging backwards)
+ * @param {Array<Object>} sort - Output of parseTaskSort
+ * @param {boolean} [reverse=false]
+ * @returns {Array<Object>}
+ */
+export const buildTaskOrderBy = (sort, reverse = false) => sort.map(({ column, direction, nullable }) => {
+    const order = reverse ? (direction === 'asc' ? 'desc' : 'asc') : direction;
+    // Nulls stay last in the forward order whatever the direction, so they come first when reversed
+    return { [column]: nullable ? { sort: order, nulls: reverse ? 'first' : 'last' } : order };
+});
+
+/**
+ * Compares two tasks by a sort, for lists ordered in memory
+ * @param {Array<Object>} sort - Output of parseTaskSort
+ * @returns {(a: Object, b: Object) => number}
+ */
+export const compareTasksBy = (sort) => (a, b) => {
+    for (const { column, direction } of sort) {
+        const x = a[column] instanceof Date ? a[column].getTime() : a[column];
+        const y = b[column] instanceof Date ? b[column].getTime() : b[column];
+        if (x === y) continue;
+        if (x === null) return 1;
+        if (y === null) return -1;
+        return (x < y ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+    }
+    return 0;
+};
+
+/**
+ * Identifies the sort a cursor was made for, so it cannot be replayed against another one
+ * @param {Array<Object>} sort
+ * @returns {string}
+ */
+const sortSignature = (sort) => sort.map(({ field, direction }) => `${field}:${direction}`).join(',');
+
+/**
+ * Encodes a task's position in a sort as an opaque cursor
+ * @param {Object} task - Must include every sort column
+ * @param {Array<Object>} sort
+ * @returns {string}
+ */
+export const encodeTaskCursor = (task, sort) => Buffer.from(JSON.stringify({
+    s: sortSignature(sort),
+    v: sort.map(({ column }) => task[column] ?? null)
+})).toString('base64url');
+
+/**
+ * Decodes a cursor made by encodeTaskCursor for the same sort
+ * @param {string} cursor
+ * @param {Array<Object>} sort
+ * @returns {Array<*>|null} Sort values, or null when the cursor is malformed or from another sort
+ */
+export const decodeTaskCursor = (cursor, sort) => {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+        return null;
+    }
+    if (payload?.s !== sortSignature(sort) || !Array.isArray(payload.v) || payload.v.length !== sort.length) {
+        return null;
+    }
+
+    const values = sort.map(({ date, nullable }, index) => {
+        const value = payload.v[index];
+        if (value === null) return nullable ? null : undefined;
+        if (date) {
+            const parsed = new Date(value);
+            return isNaN(parsed.getTime()) ? undefined : parsed;
+        }
+        return ['string', 'number'].includes(typeof value) ? value : undefined;
+    });
+    return values.includes(undefined) ? null : values;
+};
+
+/**
+ * Where clause for the tasks that come after a cursor in a sort (keyset pagination)
+ * Pass reverse to get the tasks before it, in reversed order
+ * @param {Array<Object>} sort
+ * @param {Array<*>} values - Output of decodeTaskCursor
+ * @param {boolean} [reverse=false]
+ * @returns {Object}
+ */
+export const buildTaskCursorWhere = (sort, values, reverse = false) => {
+    const branches = [];
+
+    sort.forEach(({ column, direction, nullable }, index) => {
+        const value = values[index];
+        const ascending = (direction === 'asc') !== reverse;
+        let after;
+
+        if (value === null) {
+            // Nulls are last going forwards, so nothing follows them; going backwards everything else does
+            after = reverse ? { [column]: { not: null } } : null;
+        } else {
+            const comparison = { [column]: { [ascending ? 'gt' : 'lt']: value } };
+            after = nullable && !reverse ? { OR: [comparison, { [column]: null }] } : comparison;
+        }
+        if (!after) return;
+
+        // Earlier keys equal to the cursor's, this one past it
+        const ties = sort.slice(0, index).map((key, tieIndex) => ({ [key.column]: values[tieIndex] }));
+        branches.push({ AND: [...ties, after] });
+    });
+
+    return { OR: branches };
+};
+
+/**
+ * Recomputes priorityRank wherever it disagrees with priority
+ * Runs at startup to fill the column for tasks created before it existed
+ * @param {Object} [client=prisma] - Prisma client
+ * @returns {Promise<void>}
+ */
+export const syncPriorityRanks = async (client = prisma) => {
+    const rank = `CASE priority ${Object.entries(PRIORITY_RANK)
+        .map(([priority, value]) => `WHEN '${priority.toLowerCase()}' THEN ${value}`)
+        .join(' ')} END`;
+    const updated = await client.$executeRawUnsafe(
+        `UPDATE Task SET priority_rank = ${rank} WHERE priority_rank IS NOT ${rank}`
+    );
+    if (updated > 0) {
+        console.log(`[Tasks] Filled in the sortable priority of ${updated} task(s)`);
+    }
+};
@@ -0,0 +1,122 @@
+import prisma from './prisma.js';
+import { STATUS, STATS } from './constants.js';
+import { fromZonedParts, startOfDay, formatZonedDate, parseCalendarDate } from './dates.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Status category and timestamps to write alongside a status change, for lead and cycle time
+ * Timestamps follow the category, so moving between two in-progress columns keeps startedAt.
+ * Moving back to TODO resets both; reopening a DONE task keeps when work first started
+ * @param {{statusCategory: string, startedAt: Date|null}|null} before - Task before the change (null when creating)
+ * @param {string} [category] - Category of the new status; nothing changes when it is missing or unchanged
+ * @param {Date} [now=new Date()]
+ * @returns {{statusCategory?: string, startedAt?: Date|null, completedAt?: Date|null}}
+ */
+export const statusTimestamps = (before, category, now = new Date()) => {
+    if (!category || category === before?.statusCategory) return {};
+
+    switch (category) {
+        case STATUS.IN_PROGRESS:
+            return { statusCategory: category, startedAt: before?.startedAt ?? now, completedAt: null };
+        case STATUS.DONE:
+            return { statusCategory: category, completedAt: now };
+        default:
+            return { statusCategory: category, startedAt: null, completedAt: null };
+    }
+};
+
+/**
+ * Fills in start and completion times for tasks that changed status before they were recorded
+ * The last update is the best estimate available; runs at startup
+ * @param {Object} [client=prisma] - Prisma client
+ * @returns {Promise<void>}
+ */
+export const backfillStatusTimestamps = async (client = prisma) => {
+    const [completed, started] = await Promise.all([
+        client.$executeRawUnsafe(
+            `UPDATE Task SET completed_at = updated_at WHERE status_category = '${STATUS.DONE}' AND completed_at IS NULL`
+        ),
+        client.$executeRawUnsafe(
+            `UPDATE Task SET started_at = updated_at WHERE status_category = '${STATUS.IN_PROGRESS}' AND started_at IS NULL`
+        )
+    ]);
+    if (completed + started > 0) {
+        console.log(`[Tasks] Estimated status times for ${completed + started} task(s) from their last update`);
+    }
+};
+
+/**
+ * Parses the stats date range: whole days in the user's time zone, `to` included
+ * Defaults to the last STATS.DEFAULT_RANGE_DAYS days up to today
+ * @param {string} [from] - YYYY-MM-DD
+ * @param {string} [to] - YYYY-MM-DD
+ * @param {string} timeZone
+ * @param {Date} [now=new Date()]
+ * @returns {{start: Date, end: Date}|{error: Object}} end is exclusive; or the 400 response body
+ */
+export const parseStatsRange = (from, to, timeZone, now = new Date()) => {
+    const bounds = {};
+    for (const [field, value] of [['from', from], ['to', to]]) {
+        if (value === undefined) continue;
+
+        const day = parseCalendarDate(value);
+        if (!day) {
+            return { error: { error: `Invalid ${field} date. Use YYYY-MM-DD`, field } };
+        }
+        bounds[field] = fromZonedParts(field === 'to' ? { ...day, day: day.day + 1 } : day, timeZone);
+    }
+
+    const end = bounds.to ?? (bounds.from ? startOfDay(bounds.from, timeZone, STATS.DEFAULT_RANGE_DAYS) : startOfDay(now, timeZone, 1));
+    const start = bounds.from ?? startOfDay(end, timeZone, -STATS.DEFAULT_RANGE_DAYS);
+    if (start >= end) {
+        return { error: { error: 'from must not be after to', field: 'to' } };
+    }
+    if (startOfDay(start, timeZone, STATS.MAX_RANGE_DAYS) < end) {
+        return { error: { error: `The range can span at most ${STATS.MAX_RANGE_DAYS} days`, field: 'to' } };
+    }
+
+    return { start, end };
+};
+
+/**
+ * Daily created-vs-completed counts with the number of open tasks at the end of each day
+ * @param {Object} range - Output of parseStatsRange
+ * @param {Date[]} created - Creation times within the range
+ * @param {Date[]} completed - Completion times within the range
+ * @param {number} openAtStart - Tasks open when the range begins
+ * @param {string} timeZone
+ * @returns {Array<{date: string, created: number, completed: number, open: number}>}
+ */
+export const buildDailySeries = ({ start, end }, created, completed, openAtStart, timeZone) => {
+    const days = new Map();
+    for (let day = start; day < end; day = startOfDay(day, timeZone, 1)) {
+        const date = formatZonedDate(day, timeZone);
+        days.set(date, { date, created: 0, completed: 0, open: 0 });
+    }
+    for (const time of created) days.get(formatZonedDate(time, timeZone)).created++;
+    for (const time of completed) days.get(formatZonedDate(time, timeZone)).completed++;
+
+    let open = openAtStart;
+    return [...days.values()].map((day) => {
+        open += day.created - day.completed;
+        return { ...day, open };
+    });
+};
+
+/**
+ * Average duration between two timestamps of each task, skipping tasks missing either
+ * @param {Object[]} tasks
+ * @param {string} from - Start field
+ * @param {string} to - End field
+ * @returns {{averageHours: number|null, count: number}}
+ */
+export const averageDuration = (tasks, from, to) => {
+    const durations = tasks
+        .filter((task) => task[from] && task[to])
+        .map((task) => task[to].getTime() - task[from].getTime());
+    if (durations.length === 0) return { averageHours: null, count: 0 };
+
+    const average = durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+    return { averageHours: Math.round((average / HOUR_MS) * 10) / 10, count: durations.length };
+};
@@ -0,0 +1,68 @@
+import { TRASH, ACTIVITY_ACTIONS } from './constants.js';
+import { recordActivity } from './activity.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When a trashed task will be purged automatically
+ * @param {Date} deletedAt
+ * @returns {Date}
+ */
+export const trashPurgeAt = (deletedAt) => new Date(deletedAt.getTime() + TRASH.RETENTION_DAYS * DAY_MS);
+
+/**
+ * Tasks trashed before this moment are past the retention period
+ * @param {Date} [now=new Date()]
+ * @returns {Date}
+ */
+export const trashCutoff = (now = new Date()) => new Date(now.getTime() - TRASH.RETENTION_DAYS * DAY_MS);
+
+/**
+ * Where clause for the tasks the user sees in the trash
+ * Subtasks trashed along with their parent are restored and purged with it, so only the parent is listed
+ * @param {string} userId
+ * @returns {Object}
+ */
+export const trashWhere = (userId) => ({
+    userId,
+    deletedAt: { not: null },
+    OR: [{ parentId: null }, { parent: { deletedAt: null } }]
+});
+
+/**
+ * Permanently deletes trashed tasks and their subtasks, recording each in the activity log
+ * Their attachment rows go too; the caller removes the stored files once the transaction commits
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} where - Selects trashed tasks; must include `deletedAt: { not: null }` or narrower
+ * @param {number} [take] - Purge at most this many matching tasks
+ * @returns {Promise<Array<{id: string, userId: string, storageKeys: string[]}>>} Every deleted task,
+ *     subtasks included, with the storage keys of its attachments
+ */
+export const purgeTasks = async (tx, where, take) => {
+    const roots = await tx.task.findMany({
+        where,
+        orderBy: { deletedAt: 'asc' },
+        ...(take && { take }),
+        select: { id: true }
+    });
+    if (roots.length === 0) return [];
+
+    const rootIds = roots.map((task) => task.id);
+    const purged = (await tx.task.findMany({
+        where: { OR: [{ id: { in: rootIds } }, { parentId: { in: rootIds } }] },
+        select: { id: true, userId: true, attachments: { select: { storageKey: true } } }
+    })).map(({ attachments, ...task }) => ({ ...task, storageKeys: attachments.map((file) => file.storageKey) }));
+
+    // Subtasks go with their parent through the cascade
+    await tx.task.deleteMany({ where: { id: { in: rootIds } } });
+    for (const task of purged) {
+        await recordActivity({
+            task,
+            actorId: task.userId,
+            action: ACTIVITY_ACTIONS.PURGED,
+            changes: {}
+        }, tx);
+    }
+
+    return purged;
+};
@@ -0,0 +1,138 @@
+import prisma from './prisma.js';
+import { STATUS, WORKFLOW } from './constants.js';
+
+/*
+ * Per-board workflows. A board is a project, or the user's board of tasks without a project.
+ * Boards that were never customized use WORKFLOW.DEFAULT_STATUSES. Every workflow keeps the
+ * built-in statuses, so a task can always fall back to the built-in status of its category.
+ */
+
+const STATUS_SELECT = {
+    key: true,
+    label: true,
+    color: true,
+    category: true,
+    wipLimit: true,
+    transitions: true
+};
+
+/**
+ * Error for a status change the workflow does not allow, handled like taskError
+ * @param {number} status - HTTP status
+ * @param {string} message
+ * @returns {Error}
+ */
+const workflowError = (status, message) => Object.assign(new Error(message), { status, field: 'status' });
+
+/**
+ * Lists a board's statuses in column order
+ * @param {string} userId
+ * @param {string|null} projectId - Null for the board of tasks without a project
+ * @param {Object} [client=prisma] - Prisma client or transaction client
+ * @returns {Promise<Array<{key: string, label: string, color: string, category: string,
+ *     wipLimit: number|null, transitions: string[]|null}>>}
+ */
+export const loadWorkflow = async (userId, projectId, client = prisma) => {
+    const statuses = await client.workflowStatus.findMany({
+        where: { userId, projectId: projectId ?? null },
+        orderBy: { position: 'asc' },
+        select: STATUS_SELECT
+    });
+    return statuses.length > 0
+        ? statuses
+        : WORKFLOW.DEFAULT_STATUSES.map((status) => ({ ...status, wipLimit: null, transitions: null }));
+};
+
+/**
+ * Checks that a top-level task may enter a status and returns the status it ends up in
+ * Moving within a board must follow the current status's transitions; moving to another board
+ * may enter any of its statuses, and keepCategory lets a status the new board lacks fall back
+ * to the built-in status of the same category. A column at its WIP limit takes no more tasks.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} change
+ * @param {string} change.userId
+ * @param {string|null} change.projectId - Board the task will be on
+ * @param {string} change.status - Status it should have
+ * @param {Object|null} [change.task=null] - The task before the change; null when creating
+ * @param {boolean} [change.keepCategory=false] - Fall back instead of failing when the board lacks status
+ * @returns {Promise<Object>} The status entered, from loadWorkflow
+ * @throws {Error} With `status` 400 when the board has no such status, 409 when the transition
+ *     is not allowed or the column is full
+ */
+export const enterStatus = async (tx, { userId, projectId, status, task = null, keepCategory = false }) => {
+    const workflow = await loadWorkflow(userId, projectId, tx);
+    let target = workflow.find((candidate) => candidate.key === status);
+    if (!target && keepCategory) {
+        target = workflow.find((candidate) => candidate.key === task.statusCategory);
+    }
+    if (!target) {
+        throw workflowError(400, `Status ${status} does not exist on this board. ` +
+            `Valid options: ${workflow.map((candidate) => candidate.key).join(', ')}`);
+    }
+
+    const sameBoard = task !== null && (task.projectId ?? null) === (projectId ?? null);
+    if (sameBoard && task.status === target.key) {
+        return target;
+    }
+
+    const current = sameBoard && workflow.find((candidate) => candidate.key === task.status);
+    if (current?.transitions && !current.transitions.includes(target.key)) {
+        const allowed = workflow.filter((candidate) => current.transitions.includes(candidate.key));
+        throw workflowError(409, `Tasks cannot move from ${current.label} to ${target.label}. ` + (allowed.length > 0
+            ? `From ${current.label} they can move to: ${allowed.map((candidate) => candidate.label).join(', ')}`
+            : `${current.label} is final`));
+    }
+
+    if (target.wipLimit !== null) {
+        const count = await tx.task.count({
+            where: {
+                userId,
+                projectId: projectId ?? null,
+                status: target.key,
+                parentId: null,
+                deletedAt: null,
+                ...(task && { id: { not: task.id } })
+            }
+        });
+        if (count >= target.wipLimit) {
+            throw workflowError(409, `${target.label} is at its WIP limit of ${target.wipLimit} ` +
+                `task${target.wipLimit === 1 ? '' : 's'}; move one out before adding another`);
+        }
+    }
+
+    return target;
+};
+
+/**
+ * Moves tasks whose status a board lacks to the built-in status of their category
+ * Used before tasks are reassigned to the board in bulk
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} where - Selects the tasks being moved
+ * @param {Array<Object>} workflow - The receiving board's, from loadWorkflow
+ * @returns {Promise<void>}
+ */
+export const fitStatusesToBoard = async (tx, where, workflow) => {
+    const keys = workflow.map((status) => status.key);
+    for (const category of STATUS._ALL) {
+        await tx.task.updateMany({
+            where: { ...where, status: { notIn: keys }, statusCategory: category },
+            data: { status: category, version: { increment: 1 } }
+        });
+    }
+};
+
+/**
+ * Fills in the status category of tasks created before statuses were configurable
+ * Their statuses are all built-in, which are their own category; runs at startup
+ * @param {Object} [client=prisma] - Prisma client
+ * @returns {Promise<void>}
+ */
+export const syncStatusCategories = async (client = prisma) => {
+    const builtIn = STATUS._ALL.map((status) => `'${status}'`).join(', ');
+    const updated = await client.$executeRawUnsafe(
+        `UPDATE Task SET status_category = status WHERE status IN (${builtIn}) AND status_category IS NOT status`
+    );
+    if (updated > 0) {
+        console.log(`[Tasks] Filled in the status category of ${updated} task(s)`);
+    }
+};
@@ -0,0 +1,126 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma, createFakePrisma, createRequest, createResponse } from '../helpers.js';
+
+const db = mockPrisma(createFakePrisma());
+
+const { getTaskActivity, getActivityFeed } = await import('../../src/controllers/activity.js');
+const { createTask, updateTask, deleteTask, purgeTask } = await import('../../src/controllers/tasks.js');
+
+/**
+ * Calls a controller and returns the response
+ * @param {Function} controller
+ * @param {Object} [request] - Passed to createRequest
+ * @returns {Promise<Object>}
+ */
+const call = async (controller, request) => {
+    const res = createResponse();
+    await controller(createRequest(request), res);
+    return res;
+};
+
+describe('activity', () => {
+    beforeEach(async () => {
+        await db.user.deleteMany();
+        await db.taskActivity.deleteMany();
+        for (const id of ['user-1', 'user-2']) {
+            await db.user.create({ data: { id, email: `${id}@example.com`, passwordHash: 'hash' } });
+        }
+    });
+
+    describe('task history', () => {
+        afterEach(() => {
+            mock.timers.reset();
+        });
+
+        it('records a task\'s life, newest first, and keeps it after the task is purged', async () => {
+            mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-01T09:00:00Z') });
+            /**
+             * Calls a controller a minute after the previous step, so each entry has its own time
+             * @param {Function} controller
+             * @param {Object} [request]
+             * @returns {Promise<Object>}
+             */
+            const step = async (controller, request) => {
+                mock.timers.tick(60 * 1000);
+                return call(controller, request);
+            };
+
+            const { id } = (await step(createTask, { validatedTaskData: { title: 'Write tests' } })).body.data;
+            await step(updateTask, { params: { id }, body: { priority: 'high' }, validatedTaskData: {} });
+            await step(updateTask, { params: { id }, body: { priority: 'high' }, validatedTaskData: {} });
+            await step(deleteTask, { params: { id } });
+            await step(purgeTask, { params: { id } });
+
+            const res = await call(getTaskActivity, { params: { id } });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(await db.task.count({ where: { id } }), 0);
+            // An update that changed nothing is not logged
+            assert.deepEqual(res.body.data.map((entry) => entry.action), ['PURGED', 'DELETED', 'UPDATED', 'CREATED']);
+            assert.deepEqual(res.body.data[2].changes, { priority: { from: 'MEDIUM', to: 'HIGH' } });
+            assert.equal(res.body.data[3].changes.title.to, 'Write tests');
+            assert.ok(res.body.data.every((entry) => entry.actorId === 'user-1'));
+        });
+
+        it('is empty for a task without entries, and missing for another user\'s task', async () => {
+            const task = await db.task.create({ data: { title: 'Imported', userId: 'user-1' } });
+
+            assert.deepEqual((await call(getTaskActivity, { params: { id: task.id } })).body.data, []);
+            assert.equal((await call(getTaskActivity, { userId: 'user-2', params: { id: task.id } })).statusCode, 404);
+        });
+    });
+
+    describe('feed', () => {
+        beforeEach(async () => {
+            const entries = [
+                ['CREATED', '2026-03-01T09:00:00Z', 'user-1'],
+                ['UPDATED', '2026-03-02T09:00:00Z', 'user-1'],
+                ['UPDATED', '2026-03-03T09:00:00Z', 'user-1'],
+                ['DELETED', '2026-03-04T09:00:00Z', 'user-1'],
+                ['CREATED', '2026-03-02T12:00:00Z', 'user-2']
+            ];
+            for (const [action, createdAt, userId] of entries) {
+                await db.taskActivity.create({
+                    data: { taskId: 'task-1', userId, actorId: userId, action, changes: {}, createdAt: new Date(createdAt) }
+                });
+            }
+        });
+
+        /**
+         * Dates of the feed entries, for comparing order
+         * @param {Object} res
+         * @returns {string[]}
+         */
+        const dates = (res) => res.body.data.map((entry) => entry.createdAt.toISOString().slice(0, 10));
+
+        it('lists the user\'s entries newest first, a page at a time', async () => {
+            const res = await call(getActivityFeed, { query: { page: '2', limit: '3' } });
+
+            assert.deepEqual(dates(res), ['2026-03-01']);
+            assert.deepEqual(res.body.pagination, { total: 4, page: 2, limit: 3, totalPages: 2 });
+        });
+
+        it('filters by action and by an inclusive date range', async () => {
+            assert.deepEqual(dates(await call(getActivityFeed, { query: { action: 'UPDATED' } })), ['2026-03-03', '2026-03-02']);
+            assert.deepEqual(dates(await call(getActivityFeed, {
+                query: { from: '2026-03-02T09:00:00Z', to: '2026-03-03T09:00:00Z' }
+            })), ['2026-03-03', '2026-03-02']);
+        });
+
+        it('refuses bad pages, dates and actions', async () => {
+            for (const [query, field] of [
+                [{ page: '0' }, undefined],
+                [{ from: 'yesterday' }, 'from'],
+                [{ to: 'tomorrow' }, 'to'],
+                [{ from: '2026-03-04', to: '2026-03-01' }, undefined],
+                [{ action: 'created' }, undefined]
+            ]) {
+                const res = await call(getActivityFeed, { query });
+
+                assert.equal(res.statusCode, 400);
+                assert.equal(res.body.field, field);
+            }
+        });
+    });
+});
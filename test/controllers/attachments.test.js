@@ -0,0 +1,168 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import express from 'express';
+import { mockPrisma, createFakePrisma, listen } from '../helpers.js';
+
+// Read by utils/constants.js, so set before the modules under test load
+process.env.ATTACHMENT_STORAGE = 'memory';
+
+const db = mockPrisma(createFakePrisma());
+
+const { registerStorage } = await import('../../src/services/attachmentStorage.js');
+const { uploadAttachments } = await import('../../src/middlewares/uploadAttachments.js');
+const { getAttachments, createAttachments, downloadAttachment, deleteAttachment } =
+    await import('../../src/controllers/attachments.js');
+
+// Stored files by key
+const files = new Map();
+registerStorage('memory', {
+    save: async (key, data) => {
+        files.set(key, Buffer.from(data));
+    },
+    open: async (key) => {
+        if (!files.has(key)) throw Object.assign(new Error('Not stored'), { code: 'ENOENT' });
+        return Readable.from([files.get(key)]);
+    },
+    remove: async (key) => {
+        files.delete(key);
+    }
+});
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d]);
+const PDF = Buffer.from('%PDF-1.7\n%%EOF\n');
+
+const app = express();
+app.use((req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+});
+app.get('/tasks/:id/attachments', getAttachments);
+app.post('/tasks/:id/attachments', uploadAttachments, createAttachments);
+app.get('/tasks/:id/attachments/:attachmentId', downloadAttachment);
+app.delete('/tasks/:id/attachments/:attachmentId', deleteAttachment);
+
+/**
+ * Multipart body with files in the given field
+ * @param {Array<{name: string, type: string, data: Buffer|string}>} uploads
+ * @param {string} [field='files']
+ * @returns {FormData}
+ */
+const formWith = (uploads, field = 'files') => {
+    const form = new FormData();
+    for (const { name, type, data } of uploads) form.append(field, new Blob([data], { type }), name);
+    return form;
+};
+
+describe('attachments', () => {
+    let server;
+    let task;
+
+    /**
+     * Uploads files to the task
+     * @param {Array<{name: string, type: string, data: Buffer|string}>} uploads
+     * @param {string} [field]
+     * @returns {Promise<{status: number, body: Object}>}
+     */
+    const upload = async (uploads, field) => {
+        const response = await fetch(`${server.url}/tasks/${task.id}/attachments`, {
+            method: 'POST',
+            body: formWith(uploads, field)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    before(async () => {
+        server = await listen(app);
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    beforeEach(async () => {
+        files.clear();
+        await db.user.deleteMany();
+        await db.user.create({ data: { id: 'user-1', email: 'ada@example.com', passwordHash: 'hash' } });
+        task = await db.task.create({ data: { title: 'Design review', userId: 'user-1' } });
+    });
+
+    it('stores uploads with the type their contents show', async () => {
+        const { status, body } = await upload([
+            { name: 'mockup.png', type: 'image/png', data: PNG },
+            { name: 'brief.png', type: 'image/png', data: PDF }
+        ]);
+
+        assert.equal(status, 201);
+        assert.deepEqual(body.data.map(({ filename, mimeType, size }) => ({ filename, mimeType, size })), [
+            { filename: 'mockup.png', mimeType: 'image/png', size: PNG.length },
+            { filename: 'brief.png', mimeType: 'application/pdf', size: PDF.length }
+        ]);
+        assert.equal(body.data[0].storageKey, undefined);
+        assert.equal(files.size, 2);
+    });
+
+    it('refuses a file whose contents are not of an allowed type, keeping none of the upload', async () => {
+        const { status, body } = await upload([
+            { name: 'mockup.png', type: 'image/png', data: PNG },
+            { name: 'invoice.pdf', type: 'application/pdf', data: Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03]) }
+        ]);
+
+        assert.equal(status, 415);
+        assert.match(body.error, /The contents of invoice\.pdf are not of an allowed type/);
+        assert.equal(await db.attachment.count(), 0);
+        assert.equal(files.size, 0);
+    });
+
+    it('refuses a declared type that is not allowed before reading the contents', async () => {
+        const { status, body } = await upload([{ name: 'setup.exe', type: 'application/x-msdownload', data: PNG }]);
+
+        assert.equal(status, 415);
+        assert.match(body.error, /setup\.exe is application\/x-msdownload, which cannot be attached/);
+    });
+
+    it('refuses an upload in another field or without files', async () => {
+        assert.equal((await upload([{ name: 'mockup.png', type: 'image/png', data: PNG }], 'file')).status, 400);
+
+        const response = await fetch(`${server.url}/tasks/${task.id}/attachments`, { method: 'POST', body: new FormData() });
+        assert.equal(response.status, 400);
+    });
+
+    it('answers 404 for a task that is not the user\'s', async () => {
+        await db.user.create({ data: { id: 'user-2', email: 'bob@example.com', passwordHash: 'hash' } });
+        const other = await db.task.create({ data: { title: 'Not mine', userId: 'user-2' } });
+
+        const response = await fetch(`${server.url}/tasks/${other.id}/attachments`, {
+            method: 'POST',
+            body: formWith([{ name: 'mockup.png', type: 'image/png', data: PNG }])
+        });
+
+        assert.equal(response.status, 404);
+        assert.equal(files.size, 0);
+    });
+
+    it('lists and downloads an attachment as stored, always as a download', async () => {
+        const { body: { data: [attachment] } } = await upload([{ name: 'brief.png', type: 'image/png', data: PDF }]);
+
+        const list = await (await fetch(`${server.url}/tasks/${task.id}/attachments`)).json();
+        assert.equal(list.total, 1);
+
+        const response = await fetch(`${server.url}/tasks/${task.id}/attachments/${attachment.id}`);
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), 'application/pdf');
+        assert.equal(response.headers.get('content-disposition'), 'attachment; filename="brief.png"');
+        assert.deepEqual(Buffer.from(await response.arrayBuffer()), PDF);
+    });
+
+    it('deletes an attachment with its stored file', async () => {
+        const { body: { data: [attachment] } } = await upload([{ name: 'mockup.png', type: 'image/png', data: PNG }]);
+
+        const response = await fetch(`${server.url}/tasks/${task.id}/attachments/${attachment.id}`, { method: 'DELETE' });
+
+        assert.equal(response.status, 204);
+        assert.equal(await db.attachment.count(), 0);
+        assert.equal(files.size, 0);
+        const download = await fetch(`${server.url}/tasks/${task.id}/attachments/${attachment.id}`);
+        assert.equal(download.status, 404);
+    });
+});
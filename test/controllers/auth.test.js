@@ -0,0 +1,141 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { mockPrisma, createResponse, listen } from '../helpers.js';
+
+const users = new Map();
+mockPrisma({
+    user: {
+        findUnique: async ({ where }) => users.get(where.id) ?? null,
+        update: async ({ where, data }) => {
+            const stored = users.get(where.id);
+            if (!stored) throw Object.assign(new Error('Record to update not found'), { code: 'P2025' });
+            stored.tokenVersion += data.tokenVersion.increment;
+            return stored;
+        }
+    }
+});
+
+const { refresh, logout } = await import('../../src/controllers/auth.js');
+const { default: authRoutes } = await import('../../src/routes/auth.js');
+const { issueTokens, verifyAccessToken, verifyRefreshToken } = await import('../../src/utils/auth.js');
+
+const user = { id: 'user-1', email: 'ada@example.com', tokenVersion: 0, passwordHash: 'hash' };
+
+/**
+ * Calls the refresh controller with a request body
+ * @param {Object} body
+ * @returns {Promise<Object>} The recorded response
+ */
+const callRefresh = async (body) => {
+    const res = createResponse();
+    await refresh({ body }, res);
+    return res;
+};
+
+describe('refresh', () => {
+    beforeEach(() => {
+        users.clear();
+        users.set(user.id, { ...user });
+    });
+
+    it('issues a new token pair for a valid refresh token', async () => {
+        const { refreshToken } = issueTokens(user);
+
+        const res = await callRefresh({ refreshToken });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.success, true);
+        assert.equal(verifyAccessToken(res.body.data.accessToken).sub, user.id);
+        assert.equal(verifyRefreshToken(res.body.data.refreshToken).ver, user.tokenVersion);
+    });
+
+    it('refuses a refresh token revoked by a token version bump', async () => {
+        const { refreshToken } = issueTokens(user);
+        users.get(user.id).tokenVersion += 1;
+
+        const res = await callRefresh({ refreshToken });
+
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.body.success, false);
+    });
+
+    it('refuses a refresh token for a deleted user', async () => {
+        const { refreshToken } = issueTokens(user);
+        users.clear();
+
+        const res = await callRefresh({ refreshToken });
+
+        assert.equal(res.statusCode, 401);
+    });
+
+    it('refuses an access token', async () => {
+        const { accessToken } = issueTokens(user);
+
+        const res = await callRefresh({ refreshToken: accessToken });
+
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.body.error, 'Invalid or expired refresh token');
+    });
+
+    it('requires a refresh token', async () => {
+        const res = await callRefresh({});
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.field, 'refreshToken');
+    });
+});
+
+describe('logout', () => {
+    beforeEach(() => {
+        users.clear();
+        users.set(user.id, { ...user });
+    });
+
+    it('revokes every refresh token issued before it', async () => {
+        const sessions = [issueTokens(user), issueTokens(user)];
+
+        const res = createResponse();
+        await logout({ user: { id: user.id } }, res);
+
+        assert.equal(res.statusCode, 204);
+        for (const { refreshToken } of sessions) {
+            assert.equal((await callRefresh({ refreshToken })).statusCode, 401);
+        }
+    });
+
+    it('leaves tokens issued afterwards working', async () => {
+        await logout({ user: { id: user.id } }, createResponse());
+
+        const { refreshToken } = issueTokens(users.get(user.id));
+
+        assert.equal((await callRefresh({ refreshToken })).statusCode, 200);
+    });
+
+    it('refuses a user who no longer exists', async () => {
+        const res = createResponse();
+        await logout({ user: { id: 'user-2' } }, res);
+
+        assert.equal(res.statusCode, 401);
+    });
+
+    it('is only reachable with an access token', async () => {
+        const app = express();
+        app.use('/auth', authRoutes);
+        const server = await listen(app);
+        try {
+            const anonymous = await fetch(`${server.url}/auth/logout`, { method: 'POST' });
+            const { accessToken } = issueTokens(user);
+            const signedIn = await fetch(`${server.url}/auth/logout`, {
+                method: 'POST',
+                headers: { Authorization: `Bearer ${accessToken}` }
+            });
+
+            assert.equal(anonymous.status, 401);
+            assert.equal(signedIn.status, 204);
+            assert.equal(users.get(user.id).tokenVersion, user.tokenVersion + 1);
+        } finally {
+            await server.close();
+        }
+    });
+});
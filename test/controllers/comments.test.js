@@ -0,0 +1,158 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma, createFakePrisma, createRequest, createResponse } from '../helpers.js';
+
+const db = mockPrisma(createFakePrisma());
+
+const { getComments, createComment, updateComment, deleteComment } = await import('../../src/controllers/comments.js');
+const { getTask, getTasks } = await import('../../src/controllers/tasks.js');
+
+/**
+ * Version of the stored task
+ * @param {string} id
+ * @returns {Promise<number>}
+ */
+const versionOf = async (id) => (await db.task.findUnique({ where: { id } })).version;
+
+/**
+ * Calls a controller and returns the response
+ * @param {Function} controller
+ * @param {Object} [request] - Passed to createRequest
+ * @returns {Promise<Object>}
+ */
+const call = async (controller, request) => {
+    const res = createResponse();
+    await controller(createRequest(request), res);
+    return res;
+};
+
+describe('comment versions', () => {
+    let task;
+
+    beforeEach(async () => {
+        await db.user.deleteMany();
+        await db.user.create({ data: { id: 'user-1', email: 'ada@example.com', passwordHash: 'hash' } });
+        task = await db.task.create({ data: { title: 'Write tests', userId: 'user-1' } });
+    });
+
+    it('counts a new comment as a change to its task', async () => {
+        const res = createResponse();
+        await createComment(createRequest({ params: { id: task.id }, validatedCommentData: { body: 'Looks good' } }), res);
+
+        assert.equal(res.statusCode, 201);
+        assert.equal(await versionOf(task.id), task.version + 1);
+    });
+
+    it('counts a deleted comment as a change to its task', async () => {
+        const comment = await db.comment.create({ data: { body: 'Typo', taskId: task.id, authorId: 'user-1' } });
+
+        const res = createResponse();
+        await deleteComment(createRequest({ params: { id: task.id, commentId: comment.id } }), res);
+
+        assert.equal(res.statusCode, 204);
+        assert.equal(await versionOf(task.id), task.version + 1);
+    });
+
+    it('leaves the task alone when the comment is not found', async () => {
+        const res = createResponse();
+        await deleteComment(createRequest({ params: { id: task.id, commentId: 'missing' } }), res);
+
+        assert.equal(res.statusCode, 404);
+        assert.equal(await versionOf(task.id), task.version);
+    });
+
+    it('no longer answers 304 to the ETag from before the comment', async () => {
+        const etag = `"${task.version}"`;
+        await createComment(createRequest({ params: { id: task.id }, validatedCommentData: { body: 'Looks good' } }),
+            createResponse());
+
+        const res = createResponse();
+        await getTask(createRequest({ params: { id: task.id }, headers: { 'If-None-Match': etag } }), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.data.commentCount, 1);
+        assert.notEqual(res.get('ETag'), etag);
+    });
+});
+
+describe('comments', () => {
+    let task;
+    let question;
+
+    beforeEach(async () => {
+        await db.user.deleteMany();
+        await db.user.create({ data: { id: 'user-1', name: 'Ada', email: 'ada@example.com', passwordHash: 'hash' } });
+        await db.user.create({ data: { id: 'user-2', name: 'Grace', email: 'grace@example.com', passwordHash: 'hash' } });
+        task = await db.task.create({ data: { title: 'Write tests', userId: 'user-1' } });
+        question = await db.comment.create({
+            data: { body: 'Which suite?', taskId: task.id, authorId: 'user-1', createdAt: new Date('2026-03-01T10:00:00Z') }
+        });
+    });
+
+    it('returns the comments as reply threads, oldest first, with their authors', async () => {
+        await db.comment.create({
+            data: { body: 'Controllers', taskId: task.id, authorId: 'user-1', parentId: question.id, createdAt: new Date('2026-03-01T11:00:00Z') }
+        });
+        await db.comment.create({
+            data: { body: 'Done', taskId: task.id, authorId: 'user-1', createdAt: new Date('2026-03-01T12:00:00Z') }
+        });
+
+        const res = await call(getComments, { params: { id: task.id } });
+
+        assert.equal(res.body.total, 3);
+        assert.deepEqual(res.body.data.map(({ body, replies }) => [body, replies.map((reply) => reply.body)]),
+            [['Which suite?', ['Controllers']], ['Done', []]]);
+        assert.deepEqual(res.body.data[0].author, { id: 'user-1', name: 'Ada', email: 'ada@example.com' });
+    });
+
+    it('replies only to a comment on the same task', async () => {
+        const other = await db.task.create({ data: { title: 'Other', userId: 'user-1' } });
+
+        const res = await call(createComment, {
+            params: { id: other.id },
+            validatedCommentData: { body: 'Agreed', parentId: question.id }
+        });
+
+        assert.equal(res.statusCode, 404);
+        assert.equal(res.body.field, 'parentId');
+        assert.equal(await db.comment.count(), 1);
+    });
+
+    it('treats another user\'s task as missing', async () => {
+        assert.equal((await call(getComments, { userId: 'user-2', params: { id: task.id } })).statusCode, 404);
+        assert.equal((await call(createComment, { userId: 'user-2', params: { id: task.id }, validatedCommentData: { body: 'Hi' } }))
+            .statusCode, 404);
+    });
+
+    it('lets only the author edit a comment, marking it edited', async () => {
+        const params = { id: task.id, commentId: question.id };
+
+        const refused = await call(updateComment, { userId: 'user-2', params, validatedCommentData: { body: 'Mine now' } });
+        const edited = await call(updateComment, { params, validatedCommentData: { body: 'Which test suite?' } });
+
+        assert.equal(refused.statusCode, 404);
+        assert.equal(edited.statusCode, 200);
+        assert.equal(edited.body.data.body, 'Which test suite?');
+        assert.ok(edited.body.data.editedAt instanceof Date);
+    });
+
+    it('lets only the author delete a comment, which takes its replies along', async () => {
+        await db.comment.create({ data: { body: 'Controllers', taskId: task.id, authorId: 'user-2', parentId: question.id } });
+        const params = { id: task.id, commentId: question.id };
+
+        assert.equal((await call(deleteComment, { userId: 'user-2', params })).statusCode, 404);
+        assert.equal(await db.comment.count(), 2);
+
+        assert.equal((await call(deleteComment, { params })).statusCode, 204);
+        assert.equal(await db.comment.count(), 0);
+    });
+
+    it('counts the comments of each listed task', async () => {
+        await db.task.create({ data: { title: 'Quiet', userId: 'user-1' } });
+
+        const res = await call(getTasks);
+
+        assert.deepEqual(Object.fromEntries(res.body.data.map(({ title, commentCount }) => [title, commentCount])),
+            { 'Write tests': 1, Quiet: 0 });
+    });
+});
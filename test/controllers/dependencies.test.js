@@ -0,0 +1,61 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma, createFakePrisma, createRequest, createResponse } from '../helpers.js';
+
+const db = mockPrisma(createFakePrisma());
+
+const { addDependency, removeDependency } = await import('../../src/controllers/dependencies.js');
+const { applyTaskUpdate } = await import('../../src/controllers/tasks.js');
+
+/**
+ * Versions of the stored tasks by title
+ * @returns {Promise<Object<string, number>>}
+ */
+const versions = async () => Object.fromEntries((await db.task.findMany()).map((task) => [task.title, task.version]));
+
+describe('dependency versions', () => {
+    let blocked;
+    let blocker;
+
+    beforeEach(async () => {
+        await db.user.deleteMany();
+        await db.user.create({ data: { id: 'user-1', email: 'ada@example.com', passwordHash: 'hash' } });
+        blocked = await db.task.create({ data: { title: 'Ship', userId: 'user-1' } });
+        blocker = await db.task.create({ data: { title: 'Review', userId: 'user-1' } });
+    });
+
+    it('counts a new blocker as a change to the blocked task', async () => {
+        const res = createResponse();
+        await addDependency(createRequest({ params: { id: blocked.id }, validatedDependencyData: { blockerId: blocker.id } }),
+            res);
+
+        assert.equal(res.statusCode, 201);
+        assert.deepEqual(await versions(), { Ship: 2, Review: 1 });
+    });
+
+    it('counts a removed blocker as a change to the blocked task', async () => {
+        await db.taskDependency.create({ data: { blockedId: blocked.id, blockerId: blocker.id } });
+
+        const res = createResponse();
+        await removeDependency(createRequest({ params: { id: blocked.id, blockerId: blocker.id } }), res);
+
+        assert.equal(res.statusCode, 204);
+        assert.deepEqual(await versions(), { Ship: 2, Review: 1 });
+    });
+
+    it('counts finishing a blocker as a change to the tasks it blocks', async () => {
+        await db.taskDependency.create({ data: { blockedId: blocked.id, blockerId: blocker.id } });
+
+        await db.$transaction((tx) => applyTaskUpdate(tx, 'user-1', blocker.id, { status: 'DONE' }));
+
+        assert.deepEqual(await versions(), { Ship: 2, Review: 2 });
+    });
+
+    it('changes nothing when there was no such link', async () => {
+        const res = createResponse();
+        await removeDependency(createRequest({ params: { id: blocked.id, blockerId: blocker.id } }), res);
+
+        assert.equal(res.statusCode, 404);
+        assert.deepEqual(await versions(), { Ship: 1, Review: 1 });
+    });
+});
@@ -0,0 +1,161 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma, createFakePrisma, createRequest, createResponse } from '../helpers.js';
+
+const db = mockPrisma(createFakePrisma());
+
+const { createProject, getProjects, getProject, updateProject, deleteProject } =
+    await import('../../src/controllers/projects.js');
+const { createTask, restoreTask } = await import('../../src/controllers/tasks.js');
+
+/**
+ * Calls a controller and returns the response
+ * @param {Function} controller
+ * @param {Object} [request] - Passed to createRequest
+ * @returns {Promise<Object>}
+ */
+const call = async (controller, request) => {
+    const res = createResponse();
+    await controller(createRequest(request), res);
+    return res;
+};
+
+describe('projects', () => {
+    let project;
+
+    beforeEach(async () => {
+        await db.user.deleteMany();
+        for (const id of ['user-1', 'user-2']) {
+            await db.user.create({ data: { id, email: `${id}@example.com`, passwordHash: 'hash' } });
+        }
+        project = await db.project.create({ data: { name: 'Home', userId: 'user-1' } });
+    });
+
+    it('creates a project for the current user', async () => {
+        const res = await call(createProject, { validatedProjectData: { name: 'Work', color: '#336699' } });
+
+        assert.equal(res.statusCode, 201);
+        assert.equal(res.body.data.userId, 'user-1');
+        assert.equal(res.body.data.color, '#336699');
+    });
+
+    it('lists only the user\'s projects, counting their live tasks', async () => {
+        await db.project.create({ data: { name: 'Theirs', userId: 'user-2' } });
+        await db.task.createMany({
+            data: [
+                { title: 'Live', userId: 'user-1', projectId: project.id },
+                { title: 'Trashed', userId: 'user-1', projectId: project.id, deletedAt: new Date() }
+            ]
+        });
+
+        const res = await call(getProjects);
+
+        assert.deepEqual(res.body.data.map(({ name, _count }) => [name, _count.tasks]), [['Home', 1]]);
+    });
+
+    it('treats another user\'s project as missing', async () => {
+        const theirs = await db.project.create({ data: { name: 'Theirs', userId: 'user-2' } });
+
+        assert.equal((await call(getProject, { params: { id: theirs.id } })).statusCode, 404);
+        assert.equal((await call(updateProject, { params: { id: theirs.id }, validatedProjectData: { name: 'Mine' } }))
+            .statusCode, 404);
+        assert.equal((await call(deleteProject, { params: { id: theirs.id } })).statusCode, 404);
+        assert.equal((await db.project.findUnique({ where: { id: theirs.id } })).name, 'Theirs');
+    });
+
+    it('renames a project', async () => {
+        const res = await call(updateProject, { params: { id: project.id }, validatedProjectData: { name: 'House' } });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.data.name, 'House');
+    });
+
+    it('refuses to put a task in another user\'s project', async () => {
+        const theirs = await db.project.create({ data: { name: 'Theirs', userId: 'user-2' } });
+
+        const res = await call(createTask, { validatedTaskData: { title: 'Sneaky', projectId: theirs.id } });
+
+        assert.equal(res.statusCode, 404);
+        assert.equal(res.body.field, 'projectId');
+        assert.equal(await db.task.count(), 0);
+    });
+
+    describe('deleting', () => {
+        let task;
+
+        beforeEach(async () => {
+            task = await db.task.create({ data: { title: 'Paint', userId: 'user-1', projectId: project.id, position: 'a' } });
+        });
+
+        it('moves the tasks to another project by default, logging each move', async () => {
+            const target = await db.project.create({ data: { name: 'Garden', userId: 'user-1' } });
+
+            const res = await call(deleteProject, { params: { id: project.id }, query: { targetProjectId: target.id } });
+
+            assert.equal(res.statusCode, 204);
+            assert.equal(await db.project.count({ where: { id: project.id } }), 0);
+            const moved = await db.task.findUnique({ where: { id: task.id } });
+            assert.equal(moved.projectId, target.id);
+            assert.equal(moved.version, task.version + 1);
+            const [activity] = await db.taskActivity.findMany({ where: { taskId: task.id } });
+            assert.equal(activity.action, 'UPDATED');
+            assert.deepEqual(activity.changes.projectId, { from: project.id, to: target.id });
+        });
+
+        it('leaves moved tasks without a project when there is no target', async () => {
+            await call(deleteProject, { params: { id: project.id } });
+
+            assert.equal((await db.task.findUnique({ where: { id: task.id } })).projectId, null);
+        });
+
+        it('gives moved tasks the built-in status of their category when the new board lacks theirs', async () => {
+            await db.workflowStatus.createMany({
+                data: [
+                    { userId: 'user-1', projectId: project.id, key: 'TODO', label: 'To do', color: '#999999', category: 'TODO', position: 0 },
+                    { userId: 'user-1', projectId: project.id, key: 'REVIEW', label: 'Review', color: '#cc9900', category: 'IN_PROGRESS', position: 1 },
+                    { userId: 'user-1', projectId: project.id, key: 'DONE', label: 'Done', color: '#00aa00', category: 'DONE', position: 2 }
+                ]
+            });
+            await db.task.update({ where: { id: task.id }, data: { status: 'REVIEW', statusCategory: 'IN_PROGRESS' } });
+
+            await call(deleteProject, { params: { id: project.id } });
+
+            const moved = await db.task.findUnique({ where: { id: task.id } });
+            assert.equal(moved.status, 'IN_PROGRESS');
+            assert.equal(moved.projectId, null);
+        });
+
+        it('trashes the tasks with the cascade strategy, so they can be restored without a project', async () => {
+            const subtask = await db.task.create({ data: { title: 'Buy paint', userId: 'user-1', projectId: project.id, parentId: task.id } });
+
+            const res = await call(deleteProject, { params: { id: project.id }, query: { strategy: 'cascade' } });
+
+            assert.equal(res.statusCode, 204);
+            for (const id of [task.id, subtask.id]) {
+                const trashed = await db.task.findUnique({ where: { id } });
+                assert.notEqual(trashed.deletedAt, null);
+                assert.equal(trashed.projectId, null);
+            }
+
+            const restored = await call(restoreTask, { params: { id: task.id } });
+            assert.equal(restored.statusCode, 200);
+            assert.equal(restored.body.data.projectId, null);
+        });
+
+        it('refuses an unknown strategy or target', async () => {
+            const theirs = await db.project.create({ data: { name: 'Theirs', userId: 'user-2' } });
+
+            for (const query of [
+                { strategy: 'archive' },
+                { strategy: 'cascade', targetProjectId: theirs.id },
+                { targetProjectId: project.id }
+            ]) {
+                assert.equal((await call(deleteProject, { params: { id: project.id }, query })).statusCode, 400);
+            }
+            const res = await call(deleteProject, { params: { id: project.id }, query: { targetProjectId: theirs.id } });
+            assert.equal(res.statusCode, 404);
+            assert.equal(res.body.error, 'Target project not found');
+            assert.equal(await db.project.count({ where: { id: project.id } }), 1);
+        });
+    });
+});
@@ -0,0 +1,195 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma, createFakePrisma, createRequest, createResponse } from '../helpers.js';
+
+const db = mockPrisma(createFakePrisma());
+
+const { getSubtasks, createSubtask, reorderSubtasks, toggleSubtask, deleteSubtask } =
+    await import('../../src/controllers/subtasks.js');
+
+/**
+ * Version of the stored task
+ * @param {string} id
+ * @returns {Promise<number>}
+ */
+const versionOf = async (id) => (await db.task.findUnique({ where: { id } })).version;
+
+/**
+ * Calls a controller and returns the response
+ * @param {Function} controller
+ * @param {Object} [request] - Passed to createRequest
+ * @returns {Promise<Object>}
+ */
+const call = async (controller, request) => {
+    const res = createResponse();
+    await controller(createRequest(request), res);
+    return res;
+};
+
+describe('subtask versions', () => {
+    let parent;
+    let subtasks;
+
+    beforeEach(async () => {
+        await db.user.deleteMany();
+        await db.user.create({ data: { id: 'user-1', email: 'ada@example.com', passwordHash: 'hash' } });
+        parent = await db.task.create({ data: { title: 'Release', userId: 'user-1' } });
+        subtasks = [
+            await db.task.create({ data: { title: 'Changelog', userId: 'user-1', parentId: parent.id, subtaskOrder: 0 } }),
+            await db.task.create({ data: { title: 'Tag', userId: 'user-1', parentId: parent.id, subtaskOrder: 1 } })
+        ];
+    });
+
+    it('counts a new subtask as a change to its parent', async () => {
+        const res = createResponse();
+        await createSubtask(createRequest({ params: { id: parent.id }, validatedTaskData: { title: 'Announce' } }), res);
+
+        assert.equal(res.statusCode, 201);
+        assert.equal(await versionOf(parent.id), parent.version + 1);
+    });
+
+    it('counts a toggled subtask as a change to its parent', async () => {
+        const res = createResponse();
+        await toggleSubtask(createRequest({ params: { id: parent.id, subtaskId: subtasks[0].id } }), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(await versionOf(parent.id), parent.version + 1);
+    });
+
+    it('counts a deleted subtask as a change to its parent', async () => {
+        const res = createResponse();
+        await deleteSubtask(createRequest({ params: { id: parent.id, subtaskId: subtasks[0].id } }), res);
+
+        assert.equal(res.statusCode, 204);
+        assert.equal(await versionOf(parent.id), parent.version + 1);
+    });
+});
+
+describe('subtasks', () => {
+    let project;
+    let parent;
+    let subtasks;
+
+    beforeEach(async () => {
+        await db.user.deleteMany();
+        await db.taskActivity.deleteMany();
+        for (const id of ['user-1', 'user-2']) {
+            await db.user.create({ data: { id, email: `${id}@example.com`, passwordHash: 'hash' } });
+        }
+        project = await db.project.create({ data: { name: 'Launch', userId: 'user-1' } });
+        parent = await db.task.create({ data: { title: 'Release', userId: 'user-1', projectId: project.id } });
+        subtasks = [
+            await db.task.create({
+                data: { title: 'Changelog', userId: 'user-1', parentId: parent.id, subtaskOrder: 0, status: 'DONE', statusCategory: 'DONE' }
+            }),
+            await db.task.create({ data: { title: 'Tag', userId: 'user-1', parentId: parent.id, subtaskOrder: 1 } })
+        ];
+    });
+
+    it('lists the checklist in order with its progress', async () => {
+        const res = await call(getSubtasks, { params: { id: parent.id } });
+
+        assert.deepEqual(res.body.data.map((subtask) => subtask.title), ['Changelog', 'Tag']);
+        assert.deepEqual(res.body.progress, { done: 1, total: 2 });
+    });
+
+    it('treats another user\'s task as missing', async () => {
+        for (const [controller, params] of [
+            [getSubtasks, { id: parent.id }],
+            [toggleSubtask, { id: parent.id, subtaskId: subtasks[1].id }],
+            [deleteSubtask, { id: parent.id, subtaskId: subtasks[1].id }]
+        ]) {
+            assert.equal((await call(controller, { userId: 'user-2', params })).statusCode, 404);
+        }
+        assert.equal((await call(createSubtask, { userId: 'user-2', params: { id: parent.id }, validatedTaskData: { title: 'Mine' } }))
+            .statusCode, 404);
+    });
+
+    describe('adding', () => {
+        it('appends the subtask to the checklist, on its parent\'s board', async () => {
+            const res = await call(createSubtask, { params: { id: parent.id }, validatedTaskData: { title: 'Announce' } });
+
+            assert.equal(res.statusCode, 201);
+            assert.equal(res.body.data.subtaskOrder, 2);
+            assert.equal(res.body.data.projectId, project.id);
+            assert.equal(res.body.data.parentId, parent.id);
+        });
+
+        it('refuses a board status and a second level of nesting', async () => {
+            const custom = await call(createSubtask, { params: { id: parent.id }, validatedTaskData: { title: 'Check', status: 'REVIEW' } });
+            const nested = await call(createSubtask, { params: { id: subtasks[1].id }, validatedTaskData: { title: 'Deeper' } });
+
+            assert.equal(custom.statusCode, 400);
+            assert.equal(custom.body.field, 'status');
+            assert.equal(nested.statusCode, 400);
+            assert.equal(nested.body.error, 'Subtasks cannot have their own subtasks');
+        });
+    });
+
+    describe('reordering', () => {
+        it('stores the new order and logs it once against the parent', async () => {
+            const order = [subtasks[1].id, subtasks[0].id];
+
+            const res = await call(reorderSubtasks, { params: { id: parent.id }, body: { subtaskIds: order } });
+
+            assert.equal(res.statusCode, 200);
+            assert.deepEqual((await call(getSubtasks, { params: { id: parent.id } })).body.data.map((subtask) => subtask.id), order);
+            const activity = await db.taskActivity.findMany();
+            assert.equal(activity.length, 1);
+            assert.equal(activity[0].taskId, parent.id);
+            assert.deepEqual(activity[0].changes, { subtasks: { from: [subtasks[0].id, subtasks[1].id], to: order } });
+        });
+
+        it('requires every subtask exactly once', async () => {
+            for (const subtaskIds of [[subtasks[0].id], [subtasks[0].id, subtasks[0].id], [subtasks[0].id, parent.id], 'all']) {
+                const res = await call(reorderSubtasks, { params: { id: parent.id }, body: { subtaskIds } });
+
+                assert.equal(res.statusCode, 400);
+                assert.equal(res.body.field, 'subtaskIds');
+            }
+        });
+    });
+
+    describe('completing the checklist', () => {
+        it('completes the parent when the last open subtask is checked', async () => {
+            const res = await call(toggleSubtask, { params: { id: parent.id, subtaskId: subtasks[1].id } });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.data.status, 'DONE');
+            assert.equal(res.body.parent.id, parent.id);
+            assert.equal((await db.task.findUnique({ where: { id: parent.id } })).statusCategory, 'DONE');
+        });
+
+        it('reopens only the subtask when it is unchecked', async () => {
+            const res = await call(toggleSubtask, { params: { id: parent.id, subtaskId: subtasks[0].id } });
+
+            assert.equal(res.body.data.status, 'TODO');
+            assert.equal(res.body.parent, undefined);
+            assert.equal((await db.task.findUnique({ where: { id: parent.id } })).statusCategory, 'TODO');
+        });
+
+        it('completes the parent when the last open subtask is deleted', async () => {
+            const res = await call(deleteSubtask, { params: { id: parent.id, subtaskId: subtasks[1].id } });
+
+            assert.equal(res.statusCode, 204);
+            assert.notEqual((await db.task.findUnique({ where: { id: subtasks[1].id } })).deletedAt, null);
+            assert.equal((await db.task.findUnique({ where: { id: parent.id } })).statusCategory, 'DONE');
+        });
+
+        it('refuses to complete a blocked parent unless forced, leaving the subtask open', async () => {
+            const blocker = await db.task.create({ data: { title: 'Security review', userId: 'user-1' } });
+            await db.taskDependency.create({ data: { blockedId: parent.id, blockerId: blocker.id } });
+            const params = { id: parent.id, subtaskId: subtasks[1].id };
+
+            const refused = await call(toggleSubtask, { params });
+
+            assert.equal(refused.statusCode, 409);
+            assert.equal((await db.task.findUnique({ where: { id: subtasks[1].id } })).status, 'TODO');
+
+            const forced = await call(toggleSubtask, { params, query: { force: 'true' } });
+
+            assert.equal(forced.statusCode, 200);
+            assert.equal((await db.task.findUnique({ where: { id: parent.id } })).statusCategory, 'DONE');
+        });
+    });
+});
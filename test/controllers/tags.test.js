@@ -0,0 +1,156 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma, createFakePrisma, createRequest, createResponse } from '../helpers.js';
+
+const db = mockPrisma(createFakePrisma());
+
+const { createTag, getTags, updateTag, deleteTag } = await import('../../src/controllers/tags.js');
+const { getTasks, updateTask } = await import('../../src/controllers/tasks.js');
+
+/**
+ * Versions of the stored tasks by title
+ * @returns {Promise<Object<string, number>>}
+ */
+const versions = async () => Object.fromEntries((await db.task.findMany()).map((task) => [task.title, task.version]));
+
+/**
+ * Calls a controller and returns the response
+ * @param {Function} controller
+ * @param {Object} [request] - Passed to createRequest
+ * @returns {Promise<Object>}
+ */
+const call = async (controller, request) => {
+    const res = createResponse();
+    await controller(createRequest(request), res);
+    return res;
+};
+
+describe('tag versions', () => {
+    let tag;
+
+    beforeEach(async () => {
+        await db.user.deleteMany();
+        await db.user.create({ data: { id: 'user-1', email: 'ada@example.com', passwordHash: 'hash' } });
+        tag = await db.tag.create({ data: { name: 'urgent', userId: 'user-1' } });
+        await db.task.create({ data: { title: 'Tagged', userId: 'user-1', tags: { create: [{ tagId: tag.id }] } } });
+        await db.task.create({ data: { title: 'Untagged', userId: 'user-1' } });
+    });
+
+    it('counts a rename as a change to the tasks carrying the tag', async () => {
+        const res = createResponse();
+        await updateTag(createRequest({ params: { id: tag.id }, validatedTagData: { name: 'later' } }), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(await versions(), { Tagged: 2, Untagged: 1 });
+    });
+
+    it('counts a deletion as a change to the tasks that carried the tag', async () => {
+        const res = createResponse();
+        await deleteTag(createRequest({ params: { id: tag.id } }), res);
+
+        assert.equal(res.statusCode, 204);
+        assert.deepEqual(await versions(), { Tagged: 2, Untagged: 1 });
+        assert.equal(await db.taskTag.count(), 0);
+    });
+
+    it('changes nothing for a tag of another user', async () => {
+        const res = createResponse();
+        await deleteTag(createRequest({ userId: 'user-2', params: { id: tag.id } }), res);
+
+        assert.equal(res.statusCode, 404);
+        assert.deepEqual(await versions(), { Tagged: 1, Untagged: 1 });
+    });
+});
+
+describe('tags', () => {
+    let urgent;
+    let home;
+
+    beforeEach(async () => {
+        await db.user.deleteMany();
+        for (const id of ['user-1', 'user-2']) {
+            await db.user.create({ data: { id, email: `${id}@example.com`, passwordHash: 'hash' } });
+        }
+        urgent = await db.tag.create({ data: { name: 'urgent', userId: 'user-1' } });
+        home = await db.tag.create({ data: { name: 'home', userId: 'user-1' } });
+    });
+
+    it('keeps tag names unique per user', async () => {
+        const duplicate = await call(createTag, { validatedTagData: { name: 'urgent' } });
+        const renamed = await call(updateTag, { params: { id: home.id }, validatedTagData: { name: 'urgent' } });
+        const theirs = await call(createTag, { userId: 'user-2', validatedTagData: { name: 'urgent' } });
+
+        assert.equal(duplicate.statusCode, 409);
+        assert.equal(duplicate.body.field, 'name');
+        assert.equal(renamed.statusCode, 409);
+        assert.equal(theirs.statusCode, 201);
+    });
+
+    it('lists the user\'s tags by name, counting the live tasks carrying each', async () => {
+        await db.tag.create({ data: { name: 'theirs', userId: 'user-2' } });
+        await db.task.create({ data: { title: 'Live', userId: 'user-1', tags: { create: [{ tagId: urgent.id }] } } });
+        await db.task.create({
+            data: { title: 'Trashed', userId: 'user-1', deletedAt: new Date(), tags: { create: [{ tagId: urgent.id }] } }
+        });
+
+        const res = await call(getTags);
+
+        assert.deepEqual(res.body.data.map(({ name, _count }) => [name, _count.tasks]), [['home', 0], ['urgent', 1]]);
+    });
+
+    describe('on tasks', () => {
+        let task;
+
+        beforeEach(async () => {
+            task = await db.task.create({ data: { title: 'Fix the sink', userId: 'user-1', tags: { create: [{ tagId: urgent.id }] } } });
+        });
+
+        /**
+         * Names of the tags the update leaves on the task
+         * @param {Object} validatedTaskData
+         * @returns {Promise<string[]>}
+         */
+        const tagsAfter = async (validatedTaskData) => {
+            const res = await call(updateTask, { params: { id: task.id }, validatedTaskData });
+            assert.equal(res.statusCode, 200);
+            return res.body.data.tags.map((tag) => tag.name).sort();
+        };
+
+        it('adds and removes tags, or replaces the whole set', async () => {
+            assert.deepEqual(await tagsAfter({ addTagIds: [home.id] }), ['home', 'urgent']);
+            assert.deepEqual(await tagsAfter({ removeTagIds: [urgent.id] }), ['home']);
+            assert.deepEqual(await tagsAfter({ tagIds: [urgent.id] }), ['urgent']);
+            assert.deepEqual(await tagsAfter({ tagIds: [] }), []);
+        });
+
+        it('refuses another user\'s tag', async () => {
+            const theirs = await db.tag.create({ data: { name: 'theirs', userId: 'user-2' } });
+
+            const res = await call(updateTask, { params: { id: task.id }, validatedTaskData: { addTagIds: [theirs.id] } });
+
+            assert.equal(res.statusCode, 404);
+            assert.equal(res.body.field, 'tagIds');
+        });
+
+        it('filters task listings by any or all of the given tags', async () => {
+            await db.task.create({
+                data: { title: 'Clean the gutters', userId: 'user-1', tags: { create: [{ tagId: urgent.id }, { tagId: home.id }] } }
+            });
+            await db.task.create({ data: { title: 'Water the plants', userId: 'user-1', tags: { create: [{ tagId: home.id }] } } });
+
+            /**
+             * Titles listed for the tag filter
+             * @param {string} tagMode
+             * @returns {Promise<string[]>}
+             */
+            const listed = async (tagMode) => {
+                const res = await call(getTasks, { query: { tags: `${urgent.id},${home.id}`, tagMode } });
+                return res.body.data.map((listedTask) => listedTask.title).sort();
+            };
+
+            assert.deepEqual(await listed('any'), ['Clean the gutters', 'Fix the sink', 'Water the plants']);
+            assert.deepEqual(await listed('all'), ['Clean the gutters']);
+            assert.equal((await call(getTasks, { query: { tags: urgent.id, tagMode: 'most' } })).statusCode, 400);
+        });
+    });
+});
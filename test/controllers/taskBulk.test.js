@@ -0,0 +1,166 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma, createFakePrisma, createRequest, createResponse } from '../helpers.js';
+
+const db = mockPrisma(createFakePrisma());
+
+const { bulkTasks } = await import('../../src/controllers/tasks.js');
+
+// Savepoint statements the batch ran, in order
+let statements;
+const executeRawUnsafe = db.$executeRawUnsafe;
+db.$executeRawUnsafe = (sql, ...params) => {
+    statements.push(sql);
+    return executeRawUnsafe(sql, ...params);
+};
+const createActivity = db.taskActivity.create;
+
+/**
+ * Runs a batch
+ * @param {Object[]} operations
+ * @param {string} [mode]
+ * @returns {Promise<Object>} Response
+ */
+const bulk = async (operations, mode) => {
+    const res = createResponse();
+    await bulkTasks(createRequest({ body: { mode, operations } }), res);
+    return res;
+};
+
+/**
+ * Titles of the user's live tasks, sorted
+ * @returns {Promise<string[]>}
+ */
+const titles = async () => (await db.task.findMany({ where: { deletedAt: null } })).map((task) => task.title).sort();
+
+describe('bulkTasks', () => {
+    let existing;
+
+    beforeEach(async () => {
+        statements = [];
+        await db.user.deleteMany();
+        await db.taskActivity.deleteMany();
+        await db.user.create({ data: { id: 'user-1', email: 'ada@example.com', passwordHash: 'hash' } });
+        existing = await db.task.create({ data: { title: 'Existing', userId: 'user-1', position: 'i' } });
+    });
+
+    afterEach(() => {
+        db.taskActivity.create = createActivity;
+    });
+
+    it('applies every operation of a valid batch', async () => {
+        const res = await bulk([
+            { op: 'create', data: { title: 'New' } },
+            { op: 'update', id: existing.id, data: { priority: 'high' } },
+            { op: 'create', data: { title: 'Other' } }
+        ]);
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body.summary, { total: 3, succeeded: 3, failed: 0 });
+        assert.deepEqual(res.body.results.map((result) => result.status), [201, 200, 201]);
+        assert.deepEqual(await titles(), ['Existing', 'New', 'Other']);
+        assert.equal((await db.task.findUnique({ where: { id: existing.id } })).priority, 'HIGH');
+        assert.deepEqual(statements, []);
+    });
+
+    describe('atomic', () => {
+        it('rolls every operation back when one fails', async () => {
+            const res = await bulk([
+                { op: 'create', data: { title: 'New' } },
+                { op: 'update', id: existing.id, data: { title: 'Renamed' } },
+                { op: 'delete', id: 'missing' },
+                { op: 'create', data: { title: 'Never' } }
+            ]);
+
+            assert.equal(res.statusCode, 404);
+            assert.equal(res.body.error, 'Operation 2 failed; nothing was applied');
+            assert.deepEqual(res.body.summary, { total: 4, succeeded: 0, failed: 4 });
+            assert.deepEqual(res.body.results.map(({ status, error }) => [status, error]), [
+                [424, 'Rolled back: a later operation failed'],
+                [424, 'Rolled back: a later operation failed'],
+                [404, 'Task not found'],
+                [424, 'Not attempted: an earlier operation failed']
+            ]);
+            assert.deepEqual(await titles(), ['Existing']);
+            assert.equal(await db.taskActivity.count(), 0);
+        });
+
+        it('refuses the whole batch when an operation is invalid, before running any', async () => {
+            const res = await bulk([
+                { op: 'create', data: { title: 'New' } },
+                { op: 'update', id: existing.id, data: { priority: 'urgent' } },
+                { op: 'archive', id: existing.id }
+            ]);
+
+            assert.equal(res.statusCode, 400);
+            assert.equal(res.body.error, 'Operation 1 is invalid; nothing was applied');
+            assert.deepEqual(res.body.results.map(({ status, field }) => [status, field]), [
+                [424, undefined],
+                [400, 'priority'],
+                [400, 'op']
+            ]);
+            assert.deepEqual(await titles(), ['Existing']);
+        });
+
+        it('refuses an outdated ifMatch with 412', async () => {
+            const res = await bulk([{ op: 'delete', id: existing.id, ifMatch: `"${existing.version + 1}"` }]);
+
+            assert.equal(res.statusCode, 412);
+            assert.deepEqual(await titles(), ['Existing']);
+        });
+    });
+
+    describe('best effort', () => {
+        it('applies the valid operations and reports the others', async () => {
+            const res = await bulk([
+                { op: 'create', data: { title: 'New' } },
+                { op: 'update', id: existing.id, data: { priority: 'urgent' } },
+                { op: 'delete', id: 'missing' },
+                { op: 'update', id: existing.id, data: { title: 'Renamed' } }
+            ], 'best_effort');
+
+            assert.equal(res.statusCode, 207);
+            assert.equal(res.body.success, false);
+            assert.deepEqual(res.body.summary, { total: 4, succeeded: 2, failed: 2 });
+            assert.deepEqual(res.body.results.map(({ success, status }) => [success, status]),
+                [[true, 201], [false, 400], [false, 404], [true, 200]]);
+            assert.deepEqual(await titles(), ['New', 'Renamed']);
+        });
+
+        it('undoes only the writes of an operation that fails midway, through its savepoint', async () => {
+            // Fails after the task row was written, when its activity is recorded
+            db.taskActivity.create = async (args) => {
+                if (args.data.changes?.title?.to === 'Broken') throw new Error('disk I/O error');
+                return createActivity(args);
+            };
+            const logError = console.error;
+            console.error = () => {};
+
+
+            const res = await bulk([
+                { op: 'update', id: existing.id, data: { title: 'Broken' } },
+                { op: 'create', data: { title: 'New' } }
+            ], 'best_effort').finally(() => {
+                console.error = logError;
+            });
+
+            assert.equal(res.statusCode, 207);
+            assert.deepEqual(res.body.results[0], { index: 0, op: 'update', success: false, status: 500, error: 'Operation failed' });
+            assert.deepEqual(await titles(), ['Existing', 'New']);
+            assert.equal((await db.task.findUnique({ where: { id: existing.id } })).version, existing.version);
+            assert.deepEqual(statements, [
+                'SAVEPOINT bulk_operation',
+                'ROLLBACK TO SAVEPOINT bulk_operation',
+                'RELEASE SAVEPOINT bulk_operation',
+                'SAVEPOINT bulk_operation',
+                'RELEASE SAVEPOINT bulk_operation'
+            ]);
+        });
+    });
+
+    it('refuses an unknown mode and an empty or oversized batch', async () => {
+        assert.equal((await bulk([{ op: 'create', data: { title: 'New' } }], 'eventually')).body.field, 'mode');
+        assert.equal((await bulk([])).body.field, 'operations');
+        assert.equal((await bulk(Array.from({ length: 101 }, () => ({ op: 'delete', id: existing.id })))).statusCode, 400);
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma, createFakePrisma, createRequest, createResponse } from '../helpers.js';
+import { rankBetween } from '../../src/utils/ranking.js';
+
+const db = mockPrisma(createFakePrisma());
+
+const { moveTask } = await import('../../src/controllers/tasks.js');
+
+/**
+ * Moves a task on its board
+ * @param {string} id
+ * @param {Object} body - status, beforeId and afterId
+ * @returns {Promise<Object>} Response
+ */
+const move = async (id, body) => {
+    const res = createResponse();
+    await moveTask(createRequest({ params: { id }, body }), res);
+    return res;
+};
+
+/**
+ * Titles of a board's TODO column in position order
+ * @param {string|null} projectId
+ * @returns {Promise<string[]>}
+ */
+const columnOf = async (projectId) => (await db.task.findMany({
+    where: { projectId, status: 'TODO' },
+    orderBy: { position: 'asc' }
+})).map((task) => task.title);
+
+describe('moveTask', () => {
+    let project;
+    let tasks;
+
+    beforeEach(async () => {
+        await db.user.deleteMany();
+        await db.user.create({ data: { id: 'user-1', email: 'ada@example.com', passwordHash: 'hash' } });
+        project = await db.project.create({ data: { name: 'Launch', userId: 'user-1' } });
+        tasks = {};
+        for (const [title, projectId, position] of [['A', null, 'a'], ['B', null, 'b'], ['C', null, 'c'],
+            ['X', 'launch', 'a5'], ['Y', 'launch', 'b5']]) {
+            tasks[title] = await db.task.create({
+                data: { title, userId: 'user-1', projectId: projectId && project.id, position }
+            });
+        }
+    });
+
+    it('orders a task among the neighbours on its board', async () => {
+        const res = await move(tasks.C.id, { status: 'TODO', beforeId: tasks.A.id, afterId: tasks.B.id });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(await columnOf(null), ['A', 'C', 'B']);
+    });
+
+    it('finds the other neighbour on the same board only', async () => {
+        // X sorts between A and B by position, but is on another board
+        const res = await move(tasks.C.id, { status: 'TODO', beforeId: tasks.A.id });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(await columnOf(null), ['A', 'C', 'B']);
+        assert.equal(res.body.data.position, rankBetween(tasks.A.position, tasks.B.position));
+    });
+
+    it('refuses a neighbour from another board', async () => {
+        const res = await move(tasks.C.id, { status: 'TODO', beforeId: tasks.X.id, afterId: tasks.Y.id });
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.error, /target column of the task's board/);
+        assert.equal((await db.task.findUnique({ where: { id: tasks.C.id } })).version, tasks.C.version);
+    });
+
+    it('goes to the end of its own board\'s column without neighbours', async () => {
+        const res = await move(tasks.A.id, { status: 'TODO' });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(await columnOf(null), ['B', 'C', 'A']);
+        assert.deepEqual(await columnOf(project.id), ['X', 'Y']);
+    });
+});
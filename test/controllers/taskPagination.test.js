@@ -0,0 +1,128 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma, createFakePrisma, createRequest, createResponse } from '../helpers.js';
+
+const db = mockPrisma(createFakePrisma());
+
+const { getTasks, createTask } = await import('../../src/controllers/tasks.js');
+
+/**
+ * Lists tasks
+ * @param {Object} query
+ * @returns {Promise<Object>} Response
+ */
+const list = async (query) => {
+    const res = createResponse();
+    await getTasks(createRequest({ query }), res);
+    return res;
+};
+
+/**
+ * Titles of the listed tasks
+ * @param {Object} res
+ * @returns {string[]}
+ */
+const titles = (res) => res.body.data.map((task) => task.title);
+
+/**
+ * Follows cursors in one direction until they run out
+ * @param {Object} query - Sort and limit
+ * @param {Object} res - Page to start from
+ * @param {string} direction - 'after' or 'before'
+ * @returns {Promise<string[][]>} Titles of each page, the first included
+ */
+const walk = async (query, res, direction) => {
+    const pages = [titles(res)];
+    let cursor = res.body.pagination[direction === 'after' ? 'nextCursor' : 'prevCursor'];
+    while (cursor) {
+        const page = await list({ ...query, [direction]: cursor });
+        assert.equal(page.statusCode, 200);
+        pages.push(titles(page));
+        cursor = page.body.pagination[direction === 'after' ? 'nextCursor' : 'prevCursor'];
+    }
+    return pages;
+};
+
+describe('task pagination', () => {
+    beforeEach(async () => {
+        await db.user.deleteMany();
+        await db.user.create({ data: { id: 'user-1', email: 'ada@example.com', passwordHash: 'hash' } });
+        const tasks = [
+            ['A', 'LOW', '2026-03-03'],
+            ['B', 'HIGH', null],
+            ['C', 'MEDIUM', '2026-03-01'],
+            ['D', 'HIGH', '2026-03-03'],
+            ['E', 'LOW', null],
+            ['F', 'MEDIUM', '2026-03-02'],
+            ['G', 'HIGH', '2026-03-01']
+        ];
+        for (const [index, [title, priority, dueDate]] of tasks.entries()) {
+            await db.task.create({
+                data: {
+                    title,
+                    userId: 'user-1',
+                    priority,
+                    priorityRank: { LOW: 1, MEDIUM: 2, HIGH: 3 }[priority],
+                    dueDate: dueDate && new Date(`${dueDate}T09:00:00Z`),
+                    createdAt: new Date(Date.UTC(2026, 0, index + 1))
+                }
+            });
+        }
+    });
+
+    it('orders by due date, undated last, then newest first by default', async () => {
+        assert.deepEqual(titles(await list({ limit: '10' })), ['G', 'C', 'F', 'D', 'A', 'E', 'B']);
+    });
+
+    it('sorts by several fields', async () => {
+        assert.deepEqual(titles(await list({ sort: 'priority:desc,title:desc', limit: '10' })), ['G', 'D', 'B', 'F', 'C', 'E', 'A']);
+        assert.deepEqual(titles(await list({ sort: 'dueDate:desc,priority', limit: '10' })), ['A', 'D', 'F', 'C', 'G', 'E', 'B']);
+    });
+
+    for (const sort of ['default', 'priority:desc,dueDate', 'dueDate:desc,title']) {
+        it(`pages through every task once by cursor, both ways (${sort})`, async () => {
+            const expected = titles(await list({ sort, limit: '10' }));
+            const query = { sort, limit: '3' };
+
+            const forwards = await walk(query, await list(query), 'after');
+            assert.deepEqual(forwards.flat(), expected);
+            assert.deepEqual(forwards.map((page) => page.length), [3, 3, 1]);
+
+            const lastPage = await list({ ...query, page: '3' });
+            const backwards = await walk(query, lastPage, 'before');
+            assert.deepEqual(backwards.reverse().flat(), expected);
+        });
+    }
+
+    it('keeps its place when a task is added before the cursor', async () => {
+        const first = await list({ limit: '3' });
+        const res = createResponse();
+        await createTask(createRequest({ validatedTaskData: { title: 'Earliest', dueDate: new Date('2026-02-01T00:00:00Z') } }), res);
+
+        const next = await list({ limit: '3', after: first.body.pagination.nextCursor });
+
+        assert.deepEqual(titles(next), ['D', 'A', 'E']);
+        assert.equal(next.body.pagination.prevCursor !== null, true);
+    });
+
+    it('reports totals on numbered pages, with cursors to switch over', async () => {
+        const res = await list({ page: '2', limit: '3' });
+
+        assert.deepEqual(titles(res), ['D', 'A', 'E']);
+        assert.equal(res.body.pagination.total, 7);
+        assert.equal(res.body.pagination.totalPages, 3);
+        assert.deepEqual(titles(await list({ limit: '3', after: res.body.pagination.nextCursor })), ['B']);
+        assert.deepEqual(titles(await list({ limit: '3', before: res.body.pagination.prevCursor })), ['G', 'C', 'F']);
+    });
+
+    it('refuses a cursor from another sort, both directions at once, and bad pages', async () => {
+        const { nextCursor } = (await list({ limit: '3' })).body.pagination;
+
+        const otherSort = await list({ sort: 'title', after: nextCursor });
+        assert.equal(otherSort.statusCode, 400);
+        assert.equal(otherSort.body.field, 'after');
+        assert.equal((await list({ after: nextCursor, before: nextCursor })).body.field, 'before');
+        assert.equal((await list({ sort: 'colour' })).body.field, 'sort');
+        assert.equal((await list({ limit: '0' })).statusCode, 400);
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma, createFakePrisma, createRequest, createResponse } from '../helpers.js';
+import { SEARCH } from '../../src/utils/constants.js';
+
+/**
+ * Stands in for the FTS5 query of searchTasks: titles containing every word match, and a task
+ * ranks higher the lower its number, so "Report 1" is the best match. A LIMIT is honoured
+ * @param {TemplateStringsArray} strings
+ * @param {Array} values - The highlight markers, the MATCH expression, the user ID and any limit
+ * @returns {Array<{taskId: string, rank: number, highlight: string}>}
+ */
+const fullTextSearch = (strings, [, , query, userId, limit = Infinity]) => {
+    const words = [...query.matchAll(/"([^"]+)"\*/g)].map(([, word]) => word.toLowerCase());
+    return db.$tables.Task
+        .filter((task) => task.userId === userId && words.every((word) => task.title.toLowerCase().includes(word)))
+        .map((task) => ({ taskId: task.id, rank: Number(task.title.match(/\d+/)[0]), highlight: task.title }))
+        .sort((a, b) => a.rank - b.rank)
+        .slice(0, limit);
+};
+
+const db = mockPrisma(createFakePrisma({ queryRaw: async (strings, values) => fullTextSearch(strings, values) }));
+
+const { getTasks } = await import('../../src/controllers/tasks.js');
+
+/**
+ * Lists tasks with the given query parameters
+ * @param {Object} query
+ * @returns {Promise<Object>} Response body
+ */
+const list = async (query) => {
+    const res = createResponse();
+    await getTasks(createRequest({ query }), res);
+    assert.equal(res.statusCode, 200, res.body.error);
+    return res.body;
+};
+
+describe('task search', () => {
+    before(async () => {
+        await db.user.create({ data: { id: 'user-1', email: 'ada@example.com', passwordHash: 'hash' } });
+        // The best matches are all done; the few open ones rank below the old search limit
+        const count = SEARCH.MAX_RESULTS + 20;
+        for (let number = 1; number <= count; number++) {
+            await db.task.create({
+                data: {
+                    title: `Report ${number}`,
+                    status: number > count - 6 ? 'TODO' : 'DONE',
+                    statusCategory: number > count - 6 ? 'TODO' : 'DONE',
+                    userId: 'user-1'
+                }
+            });
+        }
+    });
+
+    it('filters every match, not only the best ranked ones', async () => {
+        const { data, pagination } = await list({ q: 'report', status: 'TODO', limit: '10' });
+
+        assert.equal(pagination.total, 6);
+        assert.deepEqual(data.map((task) => task.title), [515, 516, 517, 518, 519, 520].map((number) => `Report ${number}`));
+    });
+
+    it('pages the filtered matches in relevance order', async () => {
+        const { data, pagination } = await list({ q: 'report', status: 'TODO', limit: '4', page: '2' });
+
+        assert.equal(pagination.totalPages, 2);
+        assert.deepEqual(data.map((task) => task.title), ['Report 519', 'Report 520']);
+        assert.ok(data.every((task) => typeof task.searchRank === 'number' && task.highlight));
+    });
+
+    it('caps the results once the filters have applied', async () => {
+        const { data, pagination } = await list({ q: 'report', limit: '100', page: '5' });
+
+        assert.equal(pagination.total, SEARCH.MAX_RESULTS);
+        assert.equal(data.length, 100);
+        assert.equal(data.at(-1).title, `Report ${SEARCH.MAX_RESULTS}`);
+        assert.deepEqual((await list({ q: 'report', limit: '100', page: '6' })).data, []);
+    });
+});
@@ -0,0 +1,123 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma, createFakePrisma, createRequest, createResponse } from '../helpers.js';
+
+const db = mockPrisma(createFakePrisma());
+
+const { getTaskStats } = await import('../../src/controllers/taskStats.js');
+const { updateTask } = await import('../../src/controllers/tasks.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Fetches the stats
+ * @param {Object} [query]
+ * @returns {Promise<Object>} Response
+ */
+const stats = async (query = {}) => {
+    const res = createResponse();
+    await getTaskStats(createRequest({ query }), res);
+    return res;
+};
+
+/**
+ * Creates a task of user-1
+ * @param {string} title
+ * @param {Object} [fields]
+ * @returns {Promise<Object>}
+ */
+const task = (title, fields = {}) => db.task.create({ data: { title, userId: 'user-1', ...fields } });
+
+describe('task stats', () => {
+    beforeEach(async () => {
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-10T12:00:00Z') });
+        await db.user.deleteMany();
+        for (const id of ['user-1', 'user-2']) {
+            await db.user.create({ data: { id, email: `${id}@example.com`, passwordHash: 'hash' } });
+        }
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    it('counts the user\'s live top-level tasks by status, category and priority', async () => {
+        const parent = await task('Open', { priority: 'HIGH', dueDate: new Date('2026-03-09T00:00:00Z') });
+        await task('Reviewing', { status: 'REVIEW', statusCategory: 'IN_PROGRESS' });
+        await task('Done', { status: 'DONE', statusCategory: 'DONE', dueDate: new Date('2026-03-09T00:00:00Z') });
+        await task('Subtask', { parentId: parent.id });
+        await task('Trashed', { deletedAt: new Date() });
+        await db.task.create({ data: { title: 'Theirs', userId: 'user-2' } });
+
+        const { data } = (await stats()).body;
+
+        assert.equal(data.total, 3);
+        assert.deepEqual(data.byStatus, { TODO: 1, IN_PROGRESS: 0, DONE: 1, REVIEW: 1 });
+        assert.deepEqual(data.byCategory, { TODO: 1, IN_PROGRESS: 1, DONE: 1 });
+        assert.deepEqual(data.byPriority, { LOW: 0, MEDIUM: 2, HIGH: 1 });
+        // Only the open task past its due date
+        assert.equal(data.overdue, 1);
+        assert.equal(data.completionRate, 0.333);
+    });
+
+    it('reports an empty board without a completion rate', async () => {
+        const { data } = (await stats()).body;
+
+        assert.equal(data.total, 0);
+        assert.equal(data.completionRate, null);
+        assert.deepEqual(data.range, { from: '2026-02-09', to: '2026-03-10', timeZone: 'UTC' });
+        assert.equal(data.series.length, 30);
+    });
+
+    it('charts the range day by day, starting from the tasks already open', async () => {
+        await task('Old, open', { createdAt: new Date('2026-02-20T00:00:00Z') });
+        await task('Old, finished in range', {
+            createdAt: new Date('2026-02-20T00:00:00Z'),
+            status: 'DONE', statusCategory: 'DONE', completedAt: new Date('2026-03-02T10:00:00Z')
+        });
+        await task('Old, finished before', {
+            createdAt: new Date('2026-02-20T00:00:00Z'),
+            status: 'DONE', statusCategory: 'DONE', completedAt: new Date('2026-02-25T00:00:00Z')
+        });
+        await task('New', { createdAt: new Date('2026-03-01T08:00:00Z') });
+
+        const { data } = (await stats({ from: '2026-03-01', to: '2026-03-03' })).body;
+
+        assert.deepEqual(data.series, [
+            { date: '2026-03-01', created: 1, completed: 0, open: 3 },
+            { date: '2026-03-02', created: 0, completed: 1, open: 2 },
+            { date: '2026-03-03', created: 0, completed: 0, open: 2 }
+        ]);
+    });
+
+    it('measures lead and cycle time from the status changes of tasks', async () => {
+        const { id } = await task('Ship', { createdAt: new Date('2026-03-10T00:00:00Z') });
+
+        /**
+         * Moves the task to a status after the given number of hours
+         * @param {number} hours
+         * @param {string} status
+         * @returns {Promise<void>}
+         */
+        const moveAfter = async (hours, status) => {
+            mock.timers.tick(hours * HOUR_MS);
+            const res = createResponse();
+            await updateTask(createRequest({ params: { id }, body: { status }, validatedTaskData: {} }), res);
+            assert.equal(res.statusCode, 200);
+        };
+        await moveAfter(1, 'IN_PROGRESS');
+        await moveAfter(2, 'DONE');
+
+        const { data } = (await stats()).body;
+
+        // Created at midnight, started at 13:00 and done at 15:00
+        assert.deepEqual(data.leadTime, { averageHours: 15, count: 1 });
+        assert.deepEqual(data.cycleTime, { averageHours: 2, count: 1 });
+    });
+
+    it('refuses bad dates and time zones', async () => {
+        assert.equal((await stats({ from: 'March' })).body.field, 'from');
+        assert.equal((await stats({ from: '2026-03-02', to: '2026-03-01' })).body.field, 'to');
+        assert.equal((await stats({ tz: 'Mars/Olympus_Mons' })).body.field, 'tz');
+    });
+});
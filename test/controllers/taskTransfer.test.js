@@ -0,0 +1,193 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { mockPrisma, createFakePrisma, listen } from '../helpers.js';
+
+const db = mockPrisma(createFakePrisma());
+
+const { exportTasks, importTasks } = await import('../../src/controllers/tasks.js');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    req.user = { id: req.get('X-User-Id') ?? 'user-1' };
+    next();
+});
+app.get('/tasks/export', exportTasks);
+app.post('/tasks/import', importTasks);
+
+/**
+ * Export records without the fields that differ between owners, by title
+ * Imported rows are created within the same millisecond, so export order alone does not tell them apart
+ * @param {Object[]} records
+ * @returns {Object[]}
+ */
+const portable = (records) => records
+    .map(({ id, projectId, createdAt, updatedAt, ...record }) => record)
+    .sort((a, b) => a.title.localeCompare(b.title));
+
+describe('task export and import', () => {
+    let server;
+
+    before(async () => {
+        server = await listen(app);
+    });
+
+    after(() => server.close());
+
+    beforeEach(async () => {
+        await db.user.deleteMany();
+        for (const id of ['user-1', 'user-2']) {
+            await db.user.create({ data: { id, email: `${id}@example.com`, passwordHash: 'hash' } });
+        }
+        const project = await db.project.create({ data: { name: 'Home', userId: 'user-1' } });
+        const [urgent, home] = await Promise.all(['urgent', 'home'].map((name) =>
+            db.tag.create({ data: { name, userId: 'user-1' } })));
+
+        await db.task.create({
+            data: {
+                title: 'Call "Bob", then the bank', userId: 'user-1', priority: 'HIGH', position: 'a',
+                dueDate: new Date('2026-03-01T09:00:00Z'), createdAt: new Date('2026-01-01T00:00:00Z'),
+                tags: { create: [{ tagId: urgent.id }, { tagId: home.id }] }
+            }
+        });
+        await db.task.create({
+            data: {
+                title: 'Paint the fence', userId: 'user-1', status: 'DONE', statusCategory: 'DONE', position: 'b',
+                projectId: project.id, createdAt: new Date('2026-01-02T00:00:00Z')
+            }
+        });
+    });
+
+    /**
+     * Exports a user's tasks
+     * @param {string} format
+     * @param {string} [userId='user-1']
+     * @returns {Promise<{status: number, headers: Headers, text: string}>}
+     */
+    const exportAs = async (format, userId = 'user-1') => {
+        const response = await fetch(`${server.url}/tasks/export?format=${format}`, { headers: { 'X-User-Id': userId } });
+        return { status: response.status, headers: response.headers, text: await response.text() };
+    };
+
+    /**
+     * Imports tasks for a user
+     * @param {Object} body
+     * @param {string} [userId='user-1']
+     * @returns {Promise<{status: number, body: Object}>}
+     */
+    const importAs = async (body, userId = 'user-1') => {
+        const response = await fetch(`${server.url}/tasks/import`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-User-Id': userId },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    describe('round trips', () => {
+        it('imports an exported JSON file as the same tasks', async () => {
+            const exported = await exportAs('json');
+            const records = JSON.parse(exported.text);
+
+            assert.equal(exported.status, 200);
+            assert.match(exported.headers.get('content-disposition'), /attachment; filename="tasks-\d{4}-\d{2}-\d{2}\.json"/);
+            assert.deepEqual(portable(records), [
+                { title: 'Call "Bob", then the bank', status: 'TODO', priority: 'high', dueDate: '2026-03-01T09:00:00.000Z', tags: ['urgent', 'home'] },
+                { title: 'Paint the fence', status: 'DONE', priority: 'medium', dueDate: null, tags: [] }
+            ]);
+
+            const imported = await importAs({ data: records, mapping: { projectId: null } }, 'user-2');
+
+            assert.equal(imported.status, 200);
+            assert.deepEqual(imported.body.summary, { total: 2, succeeded: 2, failed: 0 });
+            assert.deepEqual(portable(JSON.parse((await exportAs('json', 'user-2')).text)), portable(records));
+        });
+
+        it('imports an exported CSV file as the same tasks', async () => {
+            const exported = await exportAs('csv');
+
+            assert.equal(exported.status, 200);
+            assert.match(exported.headers.get('content-type'), /^text\/csv/);
+            assert.equal(exported.text.split('\r\n')[0], 'id,title,status,priority,dueDate,projectId,tags,createdAt,updatedAt');
+            assert.match(exported.text, /,"Call ""Bob"", then the bank",TODO,high,2026-03-01T09:00:00.000Z,,urgent; home,/);
+
+            const imported = await importAs({ data: exported.text, mapping: { projectId: null } }, 'user-2');
+
+            assert.equal(imported.status, 200);
+            assert.deepEqual(imported.body.summary, { total: 2, succeeded: 2, failed: 0 });
+            assert.deepEqual(portable(JSON.parse((await exportAs('json', 'user-2')).text)),
+                portable(JSON.parse((await exportAs('json')).text)));
+            assert.deepEqual((await db.tag.findMany({ where: { userId: 'user-2' } })).map((tag) => tag.name).sort(),
+                ['home', 'urgent']);
+        });
+    });
+
+    describe('bad rows', () => {
+        it('imports the good rows and reports each bad one by its spreadsheet row', async () => {
+            const csv = [
+                'Title,Priority,Due Date,Tags',
+                'Good,low,,errands',
+                ',high,,',
+                'Bad priority,urgent,,',
+                'Short row',
+                'Bad date,low,someday,',
+                'Also good,,2026-05-01T00:00:00Z,errands;home'
+            ].join('\n');
+
+            const { status, body } = await importAs({ data: csv });
+
+            assert.equal(status, 207);
+            assert.equal(body.success, false);
+            assert.deepEqual(body.summary, { total: 6, succeeded: 2, failed: 4 });
+            assert.deepEqual(body.errors.map(({ row, status: rowStatus, field }) => [row, rowStatus, field]), [
+                [3, 400, 'title'],
+                [4, 400, 'priority'],
+                [5, 400, undefined],
+                [6, 400, 'dueDate']
+            ]);
+            assert.equal(body.errors[2].error, 'Row has 1 values but the header has 4 columns');
+            assert.deepEqual(body.data.map(({ row }) => row), [2, 7]);
+        });
+
+        it('undoes the partial writes of a row that fails against the database', async () => {
+            const foreign = await db.project.create({ data: { name: 'Not mine', userId: 'user-2' } });
+
+            const { status, body } = await importAs({
+                data: [
+                    { title: 'Mine', tags: ['kept'] },
+                    { title: 'Elsewhere', projectId: foreign.id, tags: ['dropped'] }
+                ]
+            });
+
+            assert.equal(status, 207);
+            assert.deepEqual(body.summary, { total: 2, succeeded: 1, failed: 1 });
+            assert.deepEqual(body.errors, [{ row: 2, status: 404, error: 'Project not found', field: 'projectId' }]);
+            assert.equal(await db.task.count({ where: { title: 'Elsewhere' } }), 0);
+            assert.equal(await db.tag.count({ where: { name: 'dropped' } }), 0);
+            assert.equal(await db.tag.count({ where: { name: 'kept' } }), 1);
+        });
+
+        it('checks every row in a dry run but saves none', async () => {
+            const before = await db.task.count();
+
+            const { status, body } = await importAs({ data: [{ title: 'New' }, { title: 'Bad', status: 'done' }], dryRun: true });
+
+            assert.equal(status, 200);
+            assert.equal(body.dryRun, true);
+            assert.deepEqual(body.summary, { total: 2, succeeded: 1, failed: 1 });
+            assert.equal(body.data, undefined);
+            assert.equal(await db.task.count(), before);
+        });
+
+        it('refuses data it cannot read as a whole', async () => {
+            assert.equal((await importAs({ data: 'title\n"unclosed' })).body.field, 'data');
+            assert.equal((await importAs({ data: 'name\nx' })).body.error, 'No column maps to title');
+            assert.equal((await importAs({ data: 'Title,Name\nx,y', mapping: { Name: 'title' } })).body.error,
+                'Columns "Title" and "Name" both map to title');
+            assert.equal((await importAs({ data: [], format: 'json' })).body.field, 'data');
+            assert.equal((await importAs({ data: 'title\nx', format: 'xml' })).body.field, 'format');
+            assert.equal((await exportAs('xml')).status, 400);
+        });
+    });
+});
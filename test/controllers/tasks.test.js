@@ -0,0 +1,91 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma, createResponse } from '../helpers.js';
+
+// The one task the stand-in database holds, and the writes made to it
+let stored;
+let writes;
+
+const task = {
+    findFirst: async ({ where }) => (stored && where.id === stored.id && stored.deletedAt === null ? { ...stored } : null),
+    updateMany: async (args) => {
+        writes.push(args);
+        return { count: 1 };
+    }
+};
+const taskActivity = {
+    create: async (args) => {
+        writes.push(args);
+        return args.data;
+    }
+};
+const tx = { task, taskActivity };
+mockPrisma({ task, $transaction: (callback) => callback(tx) });
+
+const { getTask, deleteTask } = await import('../../src/controllers/tasks.js');
+
+/**
+ * Request for the stored task with the given headers
+ * @param {Object<string, string>} [headers={}]
+ * @returns {Object}
+ */
+const request = (headers = {}) => ({
+    params: { id: 'task-1' },
+    user: { id: 'user-1' },
+    get: (name) => headers[name]
+});
+
+describe('task preconditions', () => {
+    beforeEach(() => {
+        stored = {
+            id: 'task-1',
+            userId: 'user-1',
+            title: 'Write tests',
+            status: 'TODO',
+            version: 3,
+            deletedAt: null,
+            tags: [],
+            reminders: [],
+            _count: { comments: 0 }
+        };
+        writes = [];
+    });
+
+    describe('getTask', () => {
+        it('answers 304 with the ETag when the client copy is current', async () => {
+            const res = createResponse();
+            await getTask(request({ 'If-None-Match': 'W/"3"' }), res);
+
+            assert.equal(res.statusCode, 304);
+            assert.equal(res.get('ETag'), '"3"');
+            assert.equal(res.body, undefined);
+        });
+    });
+
+    describe('deleteTask', () => {
+        it('refuses an outdated If-Match with 412 and the current task', async () => {
+            const res = createResponse();
+            await deleteTask(request({ 'If-Match': '"2"' }), res);
+
+            assert.equal(res.statusCode, 412);
+            assert.equal(res.get('ETag'), '"3"');
+            assert.equal(res.body.current.version, 3);
+            assert.deepEqual(writes, []);
+        });
+
+        it('deletes the task when If-Match is current', async () => {
+            const res = createResponse();
+            await deleteTask(request({ 'If-Match': '"3"' }), res);
+
+            assert.equal(res.statusCode, 204);
+            assert.deepEqual(writes[0].data.version, { increment: 1 });
+        });
+
+        it('deletes the task without If-Match', async () => {
+            const res = createResponse();
+            await deleteTask(request(), res);
+
+            assert.equal(res.statusCode, 204);
+        });
+    });
+});
@@ -0,0 +1,152 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma, createFakePrisma, createRequest, createResponse } from '../helpers.js';
+
+// Read by utils/constants.js, so set before the modules under test load
+process.env.ATTACHMENT_STORAGE = 'memory';
+
+const db = mockPrisma(createFakePrisma());
+
+const { registerStorage } = await import('../../src/services/attachmentStorage.js');
+const { getTasks, getTask, deleteTask, getTrash, restoreTask, purgeTask, emptyTrash } =
+    await import('../../src/controllers/tasks.js');
+
+// Keys of the files the storage was asked to remove
+let removed;
+registerStorage('memory', {
+    save: async () => {},
+    open: async () => null,
+    remove: async (key) => {
+        removed.push(key);
+    }
+});
+
+/**
+ * Calls a controller and returns the response
+ * @param {Function} controller
+ * @param {Object} [request] - Passed to createRequest
+ * @returns {Promise<Object>}
+ */
+const call = async (controller, request) => {
+    const res = createResponse();
+    await controller(createRequest(request), res);
+    return res;
+};
+
+/**
+ * Titles in the user's trash, as listed
+ * @param {string} [userId]
+ * @returns {Promise<string[]>}
+ */
+const trashTitles = async (userId) => (await call(getTrash, { userId })).body.data.map((task) => task.title);
+
+describe('trash', () => {
+    let parent;
+    let subtask;
+
+    beforeEach(async () => {
+        removed = [];
+        await db.user.deleteMany();
+        for (const id of ['user-1', 'user-2']) {
+            await db.user.create({ data: { id, email: `${id}@example.com`, passwordHash: 'hash' } });
+        }
+        parent = await db.task.create({ data: { title: 'Release', userId: 'user-1' } });
+        subtask = await db.task.create({ data: { title: 'Changelog', userId: 'user-1', parentId: parent.id } });
+    });
+
+    it('hides a deleted task and its subtasks, listing only the task in the trash', async () => {
+        const res = await call(deleteTask, { params: { id: parent.id } });
+
+        assert.equal(res.statusCode, 204);
+        assert.equal((await call(getTask, { params: { id: parent.id } })).statusCode, 404);
+        assert.deepEqual((await call(getTasks)).body.data, []);
+        assert.notEqual((await db.task.findUnique({ where: { id: subtask.id } })).deletedAt, null);
+
+        const trash = await call(getTrash);
+        assert.deepEqual(trash.body.data.map((task) => task.title), ['Release']);
+        assert.equal(trash.body.data[0].purgeAt.getTime() - trash.body.data[0].deletedAt.getTime(),
+            trash.body.retentionDays * 24 * 60 * 60 * 1000);
+        assert.deepEqual(await trashTitles('user-2'), []);
+    });
+
+    it('lists a subtask trashed on its own', async () => {
+        await call(deleteTask, { params: { id: subtask.id } });
+
+        assert.deepEqual(await trashTitles(), ['Changelog']);
+    });
+
+    describe('restoring', () => {
+        it('brings back the subtasks trashed with the task, but not those trashed before it', async () => {
+            const earlier = await db.task.create({
+                data: { title: 'Old note', userId: 'user-1', parentId: parent.id, deletedAt: new Date('2026-01-01T00:00:00Z') }
+            });
+            await call(deleteTask, { params: { id: parent.id } });
+
+            const res = await call(restoreTask, { params: { id: parent.id } });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.get('ETag'), `"${res.body.data.version}"`);
+            assert.equal((await db.task.findUnique({ where: { id: subtask.id } })).deletedAt, null);
+            assert.notEqual((await db.task.findUnique({ where: { id: earlier.id } })).deletedAt, null);
+            assert.deepEqual(await trashTitles(), ['Old note']);
+        });
+
+        it('refuses a subtask whose parent is still in the trash', async () => {
+            await call(deleteTask, { params: { id: parent.id } });
+
+            const res = await call(restoreTask, { params: { id: subtask.id } });
+
+            assert.equal(res.statusCode, 409);
+            assert.equal(res.body.error, 'The parent task is in the trash; restore it first');
+        });
+
+        it('refuses a task that is not in the trash, or not the user\'s', async () => {
+            assert.equal((await call(restoreTask, { params: { id: parent.id } })).statusCode, 404);
+
+            await call(deleteTask, { params: { id: parent.id } });
+            assert.equal((await call(restoreTask, { userId: 'user-2', params: { id: parent.id } })).statusCode, 404);
+        });
+    });
+
+    describe('purging', () => {
+        beforeEach(async () => {
+            await db.attachment.create({
+                data: { taskId: subtask.id, uploadedById: 'user-1', filename: 'notes.txt', mimeType: 'text/plain', size: 5, storageKey: 'key-1' }
+            });
+        });
+
+        it('deletes a trashed task with its subtasks and their files', async () => {
+            await call(deleteTask, { params: { id: parent.id } });
+
+            const res = await call(purgeTask, { params: { id: parent.id } });
+
+            assert.equal(res.statusCode, 204);
+            assert.equal(await db.task.count(), 0);
+            assert.equal(await db.attachment.count(), 0);
+            assert.deepEqual(removed, ['key-1']);
+            assert.deepEqual((await db.taskActivity.findMany({ where: { action: 'PURGED' } })).map((entry) => entry.taskId).sort(),
+                [parent.id, subtask.id].sort());
+        });
+
+        it('only purges what is in the trash', async () => {
+            const res = await call(purgeTask, { params: { id: parent.id } });
+
+            assert.equal(res.statusCode, 404);
+            assert.equal(res.body.error, 'Task not found in trash');
+            assert.equal(await db.task.count(), 2);
+        });
+
+        it('empties the whole trash, counting every task removed', async () => {
+            const other = await db.task.create({ data: { title: 'Other', userId: 'user-1' } });
+            const theirs = await db.task.create({ data: { title: 'Theirs', userId: 'user-2', deletedAt: new Date() } });
+            await call(deleteTask, { params: { id: parent.id } });
+            await call(deleteTask, { params: { id: other.id } });
+
+            const res = await call(emptyTrash);
+
+            assert.deepEqual(res.body.data, { purged: 3 });
+            assert.deepEqual((await db.task.findMany()).map((task) => task.id), [theirs.id]);
+            assert.deepEqual(removed, ['key-1']);
+        });
+    });
+});
@@ -0,0 +1,638 @@
+import { readFileSync } from 'node:fs';
+import { randomUUID } from 'node:crypto';
+
+/*
+ * In-memory stand-in for the Prisma client, for tests that need a database that keeps state
+ * Models, defaults and relations are read from prisma/schema.prisma; only the parts of the query
+ * API this codebase uses are supported. Raw SQL is limited to savepoints, anything else goes to
+ * the `executeRaw` and `queryRaw` options.
+ */
+
+const SCHEMA = readFileSync(new URL('../prisma/schema.prisma', import.meta.url), 'utf8');
+
+/**
+ * Reads the models and enums of the schema
+ * @param {string} source
+ * @returns {Map<string, Object>} Models by name
+ */
+const parseSchema = (source) => {
+    const enums = new Set([...source.matchAll(/^enum (\w+) \{/gm)].map(([, name]) => name));
+    const models = new Map();
+
+    for (const [, name, body] of source.matchAll(/^model (\w+) \{([^}]*)\}/gm)) {
+        const model = { name, fields: new Map(), uniques: [] };
+        for (const rawLine of body.split('\n')) {
+            const line = rawLine.replace(/\/\/.*$/, '').trim();
+            if (!line) continue;
+
+            const block = line.match(/^@@(id|unique)\(\[([^\]]+)\]/);
+            if (block) {
+                model.uniques.push(block[2].split(',').map((field) => field.trim()));
+                continue;
+            }
+            if (line.startsWith('@@')) continue;
+
+            const [fieldName, rawType, ...attributes] = line.split(/\s+/);
+            const attributeText = attributes.join(' ');
+            const type = rawType.replace(/[?[\]]/g, '');
+            const field = {
+                name: fieldName,
+                type,
+                list: rawType.endsWith('[]'),
+                optional: rawType.endsWith('?'),
+                isEnum: enums.has(type),
+                updatedAt: attributeText.includes('@updatedAt')
+            };
+
+            const defaultValue = attributeText.match(/@default\(((?:[^()]|\(\))*)\)/);
+            if (defaultValue) field.default = defaultValue[1];
+            if (/@id\b/.test(attributeText) || /@unique\b/.test(attributeText)) model.uniques.push([fieldName]);
+
+            const relation = attributeText.match(/@relation\(([^)]*)\)/);
+            const relationName = relation?.[1].match(/^"([^"]+)"/)?.[1] ?? null;
+            field.relation = relation || !['String', 'Int', 'Boolean', 'DateTime', 'Json', 'Float'].includes(type) && !field.isEnum
+                ? {
+                    name: relationName,
+                    fields: relation?.[1].match(/fields: \[([^\]]+)\]/)?.[1].split(',').map((entry) => entry.trim()),
+                    references: relation?.[1].match(/references: \[([^\]]+)\]/)?.[1].split(',').map((entry) => entry.trim()),
+                    onDelete: relation?.[1].match(/onDelete: (\w+)/)?.[1]
+                }
+                : null;
+            model.fields.set(fieldName, field);
+        }
+        models.set(name, model);
+    }
+
+    // Each side of a relation learns the foreign key, which is declared on one side only
+    for (const model of models.values()) {
+        for (const field of model.fields.values()) {
+            if (!field.relation || field.relation.fields) continue;
+            const other = [...models.get(field.type).fields.values()].find((candidate) => candidate.type === model.name &&
+                candidate.relation?.fields && candidate.relation.name === field.relation.name);
+            field.relation.back = other;
+        }
+    }
+    return models;
+};
+
+const MODELS = parseSchema(SCHEMA);
+
+/**
+ * Prisma's delegate name for a model
+ * @param {string} name - Model name
+ * @returns {string}
+ */
+const delegateName = (name) => name[0].toLowerCase() + name.slice(1);
+
+/**
+ * Error shaped like Prisma's known request errors, which the controllers tell apart by code
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+const prismaError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Value of a field's @default for a new row
+ * @param {Object} field
+ * @returns {*}
+ */
+const defaultFor = (field) => {
+    if (field.default === undefined) return field.optional || field.list ? null : undefined;
+    if (field.default === 'uuid()') return randomUUID();
+    if (field.default === 'now()') return new Date();
+    if (field.default === 'true' || field.default === 'false') return field.default === 'true';
+    if (/^-?\d+(\.\d+)?$/.test(field.default)) return Number(field.default);
+    return field.default.replace(/^"|"$/g, '');
+};
+
+/**
+ * Copies a value read from or written to the store, so callers never share its objects
+ * @param {*} value
+ * @returns {*}
+ */
+const copy = (value) => (value === undefined ? undefined : structuredClone(value));
+
+/**
+ * Orders two values the way SQLite does, with nulls first
+ * @param {*} a
+ * @param {*} b
+ * @returns {number}
+ */
+const compare = (a, b) => {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return -1;
+    if (b === null || b === undefined) return 1;
+    const left = a instanceof Date ? a.getTime() : a;
+    const right = b instanceof Date ? b.getTime() : b;
+    if (left === right) return 0;
+    return left < right ? -1 : 1;
+};
+
+/**
+ * Creates a stand-in client with empty tables
+ * @param {Object} [options]
+ * @param {Function} [options.executeRaw] - Answers $executeRawUnsafe calls other than savepoints
+ * @param {Function} [options.queryRaw] - Answers $queryRaw calls, with the template strings and values
+ * @returns {Object} Client, with the rows of each model in `client.$tables`
+ */
+export const createFakePrisma = ({ executeRaw = async () => 0, queryRaw = async () => [] } = {}) => {
+    const tables = Object.fromEntries([...MODELS.keys()].map((name) => [name, []]));
+    const savepoints = [];
+
+    /**
+     * Rows on the other side of a relation
+     * @param {Object} field - Relation field
+     * @param {Object} row
+     * @returns {Object[]}
+     */
+    const related = (field, row) => {
+        const { fields, references, back } = field.relation;
+        if (fields) {
+            if (fields.some((key) => row[key] === null || row[key] === undefined)) return [];
+            return tables[field.type].filter((other) => references.every((key, index) => other[key] === row[fields[index]]));
+        }
+        return tables[field.type].filter((other) => back.relation.references
+            .every((key, index) => other[back.relation.fields[index]] === row[key]));
+    };
+
+    /**
+     * Checks one field's value against a scalar filter
+     * @param {*} value
+     * @param {*} condition
+     * @param {Object} field
+     * @returns {boolean}
+     */
+    const matchesScalar = (value, condition, field) => {
+        if (condition === null) return value === null || value === undefined;
+        if (condition instanceof Date || typeof condition !== 'object' || field.type === 'Json' && !('equals' in condition)) {
+            return compare(value, normalize(field, condition)) === 0;
+        }
+        return Object.entries(condition).every(([operator, operand]) => {
+            if (operand === undefined) return true;
+            switch (operator) {
+                case 'equals': return matchesScalar(value, operand, { ...field, type: 'String' });
+                case 'not': return !matchesScalar(value, operand, field);
+                case 'in': return operand.some((entry) => compare(value, normalize(field, entry)) === 0);
+                case 'notIn': return !operand.some((entry) => compare(value, normalize(field, entry)) === 0);
+                case 'lt': return value !== null && compare(value, normalize(field, operand)) < 0;
+                case 'lte': return value !== null && compare(value, normalize(field, operand)) <= 0;
+                case 'gt': return value !== null && compare(value, normalize(field, operand)) > 0;
+                case 'gte': return value !== null && compare(value, normalize(field, operand)) >= 0;
+                case 'contains': return typeof value === 'string' && value.toLowerCase().includes(operand.toLowerCase());
+                case 'startsWith': return typeof value === 'string' && value.toLowerCase().startsWith(operand.toLowerCase());
+                case 'endsWith': return typeof value === 'string' && value.toLowerCase().endsWith(operand.toLowerCase());
+                case 'mode': return true;
+                default: throw new Error(`Unsupported filter ${operator} on ${field.name}`);
+            }
+        });
+    };
+
+    /**
+     * Checks a row against a where clause
+     * @param {Object} model
+     * @param {Object} row
+     * @param {Object} [where]
+     * @returns {boolean}
+     */
+    const matches = (model, row, where = {}) => Object.entries(where).every(([key, condition]) => {
+        if (condition === undefined) return true;
+        if (key === 'AND') return [condition].flat().every((entry) => matches(model, row, entry));
+        if (key === 'OR') return condition.some((entry) => matches(model, row, entry));
+        if (key === 'NOT') return ![condition].flat().some((entry) => matches(model, row, entry));
+
+        const field = model.fields.get(key);
+        if (!field) {
+            // A compound unique key such as userId_key
+            const unique = model.uniques.find((fields) => fields.join('_') === key);
+            if (!unique) throw new Error(`Unknown field ${model.name}.${key}`);
+            return unique.every((name) => compare(row[name], condition[name]) === 0);
+        }
+        if (!field.relation) return matchesScalar(row[key], condition, field);
+
+        const target = MODELS.get(field.type);
+        const rows = related(field, row);
+        if (field.list) {
+            return Object.entries(condition).every(([operator, filter]) => {
+                if (operator === 'some') return rows.some((other) => matches(target, other, filter));
+                if (operator === 'none') return !rows.some((other) => matches(target, other, filter));
+                if (operator === 'every') return rows.every((other) => matches(target, other, filter));
+                throw new Error(`Unsupported relation filter ${operator}`);
+            });
+        }
+        if (condition === null) return rows.length === 0;
+        if ('is' in condition || 'isNot' in condition) {
+            if ('is' in condition) {
+                return condition.is === null ? rows.length === 0 : rows.some((other) => matches(target, other, condition.is));
+            }
+            return condition.isNot === null ? rows.length > 0 : !rows.some((other) => matches(target, other, condition.isNot));
+        }
+        return rows.some((other) => matches(target, other, condition));
+    });
+
+    /**
+     * Converts a written value to the type the store keeps for the field
+     * @param {Object} field
+     * @param {*} value
+     * @returns {*}
+     */
+    const normalize = (field, value) => {
+        if (value === null || value === undefined) return value;
+        if (field.type === 'DateTime' && !(value instanceof Date)) return new Date(value);
+        return value;
+    };
+
+    /**
+     * Sorts rows by a Prisma orderBy
+     * @param {Object} model
+     * @param {Object[]} rows
+     * @param {Object|Object[]} [orderBy]
+     * @returns {Object[]}
+     */
+    const sortRows = (model, rows, orderBy) => {
+        if (!orderBy) return rows;
+        const keys = [orderBy].flat().flatMap((entry) => Object.entries(entry));
+
+        /**
+         * Sort value of a row for one orderBy entry, following relations
+         * @param {Object} currentModel
+         * @param {Object} row
+         * @param {string} key
+         * @param {*} direction
+         * @returns {{value: *, direction: string, nulls?: string}}
+         */
+        const valueOf = (currentModel, row, key, direction) => {
+            const field = currentModel.fields.get(key);
+            if (field?.relation && typeof direction === 'object' && !('sort' in direction)) {
+                const [other] = related(field, row);
+                const [[nextKey, nextDirection]] = Object.entries(direction);
+                return other
+                    ? valueOf(MODELS.get(field.type), other, nextKey, nextDirection)
+                    : { value: null, direction: typeof nextDirection === 'object' ? nextDirection.sort : nextDirection };
+            }
+            return typeof direction === 'object'
+                ? { value: row[key], direction: direction.sort, nulls: direction.nulls }
+                : { value: row[key], direction };
+        };
+
+        return [...rows].sort((a, b) => {
+            for (const [key, direction] of keys) {
+                const left = valueOf(model, a, key, direction);
+                const right = valueOf(model, b, key, direction);
+                const leftNull = left.value === null || left.value === undefined;
+                const rightNull = right.value === null || right.value === undefined;
+                if (left.nulls && leftNull !== rightNull) return (leftNull ? -1 : 1) * (left.nulls === 'first' ? 1 : -1);
+                const order = compare(left.value, right.value) * (left.direction === 'desc' ? -1 : 1);
+                if (order !== 0) return order;
+            }
+            return 0;
+        });
+    };
+
+    /**
+     * Applies where, orderBy, cursor, distinct and paging to a model's rows
+     * @param {Object} model
+     * @param {Object} args
+     * @param {Object[]} [rows] - Rows to choose from, the whole table by default
+     * @returns {Object[]}
+     */
+    const select = (model, args = {}, rows = tables[model.name]) => {
+        let found = sortRows(model, rows.filter((row) => matches(model, row, args.where)), args.orderBy);
+        if (args.cursor) {
+            const start = found.findIndex((row) => matches(model, row, args.cursor));
+            found = start === -1 ? [] : found.slice(start);
+        }
+        if (args.distinct) {
+            const seen = new Set();
+            found = found.filter((row) => {
+                const key = JSON.stringify(args.distinct.map((name) => row[name]));
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+        if (args.skip) found = found.slice(args.skip);
+        if (args.take !== undefined) found = found.slice(0, args.take);
+        return found;
+    };
+
+    /**
+     * Builds the result object for a row, following select and include
+     * @param {Object} model
+     * @param {Object} row
+     * @param {Object} [args]
+     * @returns {Object}
+     */
+    const shape = (model, row, { select: picked, include } = {}) => {
+        const result = {};
+        for (const field of model.fields.values()) {
+            if (!field.relation && (!picked || picked[field.name])) result[field.name] = copy(row[field.name]);
+        }
+        for (const [key, option] of Object.entries({ ...include, ...picked })) {
+            if (!option) continue;
+            if (key === '_count') {
+                result._count = Object.fromEntries(Object.entries(option.select).filter(([, wanted]) => wanted)
+                    .map(([name, wanted]) => {
+                        const field = model.fields.get(name);
+                        const rows = related(field, row);
+                        return [name, wanted === true ? rows.length : select(MODELS.get(field.type), wanted, rows).length];
+                    }));
+                continue;
+            }
+            const field = model.fields.get(key);
+            if (!field.relation) continue;
+            const target = MODELS.get(field.type);
+            const nested = option === true ? {} : option;
+            const rows = select(target, nested, related(field, row));
+            result[key] = field.list
+                ? rows.map((other) => shape(target, other, nested))
+                : rows[0] ? shape(target, rows[0], nested) : null;
+        }
+        return result;
+    };
+
+    /**
+     * Refuses a row that repeats the unique fields of another
+     * @param {Object} model
+     * @param {Object} row
+     */
+    const assertUnique = (model, row) => {
+        for (const unique of model.uniques) {
+            if (unique.some((name) => row[name] === null || row[name] === undefined)) continue;
+            const clash = tables[model.name].some((other) => other !== row &&
+                unique.every((name) => compare(other[name], row[name]) === 0));
+            if (clash) throw prismaError('P2002', `Unique constraint failed on the fields: (${unique.join(', ')})`);
+        }
+    };
+
+    /**
+     * Applies the scalar and nested relation writes of a data object to a row
+     * @param {Object} model
+     * @param {Object} row
+     * @param {Object} data
+     * @param {boolean} isCreate
+     * @returns {Function[]} Nested writes to run once the row is stored
+     */
+    const applyData = (model, row, data, isCreate) => {
+        const after = [];
+        for (const [key, value] of Object.entries(data)) {
+            if (value === undefined) continue;
+            const field = model.fields.get(key);
+            if (!field) throw new Error(`Unknown field ${model.name}.${key}`);
+
+            if (!field.relation) {
+                if (value !== null && typeof value === 'object' && !(value instanceof Date) && field.type !== 'Json') {
+                    const [[operator, operand]] = Object.entries(value);
+                    const current = row[key] ?? 0;
+                    row[key] = {
+                        set: operand,
+                        increment: current + operand,
+                        decrement: current - operand,
+                        multiply: current * operand,
+                        divide: current / operand
+                    }[operator];
+                } else {
+                    row[key] = normalize(field, copy(value));
+                }
+                continue;
+            }
+
+            const target = MODELS.get(field.type);
+            if (field.relation.fields) {
+                // The foreign key is on this row
+                if (value.connect) {
+                    const [other] = select(target, { where: value.connect });
+                    if (!other) throw prismaError('P2025', `No ${field.type} found to connect`);
+                    field.relation.fields.forEach((name, index) => {
+                        row[name] = other[field.relation.references[index]];
+                    });
+                }
+                if (value.disconnect) field.relation.fields.forEach((name) => {
+                    row[name] = null;
+                });
+                continue;
+            }
+
+            const { back } = field.relation;
+            const link = (child) => back.relation.fields.forEach((name, index) => {
+                child[name] = row[back.relation.references[index]];
+            });
+            after.push(() => {
+                if (value.set) {
+                    deleteRows(target, related(field, row));
+                }
+                if (value.deleteMany) {
+                    deleteRows(target, select(target, { where: value.deleteMany }, related(field, row)));
+                }
+                for (const child of [value.create ?? []].flat()) {
+                    const created = {};
+                    link(created);
+                    insert(target, { ...child, ...created });
+                }
+                if (value.createMany) {
+                    for (const child of value.createMany.data) {
+                        const created = {};
+                        link(created);
+                        insert(target, { ...child, ...created });
+                    }
+                }
+                for (const where of [value.set ?? [], value.connect ?? []].flat()) {
+                    for (const other of select(target, { where })) link(other);
+                }
+            });
+        }
+        if (!isCreate) {
+            for (const field of model.fields.values()) {
+                if (field.updatedAt && data[field.name] === undefined) row[field.name] = new Date();
+            }
+        }
+        return after;
+    };
+
+    /**
+     * Stores a new row with its defaults and nested writes
+     * @param {Object} model
+     * @param {Object} data
+     * @returns {Object} The stored row
+     */
+    const insert = (model, data) => {
+        const row = {};
+        for (const field of model.fields.values()) {
+            if (field.relation) continue;
+            const value = defaultFor(field);
+            row[field.name] = field.updatedAt ? new Date() : value;
+        }
+        const after = applyData(model, row, data, true);
+        for (const field of model.fields.values()) {
+            if (!field.relation && row[field.name] === undefined) {
+                throw new Error(`Argument ${field.name} is missing for ${model.name}`);
+            }
+        }
+        assertUnique(model, row);
+        tables[model.name].push(row);
+        for (const write of after) write();
+        return row;
+    };
+
+    /**
+     * Removes rows and follows each relation's onDelete
+     * @param {Object} model
+     * @param {Object[]} rows
+     */
+    const deleteRows = (model, rows) => {
+        for (const row of rows) {
+            const index = tables[model.name].indexOf(row);
+            if (index === -1) continue;
+            tables[model.name].splice(index, 1);
+
+            for (const other of MODELS.values()) {
+                for (const field of other.fields.values()) {
+                    if (field.type !== model.name || !field.relation?.fields) continue;
+                    const referencing = tables[other.name].filter((candidate) => field.relation.references
+                        .every((key, position) => candidate[field.relation.fields[position]] === row[key]));
+                    if (field.relation.onDelete === 'Cascade') {
+                        deleteRows(other, referencing);
+                    } else {
+                        for (const candidate of referencing) {
+                            field.relation.fields.forEach((name) => {
+                                candidate[name] = null;
+                            });
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    /**
+     * Finds the one row a unique where clause selects
+     * @param {Object} model
+     * @param {Object} where
+     * @returns {Object}
+     */
+    const findOrThrow = (model, where) => {
+        const [row] = select(model, { where });
+        if (!row) throw prismaError('P2025', `No ${model.name} found`);
+        return row;
+    };
+
+    /**
+     * Delegate with the query methods of one model
+     * @param {Object} model
+     * @returns {Object}
+     */
+    const delegate = (model) => ({
+        findMany: async (args = {}) => select(model, args).map((row) => shape(model, row, args)),
+        findFirst: async (args = {}) => {
+            const [row] = select(model, { ...args, take: 1 });
+            return row ? shape(model, row, args) : null;
+        },
+        findUnique: async (args) => {
+            const [row] = select(model, { where: args.where, take: 1 });
+            return row ? shape(model, row, args) : null;
+        },
+        findFirstOrThrow: async (args = {}) => shape(model, findOrThrow(model, args.where), args),
+        findUniqueOrThrow: async (args) => shape(model, findOrThrow(model, args.where), args),
+        count: async (args = {}) => select(model, args).length,
+        groupBy: async ({ by, where, _count }) => {
+            const groups = new Map();
+            for (const row of select(model, { where })) {
+                const key = JSON.stringify(by.map((name) => row[name]));
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(row);
+            }
+            return [...groups.values()].map((rows) => ({
+                ...Object.fromEntries(by.map((name) => [name, copy(rows[0][name])])),
+                ...(_count && {
+                    _count: Object.fromEntries(Object.keys(_count).map((name) => [name, name === '_all'
+                        ? rows.length
+                        : rows.filter((row) => row[name] !== null).length]))
+                })
+            }));
+        },
+        create: async (args) => shape(model, insert(model, args.data), args),
+        createMany: async ({ data, skipDuplicates }) => {
+            let count = 0;
+            for (const entry of data) {
+                try {
+                    insert(model, entry);
+                    count += 1;
+                } catch (error) {
+                    if (!skipDuplicates || error.code !== 'P2002') throw error;
+                }
+            }
+            return { count };
+        },
+        update: async (args) => {
+            const row = findOrThrow(model, args.where);
+            const after = applyData(model, row, args.data, false);
+            assertUnique(model, row);
+            for (const write of after) write();
+            return shape(model, row, args);
+        },
+        updateMany: async ({ where, data }) => {
+            const rows = select(model, { where });
+            for (const row of rows) {
+                for (const write of applyData(model, row, data, false)) write();
+                assertUnique(model, row);
+            }
+            return { count: rows.length };
+        },
+        upsert: async (args) => {
+            const [row] = select(model, { where: args.where });
+            if (!row) return shape(model, insert(model, args.create), args);
+            for (const write of applyData(model, row, args.update, false)) write();
+            return shape(model, row, args);
+        },
+        delete: async (args) => {
+            const row = findOrThrow(model, args.where);
+            const result = shape(model, row, args);
+            deleteRows(model, [row]);
+            return result;
+        },
+        deleteMany: async ({ where } = {}) => {
+            const rows = select(model, { where });
+            deleteRows(model, rows);
+            return { count: rows.length };
+        }
+    });
+
+    /**
+     * Copies every table, for rolling back
+     * @returns {Object}
+     */
+    const snapshot = () => structuredClone(tables);
+
+    /**
+     * Puts the tables back as they were in a snapshot
+     * @param {Object} saved
+     */
+    const restore = (saved) => {
+        for (const [name, rows] of Object.entries(structuredClone(saved))) tables[name] = rows;
+    };
+
+    const client = {
+        $tables: tables,
+        $transaction: async (work) => {
+            if (Array.isArray(work)) return Promise.all(work);
+            const saved = snapshot();
+            try {
+                return await work(client);
+            } catch (error) {
+                restore(saved);
+                throw error;
+            }
+        },
+        $executeRawUnsafe: async (sql, ...params) => {
+            const savepoint = sql.match(/^(SAVEPOINT|RELEASE SAVEPOINT|ROLLBACK TO SAVEPOINT) (\w+)$/);
+            if (!savepoint) return executeRaw(sql, ...params);
+            if (savepoint[1] === 'SAVEPOINT') savepoints.push(snapshot());
+            if (savepoint[1] === 'ROLLBACK TO SAVEPOINT') restore(savepoints.at(-1));
+            if (savepoint[1] === 'RELEASE SAVEPOINT') savepoints.pop();
+            return 0;
+        },
+        $queryRaw: async (strings, ...values) => queryRaw(strings, values)
+    };
+    for (const model of MODELS.values()) client[delegateName(model.name)] = delegate(model);
+    return client;
+};
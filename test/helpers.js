@@ -0,0 +1,88 @@
+import { mock } from 'node:test';
+export { createFakePrisma } from './fakePrisma.js';
+
+// Read by utils/constants.js when it is first imported, so set before any source module loads
+process.env.NODE_ENV ??= 'test';
+process.env.JWT_ACCESS_SECRET ??= 'test-access-secret';
+process.env.JWT_REFRESH_SECRET ??= 'test-refresh-secret';
+
+const PRISMA_MODULE = new URL('../src/utils/prisma.js', import.meta.url).href;
+
+/**
+ * Replaces the Prisma client module with a stand-in, so code that imports it runs without a database
+ * Must be called before the module under test is imported, which therefore has to be imported dynamically
+ * @param {Object} [client={}] - Models and methods the code under test is expected to call
+ * @returns {Object} The stand-in client
+ */
+export const mockPrisma = (client = {}) => {
+    mock.module(PRISMA_MODULE, {
+        defaultExport: client,
+        namedExports: {
+            connectDB: async () => client,
+            disconnectDB: async () => {},
+            checkDBHealth: async () => ({ status: 'healthy' })
+        }
+    });
+    return client;
+};
+
+/**
+ * Starts an Express app on a free local port
+ * @param {import('express').Express} app
+ * @returns {Promise<{url: string, close: Function}>}
+ */
+export const listen = (app) => new Promise((resolve, reject) => {
+    const server = app.listen(0, '127.0.0.1', (error) => {
+        if (error) return reject(error);
+        resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise((done) => server.close(done))
+        });
+    });
+});
+
+/**
+ * Minimal Express request for calling controllers directly
+ * @param {Object} [options]
+ * @param {string} [options.userId='user-1'] - Authenticated user
+ * @param {Object<string, string>} [options.headers={}] - Request headers, read through `get`
+ * @param {Object} [options.fields] - Anything else the controller reads, such as params or validated data
+ * @returns {Object}
+ */
+export const createRequest = ({ userId = 'user-1', headers = {}, ...fields } = {}) => ({
+    params: {},
+    query: {},
+    body: {},
+    headers,
+    user: { id: userId },
+    get: (name) => Object.entries(headers).find(([key]) => key.toLowerCase() === name.toLowerCase())?.[1],
+    ...fields
+});
+
+/**
+ * Minimal Express response recorder for calling controllers and middleware directly
+ * @returns {Object} Response with the recorded `statusCode`, `headers` and `body`
+ */
+export const createResponse = () => ({
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    set(name, value) {
+        this.headers[name.toLowerCase()] = value;
+        return this;
+    },
+    get(name) {
+        return this.headers[name.toLowerCase()];
+    },
+    json(payload) {
+        this.body = payload;
+        return this;
+    },
+    end() {
+        return this;
+    }
+});
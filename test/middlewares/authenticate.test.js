@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createResponse } from '../helpers.js';
+import { authenticate, authenticateStream } from '../../src/middlewares/authenticate.js';
+import { issueTokens, issueStreamToken } from '../../src/utils/auth.js';
+
+const user = { id: 'user-1', email: 'ada@example.com', tokenVersion: 0 };
+
+/**
+ * Runs a middleware and reports whether it let the request through
+ * @param {Function} middleware
+ * @param {{authorization?: string, token?: *}} [options]
+ * @returns {{req: Object, res: Object, passed: boolean}}
+ */
+const run = (middleware, { authorization, token } = {}) => {
+    const req = {
+        headers: { ...(authorization && { authorization }) },
+        query: { ...(token !== undefined && { token }) }
+    };
+    const res = createResponse();
+    let passed = false;
+    middleware(req, res, () => {
+        passed = true;
+    });
+    return { req, res, passed };
+};
+
+describe('authenticate', () => {
+    it('attaches the user for a valid access token', () => {
+        const { accessToken } = issueTokens(user);
+
+        const { req, passed } = run(authenticate, { authorization: `Bearer ${accessToken}` });
+
+        assert.equal(passed, true);
+        assert.deepEqual(req.user, { id: user.id, email: user.email });
+    });
+
+    it('refuses a missing or malformed header', () => {
+        for (const authorization of [undefined, 'Token abc', 'Bearer']) {
+            const { res, passed } = run(authenticate, { authorization });
+
+            assert.equal(passed, false);
+            assert.equal(res.statusCode, 401);
+        }
+    });
+
+    it('refuses a stream token', () => {
+        const { token } = issueStreamToken(user);
+
+        const { res, passed } = run(authenticate, { authorization: `Bearer ${token}` });
+
+        assert.equal(passed, false);
+        assert.equal(res.body.error, 'Invalid access token');
+    });
+});
+
+describe('authenticateStream', () => {
+    it('accepts a stream token in the query string', () => {
+        const { token } = issueStreamToken(user);
+
+        const { req, passed } = run(authenticateStream, { token });
+
+        assert.equal(passed, true);
+        assert.deepEqual(req.user, { id: user.id, email: user.email });
+    });
+
+    it('refuses an access token in the query string', () => {
+        const { accessToken } = issueTokens(user);
+
+        const { res, passed } = run(authenticateStream, { token: accessToken });
+
+        assert.equal(passed, false);
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.body.error, 'Invalid stream token');
+    });
+
+    it('refuses a repeated token parameter', () => {
+        const { token } = issueStreamToken(user);
+
+        const { res, passed } = run(authenticateStream, { token: [token, token] });
+
+        assert.equal(passed, false);
+        assert.equal(res.statusCode, 401);
+    });
+
+    it('falls back to the Authorization header without a token', () => {
+        const { accessToken } = issueTokens(user);
+
+        assert.equal(run(authenticateStream, { authorization: `Bearer ${accessToken}` }).passed, true);
+        assert.equal(run(authenticateStream).res.statusCode, 401);
+    });
+});
@@ -0,0 +1,186 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import { mockPrisma, listen } from '../helpers.js';
+
+// In-memory stand-in for the IdempotencyKey model, keyed like its userId_key unique index
+const keys = new Map();
+let nextId = 1;
+mockPrisma({
+    idempotencyKey: {
+        deleteMany: async ({ where }) => {
+            const [expired, abandoned] = where.OR;
+            for (const [id, record] of keys) {
+                const isExpired = record.expiresAt <= expired.expiresAt.lte;
+                const isAbandoned = record.userId === abandoned.userId && record.key === abandoned.key &&
+                    record.status === null && record.createdAt < abandoned.createdAt.lt;
+                if (isExpired || isAbandoned) keys.delete(id);
+            }
+        },
+        create: async ({ data }) => {
+            if ([...keys.values()].some((record) => record.userId === data.userId && record.key === data.key)) {
+                throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+            }
+            const record = { id: String(nextId++), status: null, body: null, headers: null, createdAt: new Date(), ...data };
+            keys.set(record.id, record);
+            return record;
+        },
+        findUnique: async ({ where: { userId_key: { userId, key } } }) =>
+            [...keys.values()].find((record) => record.userId === userId && record.key === key) ?? null,
+        update: async ({ where, data }) => Object.assign(keys.get(where.id), data),
+        delete: async ({ where }) => keys.delete(where.id)
+    }
+});
+
+const { idempotency } = await import('../../src/middlewares/idempotency.js');
+
+// Number of times the route itself ran
+let calls = 0;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    req.user = { id: req.get('X-User') || 'user-1' };
+    next();
+});
+app.use(idempotency);
+app.post('/tasks', (req, res) => {
+    calls++;
+    res.status(201).set('ETag', `"${calls}"`).json({ success: true, data: { id: `task-${calls}`, ...req.body } });
+});
+app.delete('/tasks/:id', (req, res) => {
+    calls++;
+    res.status(204).end();
+});
+app.post('/failing', (req, res) => {
+    calls++;
+    res.status(500).json({ success: false, error: 'Failed to create task' });
+});
+app.get('/tasks', (req, res) => {
+    calls++;
+    res.json({ success: true, data: [] });
+});
+
+let server;
+
+/**
+ * Sends a request to the test app
+ * @param {string} method
+ * @param {string} path
+ * @param {{key?: string, user?: string, body?: Object}} [options]
+ * @returns {Promise<{status: number, headers: Headers, body: Object|null}>}
+ */
+const send = async (method, path, { key, user, body } = {}) => {
+    const response = await fetch(`${server.url}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(key !== undefined && { 'Idempotency-Key': key }),
+            ...(user && { 'X-User': user })
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+};
+
+describe('idempotency', () => {
+    before(async () => {
+        server = await listen(app);
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        keys.clear();
+        calls = 0;
+    });
+
+    it('replays the stored response to a retry without running the route again', async () => {
+        const first = await send('POST', '/tasks', { key: 'create-1', body: { title: 'Write tests' } });
+        const retry = await send('POST', '/tasks', { key: 'create-1', body: { title: 'Write tests' } });
+
+        assert.equal(calls, 1);
+        assert.equal(first.status, 201);
+        assert.equal(first.headers.get('Idempotent-Replayed'), null);
+        assert.equal(retry.status, 201);
+        assert.equal(retry.headers.get('Idempotent-Replayed'), 'true');
+        assert.equal(retry.headers.get('ETag'), first.headers.get('ETag'));
+        assert.deepEqual(retry.body, first.body);
+    });
+
+    it('replays an empty response', async () => {
+        await send('DELETE', '/tasks/task-1', { key: 'delete-1' });
+        const retry = await send('DELETE', '/tasks/task-1', { key: 'delete-1' });
+
+        assert.equal(calls, 1);
+        assert.equal(retry.status, 204);
+        assert.equal(retry.headers.get('Idempotent-Replayed'), 'true');
+        assert.equal(retry.body, null);
+    });
+
+    it('refuses a key reused for a different request', async () => {
+        await send('POST', '/tasks', { key: 'create-1', body: { title: 'Write tests' } });
+        const reused = await send('POST', '/tasks', { key: 'create-1', body: { title: 'Something else' } });
+
+        assert.equal(calls, 1);
+        assert.equal(reused.status, 422);
+        assert.equal(reused.body.success, false);
+    });
+
+    it('refuses a retry while the first request is still running', async () => {
+        keys.set('0', {
+            id: '0', userId: 'user-1', key: 'create-1', status: null, createdAt: new Date(),
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+            requestHash: crypto.createHash('sha256').update(JSON.stringify(['POST', '/tasks', { title: 'Write tests' }])).digest('hex')
+        });
+
+        const retry = await send('POST', '/tasks', { key: 'create-1', body: { title: 'Write tests' } });
+
+        assert.equal(calls, 0);
+        assert.equal(retry.status, 409);
+    });
+
+    it('runs a retry again after a server error', async () => {
+        await send('POST', '/failing', { key: 'create-1', body: {} });
+        const retry = await send('POST', '/failing', { key: 'create-1', body: {} });
+
+        assert.equal(calls, 2);
+        assert.equal(retry.headers.get('Idempotent-Replayed'), null);
+    });
+
+    it('keeps keys apart per user', async () => {
+        await send('POST', '/tasks', { key: 'create-1', user: 'user-1', body: { title: 'Write tests' } });
+        const other = await send('POST', '/tasks', { key: 'create-1', user: 'user-2', body: { title: 'Write tests' } });
+
+        assert.equal(calls, 2);
+        assert.equal(other.headers.get('Idempotent-Replayed'), null);
+    });
+
+    it('runs again once the stored response expires', async () => {
+        await send('POST', '/tasks', { key: 'create-1', body: { title: 'Write tests' } });
+        for (const record of keys.values()) record.expiresAt = new Date(Date.now() - 1);
+
+        await send('POST', '/tasks', { key: 'create-1', body: { title: 'Write tests' } });
+
+        assert.equal(calls, 2);
+    });
+
+    it('passes through requests without a key and safe methods', async () => {
+        await send('POST', '/tasks', { body: { title: 'Write tests' } });
+        await send('POST', '/tasks', { body: { title: 'Write tests' } });
+        await send('GET', '/tasks', { key: 'list-1' });
+        await send('GET', '/tasks', { key: 'list-1' });
+
+        assert.equal(calls, 4);
+        assert.equal(keys.size, 0);
+    });
+
+    it('rejects a key that is too long', async () => {
+        const response = await send('POST', '/tasks', { key: 'k'.repeat(256), body: {} });
+
+        assert.equal(calls, 0);
+        assert.equal(response.status, 400);
+    });
+});
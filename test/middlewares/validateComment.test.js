@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createResponse } from '../helpers.js';
+import { validateComment } from '../../src/middlewares/validateComment.js';
+
+/**
+ * Runs the validator and reports whether it let the request through
+ * @param {Object} body
+ * @returns {{req: Object, res: Object, passed: boolean}}
+ */
+const run = (body) => {
+    const req = { body };
+    const res = createResponse();
+    let passed = false;
+    validateComment(req, res, () => {
+        passed = true;
+    });
+    return { req, res, passed };
+};
+
+describe('validateComment', () => {
+    it('requires a non-empty body of at most 5000 characters', () => {
+        for (const body of [undefined, '  ', 7, 'x'.repeat(5001)]) {
+            assert.equal(run({ body }).res.body.field, 'body');
+        }
+        assert.equal(run({ body: 'x'.repeat(5000) }).passed, true);
+    });
+
+    it('refuses a parentId that is not a string', () => {
+        assert.equal(run({ body: 'Agreed', parentId: 42 }).res.body.field, 'parentId');
+    });
+
+    it('trims the body and keeps the parentId of a reply', () => {
+        assert.deepEqual(run({ body: ' Agreed ', parentId: 'comment-1' }).req.validatedCommentData,
+            { body: 'Agreed', parentId: 'comment-1' });
+        assert.deepEqual(run({ body: 'Agreed', parentId: null }).req.validatedCommentData, { body: 'Agreed' });
+    });
+});
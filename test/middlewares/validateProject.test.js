@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createResponse } from '../helpers.js';
+import { validateProject } from '../../src/middlewares/validateProject.js';
+
+/**
+ * Runs the validator and reports whether it let the request through
+ * @param {string} method
+ * @param {Object} body
+ * @returns {{req: Object, res: Object, passed: boolean}}
+ */
+const run = (method, body) => {
+    const req = { method, body };
+    const res = createResponse();
+    let passed = false;
+    validateProject(req, res, () => {
+        passed = true;
+    });
+    return { req, res, passed };
+};
+
+describe('validateProject', () => {
+    it('requires a name when creating', () => {
+        for (const body of [{}, { name: '   ' }, { name: 42 }]) {
+            const { res, passed } = run('POST', body);
+
+            assert.equal(passed, false);
+            assert.equal(res.statusCode, 400);
+            assert.equal(res.body.field, 'name');
+        }
+    });
+
+    it('trims the fields and keeps only those given', () => {
+        const { req, passed } = run('PATCH', { description: '  Chores  ', color: '', ignored: true });
+
+        assert.equal(passed, true);
+        assert.deepEqual(req.validatedProjectData, { description: 'Chores', color: null });
+    });
+
+    it('refuses a description or color that is not a string', () => {
+        assert.equal(run('PATCH', { description: 1 }).res.body.field, 'description');
+        assert.equal(run('POST', { name: 'Home', color: ['red'] }).res.body.field, 'color');
+    });
+});
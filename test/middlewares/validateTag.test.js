@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createResponse } from '../helpers.js';
+import { validateTag } from '../../src/middlewares/validateTag.js';
+
+/**
+ * Runs the validator and reports whether it let the request through
+ * @param {string} method
+ * @param {Object} body
+ * @returns {{req: Object, res: Object, passed: boolean}}
+ */
+const run = (method, body) => {
+    const req = { method, body };
+    const res = createResponse();
+    let passed = false;
+    validateTag(req, res, () => {
+        passed = true;
+    });
+    return { req, res, passed };
+};
+
+describe('validateTag', () => {
+    it('requires a name when creating', () => {
+        for (const body of [{}, { name: '' }, { name: ['urgent'] }]) {
+            assert.equal(run('POST', body).res.body.field, 'name');
+        }
+        assert.equal(run('PATCH', { color: '#ffffff' }).passed, true);
+    });
+
+    it('accepts only six-digit hex colours, stored in lowercase', () => {
+        for (const color of ['red', '#fff', '22C55E', '#22C55G']) {
+            assert.equal(run('PATCH', { color }).res.body.field, 'color');
+        }
+
+        const { req } = run('POST', { name: ' urgent ', color: '#22C55E' });
+
+        assert.deepEqual(req.validatedTagData, { name: 'urgent', color: '#22c55e' });
+    });
+
+    it('clears the colour when given null', () => {
+        assert.deepEqual(run('PATCH', { color: null }).req.validatedTagData, { color: null });
+    });
+});
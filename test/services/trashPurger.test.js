@@ -0,0 +1,124 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma, createFakePrisma } from '../helpers.js';
+
+// Read by utils/constants.js, so set before the modules under test load
+process.env.ATTACHMENT_STORAGE = 'memory';
+process.env.TRASH_RETENTION_DAYS = '30';
+
+const db = mockPrisma(createFakePrisma());
+
+const { registerStorage } = await import('../../src/services/attachmentStorage.js');
+const { default: TrashPurger } = await import('../../src/services/trashPurger.js');
+
+// Keys of the files the storage was asked to remove
+let removed;
+registerStorage('memory', {
+    save: async () => {},
+    open: async () => null,
+    remove: async (key) => {
+        removed.push(key);
+    }
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A moment the given number of days ago
+ * @param {number} days
+ * @returns {Date}
+ */
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+describe('TrashPurger', () => {
+    const { log } = console;
+
+    before(() => {
+        // Passes announce what they purged; keep the test output to the results
+        console.log = () => {};
+    });
+
+    after(() => {
+        console.log = log;
+    });
+
+    beforeEach(async () => {
+        removed = [];
+        await db.user.deleteMany();
+        await db.taskActivity.deleteMany();
+        await db.user.create({ data: { id: 'user-1', email: 'ada@example.com', passwordHash: 'hash' } });
+    });
+
+    /**
+     * Creates a task of user-1
+     * @param {string} title
+     * @param {Object} [fields]
+     * @returns {Promise<Object>}
+     */
+    const task = (title, fields = {}) => db.task.create({ data: { title, userId: 'user-1', ...fields } });
+
+    /**
+     * Titles of the tasks still stored
+     * @returns {Promise<string[]>}
+     */
+    const remaining = async () => (await db.task.findMany()).map((stored) => stored.title).sort();
+
+    it('purges only the tasks trashed longer than the retention period', async () => {
+        const expired = await task('Expired', { deletedAt: daysAgo(31) });
+        await task('Recent', { deletedAt: daysAgo(29) });
+        await task('Live');
+        await db.attachment.create({
+            data: { taskId: expired.id, uploadedById: 'user-1', filename: 'a.txt', mimeType: 'text/plain', size: 1, storageKey: 'key-1' }
+        });
+
+        await new TrashPurger().tick();
+
+        assert.deepEqual(await remaining(), ['Live', 'Recent']);
+        assert.deepEqual(removed, ['key-1']);
+        assert.equal(await db.taskActivity.count({ where: { taskId: expired.id, action: 'PURGED' } }), 1);
+    });
+
+    it('purges subtasks through an expired parent, and on their own while the parent is recent', async () => {
+        const old = await task('Old parent', { deletedAt: daysAgo(40) });
+        await task('Old child', { parentId: old.id, deletedAt: daysAgo(40) });
+        const recent = await task('Recent parent', { deletedAt: daysAgo(1) });
+        await task('Expired child', { parentId: recent.id, deletedAt: daysAgo(35) });
+        await task('Recent child', { parentId: recent.id, deletedAt: daysAgo(1) });
+
+        await new TrashPurger().tick();
+
+        assert.deepEqual(await remaining(), ['Recent child', 'Recent parent']);
+        assert.equal(await db.taskActivity.count({ where: { action: 'PURGED' } }), 3);
+    });
+
+    it('works through the expired tasks a batch at a time until none are left', async () => {
+        const transaction = db.$transaction;
+        let batches = 0;
+        db.$transaction = (...args) => {
+            batches++;
+            return transaction(...args);
+        };
+        for (let index = 0; index < 5; index++) await task(`Expired ${index}`, { deletedAt: daysAgo(31) });
+
+        try {
+            await new TrashPurger({ batchSize: 2 }).tick();
+        } finally {
+            db.$transaction = transaction;
+        }
+
+        assert.deepEqual(await remaining(), []);
+        // Three batches of at most two, then one that finds nothing
+        assert.equal(batches, 4);
+    });
+
+    it('runs one pass at a time', async () => {
+        await task('Expired', { deletedAt: daysAgo(31) });
+        const purger = new TrashPurger();
+
+        const first = purger.tick();
+
+        assert.equal(purger.tick(), first);
+        await first;
+        assert.equal(purger.running, null);
+    });
+});
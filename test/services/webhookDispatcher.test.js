@@ -0,0 +1,141 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import { mockPrisma, createFakePrisma, listen } from '../helpers.js';
+import { WEBHOOKS } from '../../src/utils/constants.js';
+
+const db = mockPrisma(createFakePrisma());
+
+const { default: WebhookDispatcher, signPayload } = await import('../../src/services/webhookDispatcher.js');
+
+// Requests the receiving endpoint got, and the status it answers with
+let received;
+let responseStatus;
+
+const receiver = express();
+receiver.post('/hook', express.text({ type: '*/*' }), (req, res) => {
+    received.push({ headers: req.headers, body: req.body });
+    res.status(responseStatus).end();
+});
+
+/**
+ * Runs one polling pass of a dispatcher
+ * @param {WebhookDispatcher} dispatcher
+ * @returns {Promise<void>}
+ */
+const runPass = async (dispatcher) => {
+    dispatcher.start();
+    await dispatcher.running;
+    await dispatcher.stop();
+};
+
+/**
+ * The stored delivery
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+const deliveryOf = (id) => db.webhookDelivery.findUnique({ where: { id } });
+
+describe('signPayload', () => {
+    it('signs the timestamp and body with HMAC-SHA256', () => {
+        const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+
+        assert.equal(signPayload('secret', '1700000000', '{"a":1}'), `sha256=${expected}`);
+        assert.notEqual(signPayload('other', '1700000000', '{"a":1}'), `sha256=${expected}`);
+    });
+});
+
+describe('WebhookDispatcher', () => {
+    const { log } = console;
+    let server;
+    let delivery;
+
+    before(async () => {
+        server = await listen(receiver);
+        // Start and stop announce themselves; keep the test output to the results
+        console.log = () => {};
+    });
+
+    after(async () => {
+        console.log = log;
+        await server.close();
+    });
+
+    beforeEach(async () => {
+        received = [];
+        responseStatus = 204;
+        await db.user.deleteMany();
+        await db.user.create({ data: { id: 'user-1', email: 'ada@example.com', passwordHash: 'hash' } });
+        const subscription = await db.webhookSubscription.create({
+            data: { url: `${server.url}/hook`, secret: 'whsec_test', events: ['task.created'], userId: 'user-1' }
+        });
+        delivery = await db.webhookDelivery.create({
+            data: {
+                subscriptionId: subscription.id,
+                event: 'task.created',
+                payload: { type: 'task.created', task: { id: 'task-1', title: 'Ship' } },
+                nextAttemptAt: new Date(Date.now() - 1000)
+            }
+        });
+    });
+
+    it('sends a signed request the receiver can verify', async () => {
+        await runPass(new WebhookDispatcher());
+
+        assert.equal(received.length, 1);
+        const [{ headers, body }] = received;
+        const timestamp = headers[WEBHOOKS.TIMESTAMP_HEADER.toLowerCase()];
+        assert.equal(headers[WEBHOOKS.SIGNATURE_HEADER.toLowerCase()], signPayload('whsec_test', timestamp, body));
+        assert.equal(headers[WEBHOOKS.DELIVERY_HEADER.toLowerCase()], delivery.id);
+        assert.deepEqual(JSON.parse(body), { id: delivery.id, type: 'task.created', task: { id: 'task-1', title: 'Ship' } });
+
+        const stored = await deliveryOf(delivery.id);
+        assert.equal(stored.status, 'SUCCESS');
+        assert.equal(stored.attempts, 1);
+        assert.equal(stored.nextAttemptAt, null);
+    });
+
+    it('retries a failed attempt after an exponential backoff', async () => {
+        responseStatus = 500;
+        await db.webhookDelivery.update({ where: { id: delivery.id }, data: { attempts: 2 } });
+
+        const started = Date.now();
+        await runPass(new WebhookDispatcher());
+
+        const stored = await deliveryOf(delivery.id);
+        assert.equal(stored.status, 'PENDING');
+        assert.equal(stored.attempts, 3);
+        assert.equal(stored.lastStatusCode, 500);
+        assert.equal(stored.lastError, 'Endpoint responded with 500');
+        const delay = stored.nextAttemptAt.getTime() - started;
+        assert.ok(delay >= 4 * WEBHOOKS.BASE_BACKOFF_MS && delay < 4 * WEBHOOKS.BASE_BACKOFF_MS + 5000, `delay ${delay}`);
+    });
+
+    it('gives up after the last attempt', async () => {
+        responseStatus = 500;
+        await db.webhookDelivery.update({ where: { id: delivery.id }, data: { attempts: WEBHOOKS.MAX_ATTEMPTS - 1 } });
+
+        await runPass(new WebhookDispatcher());
+
+        const stored = await deliveryOf(delivery.id);
+        assert.equal(stored.status, 'FAILED');
+        assert.equal(stored.attempts, WEBHOOKS.MAX_ATTEMPTS);
+        assert.equal(stored.nextAttemptAt, null);
+    });
+
+    it('does not send a delivery that is not due yet', async () => {
+        await db.webhookDelivery.update({ where: { id: delivery.id }, data: { nextAttemptAt: new Date(Date.now() + 60000) } });
+
+        await runPass(new WebhookDispatcher());
+
+        assert.equal(received.length, 0);
+    });
+
+    it('sends a delivery found by two dispatchers at once only once', async () => {
+        await Promise.all([runPass(new WebhookDispatcher()), runPass(new WebhookDispatcher())]);
+
+        assert.equal(received.length, 1);
+        assert.equal((await deliveryOf(delivery.id)).attempts, 1);
+    });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma } from '../helpers.js';
+
+mockPrisma();
+
+const { diffTask, recordActivity } = await import('../../src/utils/activity.js');
+
+const task = {
+    id: 'task-1',
+    userId: 'user-1',
+    title: 'Write tests',
+    status: 'TODO',
+    priority: 'MEDIUM',
+    dueDate: new Date('2026-03-01T09:00:00Z'),
+    projectId: null,
+    parentId: null,
+    tags: [{ tagId: 'b' }, { tagId: 'a' }],
+    recurrence: null,
+    version: 1
+};
+
+describe('diffTask', () => {
+    it('records every set field of a created task', () => {
+        assert.deepEqual(diffTask(null, task), {
+            title: { from: null, to: 'Write tests' },
+            status: { from: null, to: 'TODO' },
+            priority: { from: null, to: 'MEDIUM' },
+            dueDate: { from: null, to: '2026-03-01T09:00:00.000Z' },
+            tags: { from: null, to: ['a', 'b'] }
+        });
+    });
+
+    it('records only the tracked fields that changed', () => {
+        const after = { ...task, status: 'DONE', dueDate: new Date(task.dueDate), version: 2 };
+
+        assert.deepEqual(diffTask(task, after), { status: { from: 'TODO', to: 'DONE' } });
+    });
+
+    it('compares tags as sorted IDs, whether join rows or flattened tags', () => {
+        assert.deepEqual(diffTask(task, { ...task, tags: [{ id: 'a' }, { id: 'b' }] }), {});
+        assert.deepEqual(diffTask(task, { ...task, tags: [] }), { tags: { from: ['a', 'b'], to: null } });
+    });
+});
+
+describe('recordActivity', () => {
+    /**
+     * Stand-in client that keeps what it is asked to create
+     * @returns {{client: Object, created: Object[]}}
+     */
+    const recorder = () => {
+        const created = [];
+        return {
+            created,
+            client: { taskActivity: { create: async ({ data }) => created.push(data) && data } }
+        };
+    };
+
+    it('appends an entry for the task\'s owner', async () => {
+        const { client, created } = recorder();
+
+        await recordActivity({ task, actorId: 'user-2', action: 'DELETED', changes: diffTask(task, null) }, client);
+
+        assert.equal(created.length, 1);
+        assert.equal(created[0].userId, 'user-1');
+        assert.equal(created[0].actorId, 'user-2');
+        assert.equal(created[0].changes.title.to, null);
+    });
+
+    it('skips an update that changed none of the tracked fields', async () => {
+        const { client, created } = recorder();
+
+        assert.equal(await recordActivity({ task, actorId: 'user-1', action: 'UPDATED', changes: {} }, client), null);
+        assert.equal(created.length, 0);
+    });
+});
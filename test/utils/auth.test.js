@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import '../helpers.js';
+import {
+    missingAuthSecrets,
+    issueTokens,
+    issueStreamToken,
+    verifyAccessToken,
+    verifyRefreshToken,
+    verifyStreamToken,
+    toPublicUser
+} from '../../src/utils/auth.js';
+
+const user = { id: 'user-1', email: 'ada@example.com', tokenVersion: 3 };
+
+describe('issueTokens', () => {
+    it('issues an access token carrying the user', () => {
+        const { accessToken, tokenType } = issueTokens(user);
+
+        const payload = verifyAccessToken(accessToken);
+        assert.equal(payload.sub, user.id);
+        assert.equal(payload.email, user.email);
+        assert.equal(tokenType, 'Bearer');
+    });
+
+    it('issues a refresh token carrying the token version', () => {
+        const { refreshToken } = issueTokens(user);
+
+        const payload = verifyRefreshToken(refreshToken);
+        assert.equal(payload.sub, user.id);
+        assert.equal(payload.ver, user.tokenVersion);
+    });
+
+    it('signs access and refresh tokens with different secrets', () => {
+        const { accessToken, refreshToken } = issueTokens(user);
+
+        assert.throws(() => verifyRefreshToken(accessToken), jwt.JsonWebTokenError);
+        assert.throws(() => verifyAccessToken(refreshToken), jwt.JsonWebTokenError);
+    });
+});
+
+describe('verifyAccessToken', () => {
+    it('rejects a token signed with another secret', () => {
+        const token = jwt.sign({ sub: user.id }, 'some-other-secret');
+
+        assert.throws(() => verifyAccessToken(token), jwt.JsonWebTokenError);
+    });
+
+    it('rejects an expired token', () => {
+        const token = jwt.sign({ sub: user.id, exp: Math.floor(Date.now() / 1000) - 60 },
+            process.env.JWT_ACCESS_SECRET);
+
+        assert.throws(() => verifyAccessToken(token), jwt.TokenExpiredError);
+    });
+
+    it('rejects a stream token', () => {
+        const { token } = issueStreamToken(user);
+
+        assert.throws(() => verifyAccessToken(token), /scope not allowed/);
+    });
+});
+
+describe('verifyStreamToken', () => {
+    it('accepts a stream token', () => {
+        const { token } = issueStreamToken(user);
+
+        assert.equal(verifyStreamToken(token).sub, user.id);
+    });
+
+    it('rejects an access token', () => {
+        const { accessToken } = issueTokens(user);
+
+        assert.throws(() => verifyStreamToken(accessToken), /scope invalid/);
+    });
+});
+
+describe('missingAuthSecrets', () => {
+    it('is empty when both secrets are set', () => {
+        assert.deepEqual(missingAuthSecrets(), []);
+    });
+});
+
+describe('toPublicUser', () => {
+    it('leaves out the password hash and token version', () => {
+        const result = toPublicUser({ ...user, passwordHash: 'hash', name: 'Ada' });
+
+        assert.deepEqual(result, { id: user.id, email: user.email, name: 'Ada' });
+    });
+});
@@ -0,0 +1,138 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import '../helpers.js';
+import {
+    isValidTimeZone,
+    fromZonedParts,
+    startOfDay,
+    startOfWeek,
+    startOfMonth,
+    shiftDate,
+    formatZonedDate,
+    parseCalendarDate
+} from '../../src/utils/dates.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('isValidTimeZone', () => {
+    it('accepts IANA names and UTC', () => {
+        assert.equal(isValidTimeZone('Europe/Berlin'), true);
+        assert.equal(isValidTimeZone('UTC'), true);
+    });
+
+    it('rejects unknown and empty names', () => {
+        assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+        assert.equal(isValidTimeZone(''), false);
+        assert.equal(isValidTimeZone(undefined), false);
+    });
+});
+
+describe('fromZonedParts', () => {
+    it('converts a wall-clock time to an instant', () => {
+        assert.deepEqual(fromZonedParts({ year: 2026, month: 1, day: 15, hour: 9 }, 'America/New_York'),
+            new Date('2026-01-15T14:00:00Z'));
+        assert.deepEqual(fromZonedParts({ year: 2026, month: 7, day: 15, hour: 9 }, 'America/New_York'),
+            new Date('2026-07-15T13:00:00Z'));
+    });
+
+    it('rolls over out-of-range parts', () => {
+        assert.deepEqual(fromZonedParts({ year: 2026, month: 13, day: 32 }, 'UTC'), new Date('2027-02-01T00:00:00Z'));
+    });
+
+    it('moves a time skipped by the spring change forward by the jump', () => {
+        // Berlin clocks go from 02:00 to 03:00 on 2026-03-29
+        assert.deepEqual(fromZonedParts({ year: 2026, month: 3, day: 29, hour: 2, minute: 30 }, 'Europe/Berlin'),
+            new Date('2026-03-29T01:30:00Z'));
+    });
+
+    it('resolves a time repeated by the autumn change to its first occurrence', () => {
+        // Berlin clocks go from 03:00 back to 02:00 on 2026-10-25
+        assert.deepEqual(fromZonedParts({ year: 2026, month: 10, day: 25, hour: 2, minute: 30 }, 'Europe/Berlin'),
+            new Date('2026-10-25T00:30:00Z'));
+    });
+});
+
+describe('startOfDay', () => {
+    it('follows the time zone of the calendar', () => {
+        const instant = new Date('2026-03-11T23:30:00Z');
+
+        assert.deepEqual(startOfDay(instant, 'UTC'), new Date('2026-03-11T00:00:00Z'));
+        assert.deepEqual(startOfDay(instant, 'Europe/Berlin'), new Date('2026-03-11T23:00:00Z'));
+        assert.deepEqual(startOfDay(instant, 'America/Los_Angeles'), new Date('2026-03-11T07:00:00Z'));
+    });
+
+    it('counts days on the wall clock across a daylight saving change', () => {
+        const start = startOfDay(new Date('2026-03-29T12:00:00Z'), 'Europe/Berlin');
+        const next = startOfDay(start, 'Europe/Berlin', 1);
+
+        assert.deepEqual(start, new Date('2026-03-28T23:00:00Z'));
+        assert.equal(next - start, 23 * HOUR_MS);
+    });
+});
+
+describe('startOfWeek', () => {
+    // A Wednesday
+    const instant = new Date('2026-03-11T12:00:00Z');
+
+    it('goes back to the configured first day of the week', () => {
+        assert.deepEqual(startOfWeek(instant, 'UTC'), new Date('2026-03-08T00:00:00Z'));
+        assert.deepEqual(startOfWeek(instant, 'UTC', 1), new Date('2026-03-09T00:00:00Z'));
+        assert.deepEqual(startOfWeek(instant, 'UTC', 3), new Date('2026-03-11T00:00:00Z'));
+    });
+
+    it('moves by whole weeks', () => {
+        assert.deepEqual(startOfWeek(instant, 'UTC', 1, -1), new Date('2026-03-02T00:00:00Z'));
+        assert.deepEqual(startOfWeek(instant, 'UTC', 1, 2), new Date('2026-03-23T00:00:00Z'));
+    });
+});
+
+describe('startOfMonth', () => {
+    it('moves by whole months across years', () => {
+        const instant = new Date('2026-03-11T12:00:00Z');
+
+        assert.deepEqual(startOfMonth(instant, 'UTC'), new Date('2026-03-01T00:00:00Z'));
+        assert.deepEqual(startOfMonth(instant, 'UTC', -3), new Date('2025-12-01T00:00:00Z'));
+        assert.deepEqual(startOfMonth(instant, 'Asia/Tokyo', 1), new Date('2026-03-31T15:00:00Z'));
+    });
+});
+
+describe('shiftDate', () => {
+    const instant = new Date('2026-03-28T11:00:00Z');
+
+    it('keeps the wall-clock time when shifting by calendar units', () => {
+        // Noon in Berlin, the day before clocks go forward
+        assert.deepEqual(shiftDate(instant, 1, 'd', 'Europe/Berlin'), new Date('2026-03-29T10:00:00Z'));
+        assert.deepEqual(shiftDate(instant, 1, 'w', 'Europe/Berlin'), new Date('2026-04-04T10:00:00Z'));
+    });
+
+    it('shifts hours as elapsed time', () => {
+        assert.deepEqual(shiftDate(instant, 24, 'h', 'Europe/Berlin'), new Date('2026-03-29T11:00:00Z'));
+    });
+
+    it('shifts by months and years, back as well as forward', () => {
+        assert.deepEqual(shiftDate(instant, -2, 'm', 'UTC'), new Date('2026-01-28T11:00:00Z'));
+        assert.deepEqual(shiftDate(instant, 1, 'y', 'UTC'), new Date('2027-03-28T11:00:00Z'));
+    });
+});
+
+describe('formatZonedDate', () => {
+    it('formats the calendar date in the time zone', () => {
+        const instant = new Date('2026-03-11T15:00:00Z');
+
+        assert.equal(formatZonedDate(instant, 'UTC'), '2026-03-11');
+        assert.equal(formatZonedDate(instant, 'Pacific/Auckland'), '2026-03-12');
+    });
+});
+
+describe('parseCalendarDate', () => {
+    it('parses a YYYY-MM-DD date', () => {
+        assert.deepEqual(parseCalendarDate('2024-02-29'), { year: 2024, month: 2, day: 29 });
+    });
+
+    it('rejects dates that do not exist and other formats', () => {
+        assert.equal(parseCalendarDate('2026-02-29'), null);
+        assert.equal(parseCalendarDate('2026-13-01'), null);
+        assert.equal(parseCalendarDate('2026-3-1'), null);
+        assert.equal(parseCalendarDate('2026-03-01T00:00:00Z'), null);
+    });
+});
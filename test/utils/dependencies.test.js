@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma } from '../helpers.js';
+
+mockPrisma();
+
+const { findDependencyCycle, assertUnblocked } = await import('../../src/utils/dependencies.js');
+const { STATUS } = await import('../../src/utils/constants.js');
+
+/**
+ * Transaction stand-in holding dependency links, as [blockedId, blockerId] pairs
+ * @param {string[][]} links
+ * @returns {Object}
+ */
+const linkClient = (links) => ({
+    taskDependency: {
+        findMany: async () => links.map(([blockedId, blockerId]) => ({ blockedId, blockerId }))
+    }
+});
+
+/**
+ * Transaction stand-in whose task lookups return the given open blockers
+ * @param {string[]} titles
+ * @returns {{tx: Object, calls: Object[]}}
+ */
+const blockerClient = (titles) => {
+    const calls = [];
+    const tx = {
+        task: {
+            findMany: async (args) => {
+                calls.push(args);
+                return titles.map((title) => ({ title }));
+            }
+        }
+    };
+    return { tx, calls };
+};
+
+describe('findDependencyCycle', () => {
+    it('finds no cycle when there are no links', async () => {
+        assert.equal(await findDependencyCycle(linkClient([]), 'user-1', 'a', 'b'), null);
+    });
+
+    it('finds no cycle along an unrelated chain', async () => {
+        const tx = linkClient([['b', 'c'], ['c', 'd'], ['x', 'a']]);
+
+        assert.equal(await findDependencyCycle(tx, 'user-1', 'a', 'b'), null);
+    });
+
+    it('finds a direct cycle', async () => {
+        const tx = linkClient([['b', 'a']]);
+
+        assert.deepEqual(await findDependencyCycle(tx, 'user-1', 'a', 'b'), ['a', 'b', 'a']);
+    });
+
+    it('finds a cycle through other tasks', async () => {
+        const tx = linkClient([['b', 'c'], ['c', 'd'], ['d', 'a']]);
+
+        assert.deepEqual(await findDependencyCycle(tx, 'user-1', 'a', 'b'), ['a', 'b', 'c', 'd', 'a']);
+    });
+
+    it('reports the shortest cycle', async () => {
+        const tx = linkClient([['b', 'c'], ['c', 'd'], ['d', 'a'], ['b', 'e'], ['e', 'a']]);
+
+        assert.deepEqual(await findDependencyCycle(tx, 'user-1', 'a', 'b'), ['a', 'b', 'e', 'a']);
+    });
+
+    it('terminates on cycles that do not pass through the new link', async () => {
+        const tx = linkClient([['b', 'c'], ['c', 'b']]);
+
+        assert.equal(await findDependencyCycle(tx, 'user-1', 'a', 'b'), null);
+    });
+});
+
+describe('assertUnblocked', () => {
+    const task = { id: 'task-1', statusCategory: STATUS.TODO };
+
+    it('refuses to start a task with an open blocker', async () => {
+        const { tx } = blockerClient(['Write spec']);
+
+        await assert.rejects(assertUnblocked(tx, task, STATUS.IN_PROGRESS), (error) => {
+            assert.equal(error.status, 409);
+            assert.equal(error.field, 'status');
+            assert.match(error.message, /Blocked by 1 open task: "Write spec"/);
+            return true;
+        });
+    });
+
+    it('refuses to finish a task with open blockers, naming them all', async () => {
+        const { tx } = blockerClient(['Write spec', 'Review spec']);
+
+        await assert.rejects(assertUnblocked(tx, task, STATUS.DONE), /2 open tasks: "Write spec", "Review spec"/);
+    });
+
+    it('allows the change when every blocker is done', async () => {
+        const { tx } = blockerClient([]);
+
+        await assertUnblocked(tx, task, STATUS.DONE);
+    });
+
+    it('allows the change when forced, without looking up blockers', async () => {
+        const { tx, calls } = blockerClient(['Write spec']);
+
+        await assertUnblocked(tx, task, STATUS.DONE, true);
+        assert.equal(calls.length, 0);
+    });
+
+    it('allows moving back to do and moves within the same category', async () => {
+        const { tx, calls } = blockerClient(['Write spec']);
+
+        await assertUnblocked(tx, { ...task, statusCategory: STATUS.IN_PROGRESS }, STATUS.TODO);
+        await assertUnblocked(tx, { ...task, statusCategory: STATUS.IN_PROGRESS }, STATUS.IN_PROGRESS);
+        await assertUnblocked(tx, task, undefined);
+        assert.equal(calls.length, 0);
+    });
+});
@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakePrisma } from '../helpers.js';
+import { taskETag, ifMatchPasses, ifNoneMatchHits, bumpDependentVersions } from '../../src/utils/etag.js';
+
+const task = { version: 3 };
+
+describe('taskETag', () => {
+    it('quotes the task version', () => {
+        assert.equal(taskETag(task), '"3"');
+    });
+});
+
+describe('ifMatchPasses', () => {
+    it('passes without a header', () => {
+        assert.equal(ifMatchPasses(undefined, task), true);
+    });
+
+    it('passes for the current tag, alone or in a list', () => {
+        assert.equal(ifMatchPasses('"3"', task), true);
+        assert.equal(ifMatchPasses('"1", "3"', task), true);
+    });
+
+    it('passes for a wildcard', () => {
+        assert.equal(ifMatchPasses('*', task), true);
+    });
+
+    it('fails for an outdated tag', () => {
+        assert.equal(ifMatchPasses('"2"', task), false);
+        assert.equal(ifMatchPasses('"1", "2"', task), false);
+    });
+
+    it('fails for a weak tag, since If-Match uses strong comparison', () => {
+        assert.equal(ifMatchPasses('W/"3"', task), false);
+    });
+
+    it('fails for an unquoted version', () => {
+        assert.equal(ifMatchPasses('3', task), false);
+    });
+});
+
+describe('ifNoneMatchHits', () => {
+    it('misses without a header', () => {
+        assert.equal(ifNoneMatchHits(undefined, '"3"'), false);
+    });
+
+    it('hits for the current tag, weak or strong', () => {
+        assert.equal(ifNoneMatchHits('"3"', '"3"'), true);
+        assert.equal(ifNoneMatchHits('W/"3"', '"3"'), true);
+        assert.equal(ifNoneMatchHits('"1",W/"3"', '"3"'), true);
+    });
+
+    it('hits for a wildcard', () => {
+        assert.equal(ifNoneMatchHits('*', '"3"'), true);
+    });
+
+    it('misses for an outdated tag', () => {
+        assert.equal(ifNoneMatchHits('"2", W/"1"', '"3"'), false);
+    });
+});
+
+describe('bumpDependentVersions', () => {
+    it('bumps the parent and the blocked tasks of a changed task, and nothing else', async () => {
+        const db = createFakePrisma();
+        await db.user.create({ data: { id: 'user-1', email: 'ada@example.com', passwordHash: 'hash' } });
+        const create = (title, data = {}) => db.task.create({ data: { title, userId: 'user-1', ...data } });
+        const parent = await create('Parent');
+        const changed = await create('Changed', { parentId: parent.id });
+        const blocked = await create('Blocked');
+        const trashed = await create('Trashed', { deletedAt: new Date() });
+        await create('Unrelated');
+        for (const task of [blocked, trashed]) {
+            await db.taskDependency.create({ data: { blockedId: task.id, blockerId: changed.id } });
+        }
+
+        const { count } = await bumpDependentVersions(db, { id: changed.id });
+
+        const versions = Object.fromEntries((await db.task.findMany()).map((task) => [task.title, task.version]));
+        assert.equal(count, 2);
+        assert.deepEqual(versions, { Parent: 2, Changed: 1, Blocked: 2, Trashed: 1, Unrelated: 1 });
+    });
+});
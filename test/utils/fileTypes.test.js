@@ -0,0 +1,28 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectMimeType } from '../../src/utils/fileTypes.js';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+
+describe('detectMimeType', () => {
+    it('recognizes binary types by their signature, whatever the file is called', () => {
+        assert.equal(detectMimeType(PNG, 'notes.txt'), 'image/png');
+        assert.equal(detectMimeType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]), 'photo.jpg'), 'image/jpeg');
+        assert.equal(detectMimeType(Buffer.from('GIF89a...'), 'a.gif'), 'image/gif');
+        assert.equal(detectMimeType(Buffer.from('RIFF\x10\x00\x00\x00WEBPVP8 '), 'a.webp'), 'image/webp');
+        assert.equal(detectMimeType(Buffer.from('%PDF-1.7\n'), 'report.pdf'), 'application/pdf');
+        assert.equal(detectMimeType(Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14]), 'archive.zip'), 'application/zip');
+    });
+
+    it('takes text as CSV by its extension and as plain text otherwise', () => {
+        assert.equal(detectMimeType(Buffer.from('title,status\nShip,DONE\n'), 'tasks.CSV'), 'text/csv');
+        assert.equal(detectMimeType(Buffer.from('Grüße\r\n\tnotes'), 'notes.txt'), 'text/plain');
+        assert.equal(detectMimeType(Buffer.from('title,status\n'), 'tasks'), 'text/plain');
+    });
+
+    it('recognizes nothing else', () => {
+        assert.equal(detectMimeType(Buffer.from([0x4d, 0x5a, 0x90, 0x00]), 'setup.exe'), null);
+        assert.equal(detectMimeType(Buffer.from([0xc3, 0x28]), 'broken.txt'), null);
+        assert.equal(detectMimeType(Buffer.from('RIFF\x10\x00\x00\x00WAVE'), 'sound.webp'), null);
+    });
+});
@@ -0,0 +1,196 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma } from '../helpers.js';
+
+mockPrisma();
+
+const { parseFilterQuery, buildFilterQueryWhere, matchesFilterQuery } = await import('../../src/utils/filterQuery.js');
+const { FILTER_QUERY } = await import('../../src/utils/constants.js');
+
+// A Wednesday afternoon
+const now = new Date('2026-03-11T15:00:00Z');
+const calendar = { timeZone: 'UTC', weekStart: 1 };
+
+/**
+ * Parses a filter that is expected to be valid
+ * @param {string} text
+ * @returns {Object} Query tree
+ */
+const parse = (text) => {
+    const { query, error } = parseFilterQuery(text);
+    assert.equal(error, undefined, error?.error);
+    return query;
+};
+
+/**
+ * Compiles a filter that is expected to be valid
+ * @param {string} text
+ * @param {Object} [options=calendar]
+ * @returns {Object} Prisma where clause
+ */
+const where = (text, options = calendar) => buildFilterQueryWhere(parse(text), now, options);
+
+describe('parseFilterQuery', () => {
+    it('parses a comparison', () => {
+        assert.deepEqual(parse('title ~ "release notes"'), {
+            type: 'compare',
+            field: 'title',
+            operator: '~',
+            value: { text: 'release notes' }
+        });
+    });
+
+    it('binds and tighter than or', () => {
+        const query = parse('status = todo or status = done and priority = high');
+
+        assert.equal(query.type, 'or');
+        assert.equal(query.children[0].type, 'compare');
+        assert.equal(query.children[1].type, 'and');
+    });
+
+    it('groups with parentheses and negates with not', () => {
+        const query = parse('not (status = todo or status = done)');
+
+        assert.equal(query.type, 'not');
+        assert.equal(query.child.type, 'or');
+    });
+
+    it('treats keywords, field names and built-in statuses case-insensitively', () => {
+        assert.deepEqual(parse('STATUS = In_Progress AND Priority IN (HIGH, low)'), parse('status = inProgress and priority in (high, low)'));
+    });
+
+    it('parses not in as a negated in', () => {
+        const query = parse('priority not in (low, medium)');
+
+        assert.equal(query.type, 'not');
+        assert.deepEqual(query.child, { type: 'in', field: 'priority', values: [{ rank: 1 }, { rank: 2 }] });
+    });
+
+    it('parses absolute and relative dates', () => {
+        assert.deepEqual(parse('dueDate = 2026-03-01').value, { day: { year: 2026, month: 3, day: 1 } });
+        assert.deepEqual(parse('dueDate < week+5d').value, { anchor: 'week', offset: 5, unit: 'd' });
+        assert.deepEqual(parse('createdAt >= 2026-03-01T12:00:00Z').value, { date: new Date('2026-03-01T12:00:00Z') });
+    });
+
+    it('rejects an empty filter', () => {
+        assert.deepEqual(parseFilterQuery('   '), { error: { error: 'Filter is empty', field: 'filter', position: 1 } });
+    });
+
+    it('points at an unknown field', () => {
+        const { error } = parseFilterQuery('status = done and colour = red');
+
+        assert.equal(error.field, 'filter');
+        assert.equal(error.position, 19);
+        assert.match(error.error, /^Unknown field "colour" at position 19/);
+    });
+
+    it('rejects operators a field does not support', () => {
+        assert.match(parseFilterQuery('status < done').error.error, /status does not support "<"/);
+        assert.match(parseFilterQuery('dueDate in (today)').error.error, /dueDate does not support "in"/);
+    });
+
+    it('rejects invalid values', () => {
+        assert.match(parseFilterQuery('priority = urgent').error.error, /Invalid priority "urgent"/);
+        assert.match(parseFilterQuery('dueDate = tomorrow').error.error, /Invalid date "tomorrow"/);
+        assert.match(parseFilterQuery('createdAt = null').error.error, /createdAt cannot be null/);
+        assert.match(parseFilterQuery('dueDate < null').error.error, /null can only be compared with = or !=/);
+    });
+
+    it('rejects unbalanced input', () => {
+        assert.match(parseFilterQuery('(status = done').error.error, /Expected "\)" but found end of filter/);
+        assert.match(parseFilterQuery('title = "unclosed').error.error, /Unclosed quoted value at position 9/);
+        assert.match(parseFilterQuery('status = done done').error.error, /Expected "and", "or" or end of filter/);
+    });
+
+    it('enforces the size limits', () => {
+        const deep = `${'('.repeat(FILTER_QUERY.MAX_DEPTH + 1)}status = done${')'.repeat(FILTER_QUERY.MAX_DEPTH + 1)}`;
+        const wide = Array.from({ length: FILTER_QUERY.MAX_CONDITIONS + 1 }, () => 'status = done').join(' or ');
+
+        assert.match(parseFilterQuery(deep).error.error, /nested more than/);
+        assert.match(parseFilterQuery(wide).error.error, /more than \d+ conditions/);
+        assert.equal(parseFilterQuery('x'.repeat(FILTER_QUERY.MAX_LENGTH + 1)).error.position, FILTER_QUERY.MAX_LENGTH + 1);
+    });
+});
+
+describe('buildFilterQueryWhere', () => {
+    it('compares priorities by rank', () => {
+        assert.deepEqual(where('priority >= medium'), { priorityRank: { gte: 2 } });
+    });
+
+    it('compiles != and in', () => {
+        assert.deepEqual(where('status != done'), { NOT: { status: { equals: 'DONE' } } });
+        assert.deepEqual(where('projectId in (p1, null)'), {
+            OR: [{ projectId: { not: null, equals: 'p1' } }, { projectId: null }]
+        });
+    });
+
+    it('matches a whole day for a calendar date', () => {
+        assert.deepEqual(where('dueDate = today'), {
+            dueDate: { not: null, gte: new Date('2026-03-11T00:00:00Z'), lt: new Date('2026-03-12T00:00:00Z') }
+        });
+    });
+
+    it('follows the week start', () => {
+        assert.deepEqual(where('dueDate <= week'), { dueDate: { not: null, lt: new Date('2026-03-16T00:00:00Z') } });
+        assert.deepEqual(where('dueDate <= week', { timeZone: 'UTC', weekStart: 0 }),
+            { dueDate: { not: null, lt: new Date('2026-03-15T00:00:00Z') } });
+    });
+
+    it('shifts periods by their offset unit', () => {
+        assert.deepEqual(where('createdAt = month-1m'), {
+            createdAt: { gte: new Date('2026-02-01T00:00:00Z'), lt: new Date('2026-03-01T00:00:00Z') }
+        });
+        assert.deepEqual(where('updatedAt > now-2h'), { updatedAt: { gt: new Date('2026-03-11T13:00:00Z') } });
+    });
+
+    it('resolves days in the requested time zone', () => {
+        assert.deepEqual(where('dueDate = today', { timeZone: 'Asia/Tokyo', weekStart: 1 }), {
+            dueDate: { not: null, gte: new Date('2026-03-11T15:00:00Z'), lt: new Date('2026-03-12T15:00:00Z') }
+        });
+    });
+
+    it('matches tags by ID or name', () => {
+        assert.deepEqual(where('tag = urgent'), {
+            tags: { some: { tag: { OR: [{ id: 'urgent' }, { name: 'urgent' }] } } }
+        });
+        assert.deepEqual(where('tag = null'), { tags: { none: {} } });
+    });
+});
+
+describe('matchesFilterQuery', () => {
+    const task = {
+        title: 'Write Release notes',
+        status: 'IN_PROGRESS',
+        statusCategory: 'IN_PROGRESS',
+        priority: 'HIGH',
+        dueDate: new Date('2026-03-11T09:00:00Z'),
+        projectId: null,
+        tags: [{ id: 't1', name: 'docs' }]
+    };
+
+    /**
+     * Matches the sample task against a filter
+     * @param {string} text
+     * @returns {boolean}
+     */
+    const matches = (text) => matchesFilterQuery(task, parse(text), now, calendar);
+
+    it('agrees with the compiled where clause', () => {
+        assert.equal(matches('priority > medium and dueDate = today'), true);
+        assert.equal(matches('status in (todo, done)'), false);
+        assert.equal(matches('statusCategory != done and tag = docs'), true);
+        assert.equal(matches('projectId = null and not (dueDate < today)'), true);
+    });
+
+    it('matches title contains without regard to case', () => {
+        assert.equal(matches('title ~ "release"'), true);
+        assert.equal(matches('title = "write release notes"'), false);
+    });
+
+    it('never matches a missing due date by comparison', () => {
+        const undated = { ...task, dueDate: null };
+
+        assert.equal(matchesFilterQuery(undated, parse('dueDate < today'), now, calendar), false);
+        assert.equal(matchesFilterQuery(undated, parse('not (dueDate < today)'), now, calendar), true);
+    });
+});
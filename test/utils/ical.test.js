@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import '../helpers.js';
+import { renderTaskCalendar } from '../../src/utils/ical.js';
+import { CALENDAR } from '../../src/utils/constants.js';
+
+/**
+ * Done task due on a given day, last changed after it was completed
+ * @param {Object} [fields]
+ * @returns {Object}
+ */
+const doneTask = (fields = {}) => ({
+    id: 'task-1',
+    title: 'File taxes',
+    statusCategory: 'DONE',
+    priority: 'HIGH',
+    dueDate: new Date('2026-04-15T00:00:00Z'),
+    createdAt: new Date('2026-03-01T09:00:00Z'),
+    completedAt: new Date('2026-04-10T16:30:00Z'),
+    updatedAt: new Date('2026-04-12T08:00:00Z'),
+    tags: [],
+    ...fields
+});
+
+/**
+ * Content lines of a to-do calendar holding the tasks
+ * @param {Object[]} tasks
+ * @returns {string[]}
+ */
+const todoLines = (tasks) => renderTaskCalendar(tasks, { name: 'Tasks', component: CALENDAR.COMPONENTS.TODO }).split('\r\n');
+
+describe('renderTaskCalendar', () => {
+    it('dates a completed to-do by when the task was completed', () => {
+        const lines = todoLines([doneTask()]);
+
+        assert.ok(lines.includes('COMPLETED:20260410T163000Z'));
+        assert.ok(lines.includes('LAST-MODIFIED:20260412T080000Z'));
+    });
+
+    it('falls back to the last change for tasks without a completion time', () => {
+        assert.ok(todoLines([doneTask({ completedAt: null })]).includes('COMPLETED:20260412T080000Z'));
+    });
+
+    it('leaves open to-dos without a completion', () => {
+        const lines = todoLines([doneTask({ statusCategory: 'TODO', completedAt: null })]);
+
+        assert.ok(lines.includes('STATUS:NEEDS-ACTION'));
+        assert.ok(!lines.some((line) => line.startsWith('COMPLETED')));
+    });
+});
@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakePrisma } from '../helpers.js';
+import { rankBetween, spreadRanks, endOfColumnPosition, rebalanceColumn } from '../../src/utils/ranking.js';
+import { RANKING } from '../../src/utils/constants.js';
+
+/**
+ * Checks a key sorts strictly between two others and stays insertable on both sides
+ * @param {string} key
+ * @param {string|null} before
+ * @param {string|null} after
+ */
+const assertBetween = (key, before, after) => {
+    if (before !== null) assert.ok(key > before, `"${key}" should sort after "${before}"`);
+    if (after !== null) assert.ok(key < after, `"${key}" should sort before "${after}"`);
+    assert.doesNotMatch(key, /0$/, `"${key}" should not end in 0`);
+};
+
+/**
+ * Transaction stand-in over a single status column of tasks
+ * @param {Array<string|null>} positions
+ * @returns {{tx: Object, tasks: Object[]}}
+ */
+const columnClient = (positions) => {
+    const tasks = positions.map((position, index) => ({ id: `task-${index}`, position }));
+    const sorted = () => [...tasks].sort((a, b) => {
+        if (a.position === null || b.position === null) return (a.position === null) - (b.position === null);
+        return a.position < b.position ? -1 : 1;
+    });
+    const tx = {
+        task: {
+            findFirst: async () => sorted().filter((task) => task.position !== null).at(-1) ?? null,
+            findMany: async () => sorted().map(({ id }) => ({ id })),
+            update: async ({ where, data }) => Object.assign(tasks.find((task) => task.id === where.id), data)
+        }
+    };
+    return { tx, tasks };
+};
+
+describe('rankBetween', () => {
+    it('starts an empty column in the middle', () => {
+        assert.equal(rankBetween(null, null), 'i');
+    });
+
+    it('ranks before the first and after the last key', () => {
+        assertBetween(rankBetween(null, 'i'), null, 'i');
+        assertBetween(rankBetween('i', null), 'i', null);
+        assertBetween(rankBetween('zz', null), 'zz', null);
+        assertBetween(rankBetween(null, '01'), null, '01');
+    });
+
+    it('ranks between adjacent and prefixed keys', () => {
+        for (const [before, after] of [['a', 'b'], ['a', 'a1'], ['az', 'b'], ['i', 'i01'], ['h', 'i'], ['1', '2']]) {
+            assertBetween(rankBetween(before, after), before, after);
+        }
+    });
+
+    it('keeps finding room on repeated inserts at the same spot', () => {
+        let before = 'a';
+        let after = 'b';
+        for (let i = 0; i < 200; i++) {
+            const key = rankBetween(before, after);
+            assertBetween(key, before, after);
+            if (i % 2 === 0) before = key;
+            else after = key;
+        }
+    });
+
+    it('grows slowly when appending', () => {
+        let key = null;
+        for (let i = 0; i < 500; i++) {
+            const next = rankBetween(key, null);
+            assertBetween(next, key, null);
+            key = next;
+        }
+        assert.ok(key.length <= 16);
+    });
+
+    it('refuses keys out of order', () => {
+        assert.throws(() => rankBetween('b', 'a'), /Cannot rank between "b" and "a"/);
+        assert.throws(() => rankBetween('a', 'a'));
+    });
+});
+
+describe('spreadRanks', () => {
+    it('returns ascending, evenly spaced keys', () => {
+        for (const count of [0, 1, 5, 100, 2000]) {
+            const keys = spreadRanks(count);
+
+            assert.equal(keys.length, count);
+            keys.forEach((key, index) => assertBetween(key, keys[index - 1] ?? null, null));
+        }
+    });
+
+    it('leaves room between every pair of keys', () => {
+        const keys = spreadRanks(50);
+
+        for (let i = 1; i < keys.length; i++) {
+            assertBetween(rankBetween(keys[i - 1], keys[i]), keys[i - 1], keys[i]);
+        }
+    });
+});
+
+describe('endOfColumnPosition', () => {
+    const column = { userId: 'user-1', projectId: null, status: 'TODO' };
+
+    it('ranks after the last positioned task', async () => {
+        const { tx } = columnClient(['a', 'k', null]);
+
+        assert.equal(await endOfColumnPosition(tx, column), 'l');
+    });
+
+    it('starts an empty column in the middle', async () => {
+        const { tx } = columnClient([]);
+
+        assert.equal(await endOfColumnPosition(tx, column), 'i');
+    });
+
+    it('rebalances the column once keys grow too long', async () => {
+        const { tx, tasks } = columnClient(['a', 'z'.repeat(RANKING.MAX_LENGTH), null]);
+
+        const position = await endOfColumnPosition(tx, column);
+
+        assert.ok(position.length <= RANKING.MAX_LENGTH);
+        assert.deepEqual(tasks.map((task) => task.position), spreadRanks(3));
+        assertBetween(position, tasks[2].position, null);
+    });
+});
+
+describe('columns', () => {
+    it('are kept per board, even when their statuses share a key', async () => {
+        const db = createFakePrisma();
+        await db.user.create({ data: { id: 'user-1', email: 'ada@example.com', passwordHash: 'hash' } });
+        const project = await db.project.create({ data: { name: 'Launch', userId: 'user-1' } });
+        const create = (title, projectId, position) => db.task.create({
+            data: { title, userId: 'user-1', projectId, position }
+        });
+        await create('Inbox', null, 'c');
+        await create('Launch 1', project.id, 'x');
+        await create('Launch 2', project.id, null);
+
+        assert.equal(await endOfColumnPosition(db, { userId: 'user-1', projectId: null, status: 'TODO' }), 'd');
+
+        const rebalanced = await rebalanceColumn(db, { userId: 'user-1', projectId: project.id, status: 'TODO' });
+        const positions = Object.fromEntries((await db.task.findMany()).map((task) => [task.title, task.position]));
+        assert.equal(rebalanced.length, 2);
+        assert.deepEqual(positions, { Inbox: 'c', 'Launch 1': spreadRanks(2)[0], 'Launch 2': spreadRanks(2)[1] });
+    });
+});
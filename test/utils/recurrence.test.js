@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import '../helpers.js';
+import { normalizeRecurrence, anchorRecurrence, nextOccurrence, previewOccurrences } from '../../src/utils/recurrence.js';
+
+/**
+ * Expands a rule from an ISO start date into ISO date strings
+ * @param {Object} input - Raw rule, as sent in a request body
+ * @param {string} start
+ * @param {number} limit
+ * @returns {string[]}
+ */
+const expand = (input, start, limit) => {
+    const { rule, error } = normalizeRecurrence(input);
+    assert.equal(error, undefined, error);
+    const first = new Date(start);
+    return previewOccurrences(anchorRecurrence(rule, first), first, limit).map((date) => date.toISOString());
+};
+
+describe('normalizeRecurrence', () => {
+    it('defaults the interval and orders weekdays', () => {
+        assert.deepEqual(normalizeRecurrence({ freq: 'WEEKLY', byWeekday: ['FR', 'MO'] }), {
+            rule: { freq: 'WEEKLY', interval: 1, byWeekday: ['MO', 'FR'] }
+        });
+    });
+
+    it('normalizes until to an ISO date-time', () => {
+        assert.equal(normalizeRecurrence({ freq: 'DAILY', until: '2026-04-01' }).rule.until, '2026-04-01T00:00:00.000Z');
+    });
+
+    it('names the offending field', () => {
+        const cases = [
+            [null, 'recurrence'],
+            [{ freq: 'YEARLY' }, 'recurrence.freq'],
+            [{ freq: 'DAILY', interval: 0 }, 'recurrence.interval'],
+            [{ freq: 'DAILY', interval: 1.5 }, 'recurrence.interval'],
+            [{ freq: 'DAILY', byWeekday: ['MO'] }, 'recurrence.byWeekday'],
+            [{ freq: 'WEEKLY', byWeekday: [] }, 'recurrence.byWeekday'],
+            [{ freq: 'WEEKLY', byWeekday: ['MON'] }, 'recurrence.byWeekday'],
+            [{ freq: 'WEEKLY', byMonthDay: 1 }, 'recurrence.byMonthDay'],
+            [{ freq: 'MONTHLY', byMonthDay: 32 }, 'recurrence.byMonthDay'],
+            [{ freq: 'DAILY', until: 'someday' }, 'recurrence.until'],
+            [{ freq: 'DAILY', count: 0 }, 'recurrence.count'],
+            [{ freq: 'DAILY', count: 3, until: '2026-04-01' }, 'recurrence']
+        ];
+
+        for (const [input, field] of cases) {
+            assert.equal(normalizeRecurrence(input).field, field, JSON.stringify(input));
+        }
+    });
+});
+
+describe('previewOccurrences', () => {
+    it('expands a daily rule with an interval', () => {
+        assert.deepEqual(expand({ freq: 'DAILY', interval: 3 }, '2026-03-30T09:00:00Z', 3), [
+            '2026-03-30T09:00:00.000Z',
+            '2026-04-02T09:00:00.000Z',
+            '2026-04-05T09:00:00.000Z'
+        ]);
+    });
+
+    it('expands a weekly rule on several weekdays every other week', () => {
+        // 2026-03-11 is a Wednesday
+        assert.deepEqual(expand({ freq: 'WEEKLY', interval: 2, byWeekday: ['MO', 'WE', 'FR'] }, '2026-03-11T09:00:00Z', 5), [
+            '2026-03-11T09:00:00.000Z',
+            '2026-03-13T09:00:00.000Z',
+            '2026-03-23T09:00:00.000Z',
+            '2026-03-25T09:00:00.000Z',
+            '2026-03-27T09:00:00.000Z'
+        ]);
+    });
+
+    it('repeats a weekly rule without weekdays on the same day', () => {
+        assert.deepEqual(expand({ freq: 'WEEKLY' }, '2026-03-11T09:00:00Z', 2), [
+            '2026-03-11T09:00:00.000Z',
+            '2026-03-18T09:00:00.000Z'
+        ]);
+    });
+
+    it('clamps a monthly rule to short months without drifting', () => {
+        assert.deepEqual(expand({ freq: 'MONTHLY' }, '2026-01-31T09:00:00Z', 4), [
+            '2026-01-31T09:00:00.000Z',
+            '2026-02-28T09:00:00.000Z',
+            '2026-03-31T09:00:00.000Z',
+            '2026-04-30T09:00:00.000Z'
+        ]);
+    });
+
+    it('crosses the end of the year', () => {
+        assert.deepEqual(expand({ freq: 'MONTHLY', interval: 5, byMonthDay: 15 }, '2026-10-15T09:00:00Z', 3), [
+            '2026-10-15T09:00:00.000Z',
+            '2027-03-15T09:00:00.000Z',
+            '2027-08-15T09:00:00.000Z'
+        ]);
+    });
+
+    it('stops after count occurrences', () => {
+        assert.equal(expand({ freq: 'DAILY', count: 3 }, '2026-03-11T09:00:00Z', 10).length, 3);
+    });
+
+    it('stops after until', () => {
+        assert.deepEqual(expand({ freq: 'DAILY', until: '2026-03-12T09:00:00Z' }, '2026-03-11T09:00:00Z', 10), [
+            '2026-03-11T09:00:00.000Z',
+            '2026-03-12T09:00:00.000Z'
+        ]);
+    });
+});
+
+describe('nextOccurrence', () => {
+    it('ends the series at the last counted occurrence', () => {
+        const rule = { freq: 'DAILY', interval: 1, count: 2 };
+        const current = new Date('2026-03-11T09:00:00Z');
+
+        assert.ok(nextOccurrence(rule, current, 0));
+        assert.equal(nextOccurrence(rule, current, 1), null);
+    });
+});
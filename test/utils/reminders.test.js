@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import '../helpers.js';
+import { parseReminderOffset } from '../../src/utils/reminders.js';
+import { REMINDERS } from '../../src/utils/constants.js';
+
+describe('parseReminderOffset', () => {
+    it('takes plain numbers as minutes', () => {
+        assert.equal(parseReminderOffset(90), 90);
+    });
+
+    it('converts suffixed offsets to minutes', () => {
+        assert.equal(parseReminderOffset('30m'), 30);
+        assert.equal(parseReminderOffset('1h'), 60);
+        assert.equal(parseReminderOffset(' 2D '), 2 * 24 * 60);
+        assert.equal(parseReminderOffset('1w'), 7 * 24 * 60);
+    });
+
+    it('refuses reminders at the due time, which would never be sent', () => {
+        assert.equal(parseReminderOffset(0), null);
+        assert.equal(parseReminderOffset('0m'), null);
+        assert.equal(parseReminderOffset('0d'), null);
+    });
+
+    it('refuses offsets past the maximum', () => {
+        assert.equal(parseReminderOffset(REMINDERS.MAX_OFFSET_MINUTES), REMINDERS.MAX_OFFSET_MINUTES);
+        assert.equal(parseReminderOffset(REMINDERS.MAX_OFFSET_MINUTES + 1), null);
+        assert.equal(parseReminderOffset('5w'), null);
+    });
+
+    it('refuses anything else', () => {
+        for (const value of [-5, 1.5, '90', '1y', '1.5h', 'soon', null, undefined, {}]) {
+            assert.equal(parseReminderOffset(value), null, JSON.stringify(value));
+        }
+    });
+});
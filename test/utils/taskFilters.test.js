@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma } from '../helpers.js';
+
+mockPrisma();
+
+const { parseTaskFilters, buildTaskWhere, matchesTaskFilters } = await import('../../src/utils/taskFilters.js');
+
+/**
+ * Parses query parameters that are expected to be valid
+ * @param {Object} query
+ * @returns {Object} Filters
+ */
+const parse = (query) => {
+    const { filters, error } = parseTaskFilters(query);
+    assert.equal(error, undefined, error?.error);
+    return filters;
+};
+
+describe('parseTaskFilters', () => {
+    it('accepts a priority in any case, as the task stream does', () => {
+        for (const priority of ['high', 'HIGH', 'High']) {
+            const filters = parse({ priority });
+
+            assert.equal(filters.priority, 'HIGH');
+            assert.equal(buildTaskWhere(filters, 'user-1').priority, 'HIGH');
+            assert.equal(matchesTaskFilters({ priority: 'HIGH' }, filters), true);
+            assert.equal(matchesTaskFilters({ priority: 'LOW' }, filters), false);
+        }
+    });
+
+    it('lists only the real priorities when refusing one', () => {
+        const { error } = parseTaskFilters({ priority: 'urgent' });
+
+        assert.equal(error.error, 'Invalid priority. Valid options: low, medium, high');
+        assert.deepEqual(error.validOptions, ['low', 'medium', 'high']);
+    });
+
+    it('refuses an unknown time zone and week start', () => {
+        assert.equal(parseTaskFilters({ tz: 'Mars/Olympus_Mons' }).error.field, 'tz');
+        assert.equal(parseTaskFilters({ weekStart: 'someday' }).error.field, 'weekStart');
+    });
+
+    it('takes the time zone from the header when the query has none', () => {
+        assert.equal(parseTaskFilters({}, 'Asia/Tokyo').filters.timeZone, 'Asia/Tokyo');
+        assert.equal(parseTaskFilters({ tz: 'UTC' }, 'Asia/Tokyo').filters.timeZone, 'UTC');
+    });
+});
+
+describe('buildTaskWhere', () => {
+    it('always scopes to the user\'s live top-level tasks', () => {
+        const where = buildTaskWhere(parse({ filter: 'status = done' }), 'user-1');
+
+        assert.equal(where.userId, 'user-1');
+        assert.equal(where.parentId, null);
+        assert.equal(where.deletedAt, null);
+        assert.deepEqual(where.AND, [{ status: { equals: 'DONE' } }]);
+    });
+
+    it('keeps every tag of an all-tags filter alongside a filter query', () => {
+        const where = buildTaskWhere(parse({ tags: 'a,b', tagMode: 'all', filter: 'status = done' }), 'user-1');
+
+        assert.deepEqual(where.AND, [
+            { tags: { some: { tagId: 'a' } } },
+            { tags: { some: { tagId: 'b' } } },
+            { status: { equals: 'DONE' } }
+        ]);
+    });
+
+    it('keeps every tag of an all-tags filter alongside a due date range', () => {
+        const where = buildTaskWhere(parse({ tags: 'a,b', tagMode: 'all', from: '2026-03-01', to: '2026-03-31', tz: 'UTC' }),
+            'user-1');
+
+        assert.deepEqual(where.AND, [
+            { tags: { some: { tagId: 'a' } } },
+            { tags: { some: { tagId: 'b' } } },
+            { dueDate: { gte: new Date('2026-03-01T00:00:00Z'), lt: new Date('2026-04-01T00:00:00Z') } }
+        ]);
+    });
+});
@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma } from '../helpers.js';
+
+mockPrisma();
+
+const { parseTaskSort, buildTaskOrderBy, compareTasksBy, encodeTaskCursor, decodeTaskCursor, syncPriorityRanks } =
+    await import('../../src/utils/taskSort.js');
+
+/**
+ * Parses a sort that is expected to be valid
+ * @param {string} [value]
+ * @returns {Array<Object>}
+ */
+const parse = (value) => {
+    const { sort, error } = parseTaskSort(value);
+    assert.equal(error, undefined, error?.error);
+    return sort;
+};
+
+describe('parseTaskSort', () => {
+    it('orders by due date by default, ending every sort with the ID', () => {
+        assert.deepEqual(parse().map(({ field, direction }) => `${field}:${direction}`),
+            ['dueDate:asc', 'createdAt:desc', 'id:asc']);
+        assert.equal(parseTaskSort('manual').preset, 'manual');
+    });
+
+    it('reads fields with optional directions', () => {
+        const sort = parse('priority:desc, title');
+
+        assert.deepEqual(sort.map(({ field, column, direction }) => [field, column, direction]), [
+            ['priority', 'priorityRank', 'desc'],
+            ['title', 'title', 'asc'],
+            ['id', 'id', 'asc']
+        ]);
+        assert.equal(parseTaskSort('priority:desc').preset, null);
+    });
+
+    it('refuses unknown fields and directions, and repeated fields', () => {
+        for (const value of ['colour', 'title:up', 'title:asc:x', '']) {
+            assert.equal(parseTaskSort(value).error.field, 'sort', value);
+        }
+        assert.equal(parseTaskSort('title,title:desc').error.error, 'Sort field title is listed twice');
+    });
+});
+
+describe('buildTaskOrderBy', () => {
+    it('keeps null due dates last, and first when reversed for paging backwards', () => {
+        const sort = parse('dueDate:desc,priority');
+
+        assert.deepEqual(buildTaskOrderBy(sort), [
+            { dueDate: { sort: 'desc', nulls: 'last' } },
+            { priorityRank: 'asc' },
+            { id: 'asc' }
+        ]);
+        assert.deepEqual(buildTaskOrderBy(sort, true), [
+            { dueDate: { sort: 'asc', nulls: 'first' } },
+            { priorityRank: 'desc' },
+            { id: 'desc' }
+        ]);
+    });
+});
+
+describe('compareTasksBy', () => {
+    it('orders like the database, with null due dates last in either direction', () => {
+        const tasks = [
+            { id: 'a', dueDate: null, priorityRank: 3 },
+            { id: 'b', dueDate: new Date('2026-03-02'), priorityRank: 1 },
+            { id: 'c', dueDate: new Date('2026-03-01'), priorityRank: 1 },
+            { id: 'd', dueDate: new Date('2026-03-02'), priorityRank: 2 }
+        ];
+
+        /**
+         * IDs of the tasks ordered by a sort
+         * @param {string} value
+         * @returns {string[]}
+         */
+        const ordered = (value) => [...tasks].sort(compareTasksBy(parse(value))).map((task) => task.id);
+
+        assert.deepEqual(ordered('dueDate'), ['c', 'b', 'd', 'a']);
+        assert.deepEqual(ordered('dueDate:desc,priority:desc'), ['d', 'b', 'c', 'a']);
+    });
+});
+
+describe('task cursors', () => {
+    const sort = parse('dueDate,priority:desc');
+    const task = { id: 'task-1', dueDate: new Date('2026-03-01T09:00:00Z'), priorityRank: 3 };
+
+    it('round-trips the sort values, dates and nulls included', () => {
+        assert.deepEqual(decodeTaskCursor(encodeTaskCursor(task, sort), sort), [task.dueDate, 3, 'task-1']);
+        assert.deepEqual(decodeTaskCursor(encodeTaskCursor({ ...task, dueDate: null }, sort), sort), [null, 3, 'task-1']);
+    });
+
+    it('refuses a cursor made for another sort, or tampered with', () => {
+        const cursor = encodeTaskCursor(task, sort);
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+        /**
+         * Encodes a payload as a cursor would be
+         * @param {Object} value
+         * @returns {string}
+         */
+        const forge = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+        assert.equal(decodeTaskCursor(cursor, parse('dueDate,priority')), null);
+        assert.equal(decodeTaskCursor('not a cursor', sort), null);
+        assert.equal(decodeTaskCursor(forge({ ...payload, v: ['yesterday', 3, 'task-1'] }), sort), null);
+        assert.equal(decodeTaskCursor(forge({ ...payload, v: [payload.v[0], null, 'task-1'] }), sort), null);
+        assert.equal(decodeTaskCursor(forge({ ...payload, v: [payload.v[0], { gt: 0 }, 'task-1'] }), sort), null);
+    });
+});
+
+describe('syncPriorityRanks', () => {
+    it('ranks the stored priority values', async () => {
+        let sql;
+        const client = {
+            $executeRawUnsafe: async (statement) => {
+                sql = statement;
+                return 0;
+            }
+        };
+
+        await syncPriorityRanks(client);
+
+        assert.match(sql, /^UPDATE Task SET priority_rank = CASE priority WHEN 'low' THEN 1 WHEN 'medium' THEN 2 WHEN 'high' THEN 3 END /);
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma } from '../helpers.js';
+
+mockPrisma();
+
+const { statusTimestamps, backfillStatusTimestamps, parseStatsRange, buildDailySeries, averageDuration } =
+    await import('../../src/utils/taskStats.js');
+
+const now = new Date('2026-03-10T12:00:00Z');
+const earlier = new Date('2026-03-01T09:00:00Z');
+
+describe('statusTimestamps', () => {
+    it('starts the clock on entering progress and keeps it across in-progress columns', () => {
+        assert.deepEqual(statusTimestamps({ statusCategory: 'TODO', startedAt: null }, 'IN_PROGRESS', now),
+            { statusCategory: 'IN_PROGRESS', startedAt: now, completedAt: null });
+        assert.deepEqual(statusTimestamps({ statusCategory: 'DONE', startedAt: earlier }, 'IN_PROGRESS', now),
+            { statusCategory: 'IN_PROGRESS', startedAt: earlier, completedAt: null });
+        assert.deepEqual(statusTimestamps({ statusCategory: 'IN_PROGRESS', startedAt: earlier }, 'IN_PROGRESS', now), {});
+    });
+
+    it('records completion, and resets both times when moved back to TODO', () => {
+        assert.deepEqual(statusTimestamps({ statusCategory: 'IN_PROGRESS', startedAt: earlier }, 'DONE', now),
+            { statusCategory: 'DONE', completedAt: now });
+        assert.deepEqual(statusTimestamps({ statusCategory: 'DONE', startedAt: earlier }, 'TODO', now),
+            { statusCategory: 'TODO', startedAt: null, completedAt: null });
+    });
+
+    it('stamps a task created straight into a status', () => {
+        assert.deepEqual(statusTimestamps(null, 'DONE', now), { statusCategory: 'DONE', completedAt: now });
+        assert.deepEqual(statusTimestamps(null, undefined, now), {});
+    });
+});
+
+describe('backfillStatusTimestamps', () => {
+    it('estimates missing times from the last update', async () => {
+        const statements = [];
+        const client = {
+            $executeRawUnsafe: async (sql) => {
+                statements.push(sql);
+                return 0;
+            }
+        };
+
+        await backfillStatusTimestamps(client);
+
+        assert.deepEqual(statements, [
+            'UPDATE Task SET completed_at = updated_at WHERE status_category = \'DONE\' AND completed_at IS NULL',
+            'UPDATE Task SET started_at = updated_at WHERE status_category = \'IN_PROGRESS\' AND started_at IS NULL'
+        ]);
+    });
+});
+
+describe('parseStatsRange', () => {
+    it('defaults to the last 30 days up to today, in the user\'s time zone', () => {
+        assert.deepEqual(parseStatsRange(undefined, undefined, 'Asia/Tokyo', now), {
+            start: new Date('2026-02-08T15:00:00Z'),
+            end: new Date('2026-03-10T15:00:00Z')
+        });
+    });
+
+    it('covers whole days, including the last one', () => {
+        assert.deepEqual(parseStatsRange('2026-03-01', '2026-03-02', 'America/New_York', now), {
+            start: new Date('2026-03-01T05:00:00Z'),
+            end: new Date('2026-03-03T05:00:00Z')
+        });
+        assert.deepEqual(parseStatsRange('2026-03-01', undefined, 'UTC', now).end, new Date('2026-03-31T00:00:00Z'));
+        assert.deepEqual(parseStatsRange(undefined, '2026-03-01', 'UTC', now).start, new Date('2026-01-31T00:00:00Z'));
+    });
+
+    it('refuses bad dates, reversed ranges and ranges over 366 days', () => {
+        assert.deepEqual(parseStatsRange('March', undefined, 'UTC', now).error, { error: 'Invalid from date. Use YYYY-MM-DD', field: 'from' });
+        assert.equal(parseStatsRange('2026-03-02', '2026-03-01', 'UTC', now).error.error, 'from must not be after to');
+        assert.equal(parseStatsRange('2025-01-01', '2026-01-02', 'UTC', now).error.field, 'to');
+        assert.equal(parseStatsRange('2025-01-01', '2026-01-01', 'UTC', now).error, undefined);
+    });
+});
+
+describe('buildDailySeries', () => {
+    it('counts each day in the time zone and carries the open total forward', () => {
+        const range = parseStatsRange('2026-03-01', '2026-03-03', 'Asia/Tokyo', now);
+
+        const series = buildDailySeries(range, [
+            new Date('2026-02-28T16:00:00Z'), // March 1st in Tokyo
+            new Date('2026-03-01T16:00:00Z'),
+            new Date('2026-03-02T01:00:00Z')
+        ], [new Date('2026-03-03T14:59:00Z')], 4, 'Asia/Tokyo');
+
+        assert.deepEqual(series, [
+            { date: '2026-03-01', created: 1, completed: 0, open: 5 },
+            { date: '2026-03-02', created: 2, completed: 0, open: 7 },
+            { date: '2026-03-03', created: 0, completed: 1, open: 6 }
+        ]);
+    });
+});
+
+describe('averageDuration', () => {
+    it('averages in hours to one decimal, skipping tasks without both times', () => {
+        const tasks = [
+            { startedAt: new Date('2026-03-01T00:00:00Z'), completedAt: new Date('2026-03-01T01:00:00Z') },
+            { startedAt: new Date('2026-03-01T00:00:00Z'), completedAt: new Date('2026-03-01T02:20:00Z') },
+            { startedAt: null, completedAt: new Date('2026-03-01T05:00:00Z') }
+        ];
+
+        assert.deepEqual(averageDuration(tasks, 'startedAt', 'completedAt'), { averageHours: 1.7, count: 2 });
+        assert.deepEqual(averageDuration([], 'startedAt', 'completedAt'), { averageHours: null, count: 0 });
+    });
+});
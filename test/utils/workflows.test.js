@@ -0,0 +1,163 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockPrisma } from '../helpers.js';
+
+mockPrisma();
+
+const { enterStatus } = await import('../../src/utils/workflows.js');
+
+// A customized board: review takes two tasks at a time, and done tasks can only be reopened
+const BOARD = [
+    { key: 'TODO', label: 'To Do', color: '#94a3b8', category: 'TODO', wipLimit: null, transitions: null },
+    { key: 'IN_PROGRESS', label: 'In Progress', color: '#3b82f6', category: 'IN_PROGRESS', wipLimit: 3, transitions: null },
+    { key: 'IN_REVIEW', label: 'In Review', color: '#a855f7', category: 'IN_PROGRESS', wipLimit: 2,
+        transitions: ['IN_PROGRESS', 'DONE'] },
+    { key: 'DONE', label: 'Done', color: '#22c55e', category: 'DONE', wipLimit: null, transitions: ['TODO'] },
+    { key: 'ARCHIVED', label: 'Archived', color: '#64748b', category: 'DONE', wipLimit: null, transitions: [] }
+];
+
+/**
+ * Transaction stand-in for one user's board and the top-level tasks on it
+ * @param {Object[]|null} statuses - The board's statuses, or null for a board never customized
+ * @param {Array<{id: string, status: string}>} [tasks=[]]
+ * @returns {Object}
+ */
+const boardClient = (statuses, tasks = []) => ({
+    workflowStatus: {
+        findMany: async () => statuses ?? []
+    },
+    task: {
+        count: async ({ where }) => tasks
+            .filter((task) => task.status === where.status && task.id !== where.id?.not)
+            .length
+    }
+});
+
+/**
+ * Task on the board in the given status
+ * @param {string} id
+ * @param {string} status
+ * @returns {Object}
+ */
+const taskIn = (id, status) => ({
+    id,
+    status,
+    statusCategory: BOARD.find((entry) => entry.key === status).category,
+    projectId: 'project-1'
+});
+
+/**
+ * Asserts that entering a status is refused
+ * @param {Promise} promise - From enterStatus
+ * @param {number} status - Expected HTTP status
+ * @param {RegExp} message
+ * @returns {Promise<void>}
+ */
+const assertRefused = (promise, status, message) => assert.rejects(promise, (error) => {
+    assert.equal(error.status, status);
+    assert.equal(error.field, 'status');
+    assert.match(error.message, message);
+    return true;
+});
+
+describe('enterStatus', () => {
+    const change = { userId: 'user-1', projectId: 'project-1' };
+
+    it('uses the default statuses on a board never customized', async () => {
+        const target = await enterStatus(boardClient(null), { ...change, status: 'IN_PROGRESS' });
+
+        assert.equal(target.key, 'IN_PROGRESS');
+        assert.equal(target.wipLimit, null);
+    });
+
+    it('refuses a status the board does not have', async () => {
+        await assertRefused(enterStatus(boardClient(null), { ...change, status: 'IN_REVIEW' }),
+            400, /Status IN_REVIEW does not exist on this board\. Valid options: TODO, IN_PROGRESS, DONE/);
+    });
+
+    it('falls back to the built-in status of the category when asked to', async () => {
+        const target = await enterStatus(boardClient(null), {
+            ...change,
+            status: 'IN_REVIEW',
+            task: { ...taskIn('task-1', 'IN_REVIEW'), projectId: 'project-2' },
+            keepCategory: true
+        });
+
+        assert.equal(target.key, 'IN_PROGRESS');
+    });
+
+    describe('transitions', () => {
+        it('allows a listed transition', async () => {
+            const target = await enterStatus(boardClient(BOARD), { ...change, status: 'TODO', task: taskIn('task-1', 'DONE') });
+
+            assert.equal(target.key, 'TODO');
+        });
+
+        it('refuses an unlisted transition, naming the allowed ones', async () => {
+            await assertRefused(enterStatus(boardClient(BOARD), { ...change, status: 'IN_PROGRESS', task: taskIn('task-1', 'DONE') }),
+                409, /Tasks cannot move from Done to In Progress\. From Done they can move to: To Do/);
+        });
+
+        it('refuses leaving a final status', async () => {
+            await assertRefused(enterStatus(boardClient(BOARD), { ...change, status: 'TODO', task: taskIn('task-1', 'ARCHIVED') }),
+                409, /Archived is final/);
+        });
+
+        it('allows any move from a status without transitions', async () => {
+            const target = await enterStatus(boardClient(BOARD), { ...change, status: 'ARCHIVED', task: taskIn('task-1', 'TODO') });
+
+            assert.equal(target.key, 'ARCHIVED');
+        });
+
+        it('allows any status when the task arrives from another board', async () => {
+            const task = { ...taskIn('task-1', 'DONE'), projectId: null };
+
+            const target = await enterStatus(boardClient(BOARD), { ...change, status: 'IN_PROGRESS', task });
+
+            assert.equal(target.key, 'IN_PROGRESS');
+        });
+    });
+
+    describe('WIP limits', () => {
+        const reviewing = [taskIn('task-1', 'IN_REVIEW'), taskIn('task-2', 'IN_REVIEW')];
+
+        it('admits tasks while the column has room', async () => {
+            const tx = boardClient(BOARD, [taskIn('task-1', 'IN_REVIEW')]);
+
+            const target = await enterStatus(tx, { ...change, status: 'IN_REVIEW', task: taskIn('task-3', 'IN_PROGRESS') });
+
+            assert.equal(target.key, 'IN_REVIEW');
+        });
+
+        it('refuses a task once the column is full', async () => {
+            const tx = boardClient(BOARD, reviewing);
+
+            await assertRefused(enterStatus(tx, { ...change, status: 'IN_REVIEW', task: taskIn('task-3', 'IN_PROGRESS') }),
+                409, /In Review is at its WIP limit of 2 tasks/);
+        });
+
+        it('refuses a new task in a full column', async () => {
+            const tx = boardClient(BOARD, [...reviewing, taskIn('task-3', 'IN_PROGRESS'), taskIn('task-4', 'IN_PROGRESS'),
+                taskIn('task-5', 'IN_PROGRESS')]);
+
+            await assertRefused(enterStatus(tx, { ...change, status: 'IN_PROGRESS' }), 409, /In Progress is at its WIP limit of 3/);
+        });
+
+        it('lets a task in a full column stay there', async () => {
+            const tx = boardClient(BOARD, reviewing);
+
+            const target = await enterStatus(tx, { ...change, status: 'IN_REVIEW', task: reviewing[0] });
+
+            assert.equal(target.key, 'IN_REVIEW');
+        });
+
+        it('does not count the task being moved against the limit', async () => {
+            const tx = boardClient(BOARD, reviewing);
+            const arriving = { ...reviewing[0], projectId: 'project-2' };
+
+            const target = await enterStatus(tx, { ...change, status: 'IN_REVIEW', task: arriving });
+
+            assert.equal(target.key, 'IN_REVIEW');
+        });
+    });
+});